@@ -11,10 +11,14 @@ const REQUIRED_PACKED_FILES = [
   'package.json',
   'src/app.d.ts',
   'src/app.js',
+  'src/components/ComponentLibrary.d.ts',
+  'src/components/ComponentLibrary.js',
   'src/components/HTMLeX.d.ts',
   'src/components/HTMLeX.js',
   'src/public/src/htmlex.d.ts',
-  'src/public/src/htmlex.js'
+  'src/public/src/htmlex.js',
+  'src/public/src/protocol.d.ts',
+  'src/public/src/protocol.js'
 ];
 const DISALLOWED_PACKED_PATHS = [
   /^\.github\//u,
@@ -34,6 +34,14 @@ const REQUIRED_EXPORTS = {
   './render': {
     types: './src/components/HTMLeX.d.ts',
     import: './src/components/HTMLeX.js'
+  },
+  './protocol': {
+    types: './src/public/src/protocol.d.ts',
+    import: './src/public/src/protocol.js'
+  },
+  './components': {
+    types: './src/components/ComponentLibrary.d.ts',
+    import: './src/components/ComponentLibrary.js'
   }
 };
 const REQUIRED_KEYWORDS = ['htmlex', 'hateoas', 'html', 'server-driven-ui', 'web-components'];
@@ -351,6 +359,16 @@ async function checkPackageExports(failures, packageJson) {
     packageJson.typesVersions?.['*']?.render?.includes('src/components/HTMLeX.d.ts'),
     'typesVersions must map htmlex/render to src/components/HTMLeX.d.ts.'
   );
+  requireField(
+    failures,
+    packageJson.typesVersions?.['*']?.protocol?.includes('src/public/src/protocol.d.ts'),
+    'typesVersions must map htmlex/protocol to src/public/src/protocol.d.ts.'
+  );
+  requireField(
+    failures,
+    packageJson.typesVersions?.['*']?.components?.includes('src/components/ComponentLibrary.d.ts'),
+    'typesVersions must map htmlex/components to src/components/ComponentLibrary.d.ts.'
+  );
 
   for (const target of packageJson.typesVersions?.['*']?.app ?? []) {
     await requireExistingTarget(target, 'typesVersions app target');
@@ -358,6 +376,12 @@ async function checkPackageExports(failures, packageJson) {
   for (const target of packageJson.typesVersions?.['*']?.render ?? []) {
     await requireExistingTarget(target, 'typesVersions render target');
   }
+  for (const target of packageJson.typesVersions?.['*']?.protocol ?? []) {
+    await requireExistingTarget(target, 'typesVersions protocol target');
+  }
+  for (const target of packageJson.typesVersions?.['*']?.components ?? []) {
+    await requireExistingTarget(target, 'typesVersions components target');
+  }
 }
 
 function checkDocumentationText(failures, documents) {
@@ -1,3 +1,7 @@
+import type { HTMLeXRequestInfo } from './public/src/protocol.js';
+
+export type { HTMLeXRequestInfo };
+
 export interface CreateAppOptions {
   getSocketServer?: (() => unknown) | null;
 }
@@ -18,6 +22,7 @@ export const app: unknown;
 export function createApp(options?: CreateAppOptions): unknown;
 export function createHttpsServer(options?: CreateHttpsServerOptions): Promise<HttpsRuntime>;
 export function installProcessHandlers(options?: { exit?: (code?: number) => void }): void;
+export function parseHTMLeXRequest(req: unknown): HTMLeXRequestInfo;
 export function startServer(port?: string | number): Promise<unknown>;
 export function stopServer(options?: { exit?: (code?: number) => void }): void;
 
@@ -26,6 +31,7 @@ declare const _default: {
   createApp: typeof createApp;
   createHttpsServer: typeof createHttpsServer;
   installProcessHandlers: typeof installProcessHandlers;
+  parseHTMLeXRequest: typeof parseHTMLeXRequest;
   startServer: typeof startServer;
   stopServer: typeof stopServer;
 };
@@ -10,6 +10,7 @@ import { Server as SocketIOServer } from 'socket.io';
 import { renderDefaultIndexPage } from './components/Components.js';
 import { getHttpsOptions } from './certificates.js';
 import { logRequestError, logRequestWarning, serverLogger } from './serverLogger.js';
+import { HTMLEX_REQUEST_HEADERS, parseHTMLeXRequest } from './public/src/requestHeaders.js';
 
 // Domain features
 import * as todos from './features/todos.js';
@@ -313,6 +314,16 @@ function requestContext(req, res, next) {
   safeNext(next);
 }
 
+// The parser lives with the header names the browser runtime sends, so
+// `htmlex/components` routes read the same values without `createApp()`.
+export { parseHTMLeXRequest };
+
+function htmlexRequestContext(req, res, next) {
+  setField(req, 'htmlex', parseHTMLeXRequest(req));
+  callMethod(res, 'vary', [HTMLEX_REQUEST_HEADERS.request]);
+  safeNext(next);
+}
+
 function routeBoundary(routeName, handler) {
   return async (req, res, next) => {
     setField(req, 'routeName', routeName);
@@ -630,6 +641,7 @@ export function createApp({ getSocketServer = null } = {}) {
 
   // Serve static files from the PUBLIC_DIR directory.
   app.use(requestContext);
+  app.use(htmlexRequestContext);
   app.use(express.static(path.join(SRC_DIR, PUBLIC_DIR)));
 
   // Default root route to serve an index page.
@@ -805,6 +817,7 @@ export default {
   createApp,
   createHttpsServer,
   installProcessHandlers,
+  parseHTMLeXRequest,
   startServer,
   stopServer
 };
@@ -0,0 +1,150 @@
+import type { HTMLeXActionOptions, HTMLeXNode, HTMLeXRenderable } from './HTMLeX.js';
+
+export const DEFAULT_MODAL_ROOT_ID: 'htmlex-modal';
+export const DEFAULT_TOAST_REGION_ID: 'htmlex-toasts';
+
+export type HTMLeXSortDirection = 'asc' | 'desc';
+
+export interface HTMLeXDataTableSort {
+  key?: string;
+  direction?: HTMLeXSortDirection;
+}
+
+export interface HTMLeXDataTableColumn<Row = Record<string, unknown>> {
+  key: string;
+  label?: HTMLeXRenderable;
+  sortable?: boolean;
+  /** Adds a search field for this column; its value travels as the `key` query parameter. */
+  filterable?: boolean;
+  render?: (row: Row) => HTMLeXRenderable;
+}
+
+export interface HTMLeXDataTableProps<Row = Record<string, unknown>> {
+  id: string;
+  endpoint: string;
+  columns: readonly HTMLeXDataTableColumn<Row>[];
+  rows?: readonly Row[];
+  sort?: HTMLeXDataTableSort;
+  filters?: Record<string, string>;
+  page?: number;
+  pageSize?: number;
+  total?: number;
+  rowKey?: string;
+  emptyText?: HTMLeXRenderable;
+  caption?: HTMLeXRenderable;
+}
+
+export interface HTMLeXDataTableQuery {
+  sort: { key: string; direction: HTMLeXSortDirection };
+  filters: Record<string, string>;
+  page: number;
+}
+
+export interface HTMLeXDataTableQueryOptions {
+  sortable?: readonly string[];
+  filterable?: readonly string[];
+  /** The page URL holding the current state, such as the `HTMLeX-Current-URL` header. */
+  currentUrl?: string | null;
+}
+
+export function readDataTableQuery(query: unknown, options?: HTMLeXDataTableQueryOptions): HTMLeXDataTableQuery;
+export function DataTable<Row = Record<string, unknown>>(props: HTMLeXDataTableProps<Row>): HTMLeXNode;
+export function dataTableFragments<Row = Record<string, unknown>>(
+  props: HTMLeXDataTableProps<Row>,
+  options?: { head?: boolean }
+): HTMLeXNode[];
+
+export interface HTMLeXDataTableSourceQuery<Request = unknown> extends HTMLeXDataTableQuery {
+  pageSize: number;
+  request: Request;
+}
+
+export type HTMLeXDataTablePage<Row> = readonly Row[] | { rows: readonly Row[]; total: number };
+
+export interface HTMLeXDataTableRouteOptions<Row = Record<string, unknown>, Request = unknown>
+  extends Omit<HTMLeXDataTableProps<Row>, 'rows' | 'sort' | 'filters' | 'page' | 'total'> {
+  rows: readonly Row[] | ((query: HTMLeXDataTableSourceQuery<Request>) => HTMLeXDataTablePage<Row> | PromiseLike<HTMLeXDataTablePage<Row>>);
+  layout?: (table: HTMLeXNode, state: HTMLeXDataTableQuery, request: Request) => HTMLeXRenderable | PromiseLike<HTMLeXRenderable>;
+}
+
+export interface HTMLeXDataTableRouteResponse {
+  send(body: string): unknown;
+  type?(type: string): unknown;
+  vary?(field: string): unknown;
+}
+
+export function createDataTableRoute<Row = Record<string, unknown>, Request = unknown>(
+  options: HTMLeXDataTableRouteOptions<Row, Request>
+): (request: Request, response: HTMLeXDataTableRouteResponse, next?: (error: unknown) => void) => Promise<void>;
+
+export interface HTMLeXTab {
+  id: string;
+  label: HTMLeXRenderable;
+  url: string;
+}
+
+export function Tabs(props: {
+  id: string;
+  tabs: readonly HTMLeXTab[];
+  active?: string;
+  content?: HTMLeXRenderable;
+}): HTMLeXNode;
+
+export function ModalRoot(props?: { id?: string }): HTMLeXNode;
+export function ModalTrigger(props: { url: string; label: HTMLeXRenderable; root?: string }): HTMLeXNode;
+export function Modal(props: {
+  id: string;
+  title: HTMLeXRenderable;
+  content?: HTMLeXRenderable;
+  actions?: HTMLeXRenderable;
+  closeLabel?: string;
+}): HTMLeXNode;
+export function closeModalFragment(root?: string): HTMLeXNode;
+
+export type HTMLeXToastVariant = 'info' | 'success' | 'warning' | 'error';
+
+export interface HTMLeXToastOptions {
+  variant?: HTMLeXToastVariant;
+  timeout?: number;
+}
+
+export function ToastRegion(props?: { id?: string }): HTMLeXNode;
+export function Toast(props: HTMLeXToastOptions & { message: HTMLeXRenderable }): HTMLeXNode;
+export function toastFragment(message: HTMLeXRenderable, options?: HTMLeXToastOptions & { region?: string }): HTMLeXNode;
+
+export function ConfirmButton(props: {
+  url: string;
+  label: HTMLeXRenderable;
+  method?: 'get' | 'post' | 'put' | 'delete' | 'patch';
+  message?: HTMLeXRenderable;
+  confirmLabel?: HTMLeXRenderable;
+  actionOptions?: HTMLeXActionOptions;
+}): HTMLeXNode;
+
+export function InlineEdit(props: {
+  id: string;
+  url: string;
+  name: string;
+  value?: unknown;
+  label?: string;
+  editing?: boolean;
+}): HTMLeXNode;
+
+export interface HTMLeXSelectOption {
+  value: unknown;
+  label?: HTMLeXRenderable;
+}
+
+export function SearchableSelectOptions(options: readonly HTMLeXSelectOption[], selected?: unknown): HTMLeXNode[];
+export function SearchableSelect(props: {
+  id: string;
+  name: string;
+  url: string;
+  label?: HTMLeXRenderable;
+  options?: readonly HTMLeXSelectOption[];
+  value?: unknown;
+  placeholder?: string;
+  queryName?: string;
+  debounce?: number;
+  size?: number;
+}): HTMLeXNode;
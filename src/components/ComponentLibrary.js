@@ -0,0 +1,820 @@
+// ./src/components/ComponentLibrary.js
+
+/**
+ * @fileoverview Reusable server UI components with their HTMLeX wiring done,
+ * published as `htmlex/components`. Every component returns a virtual node
+ * for `render()`, and each one documents the fragment route it expects, so
+ * CRUD screens need no hand-written target plumbing.
+ */
+
+import { action, generateFragment, render, tag, targetSpec } from './HTMLeX.js';
+import { HTMLEX_REQUEST_HEADERS, parseHTMLeXRequest } from '../public/src/requestHeaders.js';
+
+const COMPONENT_ID_PATTERN = /^[A-Za-z][\w-]*$/u;
+const DATA_TABLE_STATE_PARAMS = Object.freeze(['sort', 'dir', 'page']);
+const ARIA_SORT_BY_DIRECTION = Object.freeze({ asc: 'ascending', desc: 'descending' });
+const CONFIRM_METHODS = new Set(['get', 'post', 'put', 'delete', 'patch']);
+const TOAST_VARIANTS = new Set(['info', 'success', 'warning', 'error']);
+
+/** The element id `ModalRoot()` and `ModalTrigger()` use unless told otherwise. */
+export const DEFAULT_MODAL_ROOT_ID = 'htmlex-modal';
+/** The element id `ToastRegion()` and `toastFragment()` use unless told otherwise. */
+export const DEFAULT_TOAST_REGION_ID = 'htmlex-toasts';
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch {
+    return fallback;
+  }
+}
+
+function getObjectField(value, fieldName, fallback = undefined) {
+  try {
+    return value?.[fieldName] ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function toArray(value) {
+  try {
+    return Array.isArray(value) ? [...value] : [];
+  } catch {
+    return [];
+  }
+}
+
+function requireId(props, fieldName, componentName) {
+  const id = safeString(getObjectField(props, fieldName, '')).trim();
+  if (!COMPONENT_ID_PATTERN.test(id)) {
+    throw new TypeError(`${componentName} requires an "${fieldName}" of letters, digits, "_" or "-", received "${id}".`);
+  }
+  return id;
+}
+
+function requireUrl(props, fieldName, componentName) {
+  const url = safeString(getObjectField(props, fieldName, '')).trim();
+  if (!url) {
+    throw new TypeError(`${componentName} requires a "${fieldName}" URL.`);
+  }
+  return url;
+}
+
+function getPositiveInteger(props, fieldName, fallback) {
+  const value = Number(getObjectField(props, fieldName, fallback));
+  return Number.isSafeInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Sets or removes query parameters on a relative or absolute URL, keeping its
+ * other parameters and hash. Empty, null, and undefined values are removed.
+ */
+function withQuery(url, params) {
+  const [beforeHash, ...hashParts] = safeString(url).split('#');
+  const [path, ...queryParts] = beforeHash.split('?');
+  const search = new URLSearchParams(queryParts.join('?'));
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === '') {
+      search.delete(key);
+    } else {
+      search.set(key, safeString(value));
+    }
+  }
+  const query = search.toString();
+  return `${path}${query ? `?${query}` : ''}${hashParts.length ? `#${hashParts.join('#')}` : ''}`;
+}
+
+/* ===========================
+   Data Table
+   =========================== */
+
+function normalizeColumn(column) {
+  const key = safeString(getObjectField(column, 'key', '')).trim();
+  const renderCell = getObjectField(column, 'render', null);
+  return {
+    key,
+    label: getObjectField(column, 'label', key),
+    sortable: Boolean(getObjectField(column, 'sortable', false)) && Boolean(key),
+    filterable: Boolean(getObjectField(column, 'filterable', false)) && Boolean(key),
+    render: typeof renderCell === 'function' ? renderCell : row => getObjectField(row, key, '')
+  };
+}
+
+function normalizeColumns(props, componentName) {
+  const columns = toArray(getObjectField(props, 'columns', [])).map(normalizeColumn);
+  for (const column of columns) {
+    if (column.filterable && DATA_TABLE_STATE_PARAMS.includes(column.key)) {
+      throw new TypeError(`${componentName} cannot filter on "${column.key}" because it is a table state parameter.`);
+    }
+  }
+  return columns;
+}
+
+function normalizeSort(sort) {
+  const key = safeString(getObjectField(sort, 'key', '')).trim();
+  const direction = safeString(getObjectField(sort, 'direction', 'asc')).toLowerCase();
+  return { key, direction: Object.hasOwn(ARIA_SORT_BY_DIRECTION, direction) ? direction : 'asc' };
+}
+
+function getQueryValue(query, key) {
+  const value = getObjectField(query, key, undefined);
+  return Array.isArray(value) ? value.at(-1) : value;
+}
+
+function readUrlQuery(url) {
+  try {
+    return Object.fromEntries(new URL(safeString(url), 'http://localhost').searchParams);
+  } catch {
+    return {};
+  }
+}
+
+function readTableState(query, sortable, filterable) {
+  const sort = normalizeSort({ key: getQueryValue(query, 'sort'), direction: getQueryValue(query, 'dir') });
+  const filters = {};
+  for (const key of filterable) {
+    const value = safeString(getQueryValue(query, key)).trim();
+    if (value) filters[key] = value;
+  }
+  return {
+    sort: sortable.includes(sort.key) ? sort : { key: '', direction: 'asc' },
+    filters,
+    page: getPositiveInteger({ page: getQueryValue(query, 'page') }, 'page', 1)
+  };
+}
+
+function hasSameFilters(left, right) {
+  const keys = Object.keys(left);
+  return keys.length === Object.keys(right).length && keys.every(key => left[key] === right[key]);
+}
+
+/**
+ * Merges the parameters a table control sent with the state already in the
+ * page URL. Controls only send what they change, so a pager button keeps the
+ * current sort and filters, and a new sort or filter starts again at page 1.
+ */
+function resolveTableState(query, options) {
+  const sortable = toArray(getObjectField(options, 'sortable', []));
+  const filterable = toArray(getObjectField(options, 'filterable', []));
+  const currentUrl = getObjectField(options, 'currentUrl', null);
+  if (!currentUrl) {
+    return { state: readTableState(query, sortable, filterable), previous: null };
+  }
+
+  const currentQuery = readUrlQuery(currentUrl);
+  const previous = readTableState(currentQuery, sortable, filterable);
+  const merged = {};
+  for (const key of [...DATA_TABLE_STATE_PARAMS, ...filterable]) {
+    const value = getQueryValue(query, key);
+    merged[key] = value === undefined ? getQueryValue(currentQuery, key) : value;
+  }
+  const state = readTableState(merged, sortable, filterable);
+  const sortChanged = state.sort.key !== previous.sort.key || state.sort.direction !== previous.sort.direction;
+  if (getQueryValue(query, 'page') === undefined && (sortChanged || !hasSameFilters(state.filters, previous.filters))) {
+    state.page = 1;
+  }
+  return { state, previous };
+}
+
+/**
+ * Reads the data table query convention (`sort`, `dir`, `page`, and one
+ * parameter per filterable column) from a request query object, such as
+ * Express's `req.query`. With `currentUrl`, parameters the request does not
+ * carry are taken from that page URL, as `createDataTableRoute()` does.
+ *
+ * @param {Object} query - Parsed query parameters.
+ * @param {Object} [options={}] - Options.
+ * @param {string[]} [options.sortable=[]] - Column keys that may be sorted; other keys are ignored.
+ * @param {string[]} [options.filterable=[]] - Column keys read as filters.
+ * @param {string|null} [options.currentUrl=null] - The page URL holding the current table state.
+ * @returns {{sort: {key: string, direction: 'asc'|'desc'}, filters: Object<string, string>, page: number}}
+ */
+export function readDataTableQuery(query, options = {}) {
+  return resolveTableState(query, options).state;
+}
+
+function normalizeDataTable(props) {
+  const id = requireId(props, 'id', 'DataTable');
+  const columns = normalizeColumns(props, 'DataTable');
+  const rows = toArray(getObjectField(props, 'rows', []));
+  const requestedFilters = getObjectField(props, 'filters', {});
+  const filters = {};
+  for (const column of columns) {
+    if (column.filterable) filters[column.key] = safeString(getObjectField(requestedFilters, column.key, '')).trim();
+  }
+  const pageSize = getPositiveInteger(props, 'pageSize', 10);
+  const total = Math.max(0, Number(getObjectField(props, 'total', rows.length)) || 0);
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  return {
+    id,
+    endpoint: requireUrl(props, 'endpoint', 'DataTable'),
+    columns,
+    rows,
+    sort: normalizeSort(getObjectField(props, 'sort', {})),
+    filters,
+    pageCount,
+    page: Math.min(getPositiveInteger(props, 'page', 1), pageCount),
+    rowKey: getObjectField(props, 'rowKey', null),
+    emptyText: getObjectField(props, 'emptyText', 'No results.'),
+    caption: getObjectField(props, 'caption', null),
+    target: targetSpec(`#${id}-body`, 'outerHTML')
+  };
+}
+
+function renderTableFilters(table) {
+  const filterColumns = table.columns.filter(column => column.filterable);
+  if (!filterColumns.length) return null;
+  return tag(
+    'form',
+    {
+      id: `${table.id}-filters`,
+      class: 'htmlex-table-filters',
+      role: 'search',
+      ...action.get(table.endpoint, { target: table.target })
+    },
+    ...filterColumns.map(column => tag(
+      'label',
+      { class: 'htmlex-table-filter' },
+      tag('span', {}, column.label),
+      tag('input', { type: 'search', name: column.key, value: table.filters[column.key] })
+    )),
+    tag('button', { type: 'submit' }, 'Filter')
+  );
+}
+
+function renderTableHead(table) {
+  const headerCells = table.columns.map((column) => {
+    if (!column.sortable) return tag('th', { scope: 'col' }, column.label);
+    const active = table.sort.key === column.key;
+    const nextDirection = active && table.sort.direction === 'asc' ? 'desc' : 'asc';
+    return tag(
+      'th',
+      { scope: 'col', aria: { sort: active ? ARIA_SORT_BY_DIRECTION[table.sort.direction] : 'none' } },
+      tag(
+        'button',
+        {
+          type: 'button',
+          class: ['htmlex-table-sort', { active }],
+          ...action.get(withQuery(table.endpoint, { sort: column.key, dir: nextDirection }), { target: table.target })
+        },
+        column.label,
+        tag('span', { class: 'htmlex-table-sort-indicator', aria: { hidden: true } }, active ? (table.sort.direction === 'asc' ? '▲' : '▼') : '')
+      )
+    );
+  });
+  return tag('thead', { id: `${table.id}-head` }, tag('tr', {}, ...headerCells));
+}
+
+function renderTableBody(table) {
+  const bodyRows = table.rows.length
+    ? table.rows.map(row => tag(
+      'tr',
+      { data: table.rowKey ? { key: getObjectField(row, table.rowKey, null) } : undefined },
+      ...table.columns.map(column => tag('td', {}, column.render(row)))
+    ))
+    : [tag('tr', {}, tag('td', { colspan: Math.max(1, table.columns.length), class: 'htmlex-table-empty' }, table.emptyText))];
+  return tag('tbody', { id: `${table.id}-body` }, ...bodyRows);
+}
+
+function renderTablePager(table) {
+  const pagerButton = (label, targetPage, rel) => tag(
+    'button',
+    {
+      type: 'button',
+      class: 'htmlex-table-page',
+      rel,
+      ...(targetPage >= 1 && targetPage <= table.pageCount
+        ? action.get(withQuery(table.endpoint, { page: targetPage }), { target: table.target })
+        : { disabled: true })
+    },
+    label
+  );
+
+  return tag(
+    'nav',
+    { id: `${table.id}-pager`, class: 'htmlex-table-pager', aria: { label: 'Pagination' } },
+    pagerButton('Previous', table.page - 1, 'prev'),
+    tag('span', { class: 'htmlex-table-status', aria: { live: 'polite' } }, `Page ${table.page} of ${table.pageCount}`),
+    pagerButton('Next', table.page + 1, 'next')
+  );
+}
+
+/**
+ * A sortable, filterable, paginated table. Sort headers, the filter form, and
+ * pager buttons `GET` the `endpoint` with only the parameters they change
+ * (`sort` and `dir`, the filter fields, or `page`). `createDataTableRoute()`
+ * merges those with the state in the page URL and answers with fragments for
+ * the parts that changed.
+ *
+ * @param {Object} props - Table options.
+ * @param {string} props.id - The table container id.
+ * @param {string} props.endpoint - The route that serves this table.
+ * @param {Array<{key: string, label?: unknown, sortable?: boolean, filterable?: boolean, render?: function(Object): unknown}>} props.columns - Column definitions.
+ * @param {Object[]} [props.rows=[]] - The rows of the current page.
+ * @param {{key?: string, direction?: 'asc'|'desc'}} [props.sort] - The current sort.
+ * @param {Object<string, string>} [props.filters] - The current filter values by column key.
+ * @param {number} [props.page=1] - The current page, starting at 1.
+ * @param {number} [props.pageSize=10] - Rows per page.
+ * @param {number} [props.total] - Total rows across all pages; defaults to `rows.length`.
+ * @param {string} [props.rowKey] - Row field written to each row's `data-key`.
+ * @param {unknown} [props.emptyText='No results.'] - Shown when there are no rows.
+ * @param {string} [props.caption] - Optional table caption.
+ * @returns {Object} A virtual node.
+ */
+export function DataTable(props = {}) {
+  const table = normalizeDataTable(props);
+  return tag(
+    'div',
+    { id: table.id, class: 'htmlex-table' },
+    renderTableFilters(table),
+    tag(
+      'table',
+      {},
+      table.caption === null ? null : tag('caption', {}, table.caption),
+      renderTableHead(table),
+      renderTableBody(table)
+    ),
+    renderTablePager(table)
+  );
+}
+
+/**
+ * The fragments a `DataTable` interaction answers with: the new `tbody` and
+ * pager, plus the header when its sort state changed. The pager fragment
+ * carries `push` and `pull` so the page URL records the new state.
+ *
+ * @param {Object} props - The same props as `DataTable()`.
+ * @param {Object} [options={}] - Options.
+ * @param {boolean} [options.head=true] - Whether to include the header fragment.
+ * @returns {Object[]} Virtual fragment nodes.
+ */
+export function dataTableFragments(props = {}, options = {}) {
+  const table = normalizeDataTable(props);
+  const pushPairs = [];
+  const pullKeys = [];
+  const record = (key, value) => {
+    if (value) pushPairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    else pullKeys.push(key);
+  };
+  record('sort', table.sort.key);
+  record('dir', table.sort.key ? table.sort.direction : '');
+  for (const [key, value] of Object.entries(table.filters)) record(key, value);
+  record('page', table.page > 1 ? table.page : '');
+
+  return [
+    getObjectField(options, 'head', true) ? generateFragment(targetSpec(`#${table.id}-head`, 'outerHTML'), renderTableHead(table)) : null,
+    generateFragment(targetSpec(`#${table.id}-body`, 'outerHTML'), renderTableBody(table)),
+    tag(
+      'fragment',
+      { target: targetSpec(`#${table.id}-pager`, 'outerHTML'), push: pushPairs.join(' ') || undefined, pull: pullKeys.join(' ') || undefined },
+      renderTablePager(table)
+    )
+  ].filter(Boolean);
+}
+
+function compareCellValues(left, right) {
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  return safeString(left).localeCompare(safeString(right), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function queryDataTableRows(rows, query) {
+  const filterEntries = Object.entries(query.filters);
+  const matches = rows.filter(row => filterEntries.every(([key, value]) => (
+    safeString(getObjectField(row, key, '')).toLowerCase().includes(value.toLowerCase())
+  )));
+  if (query.sort.key) {
+    const direction = query.sort.direction === 'desc' ? -1 : 1;
+    matches.sort((left, right) => direction * compareCellValues(getObjectField(left, query.sort.key, ''), getObjectField(right, query.sort.key, '')));
+  }
+  const page = Math.min(query.page, Math.max(1, Math.ceil(matches.length / query.pageSize)));
+  const start = (page - 1) * query.pageSize;
+  return { rows: matches.slice(start, start + query.pageSize), total: matches.length, page };
+}
+
+async function loadDataTableRows(source, query) {
+  const result = typeof source === 'function' ? await source(query) : source;
+  if (Array.isArray(result)) return queryDataTableRows(result, query);
+  const rows = toArray(getObjectField(result, 'rows', []));
+  return { rows, total: getObjectField(result, 'total', rows.length), page: query.page };
+}
+
+/**
+ * Creates an Express route handler that serves a `DataTable`. Full page
+ * loads get the whole table, optionally wrapped by `layout`. HTMLeX requests
+ * get `dataTableFragments()`: the state comes from the request query merged
+ * with the `HTMLeX-Current-URL` header, and the header fragment is only sent
+ * when the sort changed.
+ *
+ * `rows` is either an array, which is filtered (case-insensitive substring),
+ * sorted, and paginated in memory, or a function that receives
+ * `{ sort, filters, page, pageSize, request }` and returns (or resolves to)
+ * either such an array or an already-queried `{ rows, total }` page.
+ *
+ * @param {Object} options - The `DataTable()` props except `rows`, `sort`, `filters`, `page`, and `total`.
+ * @param {Object[]|function(Object): (Object[]|{rows: Object[], total: number}|Promise<Object[]|{rows: Object[], total: number}>)} options.rows - The row source.
+ * @param {function(Object, Object, Object): unknown} [options.layout] - Wraps the table for full page loads; receives the table node, the table state, and the request.
+ * @returns {function(Object, Object, function(Error): void=): Promise<void>} The route handler.
+ */
+export function createDataTableRoute(options = {}) {
+  const columns = normalizeColumns(options, 'createDataTableRoute');
+  requireId(options, 'id', 'createDataTableRoute');
+  requireUrl(options, 'endpoint', 'createDataTableRoute');
+  const source = getObjectField(options, 'rows', []);
+  const layout = getObjectField(options, 'layout', null);
+  const pageSize = getPositiveInteger(options, 'pageSize', 10);
+  const sortable = columns.filter(column => column.sortable).map(column => column.key);
+  const filterable = columns.filter(column => column.filterable).map(column => column.key);
+
+  return async function dataTableRoute(req, res, next) {
+    try {
+      // `createApp()` already parsed the headers into `req.htmlex`.
+      const htmlexInfo = getObjectField(req, 'htmlex', null) ?? parseHTMLeXRequest(req);
+      const htmlexRequest = Boolean(getObjectField(htmlexInfo, 'request', false));
+      const currentUrl = htmlexRequest ? getObjectField(htmlexInfo, 'currentUrl', null) : null;
+      const { state, previous } = resolveTableState(getObjectField(req, 'query', {}), { sortable, filterable, currentUrl });
+      const result = await loadDataTableRows(source, { ...state, pageSize, request: req });
+      const props = { ...options, rows: result.rows, total: result.total, sort: state.sort, filters: state.filters, page: result.page };
+
+      let body;
+      if (htmlexRequest) {
+        const sortChanged = !previous || state.sort.key !== previous.sort.key || state.sort.direction !== previous.sort.direction;
+        body = render(dataTableFragments(props, { head: sortChanged }));
+      } else {
+        const tableNode = DataTable(props);
+        body = render(typeof layout === 'function' ? await layout(tableNode, state, req) : tableNode);
+      }
+      if (typeof res.vary === 'function') res.vary(HTMLEX_REQUEST_HEADERS.request);
+      if (typeof res.type === 'function') res.type('html');
+      res.send(body);
+    } catch (error) {
+      if (typeof next !== 'function') throw error;
+      next(error);
+    }
+  };
+}
+
+/* ===========================
+   Tabs
+   =========================== */
+
+/**
+ * Tabs whose buttons `GET` each tab's `url` and replace the whole component
+ * (`#id(outerHTML)`). The route renders `Tabs()` again with `active` set to
+ * the chosen tab and that tab's `content`.
+ *
+ * @param {Object} props - Tab options.
+ * @param {string} props.id - The tabs container id.
+ * @param {Array<{id: string, label: unknown, url: string}>} props.tabs - The tabs.
+ * @param {string} [props.active] - The active tab id; defaults to the first tab.
+ * @param {unknown} [props.content] - The active tab's panel content.
+ * @returns {Object} A virtual node.
+ */
+export function Tabs(props = {}) {
+  const id = requireId(props, 'id', 'Tabs');
+  const tabs = toArray(getObjectField(props, 'tabs', [])).map(tab => ({
+    id: requireId(tab, 'id', 'Tabs tab'),
+    label: getObjectField(tab, 'label', ''),
+    url: requireUrl(tab, 'url', 'Tabs tab')
+  }));
+  const requestedActive = safeString(getObjectField(props, 'active', ''));
+  const active = tabs.some(tab => tab.id === requestedActive) ? requestedActive : tabs[0]?.id;
+  const target = targetSpec(`#${id}`, 'outerHTML');
+
+  return tag(
+    'div',
+    { id, class: 'htmlex-tabs' },
+    tag(
+      'div',
+      { role: 'tablist', class: 'htmlex-tablist' },
+      ...tabs.map((tab) => {
+        const selected = tab.id === active;
+        return tag(
+          'button',
+          {
+            type: 'button',
+            role: 'tab',
+            id: `${id}-tab-${tab.id}`,
+            class: ['htmlex-tab', { active: selected }],
+            aria: { selected, controls: `${id}-panel` },
+            tabindex: selected ? '0' : '-1',
+            ...action.get(tab.url, { target })
+          },
+          tab.label
+        );
+      })
+    ),
+    tag(
+      'div',
+      {
+        role: 'tabpanel',
+        id: `${id}-panel`,
+        class: 'htmlex-tabpanel',
+        aria: { labelledby: active ? `${id}-tab-${active}` : undefined }
+      },
+      getObjectField(props, 'content', null)
+    )
+  );
+}
+
+/* ===========================
+   Modal Dialogs
+   =========================== */
+
+/**
+ * The empty container that modal dialogs are loaded into.
+ *
+ * @param {Object} [props={}] - Options.
+ * @param {string} [props.id='htmlex-modal'] - The container id.
+ * @returns {Object} A virtual node.
+ */
+export function ModalRoot(props = {}) {
+  return tag('div', { id: requireId({ id: getObjectField(props, 'id', DEFAULT_MODAL_ROOT_ID) }, 'id', 'ModalRoot'), class: 'htmlex-modal-root' });
+}
+
+/**
+ * A button that `GET`s `url` into the modal root. The route responds with
+ * `Modal()` markup.
+ *
+ * @param {Object} props - Options.
+ * @param {string} props.url - The route that renders the modal.
+ * @param {unknown} props.label - The button label.
+ * @param {string} [props.root='htmlex-modal'] - The modal root id.
+ * @returns {Object} A virtual node.
+ */
+export function ModalTrigger(props = {}) {
+  const root = requireId({ root: getObjectField(props, 'root', DEFAULT_MODAL_ROOT_ID) }, 'root', 'ModalTrigger');
+  return tag(
+    'button',
+    {
+      type: 'button',
+      class: 'htmlex-modal-trigger',
+      aria: { haspopup: 'dialog' },
+      ...action.get(requireUrl(props, 'url', 'ModalTrigger'), { target: targetSpec(`#${root}`) })
+    },
+    getObjectField(props, 'label', '')
+  );
+}
+
+/**
+ * An open `<dialog>` with a title, body, and actions. The close button uses
+ * `<form method="dialog">`, so closing needs no script. Routes that finish a
+ * modal workflow can respond with `closeModalFragment()`.
+ *
+ * @param {Object} props - Options.
+ * @param {string} props.id - The dialog id.
+ * @param {unknown} props.title - The dialog title.
+ * @param {unknown} [props.content] - The dialog body.
+ * @param {unknown} [props.actions] - Footer content, such as action buttons.
+ * @param {string} [props.closeLabel='Close'] - Accessible label of the close button.
+ * @returns {Object} A virtual node.
+ */
+export function Modal(props = {}) {
+  const id = requireId(props, 'id', 'Modal');
+  const actions = getObjectField(props, 'actions', null);
+  return tag(
+    'dialog',
+    { id, class: 'htmlex-modal', open: true, aria: { modal: true, labelledby: `${id}-title` } },
+    tag(
+      'header',
+      { class: 'htmlex-modal-header' },
+      tag('h2', { id: `${id}-title` }, getObjectField(props, 'title', '')),
+      tag(
+        'form',
+        { method: 'dialog' },
+        tag(
+          'button',
+          { type: 'submit', class: 'htmlex-modal-close', aria: { label: getObjectField(props, 'closeLabel', 'Close') } },
+          '×'
+        )
+      )
+    ),
+    tag('div', { class: 'htmlex-modal-body' }, getObjectField(props, 'content', null)),
+    actions === null ? null : tag('footer', { class: 'htmlex-modal-actions' }, actions)
+  );
+}
+
+/**
+ * A fragment that empties the modal root, closing any dialog in it.
+ *
+ * @param {string} [root='htmlex-modal'] - The modal root id.
+ * @returns {Object} A fragment virtual node.
+ */
+export function closeModalFragment(root = DEFAULT_MODAL_ROOT_ID) {
+  const rootId = requireId({ root }, 'root', 'closeModalFragment');
+  return generateFragment(targetSpec(`#${rootId}`), '');
+}
+
+/* ===========================
+   Toasts
+   =========================== */
+
+/**
+ * The live region toasts are appended to.
+ *
+ * @param {Object} [props={}] - Options.
+ * @param {string} [props.id='htmlex-toasts'] - The region id.
+ * @returns {Object} A virtual node.
+ */
+export function ToastRegion(props = {}) {
+  const id = requireId({ id: getObjectField(props, 'id', DEFAULT_TOAST_REGION_ID) }, 'id', 'ToastRegion');
+  return tag('div', { id, class: 'htmlex-toasts', role: 'region', aria: { live: 'polite', label: 'Notifications' } });
+}
+
+/**
+ * A toast message that removes itself after `timeout` milliseconds.
+ * Error toasts use `role="alert"`; others use `role="status"`.
+ *
+ * @param {Object} props - Options.
+ * @param {unknown} props.message - The message.
+ * @param {'info'|'success'|'warning'|'error'} [props.variant='info'] - The toast style.
+ * @param {number} [props.timeout=5000] - Milliseconds before removal; `0` keeps the toast.
+ * @returns {Object} A virtual node.
+ */
+export function Toast(props = {}) {
+  const requestedVariant = safeString(getObjectField(props, 'variant', 'info'));
+  const variant = TOAST_VARIANTS.has(requestedVariant) ? requestedVariant : 'info';
+  const timeout = Number(getObjectField(props, 'timeout', 5000));
+  const expires = Number.isSafeInteger(timeout) && timeout > 0;
+  return tag(
+    'div',
+    {
+      class: ['htmlex-toast', `htmlex-toast-${variant}`],
+      role: variant === 'error' ? 'alert' : 'status',
+      timer: expires ? timeout : undefined,
+      target: expires ? targetSpec('this', 'remove') : undefined
+    },
+    getObjectField(props, 'message', '')
+  );
+}
+
+/**
+ * A fragment that appends a `Toast()` to the toast region. Return it from any
+ * route alongside its other fragments.
+ *
+ * @param {unknown} message - The message.
+ * @param {Object} [options={}] - `Toast()` options plus `region`, the region id.
+ * @returns {Object} A fragment virtual node.
+ */
+export function toastFragment(message, options = {}) {
+  const region = requireId({ region: getObjectField(options, 'region', DEFAULT_TOAST_REGION_ID) }, 'region', 'toastFragment');
+  return generateFragment(targetSpec(`#${region}`, 'append'), Toast({ ...options, message }));
+}
+
+/* ===========================
+   Confirm Button
+   =========================== */
+
+/**
+ * A two-step button built on `<details>`: the first click reveals the
+ * confirmation message, the second sends the request. Clicking the label
+ * again cancels. `actionOptions` are passed to the `action` builder.
+ *
+ * @param {Object} props - Options.
+ * @param {string} props.url - The request URL.
+ * @param {unknown} props.label - The initial button label.
+ * @param {'get'|'post'|'put'|'delete'|'patch'} [props.method='delete'] - The request method.
+ * @param {unknown} [props.message='Are you sure?'] - The confirmation prompt.
+ * @param {unknown} [props.confirmLabel='Confirm'] - The confirming button label.
+ * @param {import('./HTMLeX.js').HTMLeXActionOptions} [props.actionOptions={}] - Options such as `target` or `publish`.
+ * @returns {Object} A virtual node.
+ */
+export function ConfirmButton(props = {}) {
+  const method = safeString(getObjectField(props, 'method', 'delete')).toLowerCase();
+  if (!CONFIRM_METHODS.has(method)) {
+    throw new TypeError(`ConfirmButton method must be one of ${[...CONFIRM_METHODS].join(', ')}, received "${method}".`);
+  }
+  const request = action[method](requireUrl(props, 'url', 'ConfirmButton'), getObjectField(props, 'actionOptions', {}));
+  return tag(
+    'details',
+    { class: 'htmlex-confirm' },
+    tag('summary', { class: 'htmlex-confirm-toggle' }, getObjectField(props, 'label', '')),
+    tag(
+      'div',
+      { class: 'htmlex-confirm-panel', role: 'alertdialog' },
+      tag('p', {}, getObjectField(props, 'message', 'Are you sure?')),
+      tag('button', { type: 'button', class: 'htmlex-confirm-submit', ...request }, getObjectField(props, 'confirmLabel', 'Confirm'))
+    )
+  );
+}
+
+/* ===========================
+   Inline Edit
+   =========================== */
+
+/**
+ * A value that switches to an edit form in place. Conventional routes on one
+ * `url`: `GET url?edit=1` renders `InlineEdit({ editing: true })`,
+ * `GET url` renders the display state (used by Cancel), and `PUT url`
+ * saves the submitted `name` field and renders the display state. Every
+ * request replaces the component (`#id(outerHTML)`).
+ *
+ * @param {Object} props - Options.
+ * @param {string} props.id - The component id.
+ * @param {string} props.url - The resource URL.
+ * @param {string} props.name - The submitted field name.
+ * @param {unknown} [props.value=''] - The current value.
+ * @param {unknown} [props.label] - Accessible label for the field; defaults to `name`.
+ * @param {boolean} [props.editing=false] - Render the edit form.
+ * @returns {Object} A virtual node.
+ */
+export function InlineEdit(props = {}) {
+  const id = requireId(props, 'id', 'InlineEdit');
+  const url = requireUrl(props, 'url', 'InlineEdit');
+  const name = safeString(getObjectField(props, 'name', '')).trim();
+  if (!name) {
+    throw new TypeError('InlineEdit requires a "name".');
+  }
+  const value = safeString(getObjectField(props, 'value', ''));
+  const label = getObjectField(props, 'label', name);
+  const target = targetSpec(`#${id}`, 'outerHTML');
+
+  if (!getObjectField(props, 'editing', false)) {
+    return tag(
+      'div',
+      { id, class: 'htmlex-inline-edit' },
+      tag('span', { class: 'htmlex-inline-edit-value' }, value),
+      tag('button', { type: 'button', class: 'htmlex-inline-edit-start', aria: { label: `Edit ${safeString(label)}` }, ...action.get(withQuery(url, { edit: 1 }), { target }) }, 'Edit')
+    );
+  }
+
+  return tag(
+    'form',
+    { id, class: ['htmlex-inline-edit', 'editing'], ...action.put(url, { target }) },
+    tag('input', { type: 'text', name, value, aria: { label }, autofocus: true }),
+    tag('button', { type: 'submit', class: 'htmlex-inline-edit-save' }, 'Save'),
+    tag('button', { type: 'button', class: 'htmlex-inline-edit-cancel', ...action.get(withQuery(url, { edit: null }), { target }) }, 'Cancel')
+  );
+}
+
+/* ===========================
+   Searchable Select
+   =========================== */
+
+/**
+ * The `<option>` list for `SearchableSelect()`. Search routes respond with it
+ * for the `#<id>-options(innerHTML)` target.
+ *
+ * @param {Array<{value: unknown, label?: unknown}>} options - The options.
+ * @param {unknown} [selected] - The selected value.
+ * @returns {Object[]} Option virtual nodes.
+ */
+export function SearchableSelectOptions(options, selected = undefined) {
+  const selectedValue = selected === undefined || selected === null ? null : safeString(selected);
+  return toArray(options).map((option) => {
+    const value = safeString(getObjectField(option, 'value', ''));
+    return tag('option', { value, selected: value === selectedValue }, getObjectField(option, 'label', value));
+  });
+}
+
+/**
+ * A search box that filters a `<select>` on the server. Typing `GET`s `url`
+ * with the query as `q` (debounced), and the route responds with
+ * `SearchableSelectOptions()` for `#<id>-options(innerHTML)`. The selected
+ * value is submitted with the enclosing form as `name`.
+ *
+ * @param {Object} props - Options.
+ * @param {string} props.id - The component id.
+ * @param {string} props.name - The submitted field name.
+ * @param {string} props.url - The search route.
+ * @param {unknown} [props.label] - The visible label.
+ * @param {Array<{value: unknown, label?: unknown}>} [props.options=[]] - The initial options.
+ * @param {unknown} [props.value] - The selected value.
+ * @param {string} [props.placeholder='Search...'] - The search placeholder.
+ * @param {string} [props.queryName='q'] - The search query parameter.
+ * @param {number} [props.debounce=250] - Milliseconds to wait after typing.
+ * @param {number} [props.size=6] - Visible option rows.
+ * @returns {Object} A virtual node.
+ */
+export function SearchableSelect(props = {}) {
+  const id = requireId(props, 'id', 'SearchableSelect');
+  const name = safeString(getObjectField(props, 'name', '')).trim();
+  if (!name) {
+    throw new TypeError('SearchableSelect requires a "name".');
+  }
+  const label = getObjectField(props, 'label', null);
+
+  return tag(
+    'div',
+    { id, class: 'htmlex-select' },
+    label === null ? null : tag('label', { for: `${id}-search` }, label),
+    tag('input', {
+      type: 'search',
+      id: `${id}-search`,
+      name: safeString(getObjectField(props, 'queryName', 'q')),
+      placeholder: getObjectField(props, 'placeholder', 'Search...'),
+      autocomplete: 'off',
+      aria: { controls: `${id}-options` },
+      ...action.get(requireUrl(props, 'url', 'SearchableSelect'), {
+        trigger: 'input',
+        debounce: getPositiveInteger(props, 'debounce', 250),
+        target: targetSpec(`#${id}-options`)
+      })
+    }),
+    tag(
+      'select',
+      { id: `${id}-options`, name, size: getPositiveInteger(props, 'size', 6), aria: { label: label === null ? name : undefined } },
+      ...SearchableSelectOptions(getObjectField(props, 'options', []), getObjectField(props, 'value', undefined))
+    )
+  );
+}
@@ -88,11 +88,6 @@ function toArray(value) {
   return items;
 }
 
-function classSuffix(value) {
-  const className = safeString(value).trim();
-  return className ? ` ${className}` : '';
-}
-
 function normalizeDemo(demo) {
   return {
     icon: getObjectField(demo, 'icon', ''),
@@ -202,7 +197,7 @@ export function Header(props = {}) {
   const subtitle = getObjectField(props, 'subtitle', '');
 
   return header(
-    { class: `app-header border-bottom${classSuffix(getObjectField(props, 'className', ''))}` },
+    { class: ['app-header border-bottom', safeString(getObjectField(props, 'className', ''))] },
     div(
       { class: 'container-fluid d-flex flex-wrap align-items-center justify-content-between gap-3 py-3' },
       div(
@@ -318,7 +313,7 @@ export function DemoList(demos) {
 
 export function Aside(props = {}) {
   return aside(
-    { class: `catalog-pane ${PANE}${classSuffix(getObjectField(props, 'asideClass', ''))}` },
+    { class: [`catalog-pane ${PANE}`, safeString(getObjectField(props, 'asideClass', ''))] },
     div(
       { class: 'pane-header d-flex align-items-end justify-content-between gap-3' },
       div(
@@ -341,7 +336,7 @@ export function Canvas(props = {}) {
   const clickCount = getObjectField(props, 'clickCount', 0);
 
   return section(
-    { class: `workspace-pane ${PANE}${classSuffix(getObjectField(props, 'sectionClass', ''))}` },
+    { class: [`workspace-pane ${PANE}`, safeString(getObjectField(props, 'sectionClass', ''))] },
     div(
       { class: 'pane-header d-flex flex-wrap align-items-center justify-content-between gap-3' },
       div(
@@ -387,7 +382,7 @@ export function Footer(props = {}) {
   });
 
   return footer(
-    { class: `app-footer border-top${classSuffix(getObjectField(props, 'footerClass', ''))}` },
+    { class: ['app-footer border-top', safeString(getObjectField(props, 'footerClass', ''))] },
     div(
       { class: 'container-fluid d-flex flex-column flex-sm-row align-items-sm-center justify-content-between gap-2 py-3 small text-subtle' },
       p({ class: 'mb-0' }, `Copyright ${safeString(year)} ${safeString(copyText)}`),
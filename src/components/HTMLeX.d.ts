@@ -1,12 +1,124 @@
 declare const rawHtmlBrand: unique symbol;
 
 export interface HTMLeXAttrs {
+  /** Sends a GET request to this URL, serializing form data into the query string. */
   GET?: string;
+  /** Sends a POST request with `FormData` to this URL. */
   POST?: string;
+  /** Sends a PUT request with `FormData` to this URL. */
   PUT?: string;
+  /** Sends a DELETE request with `FormData` to this URL. */
   DELETE?: string;
+  /** Sends a PATCH request with `FormData` to this URL. */
   PATCH?: string;
-  [attributeName: string]: HTMLeXAttributeValue;
+  /** Comma-separated selectors whose form controls are added to the request. */
+  source?: string;
+  /** Space-separated `key=value` pairs added to the request data. */
+  extras?: string;
+  /** One or more `selector(strategy)` targets for the response; see `targetSpec()`. */
+  target?: HTMLeXTarget;
+  /** Opts into head merging; `true` or `"merge"`. */
+  head?: boolean | 'merge';
+  /** Applies only response elements matching this selector. */
+  select?: string;
+  /** Comma-separated selectors swapped by `id` out of band. */
+  'select-oob'?: string;
+  /** Wraps the response's swaps in a view transition. */
+  transition?: boolean | 'true' | 'false';
+  /** Milliseconds the target keeps `htmlex-swapping` before the swap. */
+  'swap-delay'?: number | `${number}`;
+  /** Milliseconds new nodes keep `htmlex-settling`. */
+  'settle-delay'?: number | `${number}`;
+  /** Target that shows a loading placeholder while the request is pending. */
+  loading?: HTMLeXTarget;
+  /** Target that shows an escaped error message after the final failed attempt. */
+  onerror?: HTMLeXTarget;
+  /** Event that fires the action instead of `click` or `submit`. */
+  trigger?: string;
+  /** Milliseconds to wait for events to stop before acting. */
+  debounce?: number | `${number}`;
+  /** Minimum milliseconds between actions. */
+  throttle?: number | `${number}`;
+  /** Fires on registration: a delay in milliseconds, `prefetch`, `lazy`, or `false`. */
+  auto?: boolean | number | `${number}` | 'prefetch' | 'lazy' | 'true' | 'false';
+  /** Repeats the action every this many milliseconds. */
+  poll?: number | `${number}`;
+  /** Maximum poll iterations; `0` means unlimited. */
+  repeat?: number | `${number}`;
+  /** Space-separated signals emitted after a successful action. */
+  publish?: string;
+  /** Space-separated `key=value` pairs sent with the published signal; subscribers add them to their request data. */
+  'publish-extras'?: string;
+  /** Space-separated signals or wildcard patterns (`todo:*`, `**`) that run this element's action. */
+  subscribe?: string;
+  /** Coalesces subscribed signals until this many quiet milliseconds pass; `0` runs every signal. Defaults to one frame. */
+  'signal-debounce'?: number | `${number}`;
+  /** Milliseconds before a delayed action, signal, or removal. */
+  timer?: number | `${number}`;
+  /** Queues requests FIFO; a number adds a delay between queue flushes. */
+  sequential?: boolean | number | `${number}` | 'true' | 'false';
+  /** Retry attempts after failed requests. */
+  retry?: number | `${number}`;
+  /** Fetch timeout in milliseconds; `0` disables it. */
+  timeout?: number | `${number}`;
+  /** Base delay in milliseconds before retries. */
+  retrydelay?: number | `${number}`;
+  /** Base delay in milliseconds before retries. */
+  'retry-delay'?: number | `${number}`;
+  /** Retry delay multiplier, at least `1`. */
+  retrybackoff?: number | `${number}`;
+  /** Retry delay multiplier, at least `1`. */
+  'retry-backoff'?: number | `${number}`;
+  /** Maximum retry delay in milliseconds. */
+  retrymaxdelay?: number | `${number}`;
+  /** Maximum retry delay in milliseconds. */
+  'retry-max-delay'?: number | `${number}`;
+  /** Caches successful responses for this many milliseconds, or without expiry. */
+  cache?: boolean | number | `${number}`;
+  /** `swr` renders cached responses, even expired ones, at once and swaps in a changed background refetch. */
+  'cache-mode'?: 'swr';
+  /** Space-separated `key=value` query parameters to add or replace. */
+  push?: string;
+  /** Space-separated query parameter keys to remove. */
+  pull?: string;
+  /** Replaces the URL path. */
+  path?: string;
+  /** How URL changes are recorded. */
+  history?: 'push' | 'replace' | 'none';
+  /** Socket.IO URL whose payloads are applied to `target`. */
+  socket?: string;
+  /** Lifecycle hooks run before the request starts. */
+  onbefore?: string;
+  /** Lifecycle hooks run before response HTML is applied. */
+  onbeforeswap?: string;
+  /** Lifecycle hooks run after scheduled swaps complete. */
+  onafterswap?: string;
+  /** Lifecycle hooks run after a successful action and swaps. */
+  onafter?: string;
+  /** Overrides the 1 MiB response text limit for this action. */
+  'max-response-chars'?: number | `${number}`;
+  /** A class string, an array of class values, or a `{ className: boolean }` map. */
+  class?: HTMLeXClassValue;
+  /** A CSS string, or an object of properties; camelCase names become kebab-case. */
+  style?: string | HTMLeXStyleObject;
+  /** Nested object expanded to `data-*` attributes; a string is the `<object data>` URL. */
+  data?: string | HTMLeXNestedAttributes;
+  /** Nested object expanded to `aria-*` attributes; booleans render as `"true"` or `"false"`. */
+  aria?: HTMLeXNestedAttributes;
+  [attributeName: string]: HTMLeXAttributeValue | HTMLeXClassValue | HTMLeXStyleObject | HTMLeXNestedAttributes;
+}
+
+export type HTMLeXClassValue =
+  | HTMLeXAttributeValue
+  | { readonly [className: string]: unknown }
+  | readonly HTMLeXClassValue[];
+
+export interface HTMLeXStyleObject {
+  [property: string]: string | number | null | undefined | false;
+}
+
+export interface HTMLeXNestedAttributes {
+  [name: string]: HTMLeXAttributeValue | readonly (string | number)[] | HTMLeXNestedAttributes;
 }
 
 export interface HTMLeXNode {
@@ -21,7 +133,28 @@ export interface HTMLeXRawHtml {
 }
 
 export type HTMLeXAttributeValue = string | number | bigint | boolean | null | undefined;
-export type HTMLeXRenderable = HTMLeXNode | HTMLeXRawHtml | HTMLeXAttributeValue | readonly HTMLeXRenderable[];
+export type HTMLeXBuiltInStrategy =
+  | 'innerHTML'
+  | 'outerHTML'
+  | 'morph'
+  | 'append'
+  | 'prepend'
+  | 'before'
+  | 'after'
+  | 'remove'
+  | 'textContent'
+  | 'replaceChildren'
+  | 'none';
+export type HTMLeXTargetStrategy = HTMLeXBuiltInStrategy | `attr:${string}`;
+/** A `selector(strategy)` target, several separated by spaces, or a lone selector that swaps innerHTML. */
+export type HTMLeXTarget = string;
+export type HTMLeXRenderable =
+  | HTMLeXNode
+  | HTMLeXRawHtml
+  | HTMLeXAttributeValue
+  | readonly HTMLeXRenderable[]
+  | PromiseLike<HTMLeXRenderable>
+  | AsyncIterable<HTMLeXRenderable>;
 export type HTMLeXFragmentAttributes = HTMLeXAttrs | HTMLeXAttributeValue;
 export interface HTMLeXTagFactory {
   (attrs?: HTMLeXAttrs | null, ...children: HTMLeXRenderable[]): HTMLeXNode;
@@ -42,6 +175,110 @@ export function rawHtml(html: unknown): HTMLeXRawHtml;
 export function tag(tagName: string, attrs?: HTMLeXAttrs | null, ...children: HTMLeXRenderable[]): HTMLeXNode;
 export function tag(tagName: string, ...children: HTMLeXRenderable[]): HTMLeXNode;
 export function render(node: HTMLeXRenderable): string;
+export function html(strings: TemplateStringsArray, ...values: unknown[]): HTMLeXRawHtml;
 export function createFragment(content: HTMLeXRenderable, status?: HTMLeXAttributeValue): HTMLeXNode;
 export function generateFragment(target: string, content: HTMLeXRenderable, status?: HTMLeXAttributeValue): HTMLeXNode;
 export function renderFragment(target: string, htmlContent: unknown, fragmentAttributes?: HTMLeXFragmentAttributes): string;
+
+export interface HTMLeXStreamOptions {
+  chunkSize?: number;
+  signal?: AbortSignal;
+}
+
+export function renderToStream(node: HTMLeXRenderable, options?: HTMLeXStreamOptions): AsyncGenerator<string, void, undefined>;
+export function renderFragmentToStream(
+  target: string,
+  content: HTMLeXRenderable,
+  fragmentAttributes?: HTMLeXFragmentAttributes,
+  options?: HTMLeXStreamOptions
+): AsyncGenerator<string, void, undefined>;
+
+export interface HTMLeXAwaitableOptions {
+  id?: string;
+  renderError?: (error: unknown, id: string) => HTMLeXRenderable;
+}
+
+export interface HTMLeXAwaitableUpdate {
+  id: string;
+  target: string;
+  html: string;
+  status: number | null;
+}
+
+export function awaitable(
+  placeholder: HTMLeXRenderable,
+  pending: PromiseLike<HTMLeXRenderable> | ((signal: AbortSignal | null) => HTMLeXRenderable | PromiseLike<HTMLeXRenderable>),
+  options?: HTMLeXAwaitableOptions
+): HTMLeXNode;
+export function resolveAwaitables(node: HTMLeXRenderable, options?: { signal?: AbortSignal }): AsyncGenerator<HTMLeXAwaitableUpdate, void, undefined>;
+
+export function targetSpec(selector: string, strategy?: HTMLeXTargetStrategy): string;
+export function targetSpec(selector: string, strategy: string, options: { custom: true }): string;
+
+export interface HTMLeXActionOptions {
+  /** Response targets; build them with `targetSpec()`. */
+  target?: HTMLeXTarget | readonly HTMLeXTarget[];
+  /** Target for the loading placeholder. */
+  loading?: HTMLeXTarget | readonly HTMLeXTarget[];
+  /** Target for the error message. */
+  onerror?: HTMLeXTarget | readonly HTMLeXTarget[];
+  /** Selectors whose form controls are added to the request. */
+  source?: string | readonly string[];
+  /** Extra request data, as `key=value` pairs or an object. Keys and values cannot contain whitespace. */
+  extras?: string | Record<string, string | number | boolean>;
+  select?: string;
+  /** Written as `select-oob`. */
+  selectOob?: string | readonly string[];
+  head?: boolean | 'merge';
+  transition?: boolean;
+  /** Written as `swap-delay`. */
+  swapDelay?: number;
+  /** Written as `settle-delay`. */
+  settleDelay?: number;
+  trigger?: string;
+  debounce?: number;
+  throttle?: number;
+  auto?: boolean | number | 'prefetch' | 'lazy';
+  poll?: number;
+  repeat?: number;
+  publish?: string | readonly string[];
+  /** Signal payload, as `key=value` pairs or an object. Written as `publish-extras`. */
+  publishExtras?: string | Record<string, string | number | boolean>;
+  subscribe?: string | readonly string[];
+  signalDebounce?: number;
+  timer?: number;
+  sequential?: boolean | number;
+  retry?: number;
+  timeout?: number;
+  /** Written as `retry-delay`. */
+  retryDelay?: number;
+  /** Written as `retry-backoff`; at least `1`. */
+  retryBackoff?: number;
+  /** Written as `retry-max-delay`. */
+  retryMaxDelay?: number;
+  cache?: boolean | number;
+  /** Written as `cache-mode`. */
+  cacheMode?: 'swr';
+  push?: string | Record<string, string | number | boolean>;
+  pull?: string | readonly string[];
+  path?: string;
+  history?: 'push' | 'replace' | 'none';
+  onbefore?: string | readonly string[];
+  onbeforeswap?: string | readonly string[];
+  onafterswap?: string | readonly string[];
+  onafter?: string | readonly string[];
+  /** Written as `max-response-chars`. */
+  maxResponseChars?: number;
+  /** Swap strategies registered with `registerSwapStrategy()` that this call's targets may use. Not written as an attribute. */
+  customStrategies?: string | readonly string[];
+}
+
+export type HTMLeXActionBuilder = (url: string, options?: HTMLeXActionOptions) => HTMLeXAttrs;
+
+export const action: Readonly<{
+  get: HTMLeXActionBuilder;
+  post: HTMLeXActionBuilder;
+  put: HTMLeXActionBuilder;
+  delete: HTMLeXActionBuilder;
+  patch: HTMLeXActionBuilder;
+}>;
@@ -19,9 +19,12 @@
  * @property {string} [onerror] - UI update displayed if an API call fails.
  * @property {string} [auto] - Automatically fires an API call on DOM insertion (can include a delay in ms).
  * @property {string|number} [cache] - Cache API response for a TTL (in ms) or as a flag.
+ * @property {string} [cache-mode] - "swr" renders cached responses at once and revalidates them in the background.
  * @property {string} [extras] - Space-separated key=value pairs appended to the request body or query string.
  * @property {string} [publish] - Emits a signal when the action succeeds.
- * @property {string} [subscribe] - Signals that trigger an element's API action.
+ * @property {string} [publish-extras] - Space-separated key=value pairs sent with the published signal as its payload.
+ * @property {string} [subscribe] - Signals or wildcard patterns (e.g., "todo:*") that trigger an element's API action.
+ * @property {number} [signal-debounce] - Quiet period in ms that coalesces subscribed signals; 0 runs the action for every signal. Without it, signals within one animation frame coalesce.
  * @property {string} [trigger] - Overrides the default event triggering the API call (e.g., "click", "submit").
  * @property {number} [debounce] - Delay in ms to prevent rapid successive API calls.
  * @property {number} [throttle] - Minimum interval in ms between API calls.
@@ -38,7 +41,11 @@
  * @property {string} [history] - History behavior: "push" or "replace".
  */
 
+import { SWAP_STRATEGY_BY_LOWERCASE } from '../public/src/swapStrategies.js';
+
 const RAW_HTML = Symbol('HTMLeX.rawHTML');
+const AWAITABLE = Symbol('HTMLeX.awaitable');
+const RENDER_ABORTED = Symbol('HTMLeX.renderAborted');
 const VALID_TAG_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9._:-]*$/u;
 const VALID_ATTRIBUTE_NAME_PATTERN = /^[^\s"'<>/=`]+$/u;
 const VOID_TAG_NAMES = new Set([
@@ -161,6 +168,22 @@ function isVirtualNode(value) {
   }
 }
 
+function isThenable(value) {
+  try {
+    return Boolean(value) && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+  } catch {
+    return false;
+  }
+}
+
+function isAsyncIterable(value) {
+  try {
+    return Boolean(value) && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function';
+  } catch {
+    return false;
+  }
+}
+
 function normalizeTagArguments(attrs, children) {
   if (
     attrs === undefined ||
@@ -168,7 +191,9 @@ function normalizeTagArguments(attrs, children) {
     typeof attrs !== 'object' ||
     safeIsArray(attrs) ||
     isRawHtmlNode(attrs) ||
-    isVirtualNode(attrs)
+    isVirtualNode(attrs) ||
+    isThenable(attrs) ||
+    isAsyncIterable(attrs)
   ) {
     return [{}, attrs === undefined || attrs === null ? children : [attrs, ...children]];
   }
@@ -278,32 +303,851 @@ export const { div, button, span, p, a } = tags;
  */
 export const render = (node) => {
   if (safeIsArray(node)) return renderChildList(node);
+  const primitiveHtml = renderPrimitive(node);
+  if (primitiveHtml !== null) return primitiveHtml;
+  if (!node || typeof node !== 'object') return '';
+  if (isRawHtmlNode(node)) return safeString(getObjectField(node, 'html', ''));
+  const tagName = getObjectField(node, 'tag', null);
+  if (typeof tagName !== 'string') return '';
+  const children = getObjectField(node, 'children', []);
+  const openingTag = renderOpeningTag(tagName, getObjectField(node, 'attrs', {}));
+  if (VOID_TAG_NAMES.has(tagName.toLowerCase())) return openingTag;
+  return `${openingTag}${renderChildList(children)}</${tagName}>`;
+};
+
+function renderPrimitive(node) {
   if (typeof node === 'string' || typeof node === 'number' || typeof node === 'boolean') {
     return escapeHtml(node);
   }
   if (typeof node === 'bigint') {
     return escapeHtml(safeString(node));
   }
-  if (!node || typeof node !== 'object') return '';
-  if (isRawHtmlNode(node)) return safeString(getObjectField(node, 'html', ''));
-  const tagName = getObjectField(node, 'tag', null);
-  if (typeof tagName !== 'string') return '';
-  const attributes = getObjectField(node, 'attrs', {});
-  const children = getObjectField(node, 'children', []);
-  assertValidHtmlName(tagName, 'tag');
-  const attributeHtml = getAttributeEntries(attributes)
+  return null;
+}
+
+function isAttributeObject(value) {
+  return Boolean(value) && typeof value === 'object' && !safeIsArray(value) && !isRawHtmlNode(value) && !isVirtualNode(value);
+}
+
+function toKebabCase(name) {
+  return name.replace(/[A-Z]/gu, character => `-${character.toLowerCase()}`);
+}
+
+function collectClassNames(value, classNames) {
+  if (value === undefined || value === null || value === false || value === true) return;
+  if (safeIsArray(value)) {
+    for (let index = 0; index < getArrayLength(value); index += 1) {
+      collectClassNames(getObjectField(value, index, undefined), classNames);
+    }
+    return;
+  }
+  if (isAttributeObject(value)) {
+    for (const [className, enabled] of getAttributeEntries(value)) {
+      if (enabled) collectClassNames(className, classNames);
+    }
+    return;
+  }
+  classNames.push(...safeString(value).split(/\s+/u).filter(Boolean));
+}
+
+function normalizeClassValue(value) {
+  const classNames = [];
+  collectClassNames(value, classNames);
+  return classNames.length ? classNames.join(' ') : undefined;
+}
+
+// Backslash-escapes characters that could end a declaration or open a block, so a value cannot add rules.
+function escapeCssValue(value) {
+  return [...safeString(value)].map((character) => {
+    const codePoint = character.codePointAt(0);
+    if (codePoint <= 0x1F || codePoint === 0x7F) return `\\${codePoint.toString(16)} `;
+    return '\\;{}'.includes(character) ? `\\${character}` : character;
+  }).join('');
+}
+
+function normalizeStyleValue(value) {
+  const declarations = getAttributeEntries(value)
+    .filter(([, propertyValue]) => propertyValue !== undefined && propertyValue !== null && propertyValue !== false)
+    .map(([property, propertyValue]) => {
+      const propertyName = property.startsWith('--') ? property : toKebabCase(property);
+      if (!/^-{0,2}[A-Za-z][\w-]*$/u.test(propertyName)) {
+        throw new TypeError(`Invalid CSS property name "${formatNameForError(property)}".`);
+      }
+      return `${propertyName}: ${escapeCssValue(propertyValue)}`;
+    });
+  return declarations.length ? declarations.join('; ') : undefined;
+}
+
+function expandPrefixedAttributes(prefix, value, entries) {
+  for (const [key, nestedValue] of getAttributeEntries(value)) {
+    const name = `${prefix}-${toKebabCase(key)}`;
+    if (isAttributeObject(nestedValue)) {
+      expandPrefixedAttributes(name, nestedValue, entries);
+    } else if (safeIsArray(nestedValue)) {
+      entries.push([name, normalizeClassValue(nestedValue)]);
+    } else {
+      entries.push([name, typeof nestedValue === 'boolean' ? String(nestedValue) : nestedValue]);
+    }
+  }
+}
+
+/**
+ * Expands structured attribute values: `class` arrays and `{ name: boolean }`
+ * maps, `style` objects of CSS properties, and nested `data`/`aria` objects.
+ * Scalar values pass through unchanged.
+ */
+function normalizeAttributeEntries(attributes) {
+  const entries = [];
+  for (const [key, value] of getAttributeEntries(attributes)) {
+    const lowercaseKey = key.toLowerCase();
+    if (lowercaseKey === 'class' && (safeIsArray(value) || isAttributeObject(value))) {
+      entries.push([key, normalizeClassValue(value)]);
+    } else if (lowercaseKey === 'style' && isAttributeObject(value)) {
+      entries.push([key, normalizeStyleValue(value)]);
+    } else if ((lowercaseKey === 'data' || lowercaseKey === 'aria') && isAttributeObject(value)) {
+      expandPrefixedAttributes(lowercaseKey, value, entries);
+    } else {
+      entries.push([key, value]);
+    }
+  }
+  return entries;
+}
+
+function renderAttributeList(attributes) {
+  return normalizeAttributeEntries(attributes)
     .filter(([, value]) => value !== undefined && value !== null && value !== false)
     .map(([key, value]) => {
       assertValidHtmlName(key, 'attribute');
       return value === true ? `${key}` : `${key}="${escapeAttribute(value)}"`;
     })
     .join(' ');
-  if (VOID_TAG_NAMES.has(tagName.toLowerCase())) {
-    return `<${tagName}${attributeHtml ? ' ' + attributeHtml : ''}>`;
+}
+
+function renderOpeningTag(tagName, attributes) {
+  assertValidHtmlName(tagName, 'tag');
+  const attributeHtml = renderAttributeList(attributes);
+  return `<${tagName}${attributeHtml ? ' ' + attributeHtml : ''}>`;
+}
+
+/* ============================================================================
+   Streaming Rendering
+   These helpers render the same markup as render(), chunk by chunk, and
+   accept promises and async iterables as children.
+   ============================================================================ */
+
+const STREAM_FLUSH = Symbol('HTMLeX.streamFlush');
+const DEFAULT_STREAM_CHUNK_SIZE = 16 * 1024;
+
+function ignoreRejection() {}
+
+// Promises are awaited in document order, so a later sibling may reject while
+// an earlier one is still pending. Marking every promise in the synchronous
+// part of the tree as handled up front keeps that from surfacing as an
+// unhandled rejection; awaiting it later still throws the original error.
+function observeStreamThenables(node) {
+  if (isThenable(node)) {
+    try {
+      node.then(undefined, ignoreRejection);
+    } catch {
+      // A hostile thenable surfaces its error when it is awaited.
+    }
+    return;
   }
-  const childHtml = renderChildList(children);
-  return `<${tagName}${attributeHtml ? ' ' + attributeHtml : ''}>${childHtml}</${tagName}>`;
-};
+  const children = safeIsArray(node)
+    ? node
+    : isVirtualNode(node) ? normalizeChildren(getObjectField(node, 'children', [])) : null;
+  for (let index = 0; index < getArrayLength(children); index += 1) {
+    observeStreamThenables(getObjectField(children, index, undefined));
+  }
+}
+
+// Settles with RENDER_ABORTED as soon as the render is aborted, so a
+// disconnect does not wait for a slow child to settle.
+function raceRenderAbort(value, abortPromise) {
+  return abortPromise ? Promise.race([value, abortPromise]) : value;
+}
+
+function closeAsyncIterator(iterator) {
+  try {
+    const result = iterator.return?.();
+    if (isThenable(result)) result.then(undefined, ignoreRejection);
+  } catch {
+    // The iterator is abandoned either way.
+  }
+}
+
+async function* renderAsyncIterableParts(node, abortPromise) {
+  const iterator = node[Symbol.asyncIterator]();
+  let finished = false;
+  try {
+    while (true) {
+      let step;
+      try {
+        step = await raceRenderAbort(iterator.next(), abortPromise);
+      } catch (error) {
+        finished = true;
+        throw error;
+      }
+      if (step === RENDER_ABORTED) return;
+      if (step?.done) {
+        finished = true;
+        return;
+      }
+      observeStreamThenables(step?.value);
+      yield* renderStreamParts(step?.value, abortPromise);
+      yield STREAM_FLUSH;
+    }
+  } finally {
+    // Like `for await`, stop an iterator that was left early.
+    if (!finished) closeAsyncIterator(iterator);
+  }
+}
+
+async function* renderStreamParts(node, abortPromise) {
+  // Flush before every await so markup rendered so far is not held back by slow data.
+  if (isThenable(node)) {
+    yield STREAM_FLUSH;
+    const resolved = await raceRenderAbort(node, abortPromise);
+    if (resolved === RENDER_ABORTED) return;
+    observeStreamThenables(resolved);
+    yield* renderStreamParts(resolved, abortPromise);
+    return;
+  }
+  if (isAsyncIterable(node)) {
+    yield STREAM_FLUSH;
+    yield* renderAsyncIterableParts(node, abortPromise);
+    return;
+  }
+  if (safeIsArray(node)) {
+    for (let index = 0; index < getArrayLength(node); index += 1) {
+      const child = getObjectField(node, index, undefined);
+      if (child !== undefined) yield* renderStreamParts(child, abortPromise);
+    }
+    return;
+  }
+
+  const tagName = isVirtualNode(node) ? getObjectField(node, 'tag', null) : null;
+  if (typeof tagName !== 'string') {
+    yield render(node);
+    return;
+  }
+  const children = getObjectField(node, 'children', []);
+  yield renderOpeningTag(tagName, getObjectField(node, 'attrs', {}));
+  if (VOID_TAG_NAMES.has(tagName.toLowerCase())) return;
+  yield* renderStreamParts(normalizeChildren(children), abortPromise);
+  yield `</${tagName}>`;
+}
+
+/**
+ * Renders a virtual node as an async iterable of HTML chunks. Children may be
+ * promises or async iterables; everything else renders exactly as `render()`
+ * does, with the same escaping and `rawHtml` rules. Buffered markup is emitted
+ * before each await and whenever it reaches `options.chunkSize` characters.
+ * When `options.signal` aborts, rendering stops at once, even while a child
+ * is still pending, and the remaining markup is dropped.
+ * Wrap the result with `Readable.from()` when a Node stream is needed.
+ *
+ * @param {unknown} node - The value to render.
+ * @param {Object} [options={}] - Streaming options.
+ * @param {number} [options.chunkSize=16384] - Characters to buffer before emitting a chunk.
+ * @param {AbortSignal} [options.signal] - Stops rendering, for example when the client disconnects.
+ * @returns {AsyncGenerator<string>} The rendered HTML chunks.
+ *
+ * @example
+ * for await (const chunk of renderToStream(ul(fetchRows().then(rows => rows.map(row => li(row.name)))))) {
+ *   res.write(chunk);
+ * }
+ */
+export async function* renderToStream(node, options = {}) {
+  const requestedChunkSize = getObjectField(options, 'chunkSize', DEFAULT_STREAM_CHUNK_SIZE);
+  const chunkSize = Number.isSafeInteger(requestedChunkSize) && requestedChunkSize > 0
+    ? requestedChunkSize
+    : DEFAULT_STREAM_CHUNK_SIZE;
+  const signal = getObjectField(options, 'signal', null);
+  const abortPromise = createAbortPromise(signal);
+  let buffer = '';
+
+  observeStreamThenables(node);
+  for await (const part of renderStreamParts(node, abortPromise)) {
+    if (signal?.aborted) return;
+    if (part === STREAM_FLUSH) {
+      if (buffer) yield buffer;
+      buffer = '';
+      continue;
+    }
+    buffer += part;
+    if (buffer.length >= chunkSize) {
+      yield buffer;
+      buffer = '';
+    }
+  }
+  if (buffer && !signal?.aborted) yield buffer;
+}
+
+/* ============================================================================
+   Tagged Templates
+   `html` parses the static parts of each template once to learn where every
+   interpolation sits (text, attribute value, or attribute list), then escapes
+   values for that context on every call.
+   ============================================================================ */
+
+const HTML_TEMPLATE_CACHE = new WeakMap();
+const SCRIPT_TAG_NAMES = new Set(['script', 'style']);
+const URL_ATTRIBUTE_NAMES = new Set([
+  'action',
+  'background',
+  'cite',
+  'formaction',
+  'href',
+  'ping',
+  'poster',
+  'src',
+  'xlink:href',
+  'get',
+  'post',
+  'put',
+  'delete',
+  'patch'
+]);
+// Holes in these attributes would be parsed as script or markup by the browser.
+const UNESCAPABLE_ATTRIBUTE_PATTERN = /^(?:on|srcdoc$)/iu;
+const UNSAFE_URL_SCHEME_PATTERN = /^(?:javascript|vbscript|data):/iu;
+const UNSAFE_URL_REPLACEMENT = 'about:invalid#htmlex-unsafe-url';
+
+function isTagNameCharacter(character) {
+  return /[\w:.-]/u.test(character);
+}
+
+/**
+ * Walks the static parts of a template and records the context of each hole.
+ * Attribute values keep their static and dynamic segments so the whole value
+ * can be checked and, for unsafe URLs, replaced.
+ */
+function parseHtmlTemplate(strings) {
+  const holes = [];
+  let state = 'text';
+  let tagName = '';
+  let attributeName = '';
+  let attribute = null;
+  let rawTextTag = '';
+
+  const startValue = (quote) => {
+    const name = attributeName.toLowerCase();
+    attribute = { name: attributeName, url: URL_ATTRIBUTE_NAMES.has(name), srcset: name === 'srcset', quote, segments: [''] };
+    state = quote ? 'value' : 'unquotedValue';
+  };
+  const addValueHole = (part) => {
+    if (UNESCAPABLE_ATTRIBUTE_PATTERN.test(attribute.name)) {
+      fail(`interpolations in the "${attribute.name}" attribute are not supported.`);
+    }
+    attribute.segments.push(part, '');
+    holes.push({ kind: 'value', attribute });
+  };
+  const endTag = () => {
+    state = SCRIPT_TAG_NAMES.has(tagName.toLowerCase()) ? 'rawText' : 'text';
+    rawTextTag = tagName.toLowerCase();
+  };
+  const fail = (message) => {
+    throw new TypeError(`html: ${message}`);
+  };
+
+  for (let part = 0; part < strings.length; part += 1) {
+    const text = safeString(strings[part]);
+    for (let index = 0; index < text.length; index += 1) {
+      const character = text[index];
+      switch (state) {
+        case 'text':
+          if (character !== '<') break;
+          if (text.startsWith('!--', index + 1)) {
+            state = 'comment';
+            index += 3;
+          } else if (text[index + 1] === '/' && /[A-Za-z]/u.test(text[index + 2] ?? '')) {
+            state = 'closeTag';
+          } else if (/[A-Za-z]/u.test(text[index + 1] ?? '')) {
+            state = 'tagName';
+            tagName = '';
+          }
+          break;
+        case 'comment':
+          if (text.startsWith('-->', index)) {
+            state = 'text';
+            index += 2;
+          }
+          break;
+        case 'rawText':
+          if (text.slice(index, index + rawTextTag.length + 2).toLowerCase() === `</${rawTextTag}`) {
+            state = 'closeTag';
+            index += 1;
+          }
+          break;
+        case 'closeTag':
+          if (character === '>') state = 'text';
+          break;
+        case 'tagName':
+          if (isTagNameCharacter(character)) {
+            tagName += character;
+          } else if (character === '>') {
+            endTag();
+          } else {
+            state = 'beforeAttribute';
+          }
+          break;
+        case 'afterUnquotedHole':
+          if (!/[\s/>]/u.test(character)) fail(`quote the "${attribute.name}" attribute when it mixes text and interpolations.`);
+          state = 'beforeAttribute';
+          index -= 1;
+          break;
+        case 'beforeAttribute':
+        case 'afterAttributeName':
+          if (character === '>') {
+            endTag();
+          } else if (character === '=' && state === 'afterAttributeName') {
+            state = 'beforeValue';
+          } else if (!/[\s/]/u.test(character)) {
+            state = 'attributeName';
+            attributeName = character;
+          }
+          break;
+        case 'attributeName':
+          if (character === '=') {
+            state = 'beforeValue';
+          } else if (character === '>') {
+            endTag();
+          } else if (/[\s/]/u.test(character)) {
+            state = 'afterAttributeName';
+          } else {
+            attributeName += character;
+          }
+          break;
+        case 'beforeValue':
+          if (character === '"' || character === "'") {
+            startValue(character);
+          } else if (character === '>') {
+            endTag();
+          } else if (!/\s/u.test(character)) {
+            startValue('');
+          }
+          break;
+        case 'value':
+          if (character === attribute.quote) {
+            state = 'beforeAttribute';
+          } else {
+            attribute.segments[attribute.segments.length - 1] += character;
+          }
+          break;
+        case 'unquotedValue':
+          if (/\s/u.test(character)) {
+            state = 'beforeAttribute';
+          } else if (character === '>') {
+            endTag();
+          }
+          break;
+      }
+    }
+
+    if (part === strings.length - 1) break;
+    if (state === 'text' && /<\/?$/u.test(text)) {
+      fail('interpolations are not supported in tag or attribute names.');
+    } else if (state === 'text' || state === 'comment') {
+      holes.push({ kind: 'text' });
+    } else if (state === 'beforeAttribute' || state === 'afterAttributeName') {
+      holes.push({ kind: 'attributes' });
+    } else if (state === 'beforeValue') {
+      startValue('');
+      addValueHole(part);
+      state = 'afterUnquotedHole';
+    } else if (state === 'value') {
+      addValueHole(part);
+    } else if (state === 'unquotedValue' || state === 'afterUnquotedHole') {
+      fail(`quote the "${attribute.name}" attribute when it mixes text and interpolations.`);
+    } else if (state === 'rawText') {
+      fail(`interpolations inside <${rawTextTag}> are not supported.`);
+    } else {
+      fail('interpolations are not supported in tag or attribute names.');
+    }
+  }
+
+  return holes;
+}
+
+function getHtmlTemplate(strings) {
+  let holes = HTML_TEMPLATE_CACHE.get(strings);
+  if (!holes) {
+    holes = parseHtmlTemplate(strings);
+    HTML_TEMPLATE_CACHE.set(strings, holes);
+  }
+  return holes;
+}
+
+function renderTemplateText(value) {
+  if (value === undefined || value === null || value === false) return '';
+  if (safeIsArray(value)) {
+    let html = '';
+    for (let index = 0; index < getArrayLength(value); index += 1) {
+      html += renderTemplateText(getObjectField(value, index, undefined));
+    }
+    return html;
+  }
+  return render(value);
+}
+
+function getTemplateAttributeText(value, attributeName) {
+  if (value === undefined || value === null || value === false) return '';
+  if (safeIsArray(value)) {
+    const items = [];
+    for (let index = 0; index < getArrayLength(value); index += 1) {
+      const item = getTemplateAttributeText(getObjectField(value, index, undefined), attributeName);
+      if (item) items.push(item);
+    }
+    return items.join(' ');
+  }
+  if (value && typeof value === 'object' && (isRawHtmlNode(value) || isVirtualNode(value))) {
+    throw new TypeError(`html: markup cannot be interpolated into the "${attributeName}" attribute.`);
+  }
+  return safeString(value);
+}
+
+function isUnsafeUrl(url) {
+  // Browsers skip control characters and whitespace before a URL and tabs or newlines inside its scheme.
+  const scheme = [...url].filter((character) => {
+    const codePoint = character.codePointAt(0);
+    return codePoint > 0x20 && codePoint !== 0x7F;
+  }).join('');
+  return UNSAFE_URL_SCHEME_PATTERN.test(scheme);
+}
+
+function isUnsafeSrcset(srcset) {
+  return srcset.split(',').some(candidate => isUnsafeUrl(candidate.trim().split(/\s/u)[0]));
+}
+
+function renderTemplateValue(hole, value) {
+  if (hole.kind === 'text') return renderTemplateText(value);
+  if (value === undefined || value === null || value === false) return '';
+  if (!value || typeof value !== 'object' || safeIsArray(value) || isRawHtmlNode(value) || isVirtualNode(value)) {
+    throw new TypeError('html: only attribute objects can be interpolated inside a tag.');
+  }
+  return renderAttributeList(value);
+}
+
+/**
+ * Renders an attribute value that contains holes, from its opening static
+ * text through its closing static text. Static text is kept as written and
+ * interpolations are escaped; an unsafe URL replaces the whole value.
+ */
+function renderTemplateAttributeValue(attribute, values) {
+  let source = '';
+  let html = '';
+  for (let index = 0; index < attribute.segments.length; index += 1) {
+    const segment = attribute.segments[index];
+    if (index % 2 === 0) {
+      source += segment;
+      html += segment;
+    } else {
+      const text = getTemplateAttributeText(values[segment], attribute.name);
+      source += text;
+      html += escapeAttribute(text);
+    }
+  }
+  if ((attribute.url && isUnsafeUrl(source)) || (attribute.srcset && isUnsafeSrcset(source))) {
+    html = UNSAFE_URL_REPLACEMENT;
+  }
+  return attribute.quote ? html : `"${html}"`;
+}
+
+/**
+ * Tagged template for writing markup with automatic, context-aware escaping.
+ * Interpolations in text are escaped like `render()` children: nested `html`
+ * results, `rawHtml()` nodes, and virtual nodes are inserted as markup, arrays
+ * render as lists, and `null`, `undefined`, and `false` render nothing.
+ * Interpolations in attribute values are always escaped (arrays join with
+ * spaces). A URL attribute such as `href`, `src`, `action`, or `GET` whose
+ * assembled value is a `javascript:`, `vbscript:`, or `data:` URL is replaced
+ * as a whole, as is a `srcset` with any such candidate. An attribute object
+ * interpolated inside a tag renders with the same rules as `tag()` attributes.
+ * Interpolations inside `<script>` or `<style>`, in `on*` event handler and
+ * `srcdoc` attributes, and in tag or attribute names throw a TypeError.
+ *
+ * @param {TemplateStringsArray} strings - The template's static parts.
+ * @param {...unknown} values - The interpolated values.
+ * @returns {Object} A raw HTML node accepted by `render()`, `tag()`, and `renderFragment()`.
+ *
+ * @example
+ * const item = html`<li class="${['todo', done && 'done']}">
+ *   <a href="${url}">${title}</a>
+ * </li>`;
+ * render(html`<ul ${{ id: 'todos' }}>${items.map(todoItem)}</ul>`);
+ */
+export function html(strings, ...values) {
+  const holes = getHtmlTemplate(strings);
+  let output = safeString(strings[0]);
+  for (let index = 0; index < values.length; index += 1) {
+    const hole = holes[index];
+    if (hole.kind !== 'value') {
+      output += renderTemplateValue(hole, values[index]);
+      output += safeString(strings[index + 1]);
+      continue;
+    }
+    // Swap the value's static text on both sides for the rendered whole, and
+    // skip the attribute's remaining holes.
+    const { segments } = hole.attribute;
+    output = output.slice(0, output.length - segments[0].length);
+    output += renderTemplateAttributeValue(hole.attribute, values);
+    index = segments[segments.length - 2];
+    output += safeString(strings[index + 1]).slice(segments[segments.length - 1].length);
+  }
+  return rawHtml(output);
+}
+
+/* ============================================================================
+   Action Attribute Builders
+   Validated attribute objects for action elements, so typos in strategies or
+   numeric values fail on the server instead of in the browser.
+   ============================================================================ */
+
+const ATTRIBUTE_STRATEGY_PATTERN = /^attr:([A-Za-z_][\w:.-]*)$/iu;
+const CUSTOM_STRATEGY_NAME_PATTERN = /^[A-Za-z][\w-]*$/u;
+const TARGET_STRATEGY_GROUP_PATTERN = /\(([^()]*)\)(?=\s|$)/gu;
+
+function isCustomStrategyName(strategyName) {
+  const lowercaseName = strategyName.toLowerCase();
+  return CUSTOM_STRATEGY_NAME_PATTERN.test(strategyName) && !SWAP_STRATEGY_BY_LOWERCASE[lowercaseName] && lowercaseName !== 'attr';
+}
+
+/**
+ * Canonicalizes a strategy name. Custom names are accepted only when
+ * `allowCustom` is true or `customStrategies` (lowercase name to spelling)
+ * lists them, so one caller's names never leak into another's.
+ */
+function normalizeStrategyName(strategy, allowCustom = false, customStrategies = null) {
+  const strategyName = safeString(strategy).trim();
+  const lowercaseName = strategyName.toLowerCase();
+  if (SWAP_STRATEGY_BY_LOWERCASE[lowercaseName]) return SWAP_STRATEGY_BY_LOWERCASE[lowercaseName];
+
+  const attributeMatch = ATTRIBUTE_STRATEGY_PATTERN.exec(strategyName);
+  if (attributeMatch) {
+    if (/^on/iu.test(attributeMatch[1])) {
+      throw new TypeError(`Invalid HTMLeX swap strategy "${strategyName}"; event handler attributes cannot be set from responses.`);
+    }
+    return `attr:${attributeMatch[1]}`;
+  }
+  if (customStrategies?.has(lowercaseName)) return customStrategies.get(lowercaseName);
+  if (allowCustom && isCustomStrategyName(strategyName)) return strategyName;
+  throw new TypeError(
+    `Unknown HTMLeX swap strategy "${strategyName}". Use a built-in strategy, attr:<name>, ` +
+    'or, for strategies registered with registerSwapStrategy(), targetSpec(selector, name, { custom: true }) ' +
+    'or the customStrategies action option.'
+  );
+}
+
+function normalizeCustomStrategies(value) {
+  const customStrategies = new Map();
+  for (const item of safeIsArray(value) ? value : [value]) {
+    const strategyName = safeString(item).trim();
+    if (!isCustomStrategyName(strategyName)) {
+      throw new TypeError(`HTMLeX customStrategies entry "${strategyName}" must be a name that is not built in, such as "slideIn".`);
+    }
+    customStrategies.set(strategyName.toLowerCase(), strategyName);
+  }
+  return customStrategies;
+}
+
+function normalizeTargetList(value, optionName, customStrategies = null) {
+  const specs = safeIsArray(value) ? value : [value];
+  return specs.map((spec) => {
+    const input = safeString(spec).trim();
+    const groups = [];
+    let selectorStart = 0;
+    let valid = true;
+    for (const match of input.matchAll(TARGET_STRATEGY_GROUP_PATTERN)) {
+      const selector = input.slice(selectorStart, match.index).trim();
+      valid = Boolean(selector);
+      if (!valid) break;
+      groups.push(`${selector}(${normalizeStrategyName(match[1], false, customStrategies)})`);
+      selectorStart = match.index + match[0].length;
+    }
+    // Like the client, a lone selector without a strategy swaps innerHTML.
+    if (valid && !groups.length && input) return input;
+    if (!valid || !groups.length || input.slice(selectorStart).trim()) {
+      throw new TypeError(`Invalid HTMLeX ${optionName} "${input}". Expected "selector(strategy)" targets; see targetSpec().`);
+    }
+    return groups.join(' ');
+  }).join(' ');
+}
+
+/**
+ * Builds one `selector(strategy)` target for `target`, `loading`, and
+ * `onerror` attributes. Strategy names are matched case-insensitively and
+ * returned in their canonical spelling. Names registered in the browser with
+ * `registerSwapStrategy()` need `{ custom: true }`; action builders accept
+ * them in target strings listed in their `customStrategies` option.
+ *
+ * @param {string} selector - A CSS selector, or `this` for the triggering element.
+ * @param {string} [strategy='innerHTML'] - A built-in strategy, `attr:<name>`, or a custom strategy name.
+ * @param {Object} [options={}] - Options.
+ * @param {boolean} [options.custom=false] - Accept a strategy name that is not built in.
+ * @returns {string} The target, such as `#list(append)`.
+ * @throws {TypeError} When the selector is empty or the strategy is unknown.
+ *
+ * @example
+ * targetSpec('#todo-list', 'append'); // '#todo-list(append)'
+ */
+export function targetSpec(selector, strategy = 'innerHTML', options = {}) {
+  const selectorText = safeString(selector).trim();
+  if (!selectorText) {
+    throw new TypeError('HTMLeX targetSpec() requires a selector.');
+  }
+  return `${selectorText}(${normalizeStrategyName(strategy, Boolean(getObjectField(options, 'custom', false)))})`;
+}
+
+function normalizeWordList(value, optionName, separator = ' ') {
+  const words = (safeIsArray(value) ? value : [value]).map(item => safeString(item).trim()).filter(Boolean);
+  if (!words.length) {
+    throw new TypeError(`HTMLeX ${optionName} requires at least one value.`);
+  }
+  return words.join(separator);
+}
+
+function normalizeNonEmptyString(value, optionName) {
+  const text = safeString(value).trim();
+  if (!text) {
+    throw new TypeError(`HTMLeX ${optionName} must be a non-empty string.`);
+  }
+  return text;
+}
+
+function normalizeNonNegativeInteger(value, optionName) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new TypeError(`HTMLeX ${optionName} must be a non-negative integer, received "${safeString(value)}".`);
+  }
+  return value;
+}
+
+function normalizeKeyValuePairs(value, optionName) {
+  if (typeof value === 'string') return normalizeNonEmptyString(value, optionName);
+  if (!value || typeof value !== 'object' || safeIsArray(value)) {
+    throw new TypeError(`HTMLeX ${optionName} must be a string or an object of key/value pairs.`);
+  }
+  return getAttributeEntries(value).map(([key, pairValue]) => {
+    const pair = `${key}=${safeString(pairValue)}`;
+    if (!key || key.includes('=') || /\s/u.test(pair)) {
+      throw new TypeError(`HTMLeX ${optionName} pair "${pair}" cannot contain whitespace or "=" in its key.`);
+    }
+    return pair;
+  }).join(' ');
+}
+
+function createEnumNormalizer(allowedValues) {
+  return (value, optionName) => {
+    if (!allowedValues.includes(value)) {
+      throw new TypeError(`HTMLeX ${optionName} must be one of ${allowedValues.map(item => JSON.stringify(item)).join(', ')}.`);
+    }
+    return value;
+  };
+}
+
+function normalizeFlagOrInteger(value, optionName) {
+  return typeof value === 'boolean' ? value : normalizeNonNegativeInteger(value, optionName);
+}
+
+const ACTION_OPTION_SPECS = Object.freeze({
+  __proto__: null,
+  target: ['target', normalizeTargetList],
+  loading: ['loading', normalizeTargetList],
+  onerror: ['onerror', normalizeTargetList],
+  source: ['source', (value, optionName) => normalizeWordList(value, optionName, ', ')],
+  extras: ['extras', normalizeKeyValuePairs],
+  select: ['select', normalizeNonEmptyString],
+  selectOob: ['select-oob', (value, optionName) => normalizeWordList(value, optionName, ', ')],
+  head: ['head', createEnumNormalizer([true, false, 'merge'])],
+  transition: ['transition', createEnumNormalizer([true, false])],
+  swapDelay: ['swap-delay', normalizeNonNegativeInteger],
+  settleDelay: ['settle-delay', normalizeNonNegativeInteger],
+  trigger: ['trigger', normalizeNonEmptyString],
+  debounce: ['debounce', normalizeNonNegativeInteger],
+  throttle: ['throttle', normalizeNonNegativeInteger],
+  auto: ['auto', (value, optionName) => (
+    value === 'prefetch' || value === 'lazy' ? value : normalizeFlagOrInteger(value, optionName)
+  )],
+  poll: ['poll', normalizeNonNegativeInteger],
+  repeat: ['repeat', normalizeNonNegativeInteger],
+  publish: ['publish', normalizeWordList],
+  publishExtras: ['publish-extras', normalizeKeyValuePairs],
+  subscribe: ['subscribe', normalizeWordList],
+  signalDebounce: ['signal-debounce', normalizeNonNegativeInteger],
+  timer: ['timer', normalizeNonNegativeInteger],
+  sequential: ['sequential', normalizeFlagOrInteger],
+  retry: ['retry', normalizeNonNegativeInteger],
+  timeout: ['timeout', normalizeNonNegativeInteger],
+  retryDelay: ['retry-delay', normalizeNonNegativeInteger],
+  retryBackoff: ['retry-backoff', (value, optionName) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 1) {
+      throw new TypeError(`HTMLeX ${optionName} must be a number of at least 1, received "${safeString(value)}".`);
+    }
+    return value;
+  }],
+  retryMaxDelay: ['retry-max-delay', normalizeNonNegativeInteger],
+  cache: ['cache', normalizeFlagOrInteger],
+  cacheMode: ['cache-mode', createEnumNormalizer(['swr'])],
+  push: ['push', normalizeKeyValuePairs],
+  pull: ['pull', normalizeWordList],
+  path: ['path', normalizeNonEmptyString],
+  history: ['history', createEnumNormalizer(['push', 'replace', 'none'])],
+  onbefore: ['onbefore', normalizeWordList],
+  onbeforeswap: ['onbeforeswap', normalizeWordList],
+  onafterswap: ['onafterswap', normalizeWordList],
+  onafter: ['onafter', normalizeWordList],
+  maxResponseChars: ['max-response-chars', normalizeNonNegativeInteger]
+});
+
+function createActionAttributes(method, url, options) {
+  const endpoint = safeString(url).trim();
+  if (!endpoint) {
+    throw new TypeError(`HTMLeX action.${method.toLowerCase()}() requires a URL.`);
+  }
+
+  const attrs = { [method]: endpoint };
+  const customStrategyNames = getObjectField(options, 'customStrategies', undefined);
+  const customStrategies = customStrategyNames === undefined || customStrategyNames === null
+    ? null
+    : normalizeCustomStrategies(customStrategyNames);
+  for (const optionName of getObjectKeys(options)) {
+    if (optionName === 'customStrategies') continue;
+    const spec = ACTION_OPTION_SPECS[optionName];
+    if (!spec) {
+      throw new TypeError(`Unknown HTMLeX action option "${optionName}".`);
+    }
+    const value = getObjectField(options, optionName, undefined);
+    if (value === undefined || value === null) continue;
+    const [attributeName, normalize] = spec;
+    attrs[attributeName] = normalize === normalizeTargetList
+      ? normalizeTargetList(value, optionName, customStrategies)
+      : normalize(value, optionName);
+  }
+  return attrs;
+}
+
+/**
+ * Builders for action element attributes. Each takes the endpoint URL and
+ * camelCase options named after the attribute reference (`retryDelay` for
+ * `retry-delay`, `selectOob` for `select-oob`), validates them, and returns
+ * an attribute object for `tag()`. The `customStrategies` option lists swap
+ * strategies registered in the browser that targets may use in this call.
+ * Unknown options, unknown strategies, and invalid numbers throw a TypeError.
+ *
+ * @type {{get: Function, post: Function, put: Function, delete: Function, patch: Function}}
+ *
+ * @example
+ * form(
+ *   action.post('/todos/create', { target: targetSpec('#todoList', 'outerHTML'), retry: 2, publish: 'todos:changed' }),
+ *   input({ name: 'todo' })
+ * );
+ */
+export const action = Object.freeze(Object.fromEntries(
+  ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'].map(method => [
+    method.toLowerCase(),
+    (url, options = {}) => createActionAttributes(method, url, options)
+  ])
+));
 
 /* ============================================================================
    Fragment Generation Functions
@@ -378,7 +1222,7 @@ function normalizeFragmentAttributes(target, fragmentAttributes) {
  * Wraps HTML content into an HTMLeX fragment for progressive updates.
  *
  * @param {string} target - A CSS selector that identifies the target element.
- * @param {unknown} htmlContent - The HTML content to be injected.
+ * @param {unknown} htmlContent - The HTML content to be injected: an HTML string, an `html` template result, or a virtual node.
  * @param {string|number|bigint|boolean|Object|null|undefined} [fragmentAttributes] - Optional fragment attributes or status code.
  * @returns {string} HTML string representing the fragment.
  *
@@ -387,6 +1231,153 @@ function normalizeFragmentAttributes(target, fragmentAttributes) {
  */
 export function renderFragment(target, htmlContent, fragmentAttributes = {}) {
   const attrs = normalizeFragmentAttributes(target, fragmentAttributes);
-  const fragmentNode = tag('fragment', attrs, rawHtml(htmlContent));
+  const content = isRawHtmlNode(htmlContent) || isVirtualNode(htmlContent) ? htmlContent : rawHtml(htmlContent);
+  const fragmentNode = tag('fragment', attrs, content);
   return render(fragmentNode);
 }
+
+/**
+ * Streams an HTMLeX fragment whose content is rendered with `renderToStream()`.
+ * Unlike `renderFragment()`, the content is a virtual node tree, so text is
+ * escaped and children may be promises or async iterables.
+ *
+ * @param {string} target - A CSS selector that identifies the target element.
+ * @param {unknown} content - The virtual node tree to render inside the fragment.
+ * @param {string|number|bigint|boolean|Object|null|undefined} [fragmentAttributes] - Optional fragment attributes or status code.
+ * @param {Object} [options={}] - Options passed to `renderToStream()`.
+ * @returns {AsyncGenerator<string>} The rendered fragment chunks.
+ */
+export function renderFragmentToStream(target, content, fragmentAttributes = {}, options = {}) {
+  const attrs = normalizeFragmentAttributes(target, fragmentAttributes);
+  return renderToStream(tag('fragment', attrs, content), options);
+}
+
+/* ============================================================================
+   Awaitable Placeholders
+   These helpers stream a page shell first and fill each placeholder later in
+   the same response, as its data resolves.
+   ============================================================================ */
+
+let awaitableSequence = 0;
+
+function createAwaitableId() {
+  awaitableSequence += 1;
+  return `htmlex-await-${awaitableSequence.toString(36)}`;
+}
+
+function getAwaitableRecord(node) {
+  try {
+    return node?.[AWAITABLE] || null;
+  } catch {
+    return null;
+  }
+}
+
+function defaultAwaitableError(id) {
+  return tag('div', { id, class: 'htmlex-await-error', role: 'alert' }, 'Failed to load.');
+}
+
+/**
+ * Wraps a placeholder so a streaming writer can replace it once `pending`
+ * settles. The placeholder renders immediately with a generated `id` (an
+ * existing `id` is kept). The resolved value is rendered with the usual
+ * escaping rules; a rejection renders `options.renderError(error, id)` or a
+ * generic alert.
+ *
+ * @param {Object|string|number|bigint|boolean|Array|null|undefined} placeholder - Content shown until the value resolves.
+ * @param {Promise<unknown>|function(AbortSignal|null): unknown} pending - The value, or a function that receives an abort signal and returns it.
+ * @param {Object} [options={}] - Awaitable options.
+ * @param {string} [options.id] - Id for the placeholder element.
+ * @param {function(unknown, string): unknown} [options.renderError] - Renders the content shown when `pending` rejects.
+ * @returns {Object} A virtual node that renders as the placeholder.
+ *
+ * @example
+ * const shell = div(
+ *   h1('Dashboard'),
+ *   awaitable(p('Loading stats...'), signal => loadStats({ signal }))
+ * );
+ */
+export function awaitable(placeholder, pending, options = {}) {
+  const placeholderNode = isVirtualNode(placeholder) ? placeholder : tag('div', {}, placeholder);
+  const attrs = getObjectField(placeholderNode, 'attrs', {}) || {};
+  const id = safeString(getObjectField(options, 'id', '') || getObjectField(attrs, 'id', '')).trim() || createAwaitableId();
+  const renderError = getObjectField(options, 'renderError', null);
+  return {
+    tag: getObjectField(placeholderNode, 'tag', 'div'),
+    attrs: { ...attrs, id },
+    children: getObjectField(placeholderNode, 'children', []),
+    [AWAITABLE]: { id, pending, renderError: typeof renderError === 'function' ? renderError : null }
+  };
+}
+
+function collectAwaitables(node, records = []) {
+  if (safeIsArray(node)) {
+    for (let index = 0; index < getArrayLength(node); index += 1) {
+      collectAwaitables(getObjectField(node, index, undefined), records);
+    }
+    return records;
+  }
+  if (!isVirtualNode(node)) return records;
+
+  const record = getAwaitableRecord(node);
+  if (record) records.push(record);
+  collectAwaitables(normalizeChildren(getObjectField(node, 'children', [])), records);
+  return records;
+}
+
+async function settleAwaitable(record, signal) {
+  const target = `#${record.id}(outerHTML)`;
+  try {
+    const value = await (typeof record.pending === 'function' ? record.pending(signal) : record.pending);
+    return { update: { id: record.id, target, html: render(value), status: null }, nested: collectAwaitables(value) };
+  } catch (error) {
+    if (signal?.aborted) return { update: null, nested: [] };
+    const errorContent = record.renderError ? record.renderError(error, record.id) : defaultAwaitableError(record.id);
+    return { update: { id: record.id, target, html: render(errorContent), status: 500 }, nested: [] };
+  }
+}
+
+function createAbortPromise(signal) {
+  if (!signal) return null;
+  return new Promise((resolve) => {
+    if (signal.aborted) {
+      resolve(RENDER_ABORTED);
+      return;
+    }
+    signal.addEventListener('abort', () => resolve(RENDER_ABORTED), { once: true });
+  });
+}
+
+/**
+ * Settles every awaitable placeholder in a node tree and yields one update per
+ * placeholder, in the order they settle. Each update replaces its placeholder
+ * with `outerHTML`; rejected values yield an error update with status 500.
+ * Awaitables inside resolved content are settled too. Iteration stops as soon
+ * as `options.signal` aborts.
+ *
+ * @param {Object|Array} node - The rendered shell.
+ * @param {Object} [options={}] - Resolution options.
+ * @param {AbortSignal} [options.signal] - Stops resolution, for example when the client disconnects.
+ * @returns {AsyncGenerator<{id: string, target: string, html: string, status: number|null}>}
+ */
+export async function* resolveAwaitables(node, options = {}) {
+  const signal = getObjectField(options, 'signal', null);
+  const abortPromise = createAbortPromise(signal);
+  const pending = new Map();
+  let nextKey = 0;
+  const track = (record) => {
+    const key = nextKey;
+    nextKey += 1;
+    pending.set(key, settleAwaitable(record, signal).then(result => ({ key, ...result })));
+  };
+
+  for (const record of collectAwaitables(node)) track(record);
+  while (pending.size > 0) {
+    const settled = await Promise.race(abortPromise ? [abortPromise, ...pending.values()] : pending.values());
+    if (settled === RENDER_ABORTED || signal?.aborted) return;
+
+    pending.delete(settled.key);
+    if (settled.update) yield settled.update;
+    for (const record of settled.nested) track(record);
+  }
+}
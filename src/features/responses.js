@@ -1,4 +1,4 @@
-import { renderFragment } from '../components/HTMLeX.js';
+import { render, renderFragment, renderFragmentToStream, renderToStream, resolveAwaitables } from '../components/HTMLeX.js';
 import { logRequestWarning } from '../serverLogger.js';
 
 const HTML_CONTENT_TYPE = 'text/html; charset=utf-8';
@@ -75,6 +75,37 @@ export function setResponseHeader(res, name, value) {
   return callResponseMethod(res, 'setHeader', [safeString(name), safeString(value)], false) !== false;
 }
 
+export function setRedirectHeader(res, url) {
+  return setResponseHeader(res, 'HTMLeX-Redirect', url);
+}
+
+export function setLocationHeader(res, url, { target = null, history = null } = {}) {
+  const parts = [safeString(url)];
+  if (target) parts.push(`target=${safeString(target)}`);
+  if (history) parts.push(`history=${safeString(history)}`);
+  return setResponseHeader(res, 'HTMLeX-Location', parts.join('; '));
+}
+
+export function setRefreshHeader(res) {
+  return setResponseHeader(res, 'HTMLeX-Refresh', 'true');
+}
+
+export function setRetargetHeader(res, target) {
+  return setResponseHeader(res, 'HTMLeX-Retarget', target);
+}
+
+export function setReswapHeader(res, strategy) {
+  return setResponseHeader(res, 'HTMLeX-Reswap', strategy);
+}
+
+export function setPushUrlHeader(res, url) {
+  return setResponseHeader(res, 'HTMLeX-Push-Url', url);
+}
+
+export function setReplaceUrlHeader(res, url) {
+  return setResponseHeader(res, 'HTMLeX-Replace-Url', url);
+}
+
 export function sendTypedResponse(res, statusCode, message = '', contentType = null) {
   if (hasHeadersSent(res)) {
     logResponseWarning(res, `Unable to send HTTP ${statusCode} response because headers were already sent.`, {
@@ -122,6 +153,142 @@ export function writeFragmentResponse(res, target, htmlContent, fragmentAttribut
   return callResponseMethod(res, 'write', [fragmentHtml]);
 }
 
+function renderSafeShell(res, shell) {
+  try {
+    return render(shell);
+  } catch (error) {
+    logResponseWarning(res, 'Failed to render HTMLeX awaitable shell.', {
+      error: safeString(error?.message || error, 'Unknown shell render error'),
+    });
+    return null;
+  }
+}
+
+/**
+ * Streams a page shell with `awaitable()` placeholders, then writes one
+ * `<fragment target="#id(outerHTML)">` per placeholder as its value settles.
+ * Rejected values are written as status 500 error fragments. When the client
+ * disconnects, pending work is aborted and the response is left unended.
+ *
+ * @param {import('express').Response} res - Express response object.
+ * @param {string} target - Target for the shell fragment.
+ * @param {Object|Array} shell - Virtual node tree containing awaitable placeholders.
+ * @returns {Promise<boolean>} True when every placeholder was written and the response ended.
+ */
+export async function writeAwaitableResponse(res, target, shell) {
+  const shellHtml = renderSafeShell(res, shell);
+  if (shellHtml === null || writeFragmentResponse(res, target, shellHtml) === false) {
+    endServerError(res);
+    return false;
+  }
+
+  const controller = new AbortController();
+  const abortOnClose = () => {
+    if (!hasWritableEnded(res)) controller.abort();
+  };
+  callResponseMethod(res, 'on', ['close', abortOnClose]);
+
+  try {
+    for await (const update of resolveAwaitables(shell, { signal: controller.signal })) {
+      writeFragmentResponse(res, update.target, update.html, update.status ? { status: update.status } : undefined);
+    }
+  } catch (error) {
+    logResponseWarning(res, 'Failed to stream HTMLeX awaitable fragments.', {
+      error: safeString(error?.message || error, 'Unknown awaitable error'),
+    });
+    endResponse(res);
+    return false;
+  } finally {
+    callResponseMethod(res, 'off', ['close', abortOnClose]);
+  }
+
+  if (controller.signal.aborted) {
+    logResponseWarning(res, 'Client disconnected before all awaitable fragments were written.');
+    return false;
+  }
+  endResponse(res);
+  return true;
+}
+
+function waitForDrainOrClose(res) {
+  return new Promise((resolve) => {
+    const settle = () => {
+      callResponseMethod(res, 'off', ['drain', settle]);
+      callResponseMethod(res, 'off', ['close', settle]);
+      resolve();
+    };
+    callResponseMethod(res, 'once', ['drain', settle]);
+    callResponseMethod(res, 'once', ['close', settle]);
+  });
+}
+
+/**
+ * Streams a virtual node tree rendered with `renderToStream()`. When `target`
+ * is given, the tree is wrapped in a `<fragment>` for that target. Writing
+ * pauses whenever `res.write()` reports a full buffer and resumes on `drain`.
+ * When the client disconnects, rendering stops at once, even while a child is
+ * still pending, and the response is left unended.
+ *
+ * @param {import('express').Response} res - Express response object.
+ * @param {unknown} node - Virtual node tree; children may be promises or async iterables.
+ * @param {{target?: string, fragmentAttributes?: Object|number, chunkSize?: number}} [options={}] - Streaming options.
+ * @returns {Promise<boolean>} True when the whole tree was written and the response ended.
+ */
+export async function writeStreamedResponse(res, node, { target = null, fragmentAttributes = undefined, chunkSize = undefined } = {}) {
+  const controller = new AbortController();
+  const streamOptions = { chunkSize, signal: controller.signal };
+  let chunks;
+  try {
+    chunks = target
+      ? renderFragmentToStream(target, node, fragmentAttributes, streamOptions)
+      : renderToStream(node, streamOptions);
+  } catch (error) {
+    logResponseWarning(res, 'Failed to render HTMLeX fragment response.', {
+      error: safeString(error?.message || error, 'Unknown fragment render error'),
+    });
+    endServerError(res);
+    return false;
+  }
+
+  let closed = false;
+  const markClosed = () => {
+    if (hasWritableEnded(res)) return;
+    closed = true;
+    // Stop the renderer even while it waits on a slow child.
+    controller.abort();
+  };
+  callResponseMethod(res, 'on', ['close', markClosed]);
+  setHtmlResponse(res);
+
+  try {
+    for await (const chunk of chunks) {
+      if (closed) break;
+      const accepted = callResponseMethod(res, 'write', [chunk], null);
+      if (accepted === null) {
+        closed = true;
+        break;
+      }
+      if (accepted === false && !closed) await waitForDrainOrClose(res);
+      if (closed) break;
+    }
+  } catch (error) {
+    logResponseWarning(res, 'Failed to stream rendered HTMLeX response.', {
+      error: safeString(error?.message || error, 'Unknown stream render error'),
+    });
+    endServerError(res);
+    return false;
+  } finally {
+    callResponseMethod(res, 'off', ['close', markClosed]);
+  }
+
+  if (closed) {
+    logResponseWarning(res, 'Client disconnected before the rendered response finished streaming.');
+    return false;
+  }
+  endResponse(res);
+  return true;
+}
+
 export function endResponse(res) {
   if (!hasWritableEnded(res)) {
     return callResponseMethod(res, 'end');
@@ -4,17 +4,34 @@
  */
 
 import { Logger } from './logger.js';
-import { getCache, setCache } from './cache.js';
+import { getCacheEntry, hasPersistentCache, readCache, setCache } from './cache.js';
 import { scheduleUpdate, isSequential } from './utils.js';
-import { parseTargets, querySelectorAllResult, querySelectorSafe, updateTarget } from './dom.js';
+import { normalizeTargetStrategy, parseTargets, querySelectorAllResult, querySelectorSafe, updateTarget } from './dom.js';
 import { fetchWithTimeout } from './fetchHelper.js';
-import { handleURLState } from './urlState.js';
-import { processFragmentBuffer } from './fragments.js';
+import { handleURLState, updateHistoryUrl } from './urlState.js';
+import {
+  hasResponseDirectives,
+  isRefreshRequested,
+  parseLocationDirective,
+  readResponseDirectives,
+  redirectTo,
+  refreshPage,
+  resolveNavigationUrl
+} from './responseHeaders.js';
+import { createFragmentStream, processFragmentBuffer } from './fragments.js';
+import { parseFragments } from './protocol.js';
+import { selectResponseContent } from './select.js';
+import { extractHeadContent, isHeadMergeRequested, mergeHead } from './head.js';
+import { getSwapTiming, setRequestClass } from './swapPhases.js';
+import { isTransitionRequested, runWithViewTransition } from './transitions.js';
 import { emitSignal } from './signals.js';
+import { parseKeyValuePairs } from './keyValuePairs.js';
+import { HTMLEX_REQUEST_HEADERS } from './requestHeaders.js';
 import { runLifecycleHook } from './hooks.js';
 
 export const DEFAULT_RESPONSE_BUFFER_LIMIT_CHARS = 1024 * 1024;
 const RESERVED_FETCH_OPTION_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+const MAX_LOCATION_REDIRECTS = 5;
 
 class ResponseBufferLimitError extends Error {
   constructor(limitChars) {
@@ -194,14 +211,30 @@ function addAbortListener(signal, listener) {
   }
 }
 
-function scheduleTargetUpdate(element, target, content, sequentialEntry = null, resolvedElement = null, afterUpdate = null, requestId = null) {
+/**
+ * Schedules a response's target updates (`{ target, content, resolvedElement,
+ * afterUpdate }` records) as one update, so a requested view transition wraps
+ * all of them at once.
+ */
+function scheduleTargetUpdates(element, updates, sequentialEntry = null, requestId = null) {
+  if (updates.length === 0) return;
   const updateFn = () => {
     if (!sequentialEntry && requestId !== null && element._htmlexRequestId !== requestId) {
-      if (afterUpdate) afterUpdate();
+      for (const { afterUpdate } of updates) {
+        if (afterUpdate) afterUpdate();
+      }
       return;
     }
-    updateTarget(target, content, resolvedElement);
-    if (afterUpdate) afterUpdate();
+    const swapTiming = getSwapTiming(element);
+    runWithViewTransition(() => {
+      for (const { target, content, resolvedElement, afterUpdate } of updates) {
+        try {
+          updateTarget(target, content, resolvedElement, { swapTiming, onSettled: afterUpdate });
+        } catch (error) {
+          Logger.system.error('[HTMLeX] Failed to update target:', target, error);
+        }
+      }
+    }, isTransitionRequested(element));
   };
 
   if (sequentialEntry) {
@@ -213,6 +246,31 @@ function scheduleTargetUpdate(element, target, content, sequentialEntry = null,
   scheduleUpdate(updateFn, isSequential(element));
 }
 
+/**
+ * Applies the element's `head`, `select`, and `select-oob` attributes to
+ * fallback response content. Head markup is merged right away and out-of-band
+ * updates are added to `updates`; the returned content is what the caller's
+ * targets receive.
+ */
+function applyResponseSelection(element, content, swapLifecycle, updates) {
+  if (isHeadMergeRequested(element)) {
+    const split = extractHeadContent(content);
+    if (split.head) mergeHead(split.head);
+    content = split.content;
+  }
+
+  const selection = selectResponseContent(content, {
+    select: getElementAttribute(element, 'select'),
+    selectOob: getElementAttribute(element, 'select-oob')
+  });
+  for (const update of selection.oobUpdates) {
+    Logger.system.debug("Applying select-oob update to target:", update.target);
+    const afterUpdate = swapLifecycle?.createUpdateCallback();
+    updates.push({ target: update.target, content: update.content, resolvedElement: null, afterUpdate });
+  }
+  return selection.content;
+}
+
 function getTargetSelector(target) {
   return safeString(getObjectField(target, 'selector', '')).trim();
 }
@@ -233,6 +291,49 @@ function resolveSelfTargetElement(target, fallbackElement) {
   return isSelfTarget(target) ? fallbackElement : null;
 }
 
+/**
+ * Returns the caller's targets for fallback swaps, honoring any HTMLeX-Retarget
+ * or HTMLeX-Reswap override recorded from the current response.
+ */
+function getCallerTargets(element) {
+  const responseTargets = getObjectField(element, '_htmlexResponseTargets', null);
+  if (Array.isArray(responseTargets)) return responseTargets;
+  if (!hasElementAttribute(element, 'target')) return [];
+  return parseTargets(getElementAttribute(element, 'target'));
+}
+
+function resolveResponseTargets(element, directives) {
+  const retarget = getObjectField(directives, 'retarget', null);
+  const reswap = getObjectField(directives, 'reswap', null);
+  if (!retarget && !reswap) return null;
+
+  const callerTargets = hasElementAttribute(element, 'target')
+    ? parseTargets(getElementAttribute(element, 'target'))
+    : [];
+  let targets = callerTargets;
+  if (retarget) {
+    const retargetText = safeString(retarget).trim();
+    targets = parseTargets(retargetText);
+    // A bare selector keeps the caller's strategy; only `selector(strategy)` replaces it.
+    if (targets.length === 1 && targets[0].selector === retargetText) {
+      targets = [{ selector: retargetText, strategy: callerTargets[0]?.strategy || 'innerHTML' }];
+    }
+    Logger.system.info(`HTMLeX-Retarget header redirected the swap to "${retargetText}".`);
+  }
+
+  if (reswap) {
+    const strategy = normalizeTargetStrategy(reswap);
+    if (strategy) {
+      targets = targets.map(target => ({ ...target, strategy }));
+      Logger.system.info(`HTMLeX-Reswap header changed the swap strategy to "${strategy}".`);
+    } else {
+      Logger.system.warn(`[HTMLeX] Ignoring unsupported HTMLeX-Reswap strategy "${safeString(reswap)}".`);
+    }
+  }
+
+  return targets;
+}
+
 function appendControlValue(formData, control) {
   const controlName = getObjectField(control, 'name', '');
   if (!controlName || getObjectField(control, 'disabled', false)) return;
@@ -373,6 +474,20 @@ function appendExtras(formData, extrasAttribute) {
   }
 }
 
+function appendSignalPayload(formData, payload) {
+  let entries;
+  try {
+    entries = Object.entries(payload);
+  } catch (error) {
+    Logger.system.warn('[HTMLeX] Failed to read signal payload entries.', error);
+    return;
+  }
+  for (const [key, value] of entries) {
+    Logger.system.debug(`Processing signal payload: ${key} = ${safeString(value)}`);
+    appendFormDataValue(formData, key, safeString(value));
+  }
+}
+
 function serializeFormDataValue(value) {
   const FileConstructor = getGlobalField('File');
   if (isInstanceOf(value, FileConstructor)) {
@@ -475,8 +590,11 @@ function encodeFormDataParams(formData) {
 function resetResponseState(element) {
   element._htmlexFragmentsProcessed = false;
   element._htmlexFallbackUpdated = false;
+  element._htmlexOobProcessed = false;
   element._htmlexDefaultUpdated = false;
   element._htmlexFragmentErrorStatus = null;
+  element._htmlexResponseTargets = null;
+  element._htmlexResponseNavigated = false;
   element._htmlexStreamingActive = false;
   element._htmlexStreaming = false;
 }
@@ -510,13 +628,17 @@ function parseNonNegativeNumber(value, defaultValue = 0) {
   return Number.isFinite(parsed) ? parsed : defaultValue;
 }
 
+const HTMLEX_ACTION_OPTION_KEYS = new Set(['htmlexSequentialEntry', 'htmlexEvent', 'htmlexSignalPayload', 'htmlexSignalRemote']);
+
 function normalizeActionOptions(extraOptions) {
   const htmlexSequentialEntry = getObjectField(extraOptions, 'htmlexSequentialEntry', null);
   const htmlexEvent = getObjectField(extraOptions, 'htmlexEvent', null);
+  const htmlexSignalPayload = getObjectField(extraOptions, 'htmlexSignalPayload', null);
+  const htmlexSignalRemote = getObjectField(extraOptions, 'htmlexSignalRemote', false) === true;
   const fetchOptions = {};
 
   if (!extraOptions || typeof extraOptions !== 'object') {
-    return { htmlexSequentialEntry, htmlexEvent, fetchOptions };
+    return { htmlexSequentialEntry, htmlexEvent, htmlexSignalPayload, htmlexSignalRemote, fetchOptions };
   }
 
   let optionKeys;
@@ -528,7 +650,7 @@ function normalizeActionOptions(extraOptions) {
   }
 
   for (const optionKey of optionKeys) {
-    if (optionKey === 'htmlexSequentialEntry' || optionKey === 'htmlexEvent') continue;
+    if (HTMLEX_ACTION_OPTION_KEYS.has(optionKey)) continue;
     if (RESERVED_FETCH_OPTION_KEYS.has(optionKey)) {
       Logger.system.warn(`[HTMLeX] Ignoring unsafe fetch option key "${optionKey}".`);
       continue;
@@ -536,7 +658,66 @@ function normalizeActionOptions(extraOptions) {
     fetchOptions[optionKey] = getObjectField(extraOptions, optionKey);
   }
 
-  return { htmlexSequentialEntry, htmlexEvent, fetchOptions };
+  return { htmlexSequentialEntry, htmlexEvent, htmlexSignalPayload, htmlexSignalRemote, fetchOptions };
+}
+
+function getCurrentPageUrl() {
+  const location = getObjectField(getGlobalField('window'), 'location', null) ?? getGlobalField('location');
+  return safeString(getObjectField(location, 'href', ''));
+}
+
+// Metadata values are always percent-encoded, so the server can always decode
+// them, even when the raw value contains `%`. The page URL is already a URL and
+// is sent as written; only characters outside printable ASCII are escaped.
+function toHeaderValue(value, { encode = true } = {}) {
+  const text = safeString(value).replace(/[\r\n]+/gu, ' ').trim();
+  if (encode) return text ? encodeQueryComponent(text) : '';
+  return text.replace(/[^\x20-\x7E]+/gu, encodeQueryComponent);
+}
+
+function appendCallerHeaders(headers, callerHeaders) {
+  if (!callerHeaders || typeof callerHeaders !== 'object') return;
+
+  try {
+    const entries = typeof callerHeaders.entries === 'function' && !Array.isArray(callerHeaders)
+      ? callerHeaders.entries()
+      : Array.isArray(callerHeaders) ? callerHeaders : Object.entries(callerHeaders);
+    for (const [name, value] of entries) {
+      const headerName = safeString(name).trim();
+      if (!headerName || RESERVED_FETCH_OPTION_KEYS.has(headerName)) continue;
+      headers[headerName] = safeString(value);
+    }
+  } catch (error) {
+    Logger.system.warn('[HTMLeX] Failed to merge caller-provided request headers.', error);
+  }
+}
+
+/**
+ * Builds the HTMLeX request metadata headers for an action. Caller-provided
+ * headers are merged last so explicit fetch options still win.
+ *
+ * @param {Element} element - The element triggering the action.
+ * @param {Event|null} event - The triggering event, if any.
+ * @param {HeadersInit} [callerHeaders] - Headers passed through the fetch options.
+ * @returns {Record<string, string>} Plain header object for fetch.
+ */
+function buildRequestHeaders(element, event, callerHeaders) {
+  const headers = { [HTMLEX_REQUEST_HEADERS.request]: 'true' };
+  const metadata = [
+    [HTMLEX_REQUEST_HEADERS.trigger, getObjectField(element, 'id', '')],
+    [HTMLEX_REQUEST_HEADERS.triggerName, getElementAttribute(element, 'name') ?? getObjectField(element, 'name', '')],
+    [HTMLEX_REQUEST_HEADERS.target, getElementAttribute(element, 'target')],
+    [HTMLEX_REQUEST_HEADERS.currentUrl, getCurrentPageUrl(), { encode: false }],
+    [HTMLEX_REQUEST_HEADERS.event, getObjectField(event, 'type', '')]
+  ];
+
+  for (const [name, value, options] of metadata) {
+    const headerValue = toHeaderValue(value, options);
+    if (headerValue) headers[name] = headerValue;
+  }
+
+  appendCallerHeaders(headers, callerHeaders);
+  return headers;
 }
 
 function appendChunkWithLimit(chunks, currentLength, chunk, limitChars) {
@@ -549,12 +730,12 @@ function appendChunkWithLimit(chunks, currentLength, chunk, limitChars) {
   return nextLength;
 }
 
-function appendBufferWithLimit(buffer, chunk, limitChars) {
-  if (buffer.length + chunk.length > limitChars) {
+function writeFragmentStreamWithLimit(fragmentStream, chunk, limitChars) {
+  if (fragmentStream.bufferedLength + chunk.length > limitChars) {
     throw new ResponseBufferLimitError(limitChars);
   }
 
-  return buffer + chunk;
+  fragmentStream.write(chunk);
 }
 
 function createSwapLifecycle(element, afterSwapComplete = null, event = null) {
@@ -603,13 +784,16 @@ function replayResponseText(element, responseText, sequentialEntry = null, after
   const swapLifecycle = createSwapLifecycle(element, afterSwapComplete, event);
   const remainingContent = processFragmentBuffer(responseText, element, sequentialEntry, swapLifecycle);
 
-  if (!element._htmlexFragmentsProcessed && safeString(remainingContent).trim() !== '' && hasElementAttribute(element, 'target')) {
-    const targets = parseTargets(getElementAttribute(element, 'target'));
-    for (const target of targets) {
+  const callerTargets = getCallerTargets(element);
+  if (!element._htmlexFragmentsProcessed && safeString(remainingContent).trim() !== '' && callerTargets.length > 0) {
+    const updates = [];
+    const selectedContent = applyResponseSelection(element, remainingContent, swapLifecycle, updates);
+    for (const target of callerTargets) {
       const resolvedElement = resolveTargetElement(target, element);
-      const afterSwap = swapLifecycle?.createUpdateCallback();
-      scheduleTargetUpdate(element, target, remainingContent, sequentialEntry, resolvedElement, afterSwap, requestId);
+      const afterUpdate = swapLifecycle?.createUpdateCallback();
+      updates.push({ target, content: selectedContent, resolvedElement, afterUpdate });
     }
+    scheduleTargetUpdates(element, updates, sequentialEntry, requestId);
     element._htmlexFallbackUpdated = true;
   }
 
@@ -617,8 +801,79 @@ function replayResponseText(element, responseText, sequentialEntry = null, after
   return responseText;
 }
 
-function emitSignalWithDelay(element, signalName, delay, context) {
+// Strategies whose second swap replaces the first; appending a revalidated
+// response would leave the stale copy in place.
+const REVALIDATABLE_STRATEGIES = new Set(['innerHTML', 'outerHTML', 'morph', 'textContent', 'replaceChildren']);
+
+function hasRevalidatableTargets(targets) {
+  return targets.every(target => REVALIDATABLE_STRATEGIES.has(getObjectField(target, 'strategy', '')));
+}
+
+function isStaleWhileRevalidate(element) {
+  if (safeString(getElementAttribute(element, 'cache-mode')).trim().toLowerCase() !== 'swr') return false;
+  if (hasElementAttribute(element, 'target') && !hasRevalidatableTargets(parseTargets(getElementAttribute(element, 'target')))) {
+    Logger.system.warn('[HTMLeX] cache-mode="swr" needs innerHTML, outerHTML, morph, textContent, or replaceChildren targets; using the plain cache.');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Refetches a response that was just replayed from the cache, stores the
+ * result, and swaps it in only when it differs from the cached text and no
+ * newer request has started for the element.
+ * @private
+ */
+async function revalidateCachedResponse(element, url, requestOptions, cacheKey, cachedText, event, requestId) {
+  const timeoutMs = parseNonNegativeInteger(getElementAttribute(element, 'timeout'), 0);
+  let response;
+  let responseText;
+  try {
+    response = await fetchWithTimeout(url, requestOptions, timeoutMs);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+    responseText = await response.text();
+  } catch (error) {
+    Logger.system.warn(`Background revalidation failed for ${safeString(url)}; keeping the cached response.`, error);
+    return;
+  }
+
+  if (hasResponseDirectives(readResponseDirectives(response))) {
+    Logger.system.debug('Skipping revalidated response with server-directed headers.');
+    return;
+  }
+  setCache(cacheKey, responseText, parseNonNegativeInteger(getElementAttribute(element, 'cache'), Number.NaN));
+  if (responseText === cachedText) {
+    Logger.system.debug(`Revalidated response for ${safeString(url)} is unchanged.`);
+    return;
+  }
+  if (element._htmlexRequestId !== requestId || !isElementConnected(element)) {
+    Logger.system.debug(`Discarding revalidated response for ${safeString(url)} superseded by a newer request.`);
+    return;
+  }
+  const fragmentTargets = parseFragments(responseText).flatMap(fragment => fragment.strategies);
+  if (!hasRevalidatableTargets(fragmentTargets)) {
+    Logger.system.warn(`[HTMLeX] Not swapping revalidated response for ${safeString(url)}: its fragments use non-replacing strategies.`);
+    return;
+  }
+
+  Logger.system.info(`Swapping in revalidated response for: ${safeString(url)}`);
+  runHook(element, 'onbeforeSwap', event);
+  replayResponseText(element, responseText, null, null, event, requestId);
+}
+
+/**
+ * Signals emitted by an action that only signals from other tabs triggered are
+ * delivered in this tab but not broadcast, so tabs cannot relay them forever.
+ */
+function getSignalEmitOptions(element) {
+  return { broadcast: getObjectField(element, '_htmlexSignalRemote', false) !== true };
+}
+
+function emitSignalWithDelay(element, signalName, delay, context, payload) {
   if (!signalName) return;
+  const signalOptions = getSignalEmitOptions(element);
   if (delay > 0) {
     element._htmlexDelayedSignalTimers ||= new Set();
     const registrationToken = element._htmlexRegistrationToken;
@@ -627,7 +882,7 @@ function emitSignalWithDelay(element, signalName, delay, context) {
       if (!isElementConnected(element)) return;
       if (registrationToken && element._htmlexRegistrationToken !== registrationToken) return;
       Logger.system.info(`Emitting signal "${safeString(signalName)}" after ${delay}ms delay (${safeString(context)}).`);
-      emitSignal(signalName);
+      emitSignal(signalName, payload, signalOptions);
     }, delay, `delayed signal "${safeString(signalName)}"`);
     if (timerId === null) return;
     element._htmlexDelayedSignalTimers.add(timerId);
@@ -635,9 +890,14 @@ function emitSignalWithDelay(element, signalName, delay, context) {
   }
 
   Logger.system.info(`Emitting signal "${safeString(signalName)}" immediately (${safeString(context)}).`);
-  emitSignal(signalName);
+  emitSignal(signalName, payload, signalOptions);
 }
 
+/**
+ * Emits the signal named by the `Emit` response header. `delay=<ms>` delays
+ * it; every other `name=value` parameter becomes the signal payload, with
+ * percent-encoded values decoded.
+ */
 function emitHeaderSignal(element, response) {
   if (!response?.headers) return;
 
@@ -651,26 +911,30 @@ function emitHeaderSignal(element, response) {
   if (!headerValue) return;
 
   Logger.system.info(`Received Emit header: ${safeString(headerValue)}`);
-  const headerParts = safeString(headerValue).split(';').map(part => part.trim()).filter(Boolean);
-  const signalName = headerParts[0] || '';
+  const headerText = safeString(headerValue);
+  const nameEnd = headerText.indexOf(';');
+  const signalName = (nameEnd >= 0 ? headerText.slice(0, nameEnd) : headerText).trim();
   let delayMs = 0;
+  const payload = {};
 
-  for (const param of headerParts.slice(1)) {
-    const [name, value] = param.split('=');
-    if (name.trim().toLowerCase() === 'delay') {
+  for (const { key, value } of parseKeyValuePairs(nameEnd >= 0 ? headerText.slice(nameEnd + 1) : '', ';')) {
+    if (key.toLowerCase() === 'delay') {
       delayMs = parseNonNegativeInteger(value, 0);
+    } else {
+      payload[key] = value;
     }
   }
 
-  emitSignalWithDelay(element, signalName, delayMs, 'Emit header');
+  emitSignalWithDelay(element, signalName, delayMs, 'Emit header', payload);
 }
 
 function emitPublishSignal(element) {
   if (!hasElementAttribute(element, 'publish')) return;
 
   const publishSignal = getElementAttribute(element, 'publish');
+  const publishExtras = getElementAttribute(element, 'publish-extras');
   Logger.system.info(`Emitting signal "${safeString(publishSignal)}" after successful API call.`);
-  emitSignal(publishSignal);
+  emitSignal(publishSignal, publishExtras, getSignalEmitOptions(element));
 
   if (!hasElementAttribute(element, 'timer')) return;
 
@@ -681,11 +945,19 @@ function emitPublishSignal(element) {
     return;
   }
 
-  emitSignalWithDelay(element, publishSignal, delay, 'publish timer');
+  emitSignalWithDelay(element, publishSignal, delay, 'publish timer', publishExtras);
+}
+
+function applyHistoryHeaders(response) {
+  if (!response) return;
+  const { pushUrl, replaceUrl } = readResponseDirectives(response);
+  if (pushUrl) updateHistoryUrl(pushUrl, 'push');
+  if (replaceUrl) updateHistoryUrl(replaceUrl, 'replace');
 }
 
 function runSuccessSideEffects(element, response = null) {
   handleURLState(element);
+  applyHistoryHeaders(response);
   emitHeaderSignal(element, response);
   emitPublishSignal(element);
 }
@@ -790,6 +1062,82 @@ function getRetryDelayForAttempt(element, failedAttemptIndex) {
   return Math.min(scaledDelay, maxDelayMs);
 }
 
+async function cancelResponseBody(response) {
+  try {
+    await response?.body?.cancel?.();
+  } catch (error) {
+    Logger.system.debug('Unable to cancel response body after a navigation header:', error);
+  }
+}
+
+function createLocationElement(target, depth) {
+  const attributes = new Map([['target', target]]);
+  return {
+    _htmlexLocationDepth: depth,
+    hasAttribute: name => attributes.has(name),
+    getAttribute: name => attributes.get(name) ?? null
+  };
+}
+
+/**
+ * Loads an HTMLeX-Location header URL through HTMLeX, swapping the response into the
+ * directive's target and recording the URL in history once it succeeds.
+ */
+async function navigateToLocation(element, directive) {
+  const depth = parseNonNegativeInteger(getObjectField(element, '_htmlexLocationDepth', 0), 0) + 1;
+  if (depth > MAX_LOCATION_REDIRECTS) {
+    Logger.system.warn(`[HTMLeX] Ignoring HTMLeX-Location header after ${MAX_LOCATION_REDIRECTS} chained navigations.`);
+    return;
+  }
+
+  const locationElement = createLocationElement(directive.target, depth);
+  const locationEvent = { type: 'location' };
+  Logger.system.info(`HTMLeX-Location header navigating to ${directive.url} into "${directive.target}".`);
+  try {
+    const response = await fetchWithTimeout(directive.url, {
+      method: 'GET',
+      headers: buildRequestHeaders(locationElement, locationEvent)
+    }, 0);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+    await processResponse(response, locationElement, null, null, locationEvent);
+  } catch (error) {
+    Logger.system.warn(`[HTMLeX] Location navigation to ${directive.url} failed: ${getErrorMessage(error)}`);
+    return;
+  }
+
+  if (getFragmentErrorStatus(locationElement) !== null || locationElement._htmlexResponseNavigated) return;
+  if (directive.history !== 'none') {
+    updateHistoryUrl(directive.url, directive.history);
+  }
+}
+
+/**
+ * Applies HTMLeX-Redirect, HTMLeX-Refresh, and HTMLeX-Location headers. Returns true when one of
+ * them took over, in which case the response body is not swapped.
+ */
+async function applyNavigationDirectives(element, directives) {
+  if (directives.redirect) {
+    const url = resolveNavigationUrl(directives.redirect);
+    if (url && redirectTo(url)) return true;
+  }
+
+  if (isRefreshRequested(directives.refresh) && refreshPage()) {
+    return true;
+  }
+
+  if (directives.location) {
+    const locationDirective = parseLocationDirective(directives.location);
+    if (locationDirective) {
+      await navigateToLocation(element, locationDirective);
+      return true;
+    }
+  }
+
+  return false;
+}
+
 /**
  * Processes a streaming API response.
  * Reads chunks as they arrive from an open connection, accumulating a buffer.
@@ -808,6 +1156,15 @@ export async function processResponse(response, triggeringElement, sequentialEnt
 
   let chunkCount = 0;
   resetResponseState(triggeringElement);
+  const directives = readResponseDirectives(response);
+  triggeringElement._htmlexResponseTargets = resolveResponseTargets(triggeringElement, directives);
+
+  if (await applyNavigationDirectives(triggeringElement, directives)) {
+    triggeringElement._htmlexResponseNavigated = true;
+    await cancelResponseBody(response);
+    return '';
+  }
+
   triggeringElement._htmlexStreamingActive = true;
 
   if (!response.body) {
@@ -818,13 +1175,13 @@ export async function processResponse(response, triggeringElement, sequentialEnt
 
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
-  let fragmentBuffer = '';
   const responseTextChunks = [];
   let responseTextLength = 0;
   let retainResponseText = true;
   const shouldCacheResponse = hasElementAttribute(triggeringElement, 'cache');
   const responseBufferLimit = getResponseBufferLimit(triggeringElement);
   const swapLifecycle = createSwapLifecycle(triggeringElement, afterSwapComplete, event);
+  const fragmentStream = createFragmentStream(triggeringElement, sequentialEntry, swapLifecycle);
   const releaseResponseTextIfFragmentOnly = () => {
     if (shouldCacheResponse || !triggeringElement._htmlexFragmentsProcessed) return;
     responseTextChunks.length = 0;
@@ -847,14 +1204,9 @@ export async function processResponse(response, triggeringElement, sequentialEnt
       if (retainResponseText) {
         responseTextLength = appendChunkWithLimit(responseTextChunks, responseTextLength, chunk, responseBufferLimit);
       }
-      fragmentBuffer = processFragmentBuffer(
-        appendBufferWithLimit(fragmentBuffer, chunk, responseBufferLimit),
-        triggeringElement,
-        sequentialEntry,
-        swapLifecycle
-      );
+      writeFragmentStreamWithLimit(fragmentStream, chunk, responseBufferLimit);
       releaseResponseTextIfFragmentOnly();
-      Logger.system.debug(`Processed chunk #${chunkCount}. Remaining buffer length:`, fragmentBuffer.length);
+      Logger.system.debug(`Processed chunk #${chunkCount}. Remaining buffer length:`, fragmentStream.bufferedLength);
     }
 
     const finalChunk = decoder.decode();
@@ -862,19 +1214,17 @@ export async function processResponse(response, triggeringElement, sequentialEnt
       if (retainResponseText) {
         responseTextLength = appendChunkWithLimit(responseTextChunks, responseTextLength, finalChunk, responseBufferLimit);
       }
-      fragmentBuffer = processFragmentBuffer(
-        appendBufferWithLimit(fragmentBuffer, finalChunk, responseBufferLimit),
-        triggeringElement,
-        sequentialEntry,
-        swapLifecycle
-      );
+      writeFragmentStreamWithLimit(fragmentStream, finalChunk, responseBufferLimit);
       releaseResponseTextIfFragmentOnly();
     }
+    const fragmentBuffer = fragmentStream.end();
 
-    if (!triggeringElement._htmlexFragmentsProcessed && safeString(fragmentBuffer).trim() !== '' && hasElementAttribute(triggeringElement, 'target')) {
+    const callerTargets = getCallerTargets(triggeringElement);
+    if (!triggeringElement._htmlexFragmentsProcessed && safeString(fragmentBuffer).trim() !== '' && callerTargets.length > 0) {
       Logger.system.debug("No fragments processed; performing fallback update with leftover text.");
-      const targets = parseTargets(getElementAttribute(triggeringElement, 'target'));
-      for (const target of targets) {
+      const updates = [];
+      const selectedContent = applyResponseSelection(triggeringElement, fragmentBuffer, swapLifecycle, updates);
+      for (const target of callerTargets) {
         const resolvedElement = resolveTargetElement(target, triggeringElement);
 
         if (resolvedElement === triggeringElement && !isSelfTarget(target)) {
@@ -882,9 +1232,10 @@ export async function processResponse(response, triggeringElement, sequentialEnt
         }
 
         Logger.system.debug("Applying fallback update to target:", target, "resolved as:", resolvedElement);
-        const afterSwap = swapLifecycle?.createUpdateCallback();
-        scheduleTargetUpdate(triggeringElement, target, fragmentBuffer, sequentialEntry, resolvedElement, afterSwap, requestId);
+        const afterUpdate = swapLifecycle?.createUpdateCallback();
+        updates.push({ target, content: selectedContent, resolvedElement, afterUpdate });
       }
+      scheduleTargetUpdates(triggeringElement, updates, sequentialEntry, requestId);
       triggeringElement._htmlexFallbackUpdated = true;
     }
 
@@ -915,16 +1266,18 @@ export async function processResponse(response, triggeringElement, sequentialEnt
  */
 export async function handleAction(element, method, endpoint, extraOptions = {}) {
   Logger.system.debug("handleAction invoked for element:", element);
-  const { htmlexSequentialEntry, htmlexEvent, fetchOptions } = normalizeActionOptions(extraOptions);
+  const { htmlexSequentialEntry, htmlexEvent, htmlexSignalPayload, htmlexSignalRemote, fetchOptions } = normalizeActionOptions(extraOptions);
   const requestMethod = safeString(method).trim().toUpperCase();
   const requestEndpoint = safeString(endpoint).trim();
   element._htmlexOnAfterDeferred = false;
   const requestId = (element._htmlexRequestId || 0) + 1;
   element._htmlexRequestId = requestId;
   element._htmlexRequestPending = true;
+  element._htmlexSignalRemote = htmlexSignalRemote;
   const completeCurrentRequest = () => {
     if (element._htmlexRequestId === requestId) {
       element._htmlexRequestPending = false;
+      setRequestClass(element, false);
     }
   };
   let afterHookRan = false;
@@ -942,6 +1295,8 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
     return;
   }
 
+  setRequestClass(element, true);
+
   // Lifecycle hook: onbefore (before API call starts)
   runHook(element, 'onbefore', htmlexEvent);
 
@@ -961,6 +1316,11 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
     appendExtras(formData, getElementAttribute(element, 'extras'));
   }
 
+  // A subscribed signal's payload is merged the same way as extras.
+  if (htmlexSignalPayload) {
+    appendSignalPayload(formData, htmlexSignalPayload);
+  }
+
   // If a loading state is desired, update the loading target immediately.
   if (hasElementAttribute(element, 'loading')) {
     const loadingTargets = parseTargets(getElementAttribute(element, 'loading'));
@@ -976,7 +1336,11 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
   }
 
   // Merge caller-provided fetch options into our request options.
-  const requestOptions = { ...fetchOptions, method: requestMethod };
+  const requestOptions = {
+    ...fetchOptions,
+    method: requestMethod,
+    headers: buildRequestHeaders(element, htmlexEvent, fetchOptions.headers)
+  };
   let url = requestEndpoint;
   if (requestMethod === 'GET') {
     const params = encodeFormDataParams(formData);
@@ -991,19 +1355,31 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
   const cacheKey = buildCacheKey(requestMethod, url, formData);
   const hasCacheAttribute = hasElementAttribute(element, 'cache');
   const canUseCache = hasCacheAttribute && !formDataHasBinaryValue(formData);
+  const staleWhileRevalidate = isStaleWhileRevalidate(element);
 
   // Caching support.
   if (canUseCache) {
-    const cached = getCache(cacheKey);
+    const cacheReadOptions = { stale: staleWhileRevalidate };
+    // Memory hits replay synchronously; only the persistent store is awaited.
+    let cached = getCacheEntry(cacheKey, cacheReadOptions);
+    if (cached === null && hasPersistentCache()) {
+      cached = await readCache(cacheKey, cacheReadOptions);
+    }
     if (cached !== null) {
-      Logger.system.info(`Using cached response for: ${safeString(url)}`);
+      Logger.system.info(`Using ${cached.stale ? 'stale ' : ''}cached response for: ${safeString(url)}`);
       runHook(element, 'onbeforeSwap', htmlexEvent);
-      replayResponseText(element, cached, htmlexSequentialEntry, runAfterHook, htmlexEvent, requestId);
+      replayResponseText(element, cached.response, htmlexSequentialEntry, runAfterHook, htmlexEvent, requestId);
       completeCurrentRequest();
       runSuccessSideEffects(element);
       if (!element._htmlexOnAfterDeferred) {
         runAfterHook();
       }
+      if (staleWhileRevalidate) {
+        revalidateCachedResponse(element, url, requestOptions, cacheKey, cached.response, htmlexEvent, requestId)
+          .catch(error => {
+            Logger.system.error(`Background revalidation failed for ${safeString(url)}.`, error);
+          });
+      }
       return;
     }
   } else if (hasCacheAttribute) {
@@ -1042,20 +1418,12 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
       if (attempt === retryCount) {
         completeCurrentRequest();
         if (hasElementAttribute(element, 'onerror')) {
-          const errorTargets = parseTargets(getElementAttribute(element, 'onerror'));
-          for (const target of errorTargets) {
-            const resolvedElement = resolveSelfTargetElement(target, element);
+          const content = `<div class="error">Error: ${escapeHtml(errorMessage)}</div>`;
+          const updates = parseTargets(getElementAttribute(element, 'onerror')).map((target) => {
             Logger.system.debug("Updating error target after failure:", target);
-            scheduleTargetUpdate(
-              element,
-              target,
-              `<div class="error">Error: ${escapeHtml(errorMessage)}</div>`,
-              htmlexSequentialEntry,
-              resolvedElement,
-              null,
-              requestId
-            );
-          }
+            return { target, content, resolvedElement: resolveSelfTargetElement(target, element), afterUpdate: null };
+          });
+          scheduleTargetUpdates(element, updates, htmlexSequentialEntry, requestId);
         }
         return;
       }
@@ -1076,11 +1444,19 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
     }
   }
 
+  // A navigation header took over the page; the request has no other effects.
+  if (element._htmlexResponseNavigated) {
+    Logger.system.debug('Response navigated away; skipping swaps and success side effects.');
+    return;
+  }
+
   // Fallback update if streaming wasn't used.
-  if (hasElementAttribute(element, 'target') && !element._htmlexFragmentsProcessed && !element._htmlexFallbackUpdated && responseText) {
+  const fallbackTargets = getCallerTargets(element);
+  if (fallbackTargets.length > 0 && !element._htmlexFragmentsProcessed && !element._htmlexFallbackUpdated && !element._htmlexOobProcessed && responseText) {
     const swapLifecycle = createSwapLifecycle(element, runAfterHook, htmlexEvent);
-    const targets = parseTargets(getElementAttribute(element, 'target'));
-    for (const target of targets) {
+    const updates = [];
+    const selectedContent = applyResponseSelection(element, responseText, swapLifecycle, updates);
+    for (const target of fallbackTargets) {
       const resolvedElement = resolveTargetElement(target, element);
       if (isSelfTarget(target)) {
         Logger.system.debug("Fallback: target selector is 'this'; using triggering element.");
@@ -1088,9 +1464,10 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
         Logger.system.debug(`No element found for selector "${getTargetSelector(target)}". Falling back to triggering element.`);
       }
       Logger.system.debug("Fallback updating target:", target, "resolved as:", resolvedElement);
-      const afterSwap = swapLifecycle?.createUpdateCallback();
-      scheduleTargetUpdate(element, target, responseText, htmlexSequentialEntry, resolvedElement, afterSwap, requestId);
+      const afterUpdate = swapLifecycle?.createUpdateCallback();
+      updates.push({ target, content: selectedContent, resolvedElement, afterUpdate });
     }
+    scheduleTargetUpdates(element, updates, htmlexSequentialEntry, requestId);
     swapLifecycle?.finishScheduling();
   }
 
@@ -1102,7 +1479,9 @@ export async function handleAction(element, method, endpoint, extraOptions = {})
 
   runSuccessSideEffects(element, response);
 
-  if (canUseCache) {
+  if (canUseCache && hasResponseDirectives(readResponseDirectives(response))) {
+    Logger.system.debug('Skipping cache for response with server-directed headers.');
+  } else if (canUseCache) {
     const cacheTtl = parseNonNegativeInteger(getElementAttribute(element, 'cache'), Number.NaN);
     setCache(cacheKey, responseText, cacheTtl);
     Logger.system.debug("Response cached with TTL:", cacheTtl);
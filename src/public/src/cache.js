@@ -1,18 +1,32 @@
 // src/cache.js
 /**
  * @module Cache
- * @description Provides caching functionality for API responses.
+ * @description Provides caching functionality for API responses. Responses
+ * live in an in-memory LRU cache with entry and byte budgets, optionally
+ * written through to a persistent store (`sessionStorage`, IndexedDB, or a
+ * custom backend) so they survive reloads.
  *
  * @typedef {Object} CacheEntry
  * @property {string} response - The cached response.
  * @property {number} expireAt - The expiration time in milliseconds.
+ *
+ * @typedef {Object} CacheStore
+ * @property {function(string): (CacheEntry|null|Promise<CacheEntry|null>)} get - Reads an entry.
+ * @property {function(string, CacheEntry): (void|Promise<void>)} set - Stores an entry.
+ * @property {function(string): (void|Promise<void>)} delete - Removes an entry.
+ * @property {function(): (void|Promise<void>)} clear - Removes every entry.
  */
 
 import { Logger } from './logger.js';
 
-/** @type {Map<string, CacheEntry>} */
-const cacheStore = new Map();
-const MAX_CACHE_ENTRIES = 100;
+export const DEFAULT_CACHE_MAX_ENTRIES = 100;
+export const DEFAULT_CACHE_MAX_BYTES = 5 * 1024 * 1024;
+const SESSION_CACHE_PREFIX = 'htmlex:cache:';
+const SESSION_INDEX_SUFFIX = '#index';
+const INDEXEDDB_DATABASE_NAME = 'htmlex-cache';
+const INDEXEDDB_STORE_NAME = 'responses';
+
+let textEncoder = null;
 
 function getCurrentTimeMs() {
   try {
@@ -24,58 +38,514 @@ function getCurrentTimeMs() {
   }
 }
 
-function pruneCache() {
-  const now = getCurrentTimeMs();
-  for (const [key, { expireAt }] of cacheStore) {
-    if (Number.isFinite(expireAt) && now >= expireAt) {
-      cacheStore.delete(key);
+function getOption(options, optionName) {
+  try {
+    return options?.[optionName];
+  } catch (error) {
+    Logger.system.warn(`[CACHE] Failed to read cache option "${optionName}".`, error);
+    return undefined;
+  }
+}
+
+function readBudget(options, optionName, fallback) {
+  const value = Number(getOption(options, optionName));
+  if (value === Infinity) return value;
+  return Number.isSafeInteger(value) && value > 0 ? value : fallback;
+}
+
+function readBudgets(options) {
+  return {
+    maxEntries: readBudget(options, 'maxEntries', DEFAULT_CACHE_MAX_ENTRIES),
+    maxBytes: readBudget(options, 'maxBytes', DEFAULT_CACHE_MAX_BYTES)
+  };
+}
+
+// Sizes count the key and the response as UTF-8, or as UTF-16 code units
+// where TextEncoder is unavailable.
+function measureEntryBytes(key, response) {
+  const text = `${key}${response}`;
+  try {
+    textEncoder ||= new TextEncoder();
+    return textEncoder.encode(text).byteLength;
+  } catch {
+    return text.length;
+  }
+}
+
+function isEntryFresh(entry) {
+  return getCurrentTimeMs() < entry.expireAt;
+}
+
+function normalizeCacheEntry(value) {
+  if (!value || typeof value !== 'object') return null;
+  try {
+    const { response, expireAt } = value;
+    if (typeof response !== 'string') return null;
+    const expireAtMs = Number(expireAt ?? Infinity);
+    return { response, expireAt: Number.isNaN(expireAtMs) ? Infinity : expireAtMs };
+  } catch (error) {
+    Logger.system.warn('[CACHE] Ignoring unreadable cache entry.', error);
+    return null;
+  }
+}
+
+function observeStoreResult(result, operation, key) {
+  let thenMethod;
+  try {
+    thenMethod = result?.then;
+  } catch (error) {
+    Logger.system.warn(`[CACHE] Failed to read the ${operation} result for key "${key}".`, error);
+    return;
+  }
+  if (typeof thenMethod !== 'function') return;
+
+  try {
+    thenMethod.call(result, undefined, error => {
+      Logger.system.warn(`[CACHE] Cache store ${operation} failed for key "${key}".`, error);
+    });
+  } catch (error) {
+    Logger.system.warn(`[CACHE] Failed to observe the ${operation} result for key "${key}".`, error);
+  }
+}
+
+/**
+ * Tracks keys in least- to most-recently-used order against the entry and
+ * byte budgets. `add()` returns the keys evicted to stay within budget; an
+ * entry larger than the whole byte budget evicts itself.
+ */
+function createLruIndex({ maxEntries, maxBytes }) {
+  /** @type {Map<string, number>} */
+  const sizes = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const size = sizes.get(key);
+    if (size === undefined) return false;
+    sizes.delete(key);
+    totalBytes -= size;
+    return true;
+  };
+
+  return {
+    remove,
+    has: key => sizes.has(key),
+    entries: () => [...sizes],
+    touch(key) {
+      const size = sizes.get(key);
+      if (size === undefined) return;
+      sizes.delete(key);
+      sizes.set(key, size);
+    },
+    add(key, size) {
+      remove(key);
+      sizes.set(key, size);
+      totalBytes += size;
+      const evicted = [];
+      while (sizes.size > maxEntries || totalBytes > maxBytes) {
+        const oldestKey = sizes.keys().next().value;
+        remove(oldestKey);
+        evicted.push(oldestKey);
+      }
+      return evicted;
+    },
+    clear() {
+      sizes.clear();
+      totalBytes = 0;
     }
+  };
+}
+
+/**
+ * Creates an in-memory LRU cache store.
+ * @param {Object} [options] - Store options.
+ * @param {number} [options.maxEntries=100] - Maximum number of entries.
+ * @param {number} [options.maxBytes=5242880] - Maximum total size of keys and responses in bytes.
+ * @returns {CacheStore} The store.
+ */
+export function createMemoryCacheStore(options = {}) {
+  /** @type {Map<string, CacheEntry>} */
+  const entries = new Map();
+  const index = createLruIndex(readBudgets(options));
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      index.touch(key);
+      return entry;
+    },
+    set(key, entry) {
+      const evicted = index.add(key, measureEntryBytes(key, entry.response));
+      entries.set(key, entry);
+      for (const evictedKey of evicted) {
+        entries.delete(evictedKey);
+      }
+    },
+    delete(key) {
+      index.remove(key);
+      entries.delete(key);
+    },
+    clear() {
+      index.clear();
+      entries.clear();
+    }
+  };
+}
+
+// Browsers report a full quota as a DOMException named QuotaExceededError,
+// or with the legacy codes 22 (most engines) and 1014 (older Firefox).
+function isQuotaExceededError(error) {
+  try {
+    return error?.name === 'QuotaExceededError' ||
+      error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error?.code === 22 ||
+      error?.code === 1014;
+  } catch {
+    return false;
   }
+}
 
-  while (cacheStore.size > MAX_CACHE_ENTRIES) {
-    const oldestKey = cacheStore.keys().next().value;
-    cacheStore.delete(oldestKey);
+function getRuntimeSessionStorage() {
+  try {
+    return globalThis.window?.sessionStorage ?? globalThis.sessionStorage ?? null;
+  } catch (error) {
+    Logger.system.warn('[CACHE] sessionStorage is unavailable.', error);
+    return null;
   }
 }
 
 /**
- * Caches a response.
+ * Creates a cache store that keeps entries in `sessionStorage`, so cached
+ * responses survive reloads of the tab. The LRU order is saved alongside the
+ * entries, and the oldest entries are evicted when the storage quota is full.
+ * @param {Object} [options] - Store options, including `maxEntries` and `maxBytes`.
+ * @param {Storage} [options.storage] - The storage to use; defaults to `window.sessionStorage`.
+ * @param {string} [options.prefix='htmlex:cache:'] - Prefix for the storage keys.
+ * @returns {CacheStore|null} The store, or null when no storage is available.
+ */
+export function createSessionStorageCacheStore(options = {}) {
+  const storage = getOption(options, 'storage') ?? getRuntimeSessionStorage();
+  if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function') {
+    Logger.system.warn('[CACHE] sessionStorage cache store is unavailable.');
+    return null;
+  }
+  const prefix = String(getOption(options, 'prefix') ?? SESSION_CACHE_PREFIX);
+  const indexKey = `${prefix}${SESSION_INDEX_SUFFIX}`;
+  const index = createLruIndex(readBudgets(options));
+
+  const removeItem = (key) => {
+    try {
+      storage.removeItem(`${prefix}${key}`);
+    } catch (error) {
+      Logger.system.warn(`[CACHE] Failed to remove sessionStorage cache entry "${key}".`, error);
+    }
+  };
+  const saveIndex = () => {
+    try {
+      storage.setItem(indexKey, JSON.stringify(index.entries()));
+    } catch (error) {
+      Logger.system.warn('[CACHE] Failed to save the sessionStorage cache index.', error);
+    }
+  };
+
+  try {
+    const savedIndex = JSON.parse(storage.getItem(indexKey) ?? '[]');
+    for (const [key, size] of Array.isArray(savedIndex) ? savedIndex : []) {
+      if (typeof key === 'string' && Number.isFinite(size)) {
+        for (const evictedKey of index.add(key, size)) removeItem(evictedKey);
+      }
+    }
+  } catch (error) {
+    Logger.system.warn('[CACHE] Ignoring unreadable sessionStorage cache index.', error);
+  }
+
+  return {
+    get(key) {
+      let entry = null;
+      try {
+        const serialized = storage.getItem(`${prefix}${key}`);
+        entry = serialized === null ? null : normalizeCacheEntry(JSON.parse(serialized));
+      } catch (error) {
+        Logger.system.warn(`[CACHE] Ignoring unreadable sessionStorage cache entry "${key}".`, error);
+      }
+      if (entry) {
+        index.touch(key);
+      } else if (index.remove(key)) {
+        removeItem(key);
+      } else {
+        return null;
+      }
+      saveIndex();
+      return entry;
+    },
+    set(key, entry) {
+      const serialized = JSON.stringify({
+        response: entry.response,
+        expireAt: Number.isFinite(entry.expireAt) ? entry.expireAt : null
+      });
+      const evicted = index.add(key, measureEntryBytes(key, entry.response));
+      for (const evictedKey of evicted) removeItem(evictedKey);
+      while (index.has(key)) {
+        try {
+          storage.setItem(`${prefix}${key}`, serialized);
+          break;
+        } catch (error) {
+          if (!isQuotaExceededError(error)) {
+            Logger.system.warn(`[CACHE] Failed to write sessionStorage cache entry "${key}".`, error);
+            index.remove(key);
+            removeItem(key);
+            break;
+          }
+          // The quota is full: evict the least recently used entry and retry.
+          const [oldestKey] = index.entries()[0];
+          Logger.system.warn(`[CACHE] sessionStorage is full; evicting "${oldestKey}".`, error);
+          index.remove(oldestKey);
+          removeItem(oldestKey);
+        }
+      }
+      saveIndex();
+    },
+    delete(key) {
+      index.remove(key);
+      removeItem(key);
+      saveIndex();
+    },
+    clear() {
+      for (const [key] of index.entries()) removeItem(key);
+      index.clear();
+      saveIndex();
+    }
+  };
+}
+
+function runStoreTransaction(database, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(INDEXEDDB_STORE_NAME, mode);
+    const request = operation(transaction.objectStore(INDEXEDDB_STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error ?? request?.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB cache transaction aborted.'));
+  });
+}
+
+/**
+ * Creates a cache store backed by IndexedDB, for larger responses that should
+ * survive reloads and browser restarts. The LRU order is rebuilt from each
+ * entry's last use when the database opens.
+ * @param {Object} [options] - Store options, including `maxEntries` and `maxBytes`.
+ * @param {IDBFactory} [options.indexedDB] - The IndexedDB factory; defaults to the global one.
+ * @param {string} [options.name='htmlex-cache'] - The database name.
+ * @returns {CacheStore|null} The store, or null when IndexedDB is unavailable.
+ */
+export function createIndexedDBCacheStore(options = {}) {
+  const factory = getOption(options, 'indexedDB') ?? globalThis.indexedDB;
+  if (!factory || typeof factory.open !== 'function') {
+    Logger.system.warn('[CACHE] IndexedDB cache store is unavailable.');
+    return null;
+  }
+  const databaseName = String(getOption(options, 'name') ?? INDEXEDDB_DATABASE_NAME);
+  const index = createLruIndex(readBudgets(options));
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    databasePromise ||= new Promise((resolve, reject) => {
+      const request = factory.open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(INDEXEDDB_STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async (database) => {
+      const records = await runStoreTransaction(database, 'readonly', store => store.getAll());
+      const evicted = [];
+      const validRecords = (records ?? []).filter(record => typeof record?.key === 'string' && Number.isFinite(record.size));
+      for (const record of validRecords.sort((a, b) => (a.usedAt || 0) - (b.usedAt || 0))) {
+        evicted.push(...index.add(record.key, record.size));
+      }
+      if (evicted.length) {
+        await runStoreTransaction(database, 'readwrite', (store) => {
+          for (const key of evicted) store.delete(key);
+        });
+      }
+      return database;
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+    return databasePromise;
+  };
+
+  return {
+    async get(key) {
+      const database = await openDatabase();
+      const record = await runStoreTransaction(database, 'readwrite', (store) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (request.result) store.put({ ...request.result, usedAt: getCurrentTimeMs() });
+        };
+        return request;
+      });
+      const entry = normalizeCacheEntry(record);
+      if (entry) {
+        index.touch(key);
+      } else {
+        index.remove(key);
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      const database = await openDatabase();
+      const size = measureEntryBytes(key, entry.response);
+      const evicted = index.add(key, size);
+      await runStoreTransaction(database, 'readwrite', (store) => {
+        for (const evictedKey of evicted) store.delete(evictedKey);
+        if (index.has(key)) {
+          store.put({ key, response: entry.response, expireAt: entry.expireAt, size, usedAt: getCurrentTimeMs() });
+        }
+      });
+    },
+    async delete(key) {
+      const database = await openDatabase();
+      index.remove(key);
+      await runStoreTransaction(database, 'readwrite', store => store.delete(key));
+    },
+    async clear() {
+      const database = await openDatabase();
+      index.clear();
+      await runStoreTransaction(database, 'readwrite', store => store.clear());
+    }
+  };
+}
+
+let memoryStore = createMemoryCacheStore();
+/** @type {CacheStore|null} */
+let persistentStore = null;
+
+function isCacheStore(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    ['get', 'set', 'delete', 'clear'].every(method => typeof getOption(value, method) === 'function');
+}
+
+function resolvePersistentStore(store, budgets) {
+  if (isCacheStore(store)) return store;
+  const storeName = String(store ?? 'memory').trim().toLowerCase();
+  if (storeName === 'memory') return null;
+  if (storeName === 'session' || storeName === 'sessionstorage') return createSessionStorageCacheStore(budgets);
+  if (storeName === 'indexeddb') return createIndexedDBCacheStore(budgets);
+  Logger.system.warn(`[CACHE] Unknown cache store "${storeName}"; caching in memory only.`);
+  return null;
+}
+
+/**
+ * Configures the response cache. The memory cache is replaced, so existing
+ * in-memory entries are dropped; persistent stores keep theirs.
+ * @param {Object} [options] - Cache options.
+ * @param {'memory'|'session'|'indexeddb'|CacheStore} [options.store='memory'] - Where responses persist beyond memory.
+ * @param {number} [options.maxEntries=100] - Maximum number of entries per store.
+ * @param {number} [options.maxBytes=5242880] - Maximum total entry size per store in bytes.
+ */
+export function configureCache(options = {}) {
+  const budgets = readBudgets(options);
+  memoryStore = createMemoryCacheStore(budgets);
+  persistentStore = resolvePersistentStore(getOption(options, 'store'), budgets);
+  Logger.system.info(`[CACHE] Configured ${persistentStore ? 'persistent' : 'memory'} response cache.`, budgets);
+}
+
+function deleteCacheEntry(key) {
+  memoryStore.delete(key);
+  if (!persistentStore) return;
+  try {
+    observeStoreResult(persistentStore.delete(key), 'delete', key);
+  } catch (error) {
+    Logger.system.warn(`[CACHE] Cache store delete failed for key "${key}".`, error);
+  }
+}
+
+/**
+ * Caches a response in memory and in the configured persistent store.
  * @param {string} key - The cache key.
  * @param {string} response - The response to cache.
  * @param {number} ttl - Time to live (milliseconds).
  */
 export function setCache(key, response, ttl) {
-  pruneCache();
   const ttlMs = Number(ttl);
   const expireAt = Number.isFinite(ttlMs) && ttlMs > 0
     ? getCurrentTimeMs() + ttlMs
     : Infinity;
-  cacheStore.set(key, { response, expireAt });
-  pruneCache();
+  const entry = { response, expireAt };
+  memoryStore.set(key, entry);
+  if (persistentStore) {
+    try {
+      observeStoreResult(persistentStore.set(key, entry), 'write', key);
+    } catch (error) {
+      Logger.system.warn(`[CACHE] Cache store write failed for key "${key}".`, error);
+    }
+  }
   Logger.system.debug("[CACHE] Cached response for key:", key, "TTL:", ttl, "Expires at:", expireAt);
 }
 
+function resolveCacheEntry(key, entry, options) {
+  if (!entry) {
+    Logger.system.debug("[CACHE] Cache miss for key:", key);
+    return null;
+  }
+
+  const stale = !isEntryFresh(entry);
+  if (stale && getOption(options, 'stale') !== true) {
+    Logger.system.warn("[CACHE] Cache expired for key:", key, "Deleting entry.");
+    deleteCacheEntry(key);
+    return null;
+  }
+  Logger.system.debug(`[CACHE] Cache ${stale ? 'stale hit' : 'hit'} for key:`, key);
+  return { response: entry.response, stale };
+}
+
 /**
- * Retrieves a cached response if available and unexpired.
+ * Retrieves a cached response from memory if available and unexpired.
  * @param {string} key - The cache key.
  * @returns {string|null} The cached response or null if not found/expired.
  */
 export function getCache(key) {
-  pruneCache();
+  return resolveCacheEntry(key, memoryStore.get(key), {})?.response ?? null;
+}
 
-  const entry = cacheStore.get(key);
-  if (!entry) {
-    Logger.system.debug("[CACHE] Cache miss for key:", key);
-    return null;
-  }
+/**
+ * Retrieves a cached response from memory only, synchronously. Use
+ * `readCache()` to also consult the persistent store.
+ * @param {string} key - The cache key.
+ * @param {Object} [options] - Read options.
+ * @param {boolean} [options.stale=false] - Returns expired entries instead of deleting them.
+ * @returns {{response: string, stale: boolean}|null} The cached response, or null.
+ */
+export function getCacheEntry(key, options = {}) {
+  return resolveCacheEntry(key, memoryStore.get(key), options);
+}
 
-  const { response, expireAt } = entry;
-  if (getCurrentTimeMs() < expireAt) {
-    Logger.system.debug("[CACHE] Cache hit for key:", key);
-    return response;
-  }
+/**
+ * Returns true when a persistent store backs the memory cache.
+ * @returns {boolean}
+ */
+export function hasPersistentCache() {
+  return persistentStore !== null;
+}
 
-  Logger.system.warn("[CACHE] Cache expired for key:", key, "Deleting entry.");
-  cacheStore.delete(key);
-  return null;
+/**
+ * Retrieves a cached response from memory, falling back to the persistent
+ * store and promoting its entry into memory.
+ * @param {string} key - The cache key.
+ * @param {Object} [options] - Read options.
+ * @param {boolean} [options.stale=false] - Returns expired entries instead of deleting them.
+ * @returns {Promise<{response: string, stale: boolean}|null>} The cached response, or null.
+ */
+export async function readCache(key, options = {}) {
+  let entry = memoryStore.get(key);
+  if (!entry && persistentStore) {
+    try {
+      entry = normalizeCacheEntry(await persistentStore.get(key));
+    } catch (error) {
+      Logger.system.warn(`[CACHE] Cache store read failed for key "${key}".`, error);
+    }
+    if (entry) memoryStore.set(key, entry);
+  }
+  return resolveCacheEntry(key, entry, options);
 }
@@ -6,32 +6,40 @@
  * @typedef {Object} TargetInstruction
  * @property {string} selector - The CSS selector.
  * @property {string} strategy - The update strategy (e.g., "innerHTML", "append").
+ *
+ * @callback SwapStrategy
+ * @param {Element} element - The resolved target element.
+ * @param {string} content - The response content.
+ * @param {{selector: string, strategy: string, target: TargetInstruction}} context - The target being applied.
+ * @returns {Node|void} Optional root to scan for newly inserted HTMLeX markup.
  */
 
 import { Logger } from './logger.js';
-const TARGET_STRATEGIES = 'innerHTML|outerHTML|append|prepend|before|after|remove';
+import { runSwapPhases } from './swapPhases.js';
+import { SWAP_STRATEGIES, SWAP_STRATEGY_BY_LOWERCASE } from './swapStrategies.js';
+const TARGET_STRATEGIES = SWAP_STRATEGIES.join('|');
+const ATTRIBUTE_STRATEGY_PREFIX = 'attr:';
+const ATTRIBUTE_STRATEGY_PATTERN = 'attr:[A-Za-z_][\\w:.-]*';
+const VALID_SWAP_STRATEGY_NAME_PATTERN = /^[A-Za-z][\w-]*$/u;
+const VALID_ATTRIBUTE_NAME_PATTERN = /^[A-Za-z_][\w:.-]*$/u;
+const EVENT_HANDLER_ATTRIBUTE_PATTERN = /^on/iu;
+const customSwapStrategies = new Map();
 export const HTMLEX_ATTRIBUTE_NAMES = [
   'get', 'post', 'put', 'delete', 'patch',
-  'auto', 'poll', 'socket', 'subscribe', 'publish',
+  'auto', 'poll', 'socket', 'subscribe', 'signal-debounce', 'publish', 'publish-extras',
   'trigger', 'debounce', 'throttle', 'retry', 'timeout',
   'retrydelay', 'retry-delay', 'retrybackoff', 'retry-backoff', 'retrymaxdelay', 'retry-max-delay',
-  'cache', 'timer', 'sequential', 'repeat', 'source', 'target',
-  'loading', 'onerror', 'extras', 'push', 'pull', 'path',
-  'history', 'onbefore', 'onbeforeswap', 'onafterswap', 'onafter'
+  'cache', 'cache-mode', 'timer', 'sequential', 'repeat', 'source', 'target',
+  'loading', 'onerror', 'extras', 'select', 'select-oob', 'push', 'pull', 'path',
+  'history', 'head', 'transition', 'swap-delay', 'settle-delay', 'onbefore', 'onbeforeswap', 'onafterswap', 'onafter'
 ];
 const HTMLEX_MARKUP_PATTERN = new RegExp(
   `\\s(?:${HTMLEX_ATTRIBUTE_NAMES.map(escapeRegExp).join('|')})(?=[\\s=>/])`,
   'i'
 );
-const STRATEGY_BY_LOWERCASE = {
-  innerhtml: 'innerHTML',
-  outerhtml: 'outerHTML',
-  append: 'append',
-  prepend: 'prepend',
-  before: 'before',
-  after: 'after',
-  remove: 'remove'
-};
+const VIEW_TRANSITION_NAME_PROPERTY = 'view-transition-name';
+const VIEW_TRANSITION_NAME_DECLARATION_PATTERN = /(?:^|;)\s*view-transition-name\s*:/iu;
+const reconcileDiagnostics = { moves: 0, inserts: 0, removals: 0 };
 const ELEMENT_NODE_TYPE = 1;
 const TEXT_NODE_TYPE = 3;
 
@@ -369,17 +377,121 @@ function restoreControlState(element, state, newNode = null) {
   }
 }
 
-function findKeyedChild(parent, key, fromIndex) {
-  if (!key) return null;
-  const children = getChildNodes(parent);
-  for (let index = fromIndex; index < children.length; index += 1) {
-    if (getNodeKey(children[index]) === key) return children[index];
+function getViewTransitionName(element) {
+  try {
+    return safeString(getNodeField(element, 'style', null)?.getPropertyValue?.(VIEW_TRANSITION_NAME_PROPERTY)).trim();
+  } catch (error) {
+    Logger.system.warn('[DOM] Failed to read view-transition-name.', error);
+    return '';
+  }
+}
+
+function declaresViewTransitionName(element) {
+  return VIEW_TRANSITION_NAME_DECLARATION_PATTERN.test(safeString(getElementAttribute(element, 'style')));
+}
+
+/**
+ * Keeps a view-transition-name assigned to a live element (for example from
+ * script) when the incoming markup does not declare its own, so diffed nodes
+ * stay paired across a view transition.
+ */
+function restoreViewTransitionName(existingNode, newNode, viewTransitionName) {
+  if (!viewTransitionName || declaresViewTransitionName(newNode)) return;
+  if (getViewTransitionName(existingNode) === viewTransitionName) return;
+
+  try {
+    getNodeField(existingNode, 'style', null)?.setProperty?.(VIEW_TRANSITION_NAME_PROPERTY, viewTransitionName);
+    Logger.system.debug(`[DOM] Preserved view-transition-name "${viewTransitionName}" through diff.`);
+  } catch (error) {
+    Logger.system.warn('[DOM] Failed to restore view-transition-name.', error);
+  }
+}
+
+/**
+ * Pairs each new child with the index of the existing child it updates, or -1
+ * when it must be inserted. Keyed children only match the same key; unkeyed
+ * children take the next unkeyed existing child in order.
+ */
+function matchChildren(existingChildren, newChildren) {
+  const keyIndex = new Map();
+  const unkeyedIndexes = [];
+  existingChildren.forEach((child, index) => {
+    const key = getNodeKey(child);
+    if (!key) {
+      unkeyedIndexes.push(index);
+    } else if (!keyIndex.has(key)) {
+      keyIndex.set(key, index);
+    }
+  });
+
+  let nextUnkeyed = 0;
+  return newChildren.map(child => {
+    const key = getNodeKey(child);
+    if (!key) {
+      return nextUnkeyed < unkeyedIndexes.length ? unkeyedIndexes[nextUnkeyed++] : -1;
+    }
+    const index = keyIndex.get(key) ?? -1;
+    keyIndex.delete(key);
+    return index;
+  });
+}
+
+/**
+ * Returns the positions in `sources` that form the longest strictly increasing
+ * run of existing indexes. Those nodes are already in order and stay put.
+ */
+function getLongestIncreasingSubsequence(sources) {
+  const tails = [];
+  const previous = new Array(sources.length).fill(-1);
+  for (let i = 0; i < sources.length; i++) {
+    if (sources[i] < 0) continue;
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sources[tails[middle]] < sources[i]) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  }
+
+  const stable = new Set();
+  for (let index = tails.at(-1) ?? -1; index >= 0; index = previous[index]) {
+    stable.add(index);
+  }
+  return stable;
+}
+
+function insertClonedChild(parent, newChild, referenceNode) {
+  const clone = cloneNodeSafely(newChild, true);
+  if (!clone) return null;
+  const insert = getNodeField(parent, referenceNode ? 'insertBefore' : 'appendChild', null);
+  if (typeof insert !== 'function') return null;
+  try {
+    const inserted = referenceNode ? insert.call(parent, clone, referenceNode) : insert.call(parent, clone);
+    reconcileDiagnostics.inserts += 1;
+    return inserted || clone;
+  } catch (error) {
+    Logger.system.warn('[DOM] Failed to insert cloned child.', error);
+    return null;
   }
-  return null;
 }
 
 function moveChildBefore(parent, child, referenceNode) {
   if (child === referenceNode) return;
+  if (typeof parent.moveBefore === 'function') {
+    try {
+      // moveBefore keeps focus, iframes, and custom element state across the move.
+      parent.moveBefore(child, referenceNode || null);
+      return;
+    } catch (error) {
+      Logger.system.debug('[DOM] moveBefore unavailable for this node; falling back to insertBefore.', error);
+    }
+  }
   if (typeof parent.insertBefore === 'function') {
     try {
       parent.insertBefore(child, referenceNode || null);
@@ -398,6 +510,33 @@ function moveChildBefore(parent, child, referenceNode) {
   children.splice(nextIndex < 0 ? children.length : nextIndex, 0, child);
 }
 
+function syncElementAttributes(existingNode, newNode) {
+  const viewTransitionName = getViewTransitionName(existingNode);
+  Logger.system.debug("[DOM] Diffing attributes for element:", existingNode);
+  const existingAttrs = getElementAttributes(existingNode);
+  const newAttrs = getElementAttributes(newNode);
+  for (let i = existingAttrs.length - 1; i >= 0; i--) {
+    const attribute = existingAttrs[i];
+    if (!attribute?.name) continue;
+    if (!hasElementAttribute(newNode, attribute.name)) {
+      Logger.system.debug(`[DOM] Removing attribute "${attribute.name}" from element:`, existingNode);
+      removeElementAttribute(existingNode, attribute.name);
+    }
+  }
+  for (let i = 0; i < newAttrs.length; i++) {
+    const attribute = newAttrs[i];
+    if (!attribute?.name) continue;
+    if (getElementAttribute(existingNode, attribute.name) !== attribute.value) {
+      Logger.system.debug(
+        `[DOM] Updating attribute "${attribute.name}" to "${attribute.value}" on element:`,
+        existingNode
+      );
+      setElementAttribute(existingNode, attribute.name, attribute.value);
+    }
+  }
+  restoreViewTransitionName(existingNode, newNode, viewTransitionName);
+}
+
 export function dispatchHTMLeXDOMUpdated(root) {
   const runtimeDocument = getRuntimeDocument();
   if (typeof runtimeDocument?.dispatchEvent !== 'function') return;
@@ -426,6 +565,102 @@ export function hasHTMLeXMarkup(content) {
   return HTMLEX_MARKUP_PATTERN.test(safeString(content));
 }
 
+function normalizeAttributeStrategy(strategy) {
+  const attributeName = strategy.slice(ATTRIBUTE_STRATEGY_PREFIX.length).trim();
+  if (!VALID_ATTRIBUTE_NAME_PATTERN.test(attributeName)) return null;
+  if (EVENT_HANDLER_ATTRIBUTE_PATTERN.test(attributeName)) {
+    Logger.system.warn(`[DOM] Ignoring attr:${attributeName} strategy; event handler attributes cannot be set from responses.`);
+    return null;
+  }
+  return `${ATTRIBUTE_STRATEGY_PREFIX}${attributeName}`;
+}
+
+/**
+ * Returns the canonical spelling of a target strategy name, or null when the
+ * name is not a built-in, `attr:<name>`, or registered strategy.
+ *
+ * @param {string} strategy - The strategy name, in any letter case.
+ * @returns {string|null}
+ */
+export function normalizeTargetStrategy(strategy) {
+  const strategyText = safeString(strategy).trim();
+  const lowercaseStrategy = strategyText.toLowerCase();
+  if (lowercaseStrategy.startsWith(ATTRIBUTE_STRATEGY_PREFIX)) {
+    return normalizeAttributeStrategy(strategyText);
+  }
+  return SWAP_STRATEGY_BY_LOWERCASE[lowercaseStrategy] ??
+    customSwapStrategies.get(lowercaseStrategy)?.name ??
+    null;
+}
+
+/**
+ * Registers a custom swap strategy usable anywhere a target strategy is
+ * accepted, such as `target="#list(fadeIn)"`.
+ *
+ * @param {string} name - Strategy name; letters, digits, `_` and `-`.
+ * @param {SwapStrategy} strategy - Applies the content to each resolved element.
+ * @param {object} [options={}]
+ * @param {boolean} [options.replace=false] - Replace an existing registration with the same name.
+ * @returns {() => boolean} Unregisters this strategy.
+ * @throws {TypeError} When the name is invalid, reserved, or already registered.
+ */
+export function registerSwapStrategy(name, strategy, options = {}) {
+  const strategyName = safeString(name).trim();
+  const lowercaseName = strategyName.toLowerCase();
+  if (!VALID_SWAP_STRATEGY_NAME_PATTERN.test(strategyName)) {
+    throw new TypeError(`Invalid HTMLeX swap strategy name "${strategyName}".`);
+  }
+  if (SWAP_STRATEGY_BY_LOWERCASE[lowercaseName] || lowercaseName === 'attr') {
+    throw new TypeError(`HTMLeX swap strategy "${strategyName}" is built in and cannot be replaced.`);
+  }
+  if (typeof strategy !== 'function') {
+    throw new TypeError(`HTMLeX swap strategy "${strategyName}" must be a function.`);
+  }
+  if (customSwapStrategies.has(lowercaseName) && !getTargetField(options, 'replace', false)) {
+    throw new TypeError(
+      `HTMLeX swap strategy "${strategyName}" is already registered. ` +
+      'Unregister it first or pass { replace: true }.'
+    );
+  }
+
+  customSwapStrategies.set(lowercaseName, { name: strategyName, strategy });
+  Logger.system.debug(`[DOM] Registered swap strategy "${strategyName}".`);
+  return () => unregisterSwapStrategy(strategyName, strategy);
+}
+
+/**
+ * Removes a custom swap strategy.
+ *
+ * @param {string} name - The registered strategy name.
+ * @param {SwapStrategy} [expectedStrategy] - Only remove the entry when it still uses this function.
+ * @returns {boolean} True when a strategy was removed.
+ */
+export function unregisterSwapStrategy(name, expectedStrategy = null) {
+  const lowercaseName = safeString(name).trim().toLowerCase();
+  const existing = customSwapStrategies.get(lowercaseName);
+  if (!existing || (expectedStrategy && existing.strategy !== expectedStrategy)) {
+    return false;
+  }
+  customSwapStrategies.delete(lowercaseName);
+  Logger.system.debug(`[DOM] Unregistered swap strategy "${existing.name}".`);
+  return true;
+}
+
+/**
+ * Lists the registered custom swap strategy names.
+ *
+ * @returns {string[]}
+ */
+export function getSwapStrategyNames() {
+  return [...customSwapStrategies.values()].map(record => record.name);
+}
+
+function getTargetPattern() {
+  const customNames = [...customSwapStrategies.values()].map(record => escapeRegExp(record.name));
+  const strategies = [TARGET_STRATEGIES, ATTRIBUTE_STRATEGY_PATTERN, ...customNames].join('|');
+  return new RegExp(`(.+?)\\((${strategies})\\)(?:\\s+|$)`, 'gi');
+}
+
 /**
  * Parses the target attribute into an array of target instructions.
  * @param {string} targetAttr - The target attribute string.
@@ -439,13 +674,13 @@ export function parseTargets(targetAttr) {
   }
 
   const targets = [];
-  const targetPattern = new RegExp(`(.+?)\\((${TARGET_STRATEGIES})\\)(?:\\s+|$)`, 'gi');
+  const targetPattern = getTargetPattern();
   let match;
   while ((match = targetPattern.exec(input)) !== null) {
     const rawStrategy = match[2].trim();
     targets.push({
       selector: match[1].trim(),
-      strategy: STRATEGY_BY_LOWERCASE[rawStrategy.toLowerCase()] || rawStrategy
+      strategy: normalizeTargetStrategy(rawStrategy) || rawStrategy
     });
   }
 
@@ -528,35 +763,17 @@ export function diffAndUpdate(existingNode, newNode) {
   }
   if (isElementNode(existingNode)) {
     const liveState = captureControlState(existingNode);
-    Logger.system.debug("[DOM] Diffing attributes for element:", existingNode);
-    const existingAttrs = getElementAttributes(existingNode);
-    const newAttrs = getElementAttributes(newNode);
-    for (let i = existingAttrs.length - 1; i >= 0; i--) {
-      const attribute = existingAttrs[i];
-      if (!attribute?.name) continue;
-      if (!hasElementAttribute(newNode, attribute.name)) {
-        Logger.system.debug(`[DOM] Removing attribute "${attribute.name}" from element:`, existingNode);
-        removeElementAttribute(existingNode, attribute.name);
-      }
-    }
-    for (let i = 0; i < newAttrs.length; i++) {
-      const attribute = newAttrs[i];
-      if (!attribute?.name) continue;
-      if (getElementAttribute(existingNode, attribute.name) !== attribute.value) {
-        Logger.system.debug(
-          `[DOM] Updating attribute "${attribute.name}" to "${attribute.value}" on element:`,
-          existingNode
-        );
-        setElementAttribute(existingNode, attribute.name, attribute.value);
-      }
-    }
+    syncElementAttributes(existingNode, newNode);
     diffChildren(existingNode, newNode);
     restoreControlState(existingNode, liveState, newNode);
   }
 }
 
 /**
- * Recursively diffs the children of two elements.
+ * Diffs and updates the children of an element. Keyed children are matched
+ * through a key index built once per call, and only children outside the
+ * longest increasing subsequence of matched positions are moved, so large
+ * lists reconcile in near-linear time with the fewest DOM moves.
  * @param {Element} existingParent - The current DOM element.
  * @param {Element} newParent - The new DOM element.
  */
@@ -567,45 +784,60 @@ export function diffChildren(existingParent, newParent) {
     "with new element:",
     newParent
   );
+  const existingChildren = getChildNodes(existingParent);
   const newChildren = getChildNodes(newParent);
-  for (let i = 0; i < newChildren.length; i++) {
-    const newChild = newChildren[i];
-    const newKey = getNodeKey(newChild);
-    const keyedChild = findKeyedChild(existingParent, newKey, i);
-    const existingChildren = getChildNodes(existingParent);
-    if (keyedChild && keyedChild !== existingChildren[i]) {
-      Logger.system.debug("[DOM] Moving keyed child into position:", newKey);
-      moveChildBefore(existingParent, keyedChild, existingChildren[i] || null);
-    }
-
-    const existingChild = getChildNodes(existingParent)[i];
-    if (!existingChild && newChild) {
-      Logger.system.debug("[DOM] Appending new child:", newChild);
-      const clone = cloneNodeSafely(newChild, true);
-      if (clone) {
-        try {
-          existingParent.appendChild?.(clone);
-        } catch (error) {
-          Logger.system.warn('[DOM] Failed to append cloned child.', error);
-        }
+  const sources = matchChildren(existingChildren, newChildren);
+  const stableIndexes = getLongestIncreasingSubsequence(sources);
+  const placedNodes = new Array(newChildren.length);
+  let referenceNode = null;
+
+  for (let i = newChildren.length - 1; i >= 0; i--) {
+    if (sources[i] < 0) {
+      Logger.system.debug("[DOM] Inserting new child:", newChildren[i]);
+      placedNodes[i] = insertClonedChild(existingParent, newChildren[i], referenceNode);
+    } else {
+      placedNodes[i] = existingChildren[sources[i]];
+      if (!stableIndexes.has(i)) {
+        Logger.system.debug("[DOM] Moving keyed child into position:", placedNodes[i]);
+        moveChildBefore(existingParent, placedNodes[i], referenceNode);
+        reconcileDiagnostics.moves += 1;
       }
-    } else if (existingChild && newChild) {
-      diffAndUpdate(existingChild, newChild);
     }
+    referenceNode = placedNodes[i] || referenceNode;
   }
 
-  let existingChildren = getChildNodes(existingParent);
-  while (existingChildren.length > newChildren.length) {
-    const extraChild = existingChildren[existingChildren.length - 1];
-    Logger.system.debug("[DOM] Removing extra child:", extraChild);
-    removeNodeSafely(extraChild);
-    const nextChildren = getChildNodes(existingParent);
-    if (nextChildren.length === existingChildren.length) break;
-    existingChildren = nextChildren;
+  const matchedIndexes = new Set(sources);
+  for (let index = 0; index < existingChildren.length; index++) {
+    if (matchedIndexes.has(index)) continue;
+    Logger.system.debug("[DOM] Removing extra child:", existingChildren[index]);
+    removeNodeSafely(existingChildren[index]);
+    reconcileDiagnostics.removals += 1;
+  }
+
+  for (let i = 0; i < newChildren.length; i++) {
+    if (sources[i] >= 0) diffAndUpdate(placedNodes[i], newChildren[i]);
   }
   Logger.system.debug("[DOM] Completed diffing children for element:", existingParent);
 }
 
+/**
+ * Returns the number of child moves, inserts, and removals made by
+ * `diffChildren` and morph swaps since the last reset.
+ * @returns {{moves: number, inserts: number, removals: number}}
+ */
+export function getReconcileDiagnostics() {
+  return { ...reconcileDiagnostics };
+}
+
+/**
+ * Resets the reconcile diagnostics counters to zero.
+ */
+export function resetReconcileDiagnostics() {
+  reconcileDiagnostics.moves = 0;
+  reconcileDiagnostics.inserts = 0;
+  reconcileDiagnostics.removals = 0;
+}
+
 /**
  * Performs an innerHTML update on an element using a diff algorithm.
  * @param {Element} element - The element to update.
@@ -642,6 +874,247 @@ export function performInnerHTMLUpdate(element, newHTML) {
   }
 }
 
+function collectMorphIds(root, ids = new Map()) {
+  for (const child of getChildNodes(root)) {
+    if (!isElementNode(child)) continue;
+    const id = safeString(getElementAttribute(child, 'id'));
+    if (id && !ids.has(id)) ids.set(id, child);
+    collectMorphIds(child, ids);
+  }
+  return ids;
+}
+
+function collectIdSets(root, persistentIds, idSets) {
+  const subtreeIds = new Set();
+  for (const child of getChildNodes(root)) {
+    if (!isElementNode(child)) continue;
+    const childIds = collectIdSets(child, persistentIds, idSets);
+    const id = safeString(getElementAttribute(child, 'id'));
+    if (persistentIds.has(id)) childIds.add(id);
+    if (childIds.size > 0) {
+      idSets.set(child, childIds);
+      for (const childId of childIds) subtreeIds.add(childId);
+    }
+  }
+  return subtreeIds;
+}
+
+/**
+ * Indexes the ids present in both trees. Each element maps to the set of
+ * persistent ids in its own subtree, so a new node can find the old node that
+ * holds the same ids wherever it currently sits.
+ */
+function createMorphContext(existingParent, newParent) {
+  const oldById = collectMorphIds(existingParent);
+  const newById = collectMorphIds(newParent);
+  const persistentIds = new Set([...newById.keys()].filter(id => oldById.has(id)));
+  const idSets = new Map();
+  collectIdSets(existingParent, persistentIds, idSets);
+  collectIdSets(newParent, persistentIds, idSets);
+  return { consumed: new Set(), deferred: [], idSets, oldById, persistentIds };
+}
+
+function isSameNodeKind(oldNode, newNode) {
+  if (getNodeField(oldNode, 'nodeType') !== getNodeField(newNode, 'nodeType')) return false;
+  return !isElementNode(oldNode) || getNodeField(oldNode, 'nodeName') === getNodeField(newNode, 'nodeName');
+}
+
+function hasIdSetMatch(context, oldNode, newNode) {
+  if (!isElementNode(oldNode) || !isSameNodeKind(oldNode, newNode)) return false;
+  const oldIds = context.idSets.get(oldNode);
+  const newIds = context.idSets.get(newNode);
+  if (!oldIds || !newIds) return false;
+  for (const id of newIds) {
+    if (oldIds.has(id)) return true;
+  }
+  return false;
+}
+
+function isSoftMatch(context, oldNode, newNode) {
+  if (!isSameNodeKind(oldNode, newNode)) return false;
+  if (!isElementNode(oldNode)) return true;
+  // Leave nodes that hold persistent ids for a later id-set match.
+  if (context.idSets.has(oldNode) && !context.idSets.has(newNode)) return false;
+  const oldId = getElementAttribute(oldNode, 'id');
+  const newId = getElementAttribute(newNode, 'id');
+  return !oldId || !newId || oldId === newId;
+}
+
+function isAvailableChild(context, node, parent) {
+  return !context.consumed.has(node) && getNodeField(node, 'parentNode', parent) === parent;
+}
+
+function containsNode(ancestor, node) {
+  try {
+    return ancestor === node || Boolean(ancestor?.contains?.(node));
+  } catch (error) {
+    Logger.system.warn('[DOM] Failed to check node containment during morph.', error);
+    return true;
+  }
+}
+
+function findChildHoldingId(context, parent, id) {
+  let node = context.oldById.get(id);
+  while (node && getNodeField(node, 'parentNode', null) !== parent) {
+    node = getNodeField(node, 'parentNode', null);
+  }
+  return node || null;
+}
+
+function findIdSetMatch(context, parent, newChild) {
+  const newIds = context.idSets.get(newChild);
+  if (!newIds) return null;
+
+  for (const id of newIds) {
+    const candidate = findChildHoldingId(context, parent, id);
+    if (candidate && !context.consumed.has(candidate) && hasIdSetMatch(context, candidate, newChild)) {
+      return candidate;
+    }
+  }
+
+  // The node may have moved to a different parent.
+  const newId = safeString(getElementAttribute(newChild, 'id'));
+  const moved = context.persistentIds.has(newId) ? context.oldById.get(newId) : null;
+  if (moved && !context.consumed.has(moved) && isSameNodeKind(moved, newChild) && !containsNode(moved, parent)) {
+    return moved;
+  }
+  return null;
+}
+
+function insertMorphNode(context, parent, newChild, referenceNode) {
+  reconcileDiagnostics.inserts += 1;
+  if (!context.idSets.has(newChild)) {
+    moveChildBefore(parent, newChild, referenceNode);
+    return;
+  }
+
+  // Build a shell so persistent descendants can be moved in rather than recreated.
+  const shell = cloneNodeSafely(newChild, false);
+  if (!shell) return;
+  moveChildBefore(parent, shell, referenceNode);
+  context.consumed.add(shell);
+  morphChildNodes(context, shell, newChild);
+}
+
+function morphNode(context, oldNode, newNode) {
+  context.consumed.add(oldNode);
+  if (!isSameNodeKind(oldNode, newNode)) {
+    replaceNodeSafely(oldNode, newNode);
+    return;
+  }
+  if (!isElementNode(oldNode)) {
+    const newText = getNodeField(newNode, 'textContent', '');
+    if (getNodeField(oldNode, 'textContent', '') !== newText) {
+      setNodeField(oldNode, 'textContent', newText);
+    }
+    return;
+  }
+
+  const liveState = captureControlState(oldNode);
+  syncElementAttributes(oldNode, newNode);
+  morphChildNodes(context, oldNode, newNode);
+  restoreControlState(oldNode, liveState, newNode);
+}
+
+function morphChildNodes(context, oldParent, newParent) {
+  const oldChildren = getChildNodes(oldParent);
+  let cursor = 0;
+  const getInsertionPoint = () => {
+    while (cursor < oldChildren.length && !isAvailableChild(context, oldChildren[cursor], oldParent)) {
+      cursor += 1;
+    }
+    return oldChildren[cursor] ?? null;
+  };
+
+  for (const newChild of getChildNodes(newParent)) {
+    const insertionPoint = getInsertionPoint();
+    if (insertionPoint && hasIdSetMatch(context, insertionPoint, newChild)) {
+      morphNode(context, insertionPoint, newChild);
+      continue;
+    }
+
+    const idMatch = findIdSetMatch(context, oldParent, newChild);
+    if (idMatch) {
+      Logger.system.debug("[DOM] Morph moving matched node into position:", idMatch);
+      moveChildBefore(oldParent, idMatch, insertionPoint);
+      reconcileDiagnostics.moves += 1;
+      morphNode(context, idMatch, newChild);
+      continue;
+    }
+
+    if (insertionPoint && isSoftMatch(context, insertionPoint, newChild)) {
+      morphNode(context, insertionPoint, newChild);
+      continue;
+    }
+
+    insertMorphNode(context, oldParent, newChild, insertionPoint);
+  }
+
+  for (let index = cursor; index < oldChildren.length; index += 1) {
+    const leftover = oldChildren[index];
+    if (!isAvailableChild(context, leftover, oldParent)) continue;
+    if (context.idSets.has(leftover)) {
+      // Keep it connected until the morph ends so its id'd descendants can still move.
+      context.deferred.push(leftover);
+    } else {
+      Logger.system.debug("[DOM] Morph removing unmatched node:", leftover);
+      removeNodeSafely(leftover);
+      reconcileDiagnostics.removals += 1;
+    }
+  }
+}
+
+function removeDeferredNodes(context) {
+  for (const node of context.deferred) {
+    if (!context.consumed.has(node)) {
+      Logger.system.debug("[DOM] Morph removing unmatched node:", node);
+      removeNodeSafely(node);
+      reconcileDiagnostics.removals += 1;
+    }
+  }
+}
+
+/**
+ * Morphs the children of an element to match new children, matching nodes by
+ * the ids in their subtrees. Matched nodes are moved and updated in place
+ * rather than recreated, so element identity, focus, and registered listeners
+ * survive reordering and reparenting.
+ *
+ * @param {Element} existingParent - The live element whose children are updated.
+ * @param {Element|DocumentFragment} newParent - Parsed new content; its nodes may be moved.
+ */
+export function morphChildren(existingParent, newParent) {
+  Logger.system.debug("[DOM] Morphing children of element:", existingParent);
+  const context = createMorphContext(existingParent, newParent);
+  morphChildNodes(context, existingParent, newParent);
+  removeDeferredNodes(context);
+}
+
+/**
+ * Applies new HTML to an element with the id-aware morph algorithm.
+ *
+ * @param {Element} element - The element to update.
+ * @param {string} newHTML - The new HTML content.
+ */
+export function performMorphUpdate(element, newHTML) {
+  const newHTMLString = safeString(newHTML);
+  const runtimeDocument = getRuntimeDocument();
+  if (typeof runtimeDocument?.createRange !== 'function') {
+    Logger.system.debug("[DOM] Range API unavailable; falling back to direct innerHTML update for morph.");
+    setInnerHTML(element, newHTMLString);
+    return;
+  }
+
+  try {
+    const range = runtimeDocument.createRange();
+    range.selectNodeContents(element);
+    morphChildren(element, range.createContextualFragment(newHTMLString));
+  } catch (error) {
+    Logger.system.warn("[DOM] Morph update failed; falling back to direct innerHTML update.", error);
+    setInnerHTML(element, newHTMLString);
+  }
+}
+
 function getDocumentBodyFallback() {
   return getRuntimeDocument()?.body || null;
 }
@@ -692,6 +1165,53 @@ function insertAdjacentHTMLSafely(targetElement, position, contentString) {
   }
 }
 
+function replaceChildrenSafely(targetElement, contentString) {
+  const runtimeDocument = getRuntimeDocument();
+  if (typeof targetElement?.replaceChildren !== 'function' || typeof runtimeDocument?.createRange !== 'function') {
+    Logger.system.debug("[DOM] replaceChildren unavailable; falling back to direct innerHTML update.");
+    setInnerHTML(targetElement, contentString);
+    return;
+  }
+
+  try {
+    const range = runtimeDocument.createRange();
+    range.selectNodeContents(targetElement);
+    targetElement.replaceChildren(range.createContextualFragment(contentString));
+  } catch (error) {
+    Logger.system.warn("[DOM] replaceChildren update failed; falling back to direct innerHTML update.", error);
+    setInnerHTML(targetElement, contentString);
+  }
+}
+
+function applyAttributeStrategy(targetElement, strategy, contentString) {
+  const normalizedStrategy = normalizeAttributeStrategy(strategy);
+  if (!normalizedStrategy) {
+    Logger.system.warn(`[DOM] Ignoring unsupported attribute strategy "${strategy}".`);
+    return;
+  }
+  const attributeName = normalizedStrategy.slice(ATTRIBUTE_STRATEGY_PREFIX.length);
+  Logger.system.debug(`[DOM] Setting attribute "${attributeName}" on element:`, targetElement);
+  setElementAttribute(targetElement, attributeName, contentString);
+}
+
+function applyCustomStrategy(targetElement, contentString, context) {
+  const record = customSwapStrategies.get(context.strategy.toLowerCase());
+  if (!record) {
+    Logger.system.debug("[DOM] Default update strategy; updating innerHTML of element:", targetElement);
+    setInnerHTML(targetElement, contentString);
+    return targetElement;
+  }
+
+  try {
+    Logger.system.debug(`[DOM] Running custom swap strategy "${record.name}" on element:`, targetElement);
+    const result = record.strategy(targetElement, contentString, context);
+    return typeof getNodeField(result, 'nodeType', null) === 'number' ? result : targetElement;
+  } catch (error) {
+    Logger.system.error(`[DOM] Custom swap strategy "${record.name}" failed.`, error);
+    return targetElement;
+  }
+}
+
 /**
  * Updates target elements with new content based on the update strategy.
  * @param {TargetInstruction} target - The target instruction.
@@ -699,6 +1219,8 @@ function insertAdjacentHTMLSafely(targetElement, position, contentString) {
  * @param {Element|null} [resolvedElement=null] - Explicit element used for `this(...)` or forced resolved updates.
  * @param {object} [options={}]
  * @param {boolean} [options.forceResolvedElement=false] - Use the resolved element without querying the selector again.
+ * @param {{swapDelay: number, settleDelay: number}} [options.swapTiming] - Swap and settle delays for the swap phases.
+ * @param {Function} [options.onSettled] - Called once after every resolved element has settled.
  */
 export function updateTarget(target, content, resolvedElement = null, options = {}) {
   const contentString = safeString(content);
@@ -718,8 +1240,17 @@ export function updateTarget(target, content, resolvedElement = null, options =
   const elements = useResolvedElement
     ? [resolvedElement]
     : querySelectorAllSafe(selector);
-  for (const targetElement of elements) {
+  const onSettled = getTargetField(options, 'onSettled', null);
+  let pendingSettles = elements.length;
+  const settleOne = () => {
+    pendingSettles -= 1;
+    if (pendingSettles === 0 && typeof onSettled === 'function') onSettled();
+  };
+  if (pendingSettles === 0 && typeof onSettled === 'function') onSettled();
+
+  const applyStrategy = (targetElement) => {
     let registrationRoot = targetElement;
+    let mayContainMarkup = true;
     Logger.system.debug(
       `[DOM] Updating element(s) matching "${selector}" using strategy "${strategy}"`,
       targetElement
@@ -731,6 +1262,9 @@ export function updateTarget(target, content, resolvedElement = null, options =
       case 'outerHTML':
         registrationRoot = replaceOuterHTML(targetElement, contentString);
         break;
+      case 'morph':
+        performMorphUpdate(targetElement, contentString);
+        break;
       case 'append':
         Logger.system.debug("[DOM] Appending content to element:", targetElement);
         insertAdjacentHTMLSafely(targetElement, 'beforeend', contentString);
@@ -754,12 +1288,36 @@ export function updateTarget(target, content, resolvedElement = null, options =
         removeNodeSafely(targetElement);
         registrationRoot = getDocumentBodyFallback() || targetElement;
         break;
+      case 'textContent':
+        Logger.system.debug("[DOM] Setting text content of element:", targetElement);
+        setNodeField(targetElement, 'textContent', contentString);
+        mayContainMarkup = false;
+        break;
+      case 'replaceChildren':
+        Logger.system.debug("[DOM] Replacing children of element:", targetElement);
+        replaceChildrenSafely(targetElement, contentString);
+        break;
+      case 'none':
+        Logger.system.debug("[DOM] Strategy \"none\"; leaving element unchanged:", targetElement);
+        mayContainMarkup = false;
+        break;
       default:
-        Logger.system.debug("[DOM] Default update strategy; updating innerHTML of element:", targetElement);
-        setInnerHTML(targetElement, contentString);
+        if (strategy.toLowerCase().startsWith(ATTRIBUTE_STRATEGY_PREFIX)) {
+          applyAttributeStrategy(targetElement, strategy, contentString);
+          mayContainMarkup = false;
+          break;
+        }
+        registrationRoot = applyCustomStrategy(targetElement, contentString, { selector, strategy, target });
     }
-    if (hasHTMLeXMarkup(contentString)) {
+    if (mayContainMarkup && hasHTMLeXMarkup(contentString)) {
       dispatchHTMLeXDOMUpdated(registrationRoot);
     }
+  };
+
+  for (const targetElement of elements) {
+    runSwapPhases(targetElement, () => applyStrategy(targetElement), {
+      timing: getTargetField(options, 'swapTiming', null),
+      onSettled: settleOne
+    });
   }
 }
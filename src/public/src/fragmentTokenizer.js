@@ -0,0 +1,397 @@
+// src/fragmentTokenizer.js
+/**
+ * @module FragmentTokenizer
+ * @description Incremental tokenizer for streamed HTMLeX responses. It keeps
+ * its state across chunks, so every character is scanned once. It emits
+ * complete `<fragment>` blocks and top-level `swap-oob` elements in document
+ * order, and passes all other markup through as text.
+ *
+ * Nested fragments stay inside their parent's content. Markup inside
+ * `<template>`, comments, and raw-text elements such as `<script>` is never
+ * treated as a fragment. Quoted attribute values may contain `>` or
+ * `</fragment>`. Open elements are tracked with HTML's common implied end
+ * tags, so an unclosed `<p>` or `<li>` does not hide later top-level
+ * `swap-oob` elements.
+ */
+
+import { Logger } from './logger.js';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes']);
+const RAW_TEXT_CLOSING_PATTERNS = new Map([...RAW_TEXT_ELEMENTS].map(tagName => [tagName, new RegExp(`</${tagName}`, 'gi')]));
+// Start tags that close an open <p>, and the elements a <p> is not closed across.
+const P_CLOSING_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'dialog', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+  'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+const P_SCOPE_BOUNDARIES = ['button', 'caption', 'object', 'table', 'td', 'template', 'th'];
+// Other start tags that close an open element of the listed kinds, searching no
+// further than the nearest `stops` element. A simplified form of HTML's rules.
+const IMPLIED_END_RULES = {
+  __proto__: null,
+  li: { closes: ['li'], stops: ['menu', 'ol', 'ul'] },
+  dd: { closes: ['dd', 'dt'], stops: ['dl'] },
+  dt: { closes: ['dd', 'dt'], stops: ['dl'] },
+  option: { closes: ['option'], stops: ['datalist', 'optgroup', 'select'] },
+  optgroup: { closes: ['optgroup', 'option'], stops: ['datalist', 'select'] },
+  tr: { closes: ['td', 'th', 'tr'], stops: ['table', 'tbody', 'tfoot', 'thead'] },
+  td: { closes: ['td', 'th'], stops: ['table', 'tr'] },
+  th: { closes: ['td', 'th'], stops: ['table', 'tr'] },
+  tbody: { closes: ['tbody', 'tfoot', 'thead'], stops: ['table'] },
+  tfoot: { closes: ['tbody', 'tfoot', 'thead'], stops: ['table'] },
+  thead: { closes: ['tbody', 'tfoot', 'thead'], stops: ['table'] }
+};
+const P_IMPLIED_END_RULE = { closes: ['p'], stops: P_SCOPE_BOUNDARIES };
+const TAG_NAME_PATTERN = /[A-Za-z][\w:-]*/y;
+// Quoted values are matched first so attribute text inside them is never mistaken for swap-oob.
+const SWAP_OOB_ATTRIBUTE_PATTERN = /("[^"]*"|'[^']*')|\sswap-oob(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>/]+))?(?=[\s/>]|$)/gi;
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch (error) {
+    Logger.system.warn('[FRAG] Failed to coerce value to string.', error);
+    return fallback;
+  }
+}
+
+function hasSwapOobAttribute(attributes) {
+  return [...attributes.matchAll(SWAP_OOB_ATTRIBUTE_PATTERN)].some(([, quoted]) => quoted === undefined);
+}
+
+/**
+ * Removes the `swap-oob` attribute from an opening tag.
+ *
+ * @param {string} openTag - The raw opening tag.
+ * @returns {string}
+ */
+export function stripSwapOobAttribute(openTag) {
+  return safeString(openTag).replace(SWAP_OOB_ATTRIBUTE_PATTERN, (_match, quoted) => quoted ?? '');
+}
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/gy;
+const CHARACTER_REFERENCE_PATTERN = /&(?:#(\d+)|#x([\da-f]+)|(amp|lt|gt|quot|apos|nbsp));/giu;
+const NAMED_CHARACTER_REFERENCES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeCharacterReference(match, decimal, hex, name) {
+  if (name) return NAMED_CHARACTER_REFERENCES[name.toLowerCase()];
+  const codePoint = Number.parseInt(decimal ?? hex, decimal ? 10 : 16);
+  return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+}
+
+/**
+ * Reads the attributes of an opening tag the way an HTML parser does: names
+ * are lowercased, the first occurrence of a name wins, values may be double
+ * quoted, single quoted, or unquoted, and common character references are
+ * decoded. Attributes without a value are returned as empty strings.
+ *
+ * @param {string} openTag - The raw opening tag, such as `<fragment target="#a">`.
+ * @returns {Record<string, string>}
+ */
+export function parseTagAttributes(openTag) {
+  const tag = safeString(openTag);
+  const attributes = {};
+  const nameEnd = tag.startsWith('<') ? 1 + readTagName(tag, 1).length : 0;
+  const bodyEnd = tag.endsWith('>') ? tag.length - 1 : tag.length;
+  let index = nameEnd;
+
+  while (index < bodyEnd) {
+    const character = tag[index];
+    if (/\s|\//u.test(character)) {
+      index += 1;
+      continue;
+    }
+    ATTRIBUTE_PATTERN.lastIndex = index;
+    const match = ATTRIBUTE_PATTERN.exec(tag);
+    if (!match || match.index >= bodyEnd) break;
+    const [text, rawName, doubleQuoted, singleQuoted, unquoted = ''] = match;
+    const name = rawName.toLowerCase();
+    if (!Object.hasOwn(attributes, name)) {
+      const value = doubleQuoted ?? singleQuoted ?? unquoted;
+      attributes[name] = value.replace(CHARACTER_REFERENCE_PATTERN, decodeCharacterReference);
+    }
+    index += text.length;
+  }
+  return attributes;
+}
+
+function findTagEnd(input, start) {
+  let quote = '';
+  for (let index = start; index < input.length; index += 1) {
+    const character = input[index];
+    if (quote) {
+      if (character === quote) quote = '';
+    } else if (character === '"' || character === "'") {
+      quote = character;
+    } else if (character === '>') {
+      return index + 1;
+    }
+  }
+  return -1;
+}
+
+function readTagName(input, start) {
+  TAG_NAME_PATTERN.lastIndex = start;
+  const match = TAG_NAME_PATTERN.exec(input);
+  return match ? match[0] : '';
+}
+
+/**
+ * Returns the stack index of the outermost open element that a start tag
+ * closes implicitly, such as an open `<li>` for a new `<li>`, or -1.
+ */
+function findImpliedEnd(openElements, tagName) {
+  const rules = [IMPLIED_END_RULES[tagName], P_CLOSING_ELEMENTS.has(tagName) ? P_IMPLIED_END_RULE : null];
+  let closeAt = -1;
+  for (const rule of rules) {
+    if (!rule) continue;
+    for (let index = openElements.length - 1; index >= 0; index -= 1) {
+      if (rule.closes.includes(openElements[index])) {
+        closeAt = closeAt < 0 ? index : Math.min(closeAt, index);
+        break;
+      }
+      if (rule.stops.includes(openElements[index])) break;
+    }
+  }
+  return closeAt;
+}
+
+/**
+ * Reads one markup token starting at a `<`. Returns null when the input ends
+ * before the token is complete.
+ */
+function readToken(input, start) {
+  const remaining = input.length - start;
+  if (input.startsWith('<!--', start)) {
+    const end = input.indexOf('-->', start + 4);
+    return end < 0 ? null : { kind: 'text', end: end + 3 };
+  }
+  if (remaining < 4 && '<!--'.startsWith(input.slice(start))) return null;
+
+  const next = input[start + 1];
+  if (next === '!' || next === '?') {
+    const end = input.indexOf('>', start);
+    return end < 0 ? null : { kind: 'text', end: end + 1 };
+  }
+
+  const closing = next === '/';
+  const nameStart = start + (closing ? 2 : 1);
+  if (nameStart >= input.length) return null;
+  const name = readTagName(input, nameStart);
+  if (!name) return { kind: 'text', end: start + 1 };
+
+  const end = findTagEnd(input, nameStart + name.length);
+  if (end < 0) return null;
+  const attributes = closing ? '' : input.slice(nameStart + name.length, end - 1);
+  return {
+    kind: closing ? 'end' : 'start',
+    name: name.toLowerCase(),
+    attributes,
+    selfClosing: attributes.trimEnd().endsWith('/'),
+    end
+  };
+}
+
+/**
+ * Creates an incremental fragment tokenizer.
+ *
+ * `write(chunk)` returns the tokens completed by that chunk. Each token is
+ * `{ type: 'text', text }`, `{ type: 'fragment', html, openTag, content }`, or
+ * `{ type: 'oob', html, openTag, content, tagName }`. `end()` flushes buffered
+ * input as text and reports any unterminated fragment.
+ *
+ * @returns {{write: function(string): Array<object>, end: function(): Array<object>, readonly bufferedLength: number}}
+ */
+export function createFragmentTokenizer() {
+  let pending = '';
+  let capture = null;
+  let rawTextTag = '';
+  // Names of the open elements outside fragments, so swap-oob elements are
+  // captured only at the top level, even when `<p>` or `<li>` close implicitly.
+  let openElements = [];
+
+  const pushText = (tokens, text) => {
+    if (!text) return;
+    if (capture) {
+      capture.html += text;
+      return;
+    }
+    const last = tokens.at(-1);
+    if (last?.type === 'text') {
+      last.text += text;
+    } else {
+      tokens.push({ type: 'text', text });
+    }
+  };
+
+  const finishCapture = (tokens, closingTag) => {
+    const contentEnd = capture.html.length;
+    capture.html += closingTag;
+    tokens.push({
+      type: capture.type,
+      html: capture.html,
+      openTag: capture.openTag,
+      content: capture.html.slice(capture.openTag.length, contentEnd),
+      ...(capture.type === 'oob' ? { tagName: capture.tagName } : {})
+    });
+    capture = null;
+  };
+
+  // Pops open elements down to `index`. A swap-oob element closed this way,
+  // without its end tag, completes its capture.
+  const closeOpenElements = (tokens, index, closingTag = '') => {
+    openElements.length = index;
+    if (capture?.type === 'oob' && index <= capture.stackIndex) finishCapture(tokens, closingTag);
+  };
+
+  const handleStartTag = (tokens, token, raw) => {
+    const isVoid = VOID_ELEMENTS.has(token.name) || token.selfClosing;
+    if (RAW_TEXT_ELEMENTS.has(token.name) && !token.selfClosing) rawTextTag = token.name;
+
+    if (capture?.type === 'fragment') {
+      if (token.name === 'fragment') capture.depth += 1;
+      capture.html += raw;
+      return;
+    }
+
+    const impliedEnd = findImpliedEnd(openElements, token.name);
+    if (impliedEnd >= 0) closeOpenElements(tokens, impliedEnd);
+    if (capture) {
+      capture.html += raw;
+      if (!isVoid) openElements.push(token.name);
+      return;
+    }
+
+    const insideTemplate = openElements.includes('template');
+    if (!insideTemplate && token.name === 'fragment') {
+      capture = { type: 'fragment', openTag: raw, html: raw, depth: 1 };
+      return;
+    }
+    if (!insideTemplate && openElements.length === 0 && !isVoid && hasSwapOobAttribute(token.attributes)) {
+      capture = { type: 'oob', tagName: token.name, openTag: raw, html: raw, stackIndex: 0 };
+      openElements.push(token.name);
+      return;
+    }
+
+    pushText(tokens, raw);
+    if (!isVoid) openElements.push(token.name);
+  };
+
+  const handleEndTag = (tokens, token, raw) => {
+    if (capture?.type === 'fragment') {
+      if (token.name === 'fragment') capture.depth -= 1;
+      if (capture.depth === 0) {
+        finishCapture(tokens, raw);
+      } else {
+        capture.html += raw;
+      }
+      return;
+    }
+
+    // End tags without a matching open element are kept as text and otherwise ignored.
+    const index = VOID_ELEMENTS.has(token.name) ? -1 : openElements.lastIndexOf(token.name);
+    if (capture) {
+      if (index >= 0 && index <= capture.stackIndex) {
+        closeOpenElements(tokens, index, raw);
+      } else {
+        capture.html += raw;
+        if (index >= 0) openElements.length = index;
+      }
+      return;
+    }
+
+    if (token.name === 'fragment' && !openElements.includes('template')) {
+      Logger.system.warn('[FRAG] Ignoring unmatched </fragment> in response.');
+    }
+    pushText(tokens, raw);
+    if (index >= 0) openElements.length = index;
+  };
+
+  const consumeRawText = (tokens, input, start) => {
+    const closingTag = `</${rawTextTag}`;
+    const closingPattern = RAW_TEXT_CLOSING_PATTERNS.get(rawTextTag);
+    closingPattern.lastIndex = start;
+    const end = closingPattern.exec(input)?.index ?? -1;
+    if (end >= 0) {
+      pushText(tokens, input.slice(start, end));
+      rawTextTag = '';
+      return end;
+    }
+    // Keep enough input to recognize a closing tag split across chunks.
+    const safeEnd = Math.max(start, input.length - closingTag.length);
+    pushText(tokens, input.slice(start, safeEnd));
+    return safeEnd;
+  };
+
+  const write = (chunk) => {
+    const tokens = [];
+    const input = pending + safeString(chunk);
+    let index = 0;
+
+    while (index < input.length) {
+      if (rawTextTag) {
+        const nextIndex = consumeRawText(tokens, input, index);
+        if (rawTextTag) {
+          index = nextIndex;
+          break;
+        }
+        index = nextIndex;
+      }
+
+      const tagStart = input.indexOf('<', index);
+      if (tagStart < 0) {
+        pushText(tokens, input.slice(index));
+        index = input.length;
+        break;
+      }
+      pushText(tokens, input.slice(index, tagStart));
+      index = tagStart;
+
+      const token = readToken(input, tagStart);
+      if (!token) break;
+      const raw = input.slice(tagStart, token.end);
+      if (token.kind === 'start') {
+        handleStartTag(tokens, token, raw);
+      } else if (token.kind === 'end') {
+        handleEndTag(tokens, token, raw);
+      } else {
+        pushText(tokens, raw);
+      }
+      index = token.end;
+    }
+
+    pending = input.slice(index);
+    return tokens;
+  };
+
+  const end = () => {
+    const tokens = [];
+    if (capture) {
+      Logger.system.warn(`[FRAG] Unterminated <${capture.type === 'fragment' ? 'fragment' : capture.tagName}> at end of response. Treating it as text.`);
+      const { html } = capture;
+      capture = null;
+      pushText(tokens, html);
+    }
+    if (pending) {
+      if (pending.startsWith('<') && !rawTextTag) {
+        Logger.system.warn('[FRAG] Response ended inside an unterminated tag or comment.');
+      }
+      pushText(tokens, pending);
+      pending = '';
+    }
+    rawTextTag = '';
+    openElements = [];
+    return tokens;
+  };
+
+  return {
+    write,
+    end,
+    get bufferedLength() {
+      return pending.length + (capture?.html.length || 0);
+    }
+  };
+}
@@ -7,11 +7,38 @@
  * its inner content is immediately inserted into its target using the specified
  * replacement strategy. Inserted HTMLeX nodes are registered by the shared DOM
  * update notification path.
+ *
+ * Responses are read with an incremental tokenizer that keeps its state
+ * across chunks, so nested fragments and quoted attributes are handled and
+ * each chunk is scanned once.
+ *
+ * Complete top-level elements carrying `swap-oob` are swapped into the page
+ * element with the same id, using `outerHTML` unless the attribute names
+ * another strategy. The rest of the buffer is left for the caller's target.
+ *
+ * A fragment's own `emit`, `push`, `pull`, `path`, `history`, and `hook`
+ * attributes run once its swaps settle, unless it reports an error status.
+ *
+ * When the triggering element or any fragment in a buffer has a `transition`
+ * attribute, every fragment applied from that buffer is wrapped in a single
+ * view transition.
  */
 
 import { Logger } from './logger.js';
-import { parseTargets, querySelectorAllResult } from './dom.js';
+import { extractHeadContent, isHeadMergeRequested, mergeHead } from './head.js';
+import { runLifecycleHook } from './hooks.js';
+import { normalizeTargetStrategy, parseTargets, querySelectorAllResult } from './dom.js';
+import { createFragmentTokenizer, stripSwapOobAttribute } from './fragmentTokenizer.js';
+import { DEFAULT_FRAGMENT_TARGET, parseFragmentStatus } from './protocol.js';
 import { patchedUpdateTarget } from './registration.js';
+import { getIdSelector, selectResponseContent } from './select.js';
+import { emitSignal } from './signals.js';
+import { getSwapTiming } from './swapPhases.js';
+import { isTransitionRequested, runWithViewTransition } from './transitions.js';
+import { handleURLState } from './urlState.js';
+
+const FRAGMENT_URL_ATTRIBUTES = ['push', 'pull', 'path'];
+const FRAGMENT_EFFECT_ATTRIBUTES = ['emit', 'hook', ...FRAGMENT_URL_ATTRIBUTES];
 
 function safeString(value, fallback = '') {
   try {
@@ -89,14 +116,6 @@ function hasElementAttribute(element, attributeName) {
   }
 }
 
-function parseFragmentStatus(value) {
-  const normalizedValue = safeString(value).trim();
-  if (!/^\d{3}$/u.test(normalizedValue)) return null;
-
-  const statusCode = Number.parseInt(normalizedValue, 10);
-  return statusCode >= 100 && statusCode <= 599 ? statusCode : null;
-}
-
 function parseFragmentElement(fragmentHtml) {
   const runtimeDocument = getRuntimeDocument();
   if (typeof runtimeDocument?.createElement !== 'function') {
@@ -149,12 +168,17 @@ function completeAfterUpdate(afterUpdate) {
 }
 
 function applyFragmentUpdate(target, content, targetElement, options, afterUpdate) {
+  let completed = false;
+  const onSettled = () => {
+    if (completed) return;
+    completed = true;
+    completeAfterUpdate(afterUpdate);
+  };
   try {
-    patchedUpdateTarget(target, content, targetElement, options);
+    patchedUpdateTarget(target, content, targetElement, { ...options, onSettled });
   } catch (error) {
     Logger.system.error('[FRAG] Fragment target update failed.', error);
-  } finally {
-    completeAfterUpdate(afterUpdate);
+    onSettled();
   }
 }
 
@@ -178,121 +202,389 @@ function getResolvedTargetElements(target, triggeringElement) {
   return triggeringElement ? [triggeringElement] : [];
 }
 
+function isSequentialQueueing(triggeringElement) {
+  return Boolean(triggeringElement) &&
+    !getObjectField(triggeringElement, '_htmlexStreaming', false) &&
+    Boolean(getObjectField(triggeringElement, '_htmlexSequentialMode', false));
+}
+
+function queueSequentialUpdate(triggeringElement, sequentialEntry, updateFn) {
+  if (sequentialEntry) {
+    pushQueuedUpdate(sequentialEntry, 'updates', updateFn);
+    return;
+  }
+  if (!getObjectField(triggeringElement, '_htmlexSequentialUpdates', null)) {
+    setObjectField(triggeringElement, '_htmlexSequentialUpdatesCursor', 0);
+  }
+  pushQueuedUpdate(triggeringElement, '_htmlexSequentialUpdates', updateFn);
+}
+
+function resolveFragmentTargets(fragmentTarget, triggeringElement) {
+  if (!isThisTarget(fragmentTarget)) return [fragmentTarget];
+
+  Logger.system.debug("[FRAG] Fragment target selector is 'this'. Checking triggering element for an overriding target.");
+  const responseTargets = getObjectField(triggeringElement, '_htmlexResponseTargets', null);
+  if (Array.isArray(responseTargets) && responseTargets.length > 0) {
+    Logger.system.debug("[FRAG] Overriding fragment target with HTMLeX-Retarget/HTMLeX-Reswap response target(s):", responseTargets);
+    return responseTargets;
+  }
+  if (triggeringElement && hasElementAttribute(triggeringElement, "target")) {
+    const callerTargets = parseTargetsSafely(getElementAttribute(triggeringElement, "target"), 'caller override');
+    if (callerTargets.length > 0) {
+      Logger.system.debug("[FRAG] Overriding fragment target with caller target(s):", callerTargets);
+      return callerTargets;
+    }
+    Logger.system.debug("[FRAG] Triggering element has no valid target attribute. Using triggering element as target.");
+    return [{ ...fragmentTarget, selector: "this" }];
+  }
+  Logger.system.debug("[FRAG] No overriding target on triggering element. Using triggering element as target.");
+  return [fragmentTarget];
+}
+
+function parseOobToken(token, triggeringElement) {
+  if (triggeringElement) {
+    setObjectField(triggeringElement, '_htmlexOobProcessed', true);
+  }
+  const element = parseFragmentElement(token.html);
+  const id = safeString(getElementAttribute(element, 'id')).trim();
+  if (!id) {
+    Logger.system.warn("[FRAG] swap-oob element has no id. Skipping it.");
+    return null;
+  }
+
+  const swapValue = safeString(getElementAttribute(element, 'swap-oob')).trim();
+  const strategy = swapValue === '' || swapValue.toLowerCase() === 'true'
+    ? 'outerHTML'
+    : normalizeTargetStrategy(swapValue);
+  if (!strategy) {
+    Logger.system.warn(`[FRAG] Unsupported swap-oob strategy "${swapValue}" for #${id}. Skipping it.`);
+    return null;
+  }
+
+  const content = strategy === 'outerHTML'
+    ? stripSwapOobAttribute(token.openTag) + token.html.slice(token.openTag.length)
+    : token.content;
+  Logger.system.debug(`[FRAG] Found swap-oob element for #${id} using ${strategy}.`);
+  return {
+    content,
+    targets: [{ selector: getIdSelector(id), strategy }],
+    transition: isTransitionRequested(element),
+    oob: true
+  };
+}
+
+function parseFragmentToken(token, triggeringElement) {
+  if (triggeringElement) {
+    setObjectField(triggeringElement, '_htmlexFragmentsProcessed', true);
+  }
+  Logger.system.debug("[FRAG] Found fragment HTML:", token.html);
+
+  // Parse only the opening tag so attributes are read without re-parsing the content.
+  const fragmentElement = parseFragmentElement(`${token.openTag}</fragment>`);
+  if (!fragmentElement) {
+    Logger.system.debug("[FRAG] No valid fragment element found in parsed HTML.");
+    return null;
+  }
+
+  const statusCode = parseFragmentStatus(getElementAttribute(fragmentElement, 'status'));
+  if (triggeringElement && statusCode !== null && statusCode >= 400) {
+    const currentStatus = parseFragmentStatus(getObjectField(triggeringElement, '_htmlexFragmentErrorStatus'));
+    setObjectField(triggeringElement, '_htmlexFragmentErrorStatus', Number.isFinite(currentStatus)
+      ? Math.max(currentStatus, statusCode)
+      : statusCode);
+    Logger.system.warn(`[FRAG] Fragment reported error status ${statusCode}.`);
+  }
+
+  let fragmentTargetAttribute = getElementAttribute(fragmentElement, 'target');
+  if (!fragmentTargetAttribute) {
+    Logger.system.warn(`[FRAG] Fragment found without target attribute. Defaulting to '${DEFAULT_FRAGMENT_TARGET}'.`);
+    fragmentTargetAttribute = DEFAULT_FRAGMENT_TARGET;
+  }
+  Logger.system.debug("[FRAG] Fragment target attribute:", fragmentTargetAttribute);
+
+  // Keep the raw inner content so context-sensitive markup such as <tr> survives
+  // until the target element can parse it in the right DOM context.
+  const content = hasElementAttribute(fragmentElement, 'select')
+    ? selectResponseContent(token.content, { select: getElementAttribute(fragmentElement, 'select') }).content
+    : token.content;
+  Logger.system.debug("[FRAG] Extracted fragment content:", content);
+
+  const fragmentTargets = parseTargetsSafely(fragmentTargetAttribute, 'fragment');
+  Logger.system.debug("[FRAG] Parsed fragment targets:", fragmentTargets);
+
+  const transition = isTransitionRequested(fragmentElement);
+  // A response to an action that remote signals triggered emits locally only.
+  const broadcastSignals = getObjectField(triggeringElement, '_htmlexSignalRemote', false) !== true;
+  let effects = null;
+  if (hasFragmentEffects(fragmentElement)) {
+    if (statusCode !== null && statusCode >= 400) {
+      Logger.system.debug(`[FRAG] Skipping fragment side effects for error status ${statusCode}.`);
+    } else {
+      effects = fragmentElement;
+    }
+  }
+  if (isHeadMergeRequested(triggeringElement) || isHeadMergeRequested(fragmentElement)) {
+    const bodyTargets = fragmentTargets.filter(fragmentTarget => getTargetSelector(fragmentTarget).toLowerCase() !== 'head');
+    const split = bodyTargets.length < fragmentTargets.length ? { head: content, content: '' } : extractHeadContent(content);
+    return {
+      content: split.content,
+      head: split.head,
+      targets: bodyTargets.flatMap(fragmentTarget => resolveFragmentTargets(fragmentTarget, triggeringElement)),
+      transition,
+      effects,
+      broadcastSignals
+    };
+  }
+
+  return {
+    content,
+    targets: fragmentTargets.flatMap(fragmentTarget => resolveFragmentTargets(fragmentTarget, triggeringElement)),
+    transition,
+    effects,
+    broadcastSignals
+  };
+}
+
+function hasFragmentEffects(fragmentElement) {
+  return FRAGMENT_EFFECT_ATTRIBUTES.some(attributeName => hasElementAttribute(fragmentElement, attributeName));
+}
+
 /**
- * Processes the current buffer by extracting complete <fragment> blocks.
- * For each complete fragment found, it extracts the inner content and updates the DOM.
- * If the triggering element is in streaming mode (as indicated by _htmlexStreaming),
- * updates are applied immediately (bypassing sequential queuing). Otherwise, if the triggering
- * element is in sequential mode, the update is queued; if neither, the update is applied immediately.
- * After insertion, the code scans each target element for any child elements with a timer attribute
- * (that have not yet been processed) and sets up their timers.
- * Returns the buffer with all complete fragments removed.
- *
- * @param {string} buffer - The current accumulated buffer from the stream.
- * @param {Element} [triggeringElement=null] - The element that triggered the API call.
- * @param {object|null} [sequentialEntry=null] - Request-specific queue for sequential updates.
- * @param {object|null} [swapLifecycle=null] - Lifecycle tracker notified after each DOM update.
- * @returns {string} The buffer with complete fragments removed.
+ * Runs a fragment's own side effects: URL updates from `push`, `pull`, `path`,
+ * and `history`, then the `emit` signal, then the `hook` lifecycle hook.
  */
-export function processFragmentBuffer(buffer, triggeringElement = null, sequentialEntry = null, swapLifecycle = null) {
-  const bufferString = safeString(buffer);
-  Logger.system.debug("[FRAG] Processing fragment buffer. Buffer length:", bufferString.length);
-  const fragmentRegex = /<fragment\b[^>]*>[\s\S]*?<\/fragment>/gi;
-  let match;
+function runFragmentEffects(fragment) {
+  const fragmentElement = fragment.effects;
+  try {
+    if (FRAGMENT_URL_ATTRIBUTES.some(attributeName => hasElementAttribute(fragmentElement, attributeName))) {
+      handleURLState(fragmentElement);
+    }
+    if (hasElementAttribute(fragmentElement, 'emit')) {
+      const signalName = getElementAttribute(fragmentElement, 'emit');
+      Logger.system.info(`[FRAG] Emitting fragment signal "${safeString(signalName)}".`);
+      emitSignal(signalName, undefined, { broadcast: fragment.broadcastSignals });
+    }
+    runLifecycleHook(fragmentElement, 'hook');
+  } catch (error) {
+    Logger.system.error('[FRAG] Fragment side effects failed.', error);
+  }
+}
+
+/**
+ * Returns a callback to call once per target update. The fragment's side
+ * effects run after the last of its `pendingUpdates` settles.
+ */
+function createFragmentSettledCallback(fragment, pendingUpdates) {
+  if (!fragment.effects) return null;
+  let remaining = pendingUpdates;
+  return () => {
+    remaining -= 1;
+    if (remaining === 0) runFragmentEffects(fragment);
+  };
+}
 
-  while ((match = fragmentRegex.exec(bufferString)) !== null) {
-    if (triggeringElement) {
-      setObjectField(triggeringElement, '_htmlexFragmentsProcessed', true);
+function applyParsedFragment(fragment, triggeringElement, swapLifecycle, queueUpdate) {
+  if (fragment.head) {
+    const mergeFragmentHead = () => mergeHead(fragment.head);
+    if (queueUpdate) {
+      queueUpdate(mergeFragmentHead);
+    } else {
+      mergeFragmentHead();
     }
-    const fragmentHtml = match[0];
-    Logger.system.debug("[FRAG] Found fragment HTML:", fragmentHtml);
+  }
 
-    const fragmentElement = parseFragmentElement(fragmentHtml);
-    if (!fragmentElement) {
-      Logger.system.debug("[FRAG] No valid fragment element found in parsed HTML.");
+  const swapTiming = getSwapTiming(triggeringElement);
+  const targetUpdates = [];
+  for (const target of fragment.targets) {
+    // Out-of-band swaps only apply to their own id and never fall back to the trigger.
+    const targetElements = getResolvedTargetElements(target, fragment.oob ? null : triggeringElement);
+
+    if (!targetElements || targetElements.length === 0) {
+      Logger.system.warn("[FRAG] No elements resolved for fragment target:", getTargetSelector(target));
       continue;
     }
+    targetUpdates.push({ target, targetElements });
+  }
 
-    const statusCode = parseFragmentStatus(getElementAttribute(fragmentElement, 'status'));
-    if (triggeringElement && statusCode !== null && statusCode >= 400) {
-      const currentStatus = parseFragmentStatus(getObjectField(triggeringElement, '_htmlexFragmentErrorStatus'));
-      setObjectField(triggeringElement, '_htmlexFragmentErrorStatus', Number.isFinite(currentStatus)
-        ? Math.max(currentStatus, statusCode)
-        : statusCode);
-      Logger.system.warn(`[FRAG] Fragment reported error status ${statusCode}.`);
+  const pendingUpdates = targetUpdates.reduce((count, { targetElements }) => count + targetElements.length, 0);
+  const fragmentSettled = createFragmentSettledCallback(fragment, pendingUpdates);
+  if (fragmentSettled && pendingUpdates === 0) {
+    const runEffects = () => runFragmentEffects(fragment);
+    if (queueUpdate) {
+      queueUpdate(runEffects);
+    } else {
+      runEffects();
     }
+  }
 
-    let fragmentTargetAttribute = getElementAttribute(fragmentElement, 'target');
-    if (!fragmentTargetAttribute) {
-      Logger.system.warn("[FRAG] Fragment found without target attribute. Defaulting to 'this(innerHTML)'.");
-      fragmentTargetAttribute = "this(innerHTML)";
-    }
-    Logger.system.debug("[FRAG] Fragment target attribute:", fragmentTargetAttribute);
-
-    // Extract raw inner content so context-sensitive markup such as <tr> survives
-    // until the target element can parse it in the right DOM context.
-    const content = fragmentHtml
-      .replace(/^<fragment\b[^>]*>/i, '')
-      .replace(/<\/fragment>\s*$/i, '');
-    Logger.system.debug("[FRAG] Extracted fragment content:", content);
-
-    const fragmentTargets = parseTargetsSafely(fragmentTargetAttribute, 'fragment');
-    Logger.system.debug("[FRAG] Parsed fragment targets:", fragmentTargets);
-
-    for (const fragmentTarget of fragmentTargets) {
-      let targetsToApply = [fragmentTarget];
-      if (isThisTarget(fragmentTarget)) {
-        Logger.system.debug("[FRAG] Fragment target selector is 'this'. Checking triggering element for an overriding target.");
-        if (triggeringElement && hasElementAttribute(triggeringElement, "target")) {
-          const callerTargets = parseTargetsSafely(getElementAttribute(triggeringElement, "target"), 'caller override');
-          if (callerTargets.length > 0) {
-            Logger.system.debug("[FRAG] Overriding fragment target with caller target(s):", callerTargets);
-            targetsToApply = callerTargets;
-          } else {
-            Logger.system.debug("[FRAG] Triggering element has no valid target attribute. Using triggering element as target.");
-            targetsToApply = [{ ...fragmentTarget, selector: "this" }];
-          }
-        } else {
-          Logger.system.debug("[FRAG] No overriding target on triggering element. Using triggering element as target.");
+  for (const { target, targetElements } of targetUpdates) {
+    for (const targetElement of targetElements) {
+      const lifecycleCallback = createAfterUpdateCallback(swapLifecycle);
+      const afterUpdate = fragmentSettled
+        ? () => {
+          fragmentSettled();
+          completeAfterUpdate(lifecycleCallback);
         }
+        : lifecycleCallback;
+      if (queueUpdate) {
+        Logger.system.debug("[FRAG] Queuing fragment update because triggering element is sequential.");
+        queueUpdate(() => {
+          applyFragmentUpdate(target, fragment.content, targetElement, { forceResolvedElement: true, queueSequential: false, swapTiming }, afterUpdate);
+        });
+      } else {
+        if (getObjectField(triggeringElement, '_htmlexStreaming', false)) {
+          Logger.system.debug("[FRAG] Streaming active: updating fragment immediately.");
+        }
+        applyFragmentUpdate(target, fragment.content, targetElement, { forceResolvedElement: true, swapTiming }, afterUpdate);
+      }
+    }
+  }
+}
+
+function applyParsedFragments(fragments, triggeringElement, sequentialEntry, swapLifecycle) {
+  const useTransition = isTransitionRequested(triggeringElement) || fragments.some(fragment => fragment.transition);
+
+  if (isSequentialQueueing(triggeringElement)) {
+    if (!useTransition) {
+      const queueUpdate = updateFn => queueSequentialUpdate(triggeringElement, sequentialEntry, updateFn);
+      for (const fragment of fragments) {
+        applyParsedFragment(fragment, triggeringElement, swapLifecycle, queueUpdate);
       }
+      return;
+    }
 
-      for (const target of targetsToApply) {
-        const targetElements = getResolvedTargetElements(target, triggeringElement);
+    const batch = [];
+    for (const fragment of fragments) {
+      applyParsedFragment(fragment, triggeringElement, swapLifecycle, updateFn => batch.push(updateFn));
+    }
+    if (batch.length > 0) {
+      queueSequentialUpdate(triggeringElement, sequentialEntry, () => {
+        runWithViewTransition(() => {
+          for (const updateFn of batch) updateFn();
+        });
+      });
+    }
+    return;
+  }
 
-        if (!targetElements || targetElements.length === 0) {
-          Logger.system.warn("[FRAG] No elements resolved for fragment target:", getTargetSelector(target));
-          continue;
-        }
+  if (!useTransition) {
+    for (const fragment of fragments) {
+      applyParsedFragment(fragment, triggeringElement, swapLifecycle, null);
+    }
+    return;
+  }
 
-        for (const targetElement of targetElements) {
-          const afterUpdate = createAfterUpdateCallback(swapLifecycle);
-          if (triggeringElement && getObjectField(triggeringElement, '_htmlexStreaming', false)) {
-            Logger.system.debug("[FRAG] Streaming active: updating fragment immediately.");
-            applyFragmentUpdate(target, content, targetElement, { forceResolvedElement: true }, afterUpdate);
-          } else if (triggeringElement && getObjectField(triggeringElement, '_htmlexSequentialMode', false)) {
-            Logger.system.debug("[FRAG] Queuing fragment update because triggering element is sequential.");
-            if (sequentialEntry) {
-              pushQueuedUpdate(sequentialEntry, 'updates', () => {
-                applyFragmentUpdate(target, content, targetElement, { forceResolvedElement: true, queueSequential: false }, afterUpdate);
-              });
-            } else {
-              if (!getObjectField(triggeringElement, '_htmlexSequentialUpdates', null)) {
-                setObjectField(triggeringElement, '_htmlexSequentialUpdatesCursor', 0);
-              }
-              pushQueuedUpdate(triggeringElement, '_htmlexSequentialUpdates', () => {
-                applyFragmentUpdate(target, content, targetElement, { forceResolvedElement: true, queueSequential: false }, afterUpdate);
-              });
-            }
-          } else {
-            applyFragmentUpdate(target, content, targetElement, { forceResolvedElement: true }, afterUpdate);
-          }
-        }
+  // Hold the swap lifecycle open until the transition runs the deferred update.
+  const transitionComplete = createAfterUpdateCallback(swapLifecycle);
+  runWithViewTransition(() => {
+    try {
+      for (const fragment of fragments) {
+        applyParsedFragment(fragment, triggeringElement, swapLifecycle, null);
       }
+    } finally {
+      completeAfterUpdate(transitionComplete);
     }
+  });
+}
+
+/**
+ * Parses the tokens completed by one tokenizer step into `fragments` and
+ * returns their non-fragment text.
+ */
+function collectFragmentTokens(tokens, triggeringElement, fragments) {
+  let text = '';
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      text += token.text;
+      continue;
+    }
+    const fragment = token.type === 'oob'
+      ? parseOobToken(token, triggeringElement)
+      : parseFragmentToken(token, triggeringElement);
+    if (fragment) fragments.push(fragment);
   }
+  return text;
+}
 
-  const newBuffer = bufferString.replace(fragmentRegex, '');
+/**
+ * Creates a fragment stream for one response. Each `write(chunk)` feeds the
+ * incremental tokenizer and immediately applies every `<fragment>` block and
+ * top-level `swap-oob` element the chunk completes, in document order. Parser
+ * state is kept between chunks, so each character is scanned once.
+ *
+ * Once the triggering element or any parsed fragment requests a transition,
+ * fragments are held until `end()` instead, so every fragment still pending is
+ * applied in one view transition rather than one transition per chunk.
+ *
+ * Both `write` and `end` return the non-fragment text collected so far, which
+ * the caller applies to its own target once the response is done. `end()`
+ * flushes an unterminated fragment as text and reports it through the logger.
+ * `bufferedLength` counts the collected text plus any incomplete markup.
+ *
+ * @param {Element} [triggeringElement=null] - The element that triggered the API call.
+ * @param {object|null} [sequentialEntry=null] - Request-specific queue for sequential updates.
+ * @param {object|null} [swapLifecycle=null] - Lifecycle tracker notified after each DOM update.
+ * @returns {{write: function(string): string, end: function(): string, readonly bufferedLength: number}}
+ */
+export function createFragmentStream(triggeringElement = null, sequentialEntry = null, swapLifecycle = null) {
+  const tokenizer = createFragmentTokenizer();
+  let deferFragments = isTransitionRequested(triggeringElement);
+  let fragments = [];
+  let text = '';
+  const applyPendingFragments = () => {
+    if (fragments.length === 0) return;
+    const pending = fragments;
+    fragments = [];
+    applyParsedFragments(pending, triggeringElement, sequentialEntry, swapLifecycle);
+  };
+
+  return {
+    write(chunk) {
+      text += collectFragmentTokens(tokenizer.write(chunk), triggeringElement, fragments);
+      deferFragments ||= fragments.some(fragment => fragment.transition);
+      if (!deferFragments) applyPendingFragments();
+      return text;
+    },
+    end() {
+      text += collectFragmentTokens(tokenizer.end(), triggeringElement, fragments);
+      applyPendingFragments();
+      return text;
+    },
+    get bufferedLength() {
+      return text.length + tokenizer.bufferedLength;
+    }
+  };
+}
+
+/**
+ * Processes a complete response buffer by extracting its <fragment> blocks.
+ * For each fragment found, it extracts the inner content and updates the DOM.
+ * If the triggering element is in streaming mode (as indicated by _htmlexStreaming),
+ * updates are applied immediately (bypassing sequential queuing). Otherwise, if the triggering
+ * element is in sequential mode, the update is queued; if neither, the update is applied immediately.
+ * With head merging enabled through the `head` attribute, `<fragment target="head">`
+ * content and `<title>` elements in fragments are merged into `document.head`.
+ *
+ * Top-level `swap-oob` elements are swapped into their same-id page elements alongside
+ * the fragments. When a transition is requested, the fragments in this buffer are applied
+ * inside one view transition. Use {@link createFragmentStream} to process a response
+ * chunk by chunk.
+ * Returns the buffer with all complete fragments and swap-oob elements removed;
+ * unterminated fragments are left in place as text.
+ *
+ * @param {string} buffer - The response markup.
+ * @param {Element} [triggeringElement=null] - The element that triggered the API call.
+ * @param {object|null} [sequentialEntry=null] - Request-specific queue for sequential updates.
+ * @param {object|null} [swapLifecycle=null] - Lifecycle tracker notified after each DOM update.
+ * @returns {string} The buffer with complete fragments and swap-oob elements removed.
+ */
+export function processFragmentBuffer(buffer, triggeringElement = null, sequentialEntry = null, swapLifecycle = null) {
+  const bufferString = safeString(buffer);
+  Logger.system.debug("[FRAG] Processing fragment buffer. Buffer length:", bufferString.length);
+  const stream = createFragmentStream(triggeringElement, sequentialEntry, swapLifecycle);
+  stream.write(bufferString);
+  const newBuffer = stream.end();
   Logger.system.debug("[FRAG] Buffer after removing processed fragments. New buffer length:", newBuffer.length);
   return newBuffer;
 }
@@ -0,0 +1,224 @@
+// src/head.js
+/**
+ * @module Head
+ * @description Merges `<title>`, `<meta>`, and `<link>` elements from a
+ * response into `document.head` when an action element or fragment opts in
+ * with the `head` attribute. Meta tags are matched by name, property,
+ * http-equiv, or charset, so a navigation can refresh its title and
+ * description. Links are matched by rel, href, sizes, and media, so icons
+ * and alternates that share a rel are added side by side. Scripts are never
+ * inserted, and links and styles the page already has are left untouched.
+ */
+
+import { Logger } from './logger.js';
+
+const HEAD_MERGE_MODES = new Set(['', 'merge']);
+const META_KEY_ATTRIBUTES = ['name', 'property', 'http-equiv', 'charset'];
+const LINK_KEY_ATTRIBUTES = ['href', 'sizes', 'media'];
+const HEAD_SECTION_PATTERN = /<head\b[^>]*>([\s\S]*?)<\/head\s*>/i;
+const TITLE_PATTERN = /<title\b[^>]*>[\s\S]*?<\/title\s*>/gi;
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch (error) {
+    Logger.system.warn('[HEAD] Failed to coerce value to string.', error);
+    return fallback;
+  }
+}
+
+function getRuntimeDocument() {
+  try {
+    return typeof document === 'undefined' ? globalThis.document : document;
+  } catch (error) {
+    Logger.system.warn('[HEAD] Failed to read document.', error);
+    return null;
+  }
+}
+
+function getObjectField(value, fieldName, fallback = undefined) {
+  try {
+    return value?.[fieldName] ?? fallback;
+  } catch (error) {
+    Logger.system.warn(`[HEAD] Failed to read ${fieldName}.`, error);
+    return fallback;
+  }
+}
+
+function hasElementAttribute(element, attributeName) {
+  try {
+    return Boolean(element?.hasAttribute?.(attributeName));
+  } catch (error) {
+    Logger.system.warn(`[HEAD] Failed to check ${attributeName} attribute.`, error);
+    return false;
+  }
+}
+
+function getElementAttribute(element, attributeName) {
+  try {
+    return element?.getAttribute?.(attributeName) ?? null;
+  } catch (error) {
+    Logger.system.warn(`[HEAD] Failed to read ${attributeName} attribute.`, error);
+    return null;
+  }
+}
+
+function getTagName(element) {
+  return safeString(getObjectField(element, 'tagName', '')).toLowerCase();
+}
+
+function getElementChildren(node) {
+  try {
+    return Array.from(getObjectField(node, 'children', null) || []);
+  } catch (error) {
+    Logger.system.warn('[HEAD] Failed to read element children.', error);
+    return [];
+  }
+}
+
+function parseHeadElements(html) {
+  const runtimeDocument = getRuntimeDocument();
+  if (typeof runtimeDocument?.createElement !== 'function') {
+    Logger.system.warn('[HEAD] Document template parsing is unavailable. Skipping head merge.');
+    return [];
+  }
+
+  try {
+    const template = runtimeDocument.createElement('template');
+    template.innerHTML = html;
+    return getElementChildren(getObjectField(template, 'content', null));
+  } catch (error) {
+    Logger.system.warn('[HEAD] Failed to parse head HTML. Skipping head merge.', error);
+    return [];
+  }
+}
+
+function getHeadKey(element) {
+  const tagName = getTagName(element);
+  if (tagName === 'meta') {
+    for (const attributeName of META_KEY_ATTRIBUTES) {
+      const value = safeString(getElementAttribute(element, attributeName)).trim().toLowerCase();
+      if (value) return `meta:${attributeName}=${attributeName === 'charset' ? '' : value}`;
+    }
+    return '';
+  }
+  if (tagName === 'link') {
+    const rel = safeString(getElementAttribute(element, 'rel')).trim().toLowerCase().split(/\s+/u).join(' ');
+    if (!rel) return '';
+    // Icons, alternates, and preloads share a rel, so the resource and its conditions are part of the key.
+    const details = LINK_KEY_ATTRIBUTES.map(attributeName => safeString(getElementAttribute(element, attributeName)).trim());
+    return `link:${JSON.stringify([rel, ...details])}`;
+  }
+  if (tagName === 'style') {
+    return `style:${safeString(getObjectField(element, 'textContent', ''))}`;
+  }
+  return '';
+}
+
+function findExistingHeadElement(head, key) {
+  return getElementChildren(head).find(element => getHeadKey(element) === key) || null;
+}
+
+function insertHeadElement(head, element) {
+  try {
+    head.appendChild(element);
+    return true;
+  } catch (error) {
+    Logger.system.warn('[HEAD] Failed to add head element.', error);
+    return false;
+  }
+}
+
+function replaceHeadElement(existing, element) {
+  try {
+    existing.replaceWith(element);
+    return true;
+  } catch (error) {
+    Logger.system.warn('[HEAD] Failed to replace head element.', error);
+    return false;
+  }
+}
+
+function setDocumentTitle(runtimeDocument, title) {
+  try {
+    runtimeDocument.title = title;
+    Logger.system.debug(`[HEAD] Updated document title to "${title}".`);
+  } catch (error) {
+    Logger.system.warn('[HEAD] Failed to update document title.', error);
+  }
+}
+
+/**
+ * Returns true when the element opts into head merging with a `head`
+ * attribute that is empty or set to "merge".
+ *
+ * @param {Element|null} element - An action element or parsed fragment.
+ * @returns {boolean}
+ */
+export function isHeadMergeRequested(element) {
+  if (!hasElementAttribute(element, 'head')) return false;
+  const mode = safeString(getElementAttribute(element, 'head')).trim().toLowerCase();
+  if (HEAD_MERGE_MODES.has(mode)) return true;
+  if (mode !== 'false') {
+    Logger.system.warn(`[HEAD] Unsupported head merge mode "${mode}".`);
+  }
+  return false;
+}
+
+/**
+ * Splits the head markup out of a response: the contents of a `<head>`
+ * section when the response is a full page, otherwise any `<title>` elements.
+ *
+ * @param {string} html - The response markup.
+ * @returns {{head: string, content: string}} Head markup and the remaining content.
+ */
+export function extractHeadContent(html) {
+  const htmlString = safeString(html);
+  const headSection = HEAD_SECTION_PATTERN.exec(htmlString);
+  if (headSection) {
+    return { head: headSection[1], content: htmlString.replace(HEAD_SECTION_PATTERN, '') };
+  }
+
+  const titles = htmlString.match(TITLE_PATTERN) || [];
+  return { head: titles.join(''), content: titles.length ? htmlString.replace(TITLE_PATTERN, '') : htmlString };
+}
+
+/**
+ * Merges head markup into `document.head`. The last `<title>` sets
+ * `document.title`; `<meta>` and `<link>` elements replace the page element
+ * with the same key or are appended; new `<style>` blocks are appended.
+ * Scripts and unrecognized elements are ignored.
+ *
+ * @param {string} html - Head markup, such as the content of a `<fragment target="head">`.
+ * @returns {number} The number of head changes applied.
+ */
+export function mergeHead(html) {
+  const runtimeDocument = getRuntimeDocument();
+  const head = getObjectField(runtimeDocument, 'head', null);
+  let changes = 0;
+
+  for (const element of parseHeadElements(safeString(html))) {
+    const tagName = getTagName(element);
+    if (tagName === 'title') {
+      setDocumentTitle(runtimeDocument, safeString(getObjectField(element, 'textContent', '')).trim());
+      changes += 1;
+      continue;
+    }
+
+    const key = getHeadKey(element);
+    if (!key || !head) {
+      Logger.system.debug(`[HEAD] Ignoring <${tagName}> during head merge.`);
+      continue;
+    }
+
+    const existing = findExistingHeadElement(head, key);
+    // Styles and links are keyed by their whole content, so a match is already in place.
+    if (existing && (tagName === 'style' || tagName === 'link')) continue;
+    if (existing ? replaceHeadElement(existing, element) : insertHeadElement(head, element)) {
+      changes += 1;
+    }
+  }
+
+  Logger.system.debug(`[HEAD] Applied ${changes} head change(s).`);
+  return changes;
+}
@@ -34,17 +34,128 @@ export interface HTMLeXHooks {
   scope(scope: string): HTMLeXHookScope;
 }
 
+/** Signal payloads are frozen maps of string values. */
+export type HTMLeXSignalPayload = Readonly<Record<string, string>>;
+
+/** Listeners receive the emitted signal name, which differs from the registered name for wildcard patterns. */
+export type HTMLeXSignalListener = (payload: HTMLeXSignalPayload, name: string, origin: HTMLeXSignalOrigin) => unknown;
+
+export interface HTMLeXSignalEmitOptions {
+  /** Set to `false` to deliver the signal in this tab only, even when it is on the broadcast allow-list. */
+  broadcast?: boolean;
+}
+
+/** Where a signal was emitted: this tab, or another tab relayed by `signals.broadcast()`. */
+export interface HTMLeXSignalOrigin {
+  tabId: string;
+  remote: boolean;
+  /** Set for signals received from another tab. */
+  messageId?: string;
+}
+
+/** The `detail` of the `htmlex:signal` event dispatched on `document` for every emission. */
+export interface HTMLeXSignalEventDetail {
+  name: string;
+  payload: HTMLeXSignalPayload;
+  origin: HTMLeXSignalOrigin;
+}
+
+export interface HTMLeXSignalBroadcastOptions {
+  /** Signal names or wildcard patterns relayed to other tabs, as an array or a space/comma-separated list. */
+  signals: readonly string[] | string;
+  /** `BroadcastChannel` name and `localStorage` fallback key; defaults to `htmlex:signals`. */
+  channel?: string;
+}
+
+export interface HTMLeXSignals {
+  /** Emits a signal; the payload is an object or space-separated `key=value` pairs. */
+  emit(name: string, payload?: Readonly<Record<string, unknown>> | string, options?: HTMLeXSignalEmitOptions): void;
+  /** Adds a listener for a signal name or a pattern (`todo:*` matches one segment, `**` any) and returns a function that removes it. */
+  on(name: string, listener: HTMLeXSignalListener): () => void;
+  /** Adds a listener for the next emission only. */
+  once(name: string, listener: HTMLeXSignalListener): () => void;
+  /** Removes a listener added with `on()` or `once()`. */
+  off(name: string, listener: HTMLeXSignalListener): boolean;
+  /** Signal names and patterns that currently have listeners. */
+  list(): string[];
+  /** Relays the allow-listed signals to other same-origin tabs; returns a function that stops it. */
+  broadcast(options: HTMLeXSignalBroadcastOptions): () => void;
+}
+
+export interface HTMLeXSwapTarget {
+  selector: string;
+  strategy: string;
+}
+
+export interface HTMLeXSwapStrategyContext {
+  selector: string;
+  strategy: string;
+  target: HTMLeXSwapTarget;
+}
+
+/** Return a node to have HTMLeX register new markup under it; defaults to the target element. */
+export type HTMLeXSwapStrategy = (element: Element, content: string, context: HTMLeXSwapStrategyContext) => Node | void;
+
+/** A response cache entry; `expireAt` is `Infinity` for entries without a TTL. */
+export interface HTMLeXCacheEntry {
+  response: string;
+  expireAt: number;
+}
+
+/** A persistent response cache backend; methods may return promises. */
+export interface HTMLeXCacheStore {
+  get(key: string): HTMLeXCacheEntry | null | PromiseLike<HTMLeXCacheEntry | null>;
+  set(key: string, entry: HTMLeXCacheEntry): unknown;
+  delete(key: string): unknown;
+  clear(): unknown;
+}
+
+export interface HTMLeXCacheBudget {
+  /** Maximum number of entries; defaults to 100. */
+  maxEntries?: number;
+  /** Maximum total size of keys and responses in bytes; defaults to 5 MiB. */
+  maxBytes?: number;
+}
+
+export interface HTMLeXCacheOptions extends HTMLeXCacheBudget {
+  /** Where responses persist beyond the memory cache; defaults to `memory`. */
+  store?: 'memory' | 'session' | 'indexeddb' | HTMLeXCacheStore;
+}
+
 export interface DefineHTMLeXElementOptions {
   baseClass?: typeof HTMLElement;
   elementClass?: CustomElementConstructor;
 }
 
 export const hooks: HTMLeXHooks;
+export const signals: HTMLeXSignals;
+export const SIGNAL_EVENT: 'htmlex:signal';
+
+export function configureCache(options?: HTMLeXCacheOptions): void;
+export function createMemoryCacheStore(options?: HTMLeXCacheBudget): HTMLeXCacheStore;
+export function createSessionStorageCacheStore(options?: HTMLeXCacheBudget & { storage?: Storage; prefix?: string }): HTMLeXCacheStore | null;
+export function createIndexedDBCacheStore(options?: HTMLeXCacheBudget & { indexedDB?: IDBFactory; name?: string }): HTMLeXCacheStore | null;
+
+declare global {
+  interface Window {
+    HTMLeX?: {
+      hooks?: HTMLeXHooks;
+      signals?: HTMLeXSignals;
+    };
+  }
+
+  interface DocumentEventMap {
+    'htmlex:signal': CustomEvent<HTMLeXSignalEventDetail>;
+  }
+}
 
 export function initHTMLeX(): void;
 export function registerLifecycleHook(name: string, callback: HTMLeXLifecycleCallback, options?: HTMLeXHookRegistrationOptions): () => boolean;
 export function unregisterLifecycleHook(name: string, options?: HTMLeXHookUnregisterOptions): boolean;
 export function getLifecycleHookNames(scope?: string): string[];
 export function createLifecycleHookScope(scope: string): HTMLeXHookScope;
+export function registerSwapStrategy(name: string, strategy: HTMLeXSwapStrategy, options?: { replace?: boolean }): () => boolean;
+export function unregisterSwapStrategy(name: string, strategy?: HTMLeXSwapStrategy): boolean;
+export function getSwapStrategyNames(): string[];
 export function createHTMLeXElementClass<TBase extends typeof HTMLElement = typeof HTMLElement>(baseClass?: TBase): CustomElementConstructor;
 export function defineHTMLeXElement(name?: string, options?: DefineHTMLeXElementOptions): CustomElementConstructor;
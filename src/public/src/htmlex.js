@@ -6,12 +6,19 @@
 
 import { installRuntimeErrorBoundary, Logger } from './logger.js';
 import { installLifecycleHookGlobal } from './hooks.js';
+import { installSignalGlobal } from './signals.js';
 
 installRuntimeErrorBoundary();
 installLifecycleHookGlobal();
+installSignalGlobal();
 Logger.system.debug("[HTMLeX] Entry point module loaded.");
 
 export { initHTMLeX } from './registration.js';
+export {
+  getSwapStrategyNames,
+  registerSwapStrategy,
+  unregisterSwapStrategy
+} from './dom.js';
 export {
   createHTMLeXElementClass,
   defineHTMLeXElement
@@ -23,3 +30,13 @@ export {
   registerLifecycleHook,
   unregisterLifecycleHook
 } from './hooks.js';
+export {
+  SIGNAL_EVENT,
+  signals
+} from './signals.js';
+export {
+  configureCache,
+  createIndexedDBCacheStore,
+  createMemoryCacheStore,
+  createSessionStorageCacheStore
+} from './cache.js';
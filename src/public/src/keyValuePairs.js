@@ -0,0 +1,49 @@
+// src/keyValuePairs.js
+/**
+ * @module KeyValuePairs
+ * @description The one `key=value` list parser shared by `push`,
+ * `publish-extras`, and the `Emit` response header, so every source decodes
+ * the same text to the same pairs.
+ */
+
+import { Logger } from './logger.js';
+
+function decodePairPart(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Parses a list of `key=value` pairs. Each pair splits at its first `=`, so
+ * values may contain `=`. Keys and values are trimmed and then
+ * percent-decoded, so `%20` carries a space; malformed escapes are kept as
+ * written. Pairs with an empty key are dropped.
+ *
+ * @param {string} text - The pair list.
+ * @param {string|RegExp} [separator=/\s+/] - What separates one pair from the next.
+ * @returns {Array<{key: string, value: string}>} The decoded pairs in order.
+ */
+export function parseKeyValuePairs(text, separator = /\s+/) {
+  let source;
+  try {
+    source = String(text ?? '');
+  } catch (error) {
+    Logger.system.warn('[KEYVALUE] Ignoring key=value list that could not be converted to text.', error);
+    return [];
+  }
+
+  const pairs = [];
+  for (const pair of source.split(separator)) {
+    const separatorIndex = pair.indexOf('=');
+    const key = decodePairPart((separatorIndex >= 0 ? pair.slice(0, separatorIndex) : pair).trim());
+    if (!key) continue;
+    pairs.push({
+      key,
+      value: separatorIndex >= 0 ? decodePairPart(pair.slice(separatorIndex + 1).trim()) : ''
+    });
+  }
+  return pairs;
+}
@@ -0,0 +1,43 @@
+export interface HTMLeXFragmentStrategy {
+  selector: string;
+  strategy: string;
+}
+
+export interface HTMLeXFragmentRecord {
+  target: string;
+  strategies: HTMLeXFragmentStrategy[];
+  status: number | null;
+  attributes: Record<string, string>;
+  content: string;
+}
+
+export const DEFAULT_FRAGMENT_TARGET: 'this(innerHTML)';
+/** Every built-in target strategy name in its canonical spelling. */
+export const SWAP_STRATEGIES: readonly [
+  'innerHTML', 'outerHTML', 'append', 'prepend', 'before', 'after', 'remove',
+  'morph', 'textContent', 'replaceChildren', 'none'
+];
+/** The metadata headers the browser runtime sends with every action. */
+export const HTMLEX_REQUEST_HEADERS: Readonly<{
+  request: 'HTMLeX-Request';
+  trigger: 'HTMLeX-Trigger';
+  triggerName: 'HTMLeX-Trigger-Name';
+  target: 'HTMLeX-Target';
+  currentUrl: 'HTMLeX-Current-URL';
+  event: 'HTMLeX-Event';
+}>;
+
+export interface HTMLeXRequestInfo {
+  /** True when the request carried the `HTMLeX-Request: true` header. */
+  request: boolean;
+  trigger: string | null;
+  triggerName: string | null;
+  target: string | null;
+  event: string | null;
+  currentUrl: string | null;
+}
+
+/** Reads the request metadata headers; the same parser `createApp()` uses for `req.htmlex`. */
+export function parseHTMLeXRequest(req: unknown): HTMLeXRequestInfo;
+export function parseFragments(html: string): HTMLeXFragmentRecord[];
+export function parseFragmentStatus(value: unknown): number | null;
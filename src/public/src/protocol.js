@@ -0,0 +1,76 @@
+// src/protocol.js
+/**
+ * @module Protocol
+ * @description Parses HTMLeX fragment responses without a DOM. It uses the
+ * same tokenizer, target grammar, and status rules as the browser runtime,
+ * so server code and tests read a response exactly as the client applies it.
+ * Published as `htmlex/protocol`.
+ */
+
+import { parseTargets } from './dom.js';
+import { createFragmentTokenizer, parseTagAttributes } from './fragmentTokenizer.js';
+
+export { SWAP_STRATEGIES } from './swapStrategies.js';
+export { HTMLEX_REQUEST_HEADERS, parseHTMLeXRequest } from './requestHeaders.js';
+
+/** The target a fragment without a `target` attribute is applied to. */
+export const DEFAULT_FRAGMENT_TARGET = 'this(innerHTML)';
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Parses a fragment `status` attribute. Only three-digit HTTP status codes
+ * from 100 to 599 are accepted.
+ *
+ * @param {unknown} value - The raw attribute value.
+ * @returns {number|null} The status code, or null when it is missing or malformed.
+ */
+export function parseFragmentStatus(value) {
+  const normalizedValue = safeString(value).trim();
+  if (!/^\d{3}$/u.test(normalizedValue)) return null;
+
+  const statusCode = Number.parseInt(normalizedValue, 10);
+  return statusCode >= 100 && statusCode <= 599 ? statusCode : null;
+}
+
+/**
+ * Parses every top-level `<fragment>` in a response.
+ *
+ * Each record holds the effective `target` attribute (fragments without one
+ * default to `this(innerHTML)`), its parsed `strategies`, the numeric
+ * `status` or null, all fragment `attributes` with lowercased names, and the
+ * raw inner `content`. Nested fragments stay inside their parent's content,
+ * and markup outside fragments is ignored.
+ *
+ * @param {string} html - A complete response body.
+ * @returns {Array<{target: string, strategies: Array<{selector: string, strategy: string}>, status: number|null, attributes: Record<string, string>, content: string}>}
+ *
+ * @example
+ * parseFragments('<fragment target="#list(append)"><li>One</li></fragment>');
+ * // [{ target: '#list(append)', strategies: [{ selector: '#list', strategy: 'append' }],
+ * //    status: null, attributes: { target: '#list(append)' }, content: '<li>One</li>' }]
+ */
+export function parseFragments(html) {
+  const tokenizer = createFragmentTokenizer();
+  const tokens = [...tokenizer.write(safeString(html)), ...tokenizer.end()];
+
+  return tokens
+    .filter(token => token.type === 'fragment')
+    .map((token) => {
+      const attributes = parseTagAttributes(token.openTag);
+      const target = attributes.target || DEFAULT_FRAGMENT_TARGET;
+      return {
+        target,
+        strategies: parseTargets(target),
+        status: parseFragmentStatus(attributes.status),
+        attributes,
+        content: token.content
+      };
+    });
+}
@@ -19,11 +19,14 @@ import {
   updateTarget as originalUpdateTarget
 } from './dom.js';
 import { handleWebSocket } from './websocket.js';
+import { runSwapPhases } from './swapPhases.js';
+import { scheduleFrame } from './utils.js';
+import { MARKUP_SWAP_STRATEGIES } from './swapStrategies.js';
 
 const METHOD_ATTRIBUTES = ['get', 'post', 'put', 'delete', 'patch'];
 const REGISTRATION_ATTRIBUTES = [
   ...METHOD_ATTRIBUTES,
-  'auto', 'poll', 'socket', 'subscribe', 'publish',
+  'auto', 'poll', 'socket', 'subscribe', 'signal-debounce', 'publish',
   'trigger', 'debounce', 'throttle', 'timer', 'sequential', 'repeat'
 ];
 const REGISTRATION_SELECTORS = [
@@ -31,6 +34,7 @@ const REGISTRATION_SELECTORS = [
   '[socket]', '[publish]', '[timer]'
 ];
 const REGISTRATION_SELECTOR_STRING = REGISTRATION_SELECTORS.join(',');
+const MARKUP_TARGET_STRATEGIES = new Set(MARKUP_SWAP_STRATEGIES);
 const COMMON_ON_ATTRIBUTE_EVENTS = new Set([
   'click', 'submit', 'input', 'change', 'load', 'reset',
   'focus', 'blur', 'keydown', 'keyup', 'keypress',
@@ -593,7 +597,8 @@ function notifyDOMUpdated(content, root) {
  *
  * When the target selector is empty or defaults to "this", this function ensures
  * that if multiple fragments are returned, the first fragment replaces the content
- * and subsequent fragments are appended.
+ * and subsequent fragments are appended. Other strategies, such as textContent
+ * or registered custom strategies, are applied to the element directly.
  *
  * Additionally, if the element is in sequential mode (i.e. has the sequential attribute),
  * DOM updates are queued so they can later be inserted in FIFO order with a delay between each.
@@ -601,6 +606,7 @@ function notifyDOMUpdated(content, root) {
  * @param {Object} target - The target object (with a .selector property).
  * @param {string} content - The HTML fragment content.
  * @param {Element} resolvedElement - The element to update.
+ * @param {object} [options={}] - updateTarget options, plus `queueSequential` to bypass sequential queuing.
  * @returns {Element|undefined}
  */
 export function patchedUpdateTarget(target, content, resolvedElement, options = {}) {
@@ -608,6 +614,8 @@ export function patchedUpdateTarget(target, content, resolvedElement, options =
   Logger.system.debug("[HTMLeX] patchedUpdateTarget called with target:", target, "content length:", contentString.length);
   const forceResolvedElement = getObjectField(options, 'forceResolvedElement', false);
   const queueSequential = getObjectField(options, 'queueSequential', true);
+  const swapTiming = getObjectField(options, 'swapTiming', null);
+  const onSettled = getObjectField(options, 'onSettled', null);
   const selector = getTargetSelector(target).toLowerCase();
 
   if (queueSequential && resolvedElement._htmlexSequentialMode) {
@@ -617,25 +625,47 @@ export function patchedUpdateTarget(target, content, resolvedElement, options =
       Logger.system.debug("[HTMLeX] patchedUpdateTarget: Initialized sequential update queue.");
     }
     Logger.system.debug("[HTMLeX] patchedUpdateTarget: Queuing sequential update for target", getTargetSelector(target));
-    appendArrayItem(resolvedElement._htmlexSequentialUpdates, { target, content: contentString }, 'sequential update');
+    // onSettled is passed along so it runs once the queued update is applied, not now.
+    appendArrayItem(resolvedElement._htmlexSequentialUpdates, { target, content: contentString, swapTiming, onSettled }, 'sequential update');
     return;
   }
   if (selector === '' || selector === 'this') {
+    const strategy = safeString(getObjectField(target, 'strategy', 'innerHTML')) || 'innerHTML';
+    if (!MARKUP_TARGET_STRATEGIES.has(strategy)) {
+      Logger.system.debug(`[HTMLeX] patchedUpdateTarget: Applying "${strategy}" strategy to the triggering element.`);
+      return originalUpdateTarget(target, contentString, resolvedElement, { forceResolvedElement: true, swapTiming, onSettled });
+    }
     if (!resolvedElement._htmlexDefaultUpdated) {
       resolvedElement._htmlexDefaultUpdated = true;
       Logger.system.debug("[HTMLeX] patchedUpdateTarget: First fragment - replacing content for target", getTargetSelector(target));
-      setElementInnerHTML(resolvedElement, contentString);
-      notifyDOMUpdated(contentString, resolvedElement);
+      runSwapPhases(resolvedElement, () => {
+        setElementInnerHTML(resolvedElement, contentString);
+        notifyDOMUpdated(contentString, resolvedElement);
+      }, { timing: swapTiming, onSettled });
       return resolvedElement;
     }
 
     Logger.system.debug("[HTMLeX] patchedUpdateTarget: Subsequent fragment - appending content for target", getTargetSelector(target));
-    insertElementHTML(resolvedElement, 'beforeend', contentString);
-    notifyDOMUpdated(contentString, resolvedElement);
+    runSwapPhases(resolvedElement, () => {
+      insertElementHTML(resolvedElement, 'beforeend', contentString);
+      notifyDOMUpdated(contentString, resolvedElement);
+    }, { timing: swapTiming, onSettled });
     return resolvedElement;
   }
   Logger.system.debug("[HTMLeX] patchedUpdateTarget: Delegating update to originalUpdateTarget for target", getTargetSelector(target));
-  return originalUpdateTarget(target, contentString, resolvedElement, { forceResolvedElement });
+  return originalUpdateTarget(target, contentString, resolvedElement, { forceResolvedElement, swapTiming, onSettled });
+}
+
+function getQueuedUpdateOptions(update) {
+  return {
+    swapTiming: getObjectField(update, 'swapTiming', null),
+    onSettled: getObjectField(update, 'onSettled', null)
+  };
+}
+
+function settleQueuedUpdate(update) {
+  const onSettled = getObjectField(update, 'onSettled', null);
+  if (typeof onSettled === 'function') onSettled();
 }
 
 /**
@@ -668,10 +698,11 @@ async function processSequentialQueue(element) {
     }
     if (!resolvedElement) {
       Logger.system.debug("[HTMLeX] processSequentialQueue: Target element not found for selector", getTargetSelector(update.target));
+      settleQueuedUpdate(update);
       return;
     }
     Logger.system.debug("[HTMLeX] processSequentialQueue: Applying update for target", getTargetSelector(update.target));
-    originalUpdateTarget(update.target, update.content, resolvedElement);
+    originalUpdateTarget(update.target, update.content, resolvedElement, getQueuedUpdateOptions(update));
     if (update.afterUpdate) update.afterUpdate();
   };
 
@@ -787,9 +818,10 @@ export function flushSequentialUpdates(element) {
       }
       if (!resolvedElement) {
         Logger.system.debug("[HTMLeX] flushSequentialUpdates: Target element not found for selector", getTargetSelector(update.target));
+        settleQueuedUpdate(update);
       } else {
         Logger.system.debug("[HTMLeX] flushSequentialUpdates: Applying queued update for target", getTargetSelector(update.target));
-        const result = originalUpdateTarget(update.target, update.content, resolvedElement);
+        const result = originalUpdateTarget(update.target, update.content, resolvedElement, getQueuedUpdateOptions(update));
         if (update.afterUpdate) update.afterUpdate();
         if (result && result.hasAttribute && result.hasAttribute('timer')) {
           Logger.system.debug("[HTMLeX] flushSequentialUpdates: Inserted element has timer attribute; ensure timer handling is applied.");
@@ -987,7 +1019,7 @@ function runTimerAction(element) {
   if (hasElementAttribute(element, 'publish')) {
     const publishSignal = getElementAttribute(element, 'publish');
     Logger.system.info(`[TIMER] Timer triggered: Emitting publish signal "${safeString(publishSignal)}".`);
-    emitSignal(publishSignal);
+    emitSignal(publishSignal, getElementAttribute(element, 'publish-extras'));
     return;
   }
 
@@ -1221,7 +1253,7 @@ export function registerElement(element) {
     } else if (hasElementAttribute(element, 'publish')) {
       const publishSignal = getElementAttribute(element, 'publish');
       Logger.system.info(`[HTMLeX] Emitting publish signal "${safeString(publishSignal)}" on event "${triggerEvent}".`);
-      emitSignal(publishSignal);
+      emitSignal(publishSignal, getElementAttribute(element, 'publish-extras'));
     }
   };
 
@@ -1406,6 +1438,7 @@ export function registerElement(element) {
     const unsubscribers = [];
     let subscribeRemovalObserver = null;
     const cleanupSubscriptions = () => {
+      cancelPendingSignals();
       while (getArrayLength(unsubscribers)) {
         const unsubscribe = popArrayItem(unsubscribers, 'subscription cleanup');
         try {
@@ -1421,28 +1454,68 @@ export function registerElement(element) {
       element._htmlexSubscribeRemovalObserver = null;
     };
 
-    for (const signalName of signals) {
-      const unsubscribe = registerSignalListener(signalName, () => {
-        if (element._htmlexRegistrationToken !== registrationToken) {
-          cleanupSubscriptions();
-          return;
-        }
-        if (!isElementConnected(element)) {
-          cleanupSubscriptions();
-          return;
-        }
-        Logger.system.debug(`[HTMLeX] Signal "${signalName}" triggered listener on element:`, element);
-        const subscribedMethod = getActionMethod(element);
-        if (subscribedMethod) {
-          const endpoint = getElementAttribute(element, subscribedMethod);
-          Logger.system.debug(`[HTMLeX] Handling subscribed signal with method ${subscribedMethod.toUpperCase()} for endpoint "${safeString(endpoint)}".`);
-          return handleAction(element, subscribedMethod.toUpperCase(), endpoint, { htmlexEvent: createHTMLeXEvent('signal') })
-            .catch(error => {
-              Logger.system.error(`[HTMLeX] Subscribed signal action failed for "${signalName}".`, error);
-            });
-        }
+    // A burst of matching signals runs the action once, with the merged
+    // payload, after one frame or after `signal-debounce` quiet milliseconds.
+    // `signal-debounce="0"` runs the action for every signal.
+    const signalDebounceMs = parseNonNegativeInteger(getElementAttribute(element, 'signal-debounce'), null);
+    let pendingSignals = null;
+    let pendingTimerId = null;
+    const isSubscriptionCurrent = () => {
+      if (element._htmlexRegistrationToken === registrationToken && isElementConnected(element)) return true;
+      cleanupSubscriptions();
+      return false;
+    };
+    // An action run only for signals from other tabs emits its own signals in
+    // this tab only, so two tabs cannot relay a signal back and forth.
+    const runSubscribedAction = (signalNames, payload, remote) => {
+      if (!isSubscriptionCurrent()) return undefined;
+      const signalLabel = signalNames.join('", "');
+      Logger.system.debug(`[HTMLeX] Signal "${signalLabel}" triggered listener on element:`, element);
+      const subscribedMethod = getActionMethod(element);
+      if (!subscribedMethod) return undefined;
+      const endpoint = getElementAttribute(element, subscribedMethod);
+      Logger.system.debug(`[HTMLeX] Handling subscribed signal with method ${subscribedMethod.toUpperCase()} for endpoint "${safeString(endpoint)}".`);
+      return handleAction(element, subscribedMethod.toUpperCase(), endpoint, {
+        htmlexEvent: createHTMLeXEvent('signal'),
+        htmlexSignalPayload: payload,
+        htmlexSignalRemote: remote
+      })
+        .catch(error => {
+          Logger.system.error(`[HTMLeX] Subscribed signal action failed for "${signalLabel}".`, error);
+        });
+    };
+    const flushPendingSignals = () => {
+      const pending = pendingSignals;
+      pendingSignals = null;
+      pendingTimerId = null;
+      if (pending) runSubscribedAction([...pending.names], pending.payload, pending.remote);
+    };
+    const cancelPendingSignals = () => {
+      pendingSignals = null;
+      clearScheduledTimeout(pendingTimerId, 'signal debounce timer');
+      pendingTimerId = null;
+    };
+    const onSubscribedSignal = (payload, signalName, origin) => {
+      if (!isSubscriptionCurrent()) return undefined;
+      const remote = getObjectField(origin, 'remote', false) === true;
+      if (signalDebounceMs === 0) return runSubscribedAction([signalName], payload, remote);
+
+      const isFirstSignal = !pendingSignals;
+      pendingSignals ||= { names: new Set(), payload: {}, remote: true };
+      pendingSignals.names.add(signalName);
+      pendingSignals.remote &&= remote;
+      pendingSignals.payload = { ...pendingSignals.payload, ...payload };
+      if (signalDebounceMs === null) {
+        if (isFirstSignal) scheduleFrame(flushPendingSignals);
         return undefined;
-      });
+      }
+      clearScheduledTimeout(pendingTimerId, 'signal debounce timer');
+      pendingTimerId = scheduleTimeout(flushPendingSignals, signalDebounceMs, 'signal debounce');
+      return undefined;
+    };
+
+    for (const signalName of signals) {
+      const unsubscribe = registerSignalListener(signalName, onSubscribedSignal);
       appendArrayItem(unsubscribers, unsubscribe, 'subscription cleanup');
       Logger.system.debug(`[HTMLeX] Registered subscriber for signal "${signalName}" on element:`, element);
     }
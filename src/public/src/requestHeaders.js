@@ -0,0 +1,73 @@
+// src/requestHeaders.js
+/**
+ * @module RequestHeaders
+ * @description The metadata headers the browser runtime sends with every
+ * action, and the server-side parser for them. The runtime, the `htmlex/app`
+ * middleware, and the `htmlex/components` routes share this module so they
+ * agree on header names, decoding, and length limits.
+ */
+
+/** The metadata header names, keyed by their `parseHTMLeXRequest()` field. */
+export const HTMLEX_REQUEST_HEADERS = Object.freeze({
+  request: 'HTMLeX-Request',
+  trigger: 'HTMLeX-Trigger',
+  triggerName: 'HTMLeX-Trigger-Name',
+  target: 'HTMLeX-Target',
+  currentUrl: 'HTMLeX-Current-URL',
+  event: 'HTMLeX-Event'
+});
+
+// The runtime percent-encodes these values; the page URL is sent as written.
+const ENCODED_METADATA_FIELDS = Object.freeze(['trigger', 'triggerName', 'target', 'event']);
+const MAX_HTMLEX_HEADER_LENGTH = 2048;
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch {
+    return fallback;
+  }
+}
+
+function readRequestHeader(req, headerName) {
+  try {
+    if (typeof req?.get === 'function') return safeString(req.get(headerName)).trim();
+    return safeString(req?.headers?.[headerName.toLowerCase()]).trim();
+  } catch {
+    return '';
+  }
+}
+
+function decodeHeaderValue(value) {
+  if (!value.includes('%')) return value;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function getHTMLeXHeader(req, headerName, { decode = true } = {}) {
+  const value = readRequestHeader(req, headerName);
+  if (!value || value.length > MAX_HTMLEX_HEADER_LENGTH) return null;
+  return decode ? decodeHeaderValue(value) : value;
+}
+
+/**
+ * Reads the HTMLeX request metadata headers sent by the browser runtime.
+ * Non-HTMLeX requests return `request: false` with every field set to null,
+ * so routes can branch between full-page and fragment responses. Headers are
+ * read through `req.get()` when present, and from `req.headers` otherwise.
+ *
+ * @param {import('express').Request} req
+ * @returns {{ request: boolean, trigger: string|null, triggerName: string|null, target: string|null, event: string|null, currentUrl: string|null }}
+ */
+export function parseHTMLeXRequest(req) {
+  const request = readRequestHeader(req, HTMLEX_REQUEST_HEADERS.request).toLowerCase() === 'true';
+  const info = { request };
+  for (const fieldName of ENCODED_METADATA_FIELDS) {
+    info[fieldName] = request ? getHTMLeXHeader(req, HTMLEX_REQUEST_HEADERS[fieldName]) : null;
+  }
+  info.currentUrl = request ? getHTMLeXHeader(req, HTMLEX_REQUEST_HEADERS.currentUrl, { decode: false }) : null;
+  return info;
+}
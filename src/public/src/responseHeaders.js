@@ -0,0 +1,199 @@
+// src/responseHeaders.js
+/**
+ * @module ResponseHeaders
+ * @description Reads server-directed response headers such as HTMLeX-Redirect,
+ * HTMLeX-Location, HTMLeX-Refresh, HTMLeX-Retarget, HTMLeX-Reswap,
+ * HTMLeX-Push-Url, and HTMLeX-Replace-Url. Every directive carries the
+ * `HTMLeX-` prefix, so standard `Location` and `Refresh` replies, such as a
+ * `201 Created`, and headers set by proxies or other middleware never take
+ * over the page.
+ */
+
+import { Logger } from './logger.js';
+
+const DIRECTIVE_HEADERS = Object.freeze({
+  redirect: 'HTMLeX-Redirect',
+  location: 'HTMLeX-Location',
+  refresh: 'HTMLeX-Refresh',
+  retarget: 'HTMLeX-Retarget',
+  reswap: 'HTMLeX-Reswap',
+  pushUrl: 'HTMLeX-Push-Url',
+  replaceUrl: 'HTMLeX-Replace-Url'
+});
+const NAVIGABLE_PROTOCOLS = new Set(['http:', 'https:']);
+const HISTORY_MODES = new Set(['none', 'push', 'replace']);
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch (error) {
+    Logger.system.warn('[HEADERS] Failed to coerce value to string.', error);
+    return fallback;
+  }
+}
+
+function getRuntimeWindow() {
+  try {
+    return typeof window !== 'undefined' ? window : globalThis.window;
+  } catch (error) {
+    Logger.system.warn('[HEADERS] Failed to read window.', error);
+    return null;
+  }
+}
+
+function getRuntimeLocation() {
+  try {
+    return getRuntimeWindow()?.location ?? globalThis.location ?? null;
+  } catch (error) {
+    Logger.system.warn('[HEADERS] Failed to read window location.', error);
+    return null;
+  }
+}
+
+function readResponseHeader(response, headerName) {
+  try {
+    const value = response?.headers?.get?.(headerName);
+    const text = safeString(value).trim();
+    return text || null;
+  } catch (error) {
+    Logger.system.warn(`[HEADERS] Failed to read ${headerName} response header.`, error);
+    return null;
+  }
+}
+
+/**
+ * Reads every server-directed header from a fetch response.
+ *
+ * @param {Response|null} response - The fetch response.
+ * @returns {{redirect: string|null, location: string|null, refresh: string|null, retarget: string|null, reswap: string|null, pushUrl: string|null, replaceUrl: string|null}}
+ */
+export function readResponseDirectives(response) {
+  const directives = {};
+  for (const [fieldName, headerName] of Object.entries(DIRECTIVE_HEADERS)) {
+    directives[fieldName] = response ? readResponseHeader(response, headerName) : null;
+  }
+  return directives;
+}
+
+/**
+ * Returns true when any directive header was present on the response.
+ *
+ * @param {object|null} directives - Result of readResponseDirectives.
+ * @returns {boolean}
+ */
+export function hasResponseDirectives(directives) {
+  if (!directives || typeof directives !== 'object') return false;
+  return Object.keys(DIRECTIVE_HEADERS).some(fieldName => directives[fieldName] !== null && directives[fieldName] !== undefined);
+}
+
+/**
+ * Returns true when the Refresh header asks for a full page reload.
+ *
+ * @param {string|null} value - The Refresh header value.
+ * @returns {boolean}
+ */
+export function isRefreshRequested(value) {
+  return safeString(value).trim().toLowerCase() === 'true';
+}
+
+/**
+ * Resolves a server-provided URL against the current page and accepts only
+ * http(s) destinations, so headers cannot navigate to script URLs.
+ *
+ * @param {string} value - The URL from a response header.
+ * @returns {string|null} The absolute URL, or null when it is unusable.
+ */
+export function resolveNavigationUrl(value) {
+  const urlText = safeString(value).trim();
+  if (!urlText) return null;
+  if (typeof globalThis.URL !== 'function') {
+    Logger.system.warn('[HEADERS] URL API is unavailable; ignoring navigation header.');
+    return null;
+  }
+
+  try {
+    const baseHref = safeString(getRuntimeLocation()?.href) || undefined;
+    const url = new globalThis.URL(urlText, baseHref);
+    if (!NAVIGABLE_PROTOCOLS.has(url.protocol)) {
+      Logger.system.warn(`[HEADERS] Ignoring navigation to unsupported URL protocol "${url.protocol}".`);
+      return null;
+    }
+    return url.toString();
+  } catch (error) {
+    Logger.system.warn(`[HEADERS] Ignoring invalid navigation URL "${urlText}".`, error);
+    return null;
+  }
+}
+
+/**
+ * Parses a Location header. The first segment is the URL; optional
+ * `target=` and `history=` parameters follow, separated by semicolons.
+ *
+ * @param {string} value - The Location header value.
+ * @returns {{url: string, target: string, history: string}|null}
+ */
+export function parseLocationDirective(value) {
+  const [rawUrl = '', ...params] = safeString(value).split(';').map(part => part.trim());
+  const url = resolveNavigationUrl(rawUrl);
+  if (!url) return null;
+
+  const directive = { url, target: 'body(innerHTML)', history: 'push' };
+  for (const param of params) {
+    const separatorIndex = param.indexOf('=');
+    if (separatorIndex < 0) continue;
+    const name = param.slice(0, separatorIndex).trim().toLowerCase();
+    const paramValue = param.slice(separatorIndex + 1).trim();
+    if (name === 'target' && paramValue) {
+      directive.target = paramValue;
+    } else if (name === 'history' && HISTORY_MODES.has(paramValue.toLowerCase())) {
+      directive.history = paramValue.toLowerCase();
+    }
+  }
+  return directive;
+}
+
+/**
+ * Performs a full browser navigation.
+ *
+ * @param {string} url - An absolute URL from resolveNavigationUrl.
+ * @returns {boolean} True when navigation was started.
+ */
+export function redirectTo(url) {
+  const location = getRuntimeLocation();
+  try {
+    if (typeof location?.assign === 'function') {
+      location.assign(url);
+    } else if (location) {
+      location.href = url;
+    } else {
+      Logger.system.warn('[HEADERS] Window location is unavailable; skipping redirect.');
+      return false;
+    }
+    Logger.system.info(`[HEADERS] Redirecting to ${url}`);
+    return true;
+  } catch (error) {
+    Logger.system.warn(`[HEADERS] Failed to redirect to ${url}`, error);
+    return false;
+  }
+}
+
+/**
+ * Reloads the current page.
+ *
+ * @returns {boolean} True when the reload was started.
+ */
+export function refreshPage() {
+  try {
+    const location = getRuntimeLocation();
+    if (typeof location?.reload !== 'function') {
+      Logger.system.warn('[HEADERS] Window location reload is unavailable; skipping refresh.');
+      return false;
+    }
+    location.reload();
+    Logger.system.info('[HEADERS] Refreshing the current page.');
+    return true;
+  } catch (error) {
+    Logger.system.warn('[HEADERS] Failed to refresh the current page.', error);
+    return false;
+  }
+}
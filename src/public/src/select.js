@@ -0,0 +1,155 @@
+// src/select.js
+/**
+ * @module Select
+ * @description Narrows a response to part of its markup. `select` keeps only
+ * the elements matching a CSS selector, so full-page routes can feed a single
+ * target, and `select-oob` pulls listed elements out of the response so they
+ * can be swapped into the same-id elements already on the page.
+ */
+
+import { Logger } from './logger.js';
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch (error) {
+    Logger.system.warn('[SELECT] Failed to coerce value to string.', error);
+    return fallback;
+  }
+}
+
+function getRuntimeDocument() {
+  try {
+    return typeof document === 'undefined' ? globalThis.document : document;
+  } catch (error) {
+    Logger.system.warn('[SELECT] Failed to read document.', error);
+    return null;
+  }
+}
+
+function getObjectField(value, fieldName, fallback = undefined) {
+  try {
+    return value?.[fieldName] ?? fallback;
+  } catch (error) {
+    Logger.system.warn(`[SELECT] Failed to read ${fieldName}.`, error);
+    return fallback;
+  }
+}
+
+function getElementAttribute(element, attributeName) {
+  try {
+    return element?.getAttribute?.(attributeName) ?? null;
+  } catch (error) {
+    Logger.system.warn(`[SELECT] Failed to read ${attributeName} attribute.`, error);
+    return null;
+  }
+}
+
+function parseResponseContent(html) {
+  const runtimeDocument = getRuntimeDocument();
+  if (typeof runtimeDocument?.createElement !== 'function') {
+    Logger.system.warn('[SELECT] Document template parsing is unavailable. Using the full response.');
+    return null;
+  }
+
+  try {
+    const template = runtimeDocument.createElement('template');
+    template.innerHTML = html;
+    return getObjectField(template, 'content', null) ? template : null;
+  } catch (error) {
+    Logger.system.warn('[SELECT] Failed to parse response HTML. Using the full response.', error);
+    return null;
+  }
+}
+
+function queryAll(root, selector) {
+  try {
+    return Array.from(root?.querySelectorAll?.(selector) || []);
+  } catch (error) {
+    Logger.system.warn(`[SELECT] Invalid selector "${selector}".`, error);
+    return [];
+  }
+}
+
+function getOuterHTML(element) {
+  return safeString(getObjectField(element, 'outerHTML', ''));
+}
+
+function removeElement(element) {
+  try {
+    element?.remove?.();
+  } catch (error) {
+    Logger.system.warn('[SELECT] Failed to remove out-of-band element from the response.', error);
+  }
+}
+
+/**
+ * Builds an attribute selector matching one element id, safe for ids that are
+ * not valid CSS identifiers.
+ *
+ * @param {string} id - The element id.
+ * @returns {string}
+ */
+export function getIdSelector(id) {
+  return `[id="${id.replace(/["\\]/gu, '\\$&')}"]`;
+}
+
+function splitSelectorList(value) {
+  return safeString(value)
+    .split(',')
+    .map(selector => selector.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Splits response markup into the content for the caller's targets and the
+ * out-of-band updates requested by `select-oob`. Out-of-band elements are
+ * removed from the response before `select` runs. Each must carry an id, which
+ * names the page element it replaces.
+ *
+ * @param {string} html - The response markup.
+ * @param {object} [options={}]
+ * @param {string|null} [options.select=null] - CSS selector for the content to keep.
+ * @param {string|null} [options.selectOob=null] - Comma-separated selectors for out-of-band elements.
+ * @returns {{content: string, oobUpdates: Array<{target: {selector: string, strategy: string}, content: string}>}}
+ */
+export function selectResponseContent(html, options = {}) {
+  const htmlString = safeString(html);
+  const select = safeString(getObjectField(options, 'select', null)).trim();
+  const oobSelectors = splitSelectorList(getObjectField(options, 'selectOob', null));
+  if (!select && oobSelectors.length === 0) {
+    return { content: htmlString, oobUpdates: [] };
+  }
+
+  const template = parseResponseContent(htmlString);
+  if (!template) {
+    return { content: htmlString, oobUpdates: [] };
+  }
+
+  const root = getObjectField(template, 'content', null);
+  const oobUpdates = [];
+  for (const selector of oobSelectors) {
+    for (const element of queryAll(root, selector)) {
+      const id = safeString(getElementAttribute(element, 'id')).trim();
+      if (!id) {
+        Logger.system.warn(`[SELECT] Out-of-band element matched by "${selector}" has no id. Skipping it.`);
+        continue;
+      }
+      oobUpdates.push({
+        target: { selector: getIdSelector(id), strategy: 'outerHTML' },
+        content: getOuterHTML(element)
+      });
+      removeElement(element);
+    }
+  }
+
+  if (!select) {
+    return { content: safeString(getObjectField(template, 'innerHTML', '')), oobUpdates };
+  }
+
+  const matches = queryAll(root, select);
+  if (matches.length === 0) {
+    Logger.system.debug(`[SELECT] No response elements matched "${select}".`);
+  }
+  return { content: matches.map(getOuterHTML).join(''), oobUpdates };
+}
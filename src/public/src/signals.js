@@ -5,9 +5,18 @@
  */
 
 import { Logger } from './logger.js';
+import { parseKeyValuePairs } from './keyValuePairs.js';
+
+export const SIGNAL_EVENT = 'htmlex:signal';
+
+const GLOBAL_API_NAME = 'HTMLeX';
 
 /** @type {Map<string, Set<Function>>} */
 const signalBus = new Map();
+/** @type {Map<string, Function>} Matchers for the wildcard names in `signalBus`. */
+const signalPatterns = new Map();
+/** @type {WeakMap<Function, Function>} Maps `once` wrappers to the callbacks they wrap. */
+const onceCallbacks = new WeakMap();
 
 function normalizeSignalName(signalName) {
   try {
@@ -18,6 +27,117 @@ function normalizeSignalName(signalName) {
   }
 }
 
+function isSignalPattern(signalName) {
+  return signalName.includes('*');
+}
+
+/**
+ * Compiles a signal name into a matcher. Names are `:`-separated; in a
+ * pattern `*` matches within one segment and `**` matches across segments,
+ * so `todo:*` matches `todo:create` and `**` matches every signal.
+ */
+function createSignalMatcher(pattern) {
+  if (!isSignalPattern(pattern)) return signalName => signalName === pattern;
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(text => text.replace(/[.+?^${}()|[\]\\]/gu, '\\$&'))
+      .join('[^:]*'))
+    .join('.*');
+  const expression = new RegExp(`^${source}$`, 'u');
+  return signalName => expression.test(signalName);
+}
+
+function removeSignalBus(signalName) {
+  signalBus.delete(signalName);
+  signalPatterns.delete(signalName);
+}
+
+function addPayloadEntry(payload, key, value) {
+  let normalizedKey;
+  let normalizedValue;
+  try {
+    normalizedKey = String(key ?? '').trim();
+    normalizedValue = String(value ?? '');
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Ignoring signal payload entry that could not be converted to text.', error);
+    return;
+  }
+  if (normalizedKey) payload[normalizedKey] = normalizedValue;
+}
+
+// Parses space-separated `key=value` pairs, the format of `publish-extras`,
+// with the same decoding as `push` and the `Emit` header.
+function parseSignalPayload(pairs) {
+  const payload = {};
+  for (const { key, value } of parseKeyValuePairs(pairs)) {
+    addPayloadEntry(payload, key, value);
+  }
+  return payload;
+}
+
+/**
+ * Copies a payload into a frozen object of string values. Strings are parsed
+ * as `key=value` pairs; objects contribute their own enumerable fields.
+ */
+function normalizeSignalPayload(payload) {
+  if (payload === undefined || payload === null) return Object.freeze({});
+  if (typeof payload === 'string') return Object.freeze(parseSignalPayload(payload));
+
+  const normalizedPayload = {};
+  if (typeof payload !== 'object') {
+    Logger.system.warn('[SIGNALS] Ignoring signal payload that is not an object or key=value string.');
+    return Object.freeze(normalizedPayload);
+  }
+  try {
+    for (const [key, value] of Object.entries(payload)) {
+      addPayloadEntry(normalizedPayload, key, value);
+    }
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to read signal payload fields.', error);
+  }
+  return Object.freeze(normalizedPayload);
+}
+
+function getRuntimeWindow() {
+  try {
+    return typeof window === 'undefined' ? globalThis.window : window;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to read runtime window.', error);
+    return null;
+  }
+}
+
+function getRuntimeDocument() {
+  try {
+    return typeof document === 'undefined' ? globalThis.document : document;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to read runtime document.', error);
+    return null;
+  }
+}
+
+function dispatchSignalEvent(detail) {
+  const runtimeDocument = getRuntimeDocument();
+  let CustomEventConstructor;
+  let dispatchEvent;
+  try {
+    CustomEventConstructor = globalThis.CustomEvent;
+    dispatchEvent = runtimeDocument?.dispatchEvent;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to read the signal event dispatcher.', error);
+    return;
+  }
+  if (typeof CustomEventConstructor !== 'function' || typeof dispatchEvent !== 'function') return;
+
+  try {
+    dispatchEvent.call(runtimeDocument, new CustomEventConstructor(SIGNAL_EVENT, { detail }));
+  } catch (error) {
+    Logger.system.warn(`[SIGNALS] Failed to dispatch ${SIGNAL_EVENT} event for "${detail.name}".`, error);
+  }
+}
+
 function observeAsyncListenerResult(result, signalName) {
   let thenMethod;
   try {
@@ -39,9 +159,10 @@ function observeAsyncListenerResult(result, signalName) {
 }
 
 /**
- * Registers a listener for a given signal.
- * @param {string} signalName - The name of the signal (e.g., "@todosLoaded").
- * @param {Function} callback - The callback to invoke when the signal is emitted.
+ * Registers a listener for a given signal, or for every signal matching a
+ * wildcard pattern such as `todo:*` or `**`.
+ * @param {string} signalName - The name of the signal (e.g., "@todosLoaded") or a pattern.
+ * @param {Function} callback - The callback to invoke when the signal is emitted; it receives the signal payload, name, and origin.
  * @returns {Function} Unregisters the listener.
  */
 export function registerSignalListener(signalName, callback) {
@@ -59,6 +180,9 @@ export function registerSignalListener(signalName, callback) {
   if (!listeners) {
     listeners = new Set();
     signalBus.set(normalizedSignalName, listeners);
+    if (isSignalPattern(normalizedSignalName)) {
+      signalPatterns.set(normalizedSignalName, createSignalMatcher(normalizedSignalName));
+    }
     Logger.system.debug(`[SIGNALS] Created new signal bus for "${normalizedSignalName}".`);
   }
 
@@ -71,7 +195,7 @@ export function registerSignalListener(signalName, callback) {
       Logger.system.debug(`[SIGNALS] Unregistered listener for signal "${normalizedSignalName}".`);
     }
     if (!listeners.size) {
-      signalBus.delete(normalizedSignalName);
+      removeSignalBus(normalizedSignalName);
     }
   };
 }
@@ -81,30 +205,372 @@ export function __getSignalListenerCount(signalName) {
   return signalBus.get(normalizeSignalName(signalName))?.size || 0;
 }
 
+// Exact listeners run first, then pattern listeners in registration order.
+// A callback registered under several matching names runs once.
+function collectSignalListeners(signalName) {
+  const callbacks = new Set(signalBus.get(signalName));
+  for (const [pattern, matches] of signalPatterns) {
+    if (pattern === signalName || !matches(signalName)) continue;
+    for (const callback of signalBus.get(pattern) ?? []) {
+      callbacks.add(callback);
+    }
+  }
+  return [...callbacks];
+}
+
+function deliverSignal(signalName, signalPayload, origin) {
+  Logger.system.debug(`[SIGNALS] Emitting signal "${signalName}".`, signalPayload);
+  const listeners = collectSignalListeners(signalName);
+  if (listeners.length) {
+    for (const callback of listeners) {
+      try {
+        const result = callback(signalPayload, signalName, origin);
+        observeAsyncListenerResult(result, signalName);
+        Logger.system.debug(`[SIGNALS] Signal "${signalName}" listener executed successfully.`);
+      } catch (error) {
+        Logger.system.error(`[SIGNALS] Error in signal listener for "${signalName}":`, error);
+      }
+    }
+  } else {
+    Logger.system.warn(`[SIGNALS] No listeners registered for signal "${signalName}".`);
+  }
+  dispatchSignalEvent(Object.freeze({ name: signalName, payload: signalPayload, origin }));
+}
+
 /**
- * Emits a signal to all registered listeners.
+ * Emits a signal to all registered listeners. Each listener receives the
+ * payload as a frozen object of string values. When broadcasting is enabled
+ * and the signal is on its allow-list, other tabs receive it too, unless
+ * `options.broadcast` is false.
  * @param {string} signalName - The signal to emit.
+ * @param {Object|string} [payload] - Key/value data for subscribers, as an object or `key=value` pairs.
+ * @param {Object} [options] - Emission options.
+ * @param {boolean} [options.broadcast=true] - Whether the signal may be relayed to other tabs.
  */
-export function emitSignal(signalName) {
+export function emitSignal(signalName, payload, options = {}) {
   const normalizedSignalName = normalizeSignalName(signalName);
   if (!normalizedSignalName) {
     Logger.system.warn("[SIGNALS] Ignoring empty signal emission.");
     return;
   }
 
-  Logger.system.debug(`[SIGNALS] Emitting signal "${normalizedSignalName}".`);
+  const signalPayload = normalizeSignalPayload(payload);
+  deliverSignal(normalizedSignalName, signalPayload, Object.freeze({ tabId: getSignalTabId(), remote: false }));
+  if (isBroadcastRequested(options)) {
+    broadcastSignal(normalizedSignalName, signalPayload);
+  } else {
+    Logger.system.debug(`[SIGNALS] Delivered signal "${normalizedSignalName}" locally without broadcasting.`);
+  }
+}
+
+function isBroadcastRequested(options) {
+  try {
+    return options?.broadcast !== false;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to read signal emission options; broadcasting as usual.', error);
+    return true;
+  }
+}
+
+/* ===========================
+   Cross-Tab Broadcast
+   =========================== */
+
+const DEFAULT_BROADCAST_CHANNEL = 'htmlex:signals';
+const BROADCAST_MESSAGE_TYPE = 'htmlex:signal';
+const MAX_SEEN_BROADCAST_IDS = 200;
+
+let signalTabId = '';
+let broadcastSequence = 0;
+let remoteDeliveryDepth = 0;
+/** @type {{allowed: Set<string>, matchers: Function[], channelName: string, post: Function, close: Function, seen: Set<string>}|null} */
+let activeBroadcast = null;
+
+function createRandomId() {
+  try {
+    const randomUUID = globalThis.crypto?.randomUUID;
+    if (typeof randomUUID === 'function') return randomUUID.call(globalThis.crypto);
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to create a random tab id; using a fallback id.', error);
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Returns the id this tab uses as the origin of the signals it broadcasts.
+ * @returns {string} The tab id.
+ */
+export function getSignalTabId() {
+  signalTabId ||= createRandomId();
+  return signalTabId;
+}
+
+function parseSignalNameList(value) {
+  let names;
+  try {
+    names = Array.isArray(value) ? [...value] : String(value ?? '').split(/[\s,]+/u);
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Ignoring broadcast allow-list that could not be read.', error);
+    return [];
+  }
+  return names.map(normalizeSignalName).filter(Boolean);
+}
+
+function rememberBroadcastId(broadcast, messageId) {
+  if (broadcast.seen.has(messageId)) return false;
+  broadcast.seen.add(messageId);
+  if (broadcast.seen.size > MAX_SEEN_BROADCAST_IDS) {
+    broadcast.seen.delete(broadcast.seen.values().next().value);
+  }
+  return true;
+}
+
+function isBroadcastAllowed(broadcast, signalName) {
+  return broadcast.matchers.some(matches => matches(signalName));
+}
+
+function receiveBroadcastMessage(broadcast, message) {
+  if (activeBroadcast !== broadcast || !message || typeof message !== 'object') return;
+  let type;
+  let messageId;
+  let tabId;
+  let signalName;
+  let payload;
+  try {
+    ({ type, id: messageId, tabId, name: signalName, payload } = message);
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Ignoring unreadable broadcast message.', error);
+    return;
+  }
+  if (type !== BROADCAST_MESSAGE_TYPE || typeof messageId !== 'string' || typeof tabId !== 'string') return;
+  // Our own messages come back through storage events in some browsers.
+  if (tabId === getSignalTabId()) return;
+  const normalizedSignalName = normalizeSignalName(signalName);
+  if (!isBroadcastAllowed(broadcast, normalizedSignalName)) {
+    Logger.system.warn(`[SIGNALS] Ignoring broadcast signal "${normalizedSignalName}" that is not on the allow-list.`);
+    return;
+  }
+  if (!rememberBroadcastId(broadcast, messageId)) return;
+
+  Logger.system.info(`[SIGNALS] Received signal "${normalizedSignalName}" from tab ${tabId}.`);
+  // Remote signals, and signals their listeners emit synchronously, are not
+  // broadcast again, so tabs cannot echo each other. Listeners receive the
+  // remote origin, so work they finish later (such as a `subscribe` action)
+  // can emit with `{ broadcast: false }`.
+  remoteDeliveryDepth += 1;
+  try {
+    deliverSignal(normalizedSignalName, normalizeSignalPayload(payload), Object.freeze({ tabId, remote: true, messageId }));
+  } finally {
+    remoteDeliveryDepth -= 1;
+  }
+}
+
+function broadcastSignal(signalName, signalPayload) {
+  const broadcast = activeBroadcast;
+  if (!broadcast || remoteDeliveryDepth > 0 || !isBroadcastAllowed(broadcast, signalName)) return;
+
+  broadcastSequence += 1;
+  const message = {
+    type: BROADCAST_MESSAGE_TYPE,
+    id: `${getSignalTabId()}:${broadcastSequence}`,
+    tabId: getSignalTabId(),
+    name: signalName,
+    payload: { ...signalPayload },
+    time: Date.now()
+  };
+  try {
+    broadcast.post(message);
+    Logger.system.debug(`[SIGNALS] Broadcast signal "${signalName}" on "${broadcast.channelName}".`);
+  } catch (error) {
+    Logger.system.warn(`[SIGNALS] Failed to broadcast signal "${signalName}".`, error);
+  }
+}
+
+function openBroadcastChannel(broadcast) {
+  const BroadcastChannelConstructor = globalThis.BroadcastChannel;
+  if (typeof BroadcastChannelConstructor !== 'function') return false;
+
+  try {
+    const channel = new BroadcastChannelConstructor(broadcast.channelName);
+    channel.onmessage = event => receiveBroadcastMessage(broadcast, event?.data);
+    broadcast.post = message => channel.postMessage(message);
+    broadcast.close = () => channel.close();
+    return true;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] BroadcastChannel is unavailable; falling back to storage events.', error);
+    return false;
+  }
+}
+
+function openStorageRelay(broadcast) {
+  const runtimeWindow = getRuntimeWindow();
+  let storage;
+  try {
+    storage = runtimeWindow?.localStorage;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] localStorage is unavailable for signal broadcasts.', error);
+  }
+  if (!storage || typeof runtimeWindow?.addEventListener !== 'function') return false;
+
+  const onStorage = (event) => {
+    if (event?.key !== broadcast.channelName || !event.newValue) return;
+    try {
+      receiveBroadcastMessage(broadcast, JSON.parse(event.newValue));
+    } catch (error) {
+      Logger.system.warn('[SIGNALS] Ignoring malformed storage signal broadcast.', error);
+    }
+  };
+  try {
+    runtimeWindow.addEventListener('storage', onStorage);
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to listen for storage signal broadcasts.', error);
+    return false;
+  }
+  broadcast.post = (message) => {
+    // Setting and removing the key fires a storage event in every other tab.
+    storage.setItem(broadcast.channelName, JSON.stringify(message));
+    storage.removeItem(broadcast.channelName);
+  };
+  broadcast.close = () => runtimeWindow.removeEventListener('storage', onStorage);
+  return true;
+}
+
+/**
+ * Relays the allow-listed signals to other same-origin tabs through
+ * `BroadcastChannel`, or through `storage` events where it is unavailable.
+ * Received signals reach local listeners and the `htmlex:signal` event with
+ * `origin: { tabId, remote: true, messageId }`, and are not relayed again.
+ * Calling it again replaces the previous configuration.
+ *
+ * @param {Object} options - Broadcast options.
+ * @param {string[]|string} options.signals - Signal names or wildcard patterns to relay, as an array or a space/comma-separated list.
+ * @param {string} [options.channel='htmlex:signals'] - The channel name, also used as the storage key.
+ * @returns {Function} Stops broadcasting.
+ */
+export function enableSignalBroadcast(options = {}) {
+  disableSignalBroadcast();
+  let allowList;
+  let channelName;
+  try {
+    allowList = options?.signals;
+    channelName = normalizeSignalName(options?.channel) || DEFAULT_BROADCAST_CHANNEL;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to read signal broadcast options.', error);
+    return () => {};
+  }
+  const allowed = new Set(parseSignalNameList(allowList));
+  if (!allowed.size) {
+    Logger.system.warn('[SIGNALS] Signal broadcast needs at least one allowed signal name.');
+    return () => {};
+  }
+
+  const broadcast = { allowed, matchers: [...allowed].map(createSignalMatcher), channelName, post: () => {}, close: () => {}, seen: new Set() };
+  if (!openBroadcastChannel(broadcast) && !openStorageRelay(broadcast)) {
+    Logger.system.warn('[SIGNALS] Neither BroadcastChannel nor localStorage is available; signals stay in this tab.');
+    return () => {};
+  }
+  activeBroadcast = broadcast;
+  Logger.system.info(`[SIGNALS] Broadcasting ${[...allowed].join(', ')} on "${channelName}".`);
+  return () => {
+    if (activeBroadcast === broadcast) disableSignalBroadcast();
+  };
+}
+
+/**
+ * Stops relaying signals to other tabs.
+ */
+export function disableSignalBroadcast() {
+  const broadcast = activeBroadcast;
+  if (!broadcast) return;
+  activeBroadcast = null;
+  try {
+    broadcast.close();
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to close the signal broadcast channel.', error);
+  }
+}
+
+/**
+ * Registers a listener that runs for the next emission of a signal only.
+ * @param {string} signalName - The signal name.
+ * @param {Function} callback - The callback; it receives the signal payload.
+ * @returns {Function} Unregisters the listener if it has not run yet.
+ */
+export function registerSignalListenerOnce(signalName, callback) {
+  if (typeof callback !== 'function') return registerSignalListener(signalName, callback);
+  let unregister = () => {};
+  const onceCallback = (payload, name, origin) => {
+    unregister();
+    return callback(payload, name, origin);
+  };
+  onceCallbacks.set(onceCallback, callback);
+  unregister = registerSignalListener(signalName, onceCallback);
+  return unregister;
+}
+
+/**
+ * Removes a listener added with `registerSignalListener()` or
+ * `registerSignalListenerOnce()`.
+ * @param {string} signalName - The signal name.
+ * @param {Function} callback - The callback that was registered.
+ * @returns {boolean} Whether a listener was removed.
+ */
+export function unregisterSignalListener(signalName, callback) {
+  const normalizedSignalName = normalizeSignalName(signalName);
   const listeners = signalBus.get(normalizedSignalName);
-  if (listeners) {
-    for (const callback of [...listeners]) {
+  if (!listeners || typeof callback !== 'function') return false;
+
+  let removed = false;
+  for (const listener of [...listeners]) {
+    if (listener === callback || onceCallbacks.get(listener) === callback) {
+      removed = listeners.delete(listener) || removed;
+    }
+  }
+  if (!listeners.size) removeSignalBus(normalizedSignalName);
+  if (removed) Logger.system.debug(`[SIGNALS] Unregistered listener for signal "${normalizedSignalName}".`);
+  return removed;
+}
+
+/**
+ * Lists the signal names and patterns that currently have listeners.
+ * @returns {string[]} The signal names and patterns.
+ */
+export function getSignalNames() {
+  return [...signalBus.keys()];
+}
+
+/**
+ * The public signal bus, also installed as `window.HTMLeX.signals`, so
+ * scripts outside HTMLeX markup can publish and subscribe.
+ */
+export const signals = Object.freeze({
+  emit: emitSignal,
+  on: registerSignalListener,
+  once: registerSignalListenerOnce,
+  off: unregisterSignalListener,
+  list: getSignalNames,
+  broadcast: enableSignalBroadcast
+});
+
+export function installSignalGlobal() {
+  const runtimeWindow = getRuntimeWindow();
+  if (!runtimeWindow || typeof runtimeWindow !== 'object') return;
+
+  try {
+    const existingApi = runtimeWindow[GLOBAL_API_NAME];
+    const nextApi = {};
+    if (existingApi && typeof existingApi === 'object') {
       try {
-        const result = callback();
-        observeAsyncListenerResult(result, normalizedSignalName);
-        Logger.system.debug(`[SIGNALS] Signal "${normalizedSignalName}" listener executed successfully.`);
+        for (const key of Object.keys(existingApi)) {
+          nextApi[key] = existingApi[key];
+        }
       } catch (error) {
-        Logger.system.error(`[SIGNALS] Error in signal listener for "${normalizedSignalName}":`, error);
+        Logger.system.warn('[SIGNALS] Failed to copy the existing HTMLeX global API.', error);
       }
     }
-  } else {
-    Logger.system.warn(`[SIGNALS] No listeners registered for signal "${normalizedSignalName}".`);
+    nextApi.signals = signals;
+    runtimeWindow[GLOBAL_API_NAME] = nextApi;
+  } catch (error) {
+    Logger.system.warn('[SIGNALS] Failed to install the signal global API.', error);
   }
 }
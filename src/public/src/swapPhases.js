@@ -0,0 +1,238 @@
+// src/swapPhases.js
+/**
+ * @module SwapPhases
+ * @description Runs swaps in two phases so CSS can animate them. The target
+ * carries `htmlex-swapping` for the `swap-delay` before it is replaced, new
+ * nodes carry `htmlex-added` and then `htmlex-settling` before reaching their
+ * final attributes, and the triggering element carries `htmlex-request` while
+ * its request is in flight.
+ */
+
+import { Logger } from './logger.js';
+import { scheduleFrame } from './utils.js';
+import { holdViewTransition } from './transitions.js';
+
+export const SWAP_PHASE_CLASSES = Object.freeze({
+  request: 'htmlex-request',
+  swapping: 'htmlex-swapping',
+  added: 'htmlex-added',
+  settling: 'htmlex-settling'
+});
+
+const DEFAULT_SWAP_TIMING = Object.freeze({ swapDelay: 0, settleDelay: 0 });
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch (error) {
+    Logger.system.warn('[SWAP] Failed to coerce value to string.', error);
+    return fallback;
+  }
+}
+
+function getGlobalFunction(name) {
+  try {
+    const value = globalThis[name];
+    return typeof value === 'function' ? value : null;
+  } catch (error) {
+    Logger.system.warn(`[SWAP] Unable to read global ${name}.`, error);
+    return null;
+  }
+}
+
+function getNodeField(node, fieldName, fallback = undefined) {
+  try {
+    return node?.[fieldName] ?? fallback;
+  } catch (error) {
+    Logger.system.warn(`[SWAP] Failed to read node ${fieldName}.`, error);
+    return fallback;
+  }
+}
+
+function getElementAttribute(element, attributeName) {
+  try {
+    return element?.getAttribute?.(attributeName) ?? null;
+  } catch (error) {
+    Logger.system.warn(`[SWAP] Failed to read ${attributeName} attribute.`, error);
+    return null;
+  }
+}
+
+function toggleElementClass(element, className, enabled) {
+  try {
+    const classList = getNodeField(element, 'classList', null);
+    if (enabled) {
+      classList?.add?.(className);
+    } else {
+      classList?.remove?.(className);
+    }
+  } catch (error) {
+    Logger.system.warn(`[SWAP] Failed to update ${className} class.`, error);
+  }
+}
+
+function getElementChildren(node) {
+  try {
+    return Array.from(getNodeField(node, 'children', null) || []);
+  } catch (error) {
+    Logger.system.warn('[SWAP] Failed to read element children.', error);
+    return [];
+  }
+}
+
+function parseDelay(value) {
+  const normalizedValue = safeString(value).trim();
+  if (!/^\d+$/u.test(normalizedValue)) return 0;
+
+  const parsed = Number.parseInt(normalizedValue, 10);
+  return Number.isSafeInteger(parsed) ? parsed : 0;
+}
+
+function scheduleDelay(callback, delayMs) {
+  if (delayMs <= 0) {
+    scheduleFrame(callback);
+    return;
+  }
+
+  const setTimeoutFn = getGlobalFunction('setTimeout');
+  try {
+    if (setTimeoutFn) {
+      setTimeoutFn(callback, delayMs);
+      return;
+    }
+    Logger.system.warn('[SWAP] setTimeout is unavailable; using the next frame instead.');
+  } catch (error) {
+    Logger.system.warn('[SWAP] Failed to schedule swap phase delay; using the next frame instead.', error);
+  }
+  scheduleFrame(callback);
+}
+
+function createOnce(callback) {
+  let called = false;
+  return () => {
+    if (called) return;
+    called = true;
+    try {
+      callback?.();
+    } catch (error) {
+      Logger.system.error('[SWAP] Swap settle callback failed.', error);
+    }
+  };
+}
+
+function snapshotChildren(targetElement) {
+  const parent = getNodeField(targetElement, 'parentElement', null);
+  return {
+    parent,
+    parentChildren: new Set(getElementChildren(parent)),
+    targetChildren: new Set(getElementChildren(targetElement))
+  };
+}
+
+function collectAddedElements(targetElement, snapshot) {
+  const added = getElementChildren(targetElement).filter(child => !snapshot.targetChildren.has(child));
+  for (const sibling of getElementChildren(snapshot.parent)) {
+    if (sibling !== targetElement && !snapshot.parentChildren.has(sibling)) {
+      added.push(sibling);
+    }
+  }
+  return added;
+}
+
+function settleAddedElements(addedElements, settleDelay, onSettled) {
+  if (!addedElements.length) {
+    onSettled();
+    return;
+  }
+
+  for (const element of addedElements) {
+    toggleElementClass(element, SWAP_PHASE_CLASSES.added, true);
+  }
+  scheduleFrame(() => {
+    for (const element of addedElements) {
+      toggleElementClass(element, SWAP_PHASE_CLASSES.added, false);
+      toggleElementClass(element, SWAP_PHASE_CLASSES.settling, true);
+    }
+    scheduleDelay(() => {
+      for (const element of addedElements) {
+        toggleElementClass(element, SWAP_PHASE_CLASSES.settling, false);
+      }
+      Logger.system.debug(`[SWAP] Settled ${addedElements.length} added element(s).`);
+      onSettled();
+    }, settleDelay);
+  });
+}
+
+/**
+ * Reads the `swap-delay` and `settle-delay` attributes (milliseconds) from the
+ * element that triggered a swap. A zero settle delay settles on the next frame.
+ *
+ * @param {Element|null} element - The triggering element.
+ * @returns {{swapDelay: number, settleDelay: number}}
+ */
+export function getSwapTiming(element) {
+  if (!element) return DEFAULT_SWAP_TIMING;
+  return {
+    swapDelay: parseDelay(getElementAttribute(element, 'swap-delay')),
+    settleDelay: parseDelay(getElementAttribute(element, 'settle-delay'))
+  };
+}
+
+/**
+ * Adds or removes the `htmlex-request` class on a triggering element.
+ *
+ * @param {Element} element - The triggering element.
+ * @param {boolean} active - Whether a request is in flight.
+ */
+export function setRequestClass(element, active) {
+  toggleElementClass(element, SWAP_PHASE_CLASSES.request, active);
+}
+
+/**
+ * Applies one swap to a target element through the swapping and settling
+ * phases. The swap runs synchronously when there is no swap delay. A delayed
+ * swap started inside a view transition holds that transition open until it
+ * runs, so the transition animates the swapped content.
+ *
+ * @param {Element} targetElement - The element being swapped.
+ * @param {Function} applySwap - Performs the DOM mutation.
+ * @param {object} [options={}]
+ * @param {{swapDelay: number, settleDelay: number}} [options.timing] - Phase delays from getSwapTiming.
+ * @param {Function|null} [options.onSettled=null] - Called once after the settle phase ends.
+ */
+export function runSwapPhases(targetElement, applySwap, options = {}) {
+  const timing = getNodeField(options, 'timing', null) || DEFAULT_SWAP_TIMING;
+  const onSettled = createOnce(getNodeField(options, 'onSettled', null));
+  const swapDelay = parseDelay(getNodeField(timing, 'swapDelay', 0));
+  const settleDelay = parseDelay(getNodeField(timing, 'settleDelay', 0));
+
+  const swap = () => {
+    const snapshot = snapshotChildren(targetElement);
+    try {
+      applySwap();
+    } catch (error) {
+      Logger.system.error('[SWAP] Swap failed.', error);
+      toggleElementClass(targetElement, SWAP_PHASE_CLASSES.swapping, false);
+      onSettled();
+      return;
+    }
+    toggleElementClass(targetElement, SWAP_PHASE_CLASSES.swapping, false);
+    settleAddedElements(collectAddedElements(targetElement, snapshot), settleDelay, onSettled);
+  };
+
+  if (swapDelay <= 0) {
+    swap();
+    return;
+  }
+
+  Logger.system.debug(`[SWAP] Delaying swap by ${swapDelay}ms.`);
+  toggleElementClass(targetElement, SWAP_PHASE_CLASSES.swapping, true);
+  const releaseTransition = holdViewTransition();
+  scheduleDelay(() => {
+    try {
+      swap();
+    } finally {
+      releaseTransition?.();
+    }
+  }, swapDelay);
+}
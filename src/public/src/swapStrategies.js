@@ -0,0 +1,33 @@
+// src/swapStrategies.js
+/**
+ * @module SwapStrategies
+ * @description The built-in target strategy names, shared by the browser
+ * runtime, the protocol parser, and the server-side attribute builders so
+ * they accept exactly the same spellings.
+ */
+
+/** Strategies that insert, replace, or remove markup at the target. */
+export const MARKUP_SWAP_STRATEGIES = Object.freeze([
+  'innerHTML',
+  'outerHTML',
+  'append',
+  'prepend',
+  'before',
+  'after',
+  'remove'
+]);
+
+/** Every built-in strategy name in its canonical spelling. */
+export const SWAP_STRATEGIES = Object.freeze([
+  ...MARKUP_SWAP_STRATEGIES,
+  'morph',
+  'textContent',
+  'replaceChildren',
+  'none'
+]);
+
+/** Maps lowercase strategy names to their canonical spelling. */
+export const SWAP_STRATEGY_BY_LOWERCASE = Object.freeze(Object.assign(
+  Object.create(null),
+  Object.fromEntries(SWAP_STRATEGIES.map(strategy => [strategy.toLowerCase(), strategy]))
+));
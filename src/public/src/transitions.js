@@ -0,0 +1,141 @@
+// src/transitions.js
+/**
+ * @module Transitions
+ * @description Wraps DOM swaps in the View Transitions API when an element or
+ * fragment opts in with the `transition` attribute.
+ */
+
+import { Logger } from './logger.js';
+
+function safeString(value, fallback = '') {
+  try {
+    return String(value ?? fallback);
+  } catch (error) {
+    Logger.system.warn('[TRANSITION] Failed to coerce value to string.', error);
+    return fallback;
+  }
+}
+
+function getRuntimeDocument() {
+  try {
+    return typeof document === 'undefined' ? globalThis.document : document;
+  } catch (error) {
+    Logger.system.warn('[TRANSITION] Failed to read document.', error);
+    return null;
+  }
+}
+
+function hasElementAttribute(element, attributeName) {
+  try {
+    return Boolean(element?.hasAttribute?.(attributeName));
+  } catch (error) {
+    Logger.system.warn(`[TRANSITION] Failed to check ${attributeName} attribute.`, error);
+    return false;
+  }
+}
+
+function getElementAttribute(element, attributeName) {
+  try {
+    return element?.getAttribute?.(attributeName) ?? null;
+  } catch (error) {
+    Logger.system.warn(`[TRANSITION] Failed to read ${attributeName} attribute.`, error);
+    return null;
+  }
+}
+
+function ignoreRejection(promise) {
+  try {
+    promise?.catch?.(error => {
+      Logger.system.debug('[TRANSITION] View transition did not finish.', error);
+    });
+  } catch (error) {
+    Logger.system.debug('[TRANSITION] Failed to observe view transition promise.', error);
+  }
+}
+
+/** Pending delayed swaps of the update callback that is running, if any. */
+let transitionHolds = null;
+
+/**
+ * Keeps the view transition whose update callback is running open until the
+ * returned release function is called, so a swap delayed by `swap-delay` is
+ * still part of the transition's new state. Returns null outside an update
+ * callback.
+ *
+ * @returns {Function|null} Releases the hold.
+ */
+export function holdViewTransition() {
+  if (!transitionHolds) return null;
+  let release = null;
+  transitionHolds.push(new Promise(resolve => {
+    release = resolve;
+  }));
+  return release;
+}
+
+/**
+ * Returns true when the element carries a `transition` attribute that is not
+ * explicitly set to "false".
+ *
+ * @param {Element|null} element - An action element or parsed fragment.
+ * @returns {boolean}
+ */
+export function isTransitionRequested(element) {
+  if (!hasElementAttribute(element, 'transition')) return false;
+  return safeString(getElementAttribute(element, 'transition')).trim().toLowerCase() !== 'false';
+}
+
+/**
+ * Runs a DOM update inside `document.startViewTransition()` when enabled and
+ * supported, and runs it directly otherwise. The update runs exactly once.
+ * When the update starts delayed swaps (see {@link holdViewTransition}), the
+ * transition's update callback resolves only after they have run.
+ *
+ * @param {Function} update - Applies the DOM mutation.
+ * @param {boolean} [enabled=true] - Whether a transition was requested.
+ * @returns {boolean} True when a view transition was started.
+ */
+export function runWithViewTransition(update, enabled = true) {
+  let updated = false;
+  const runUpdate = () => {
+    if (updated) return undefined;
+    updated = true;
+    const previousHolds = transitionHolds;
+    const holds = [];
+    transitionHolds = holds;
+    try {
+      update();
+    } finally {
+      transitionHolds = previousHolds;
+    }
+    return holds.length > 0 ? Promise.all(holds) : undefined;
+  };
+
+  const runtimeDocument = enabled ? getRuntimeDocument() : null;
+  let startViewTransition = null;
+  try {
+    startViewTransition = runtimeDocument?.startViewTransition;
+  } catch (error) {
+    Logger.system.warn('[TRANSITION] Failed to read startViewTransition.', error);
+  }
+  if (typeof startViewTransition !== 'function') {
+    if (enabled) {
+      Logger.system.debug('[TRANSITION] View Transitions API unavailable; applying update directly.');
+    }
+    runUpdate();
+    return false;
+  }
+
+  try {
+    const transition = startViewTransition.call(runtimeDocument, runUpdate);
+    ignoreRejection(transition?.ready);
+    ignoreRejection(transition?.updateCallbackDone);
+    ignoreRejection(transition?.finished);
+    Logger.system.debug('[TRANSITION] Started view transition.');
+    return true;
+  } catch (error) {
+    Logger.system.warn('[TRANSITION] Failed to start view transition; applying update directly.', error);
+    runUpdate();
+    return false;
+  }
+}
@@ -5,6 +5,7 @@
  */
 
 import { Logger } from './logger.js';
+import { parseKeyValuePairs } from './keyValuePairs.js';
 
 function getRuntimeWindow() {
   try {
@@ -60,16 +61,6 @@ function getBrowserHistory(runtimeWindow) {
   }
 }
 
-function parseKeyValueList(value) {
-  return safeString(value).split(/\s+/).filter(Boolean).map(pair => {
-    const separatorIndex = pair.indexOf('=');
-    return {
-      key: separatorIndex >= 0 ? pair.slice(0, separatorIndex) : pair,
-      value: separatorIndex >= 0 ? pair.slice(separatorIndex + 1) : ''
-    };
-  }).filter(({ key }) => key);
-}
-
 function getSearchParams(url) {
   try {
     return url.searchParams;
@@ -162,7 +153,7 @@ export function handleURLState(element) {
   if (hasElementAttribute(element, 'push')) {
     const pushValue = getElementAttribute(element, 'push');
     Logger.system.debug("[URLState] Found 'push' attribute with value:", pushValue);
-    for (const { key, value } of parseKeyValueList(pushValue)) {
+    for (const { key, value } of parseKeyValuePairs(pushValue)) {
       Logger.system.debug(`[URLState] Setting search parameter: ${key}=${value}`);
       setSearchParam(newUrl, key, value);
     }
@@ -207,3 +198,47 @@ export function handleURLState(element) {
     Logger.system.debug("[URLState] No URL state attributes found; no changes made.");
   }
 }
+
+/**
+ * Pushes or replaces a server-provided URL, as directed by the HTMLeX-Push-Url
+ * and HTMLeX-Replace-Url response headers. Relative URLs resolve against the current page;
+ * cross-origin URLs and the value `false` are ignored.
+ *
+ * @param {string} url - The URL to record in history.
+ * @param {'push'|'replace'} [historyMethod='push'] - History method to use.
+ * @returns {boolean} True when the history entry was updated.
+ */
+export function updateHistoryUrl(url, historyMethod = 'push') {
+  const urlValue = safeString(url).trim();
+  if (!urlValue || urlValue.toLowerCase() === 'false') return false;
+
+  const runtimeWindow = getRuntimeWindow();
+  const locationHref = getLocationHref(runtimeWindow);
+  if (!locationHref || typeof globalThis.URL !== 'function') {
+    Logger.system.warn("[URLState] Location or URL API is unavailable; skipping server URL update.");
+    return false;
+  }
+
+  let currentUrl;
+  let nextUrl;
+  try {
+    currentUrl = new globalThis.URL(locationHref);
+    nextUrl = new globalThis.URL(urlValue, currentUrl);
+  } catch (error) {
+    Logger.system.warn(`[URLState] Ignoring invalid server URL "${urlValue}".`, error);
+    return false;
+  }
+  if (nextUrl.origin !== currentUrl.origin) {
+    Logger.system.warn(`[URLState] Ignoring cross-origin server URL "${urlValue}".`);
+    return false;
+  }
+
+  const browserHistory = getBrowserHistory(runtimeWindow);
+  if (!browserHistory) {
+    Logger.system.warn(`[URLState] History API is unavailable for ${getUrlText(nextUrl)}`);
+    return false;
+  }
+
+  callHistoryMethod(browserHistory, historyMethod === 'replace' ? 'replaceState' : 'pushState', getUrlText(nextUrl));
+  return true;
+}
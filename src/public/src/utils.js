@@ -71,7 +71,13 @@ function clearUpdateQueue(queue) {
   }
 }
 
-function scheduleFrame(callback) {
+/**
+ * Runs a callback on the next animation frame, falling back to a zero-delay
+ * timeout and then to a synchronous call when neither API is available.
+ * @param {Function} callback - The callback to run.
+ * @returns {*} The frame or timeout handle, or null when run synchronously.
+ */
+export function scheduleFrame(callback) {
   const requestFrame = getGlobalFunction('requestAnimationFrame');
   if (requestFrame) {
     try {
@@ -1,5 +1,6 @@
 import assert from 'node:assert/strict';
 import test, { afterEach, beforeEach } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
 import { handleAction, processResponse } from '../../src/public/src/actions.js';
 import { clearLifecycleHooksForTests, registerLifecycleHook } from '../../src/public/src/hooks.js';
 import { Logger } from '../../src/public/src/logger.js';
@@ -248,6 +249,257 @@ test('processResponse falls back to the caller target for non-fragment response
   assert.deepEqual(globalThis.__actionHooks, ['afterSwap:click', 'after']);
 });
 
+test('processResponse wraps caller fallback swaps in a view transition when requested', async () => {
+  const output = new FakeElement();
+  const element = new FakeElement({ attributes: { target: '#out(append)', transition: '' } });
+  const transitions = [];
+  const afterCalls = [];
+  installDocument({ '#out': output });
+  document.startViewTransition = (update) => {
+    transitions.push(update);
+  };
+
+  await processResponse(new Response('Animated'), element, null, () => afterCalls.push('after'));
+
+  assert.equal(transitions.length, 1);
+  assert.deepEqual(output.inserted, []);
+  assert.deepEqual(afterCalls, []);
+
+  transitions[0]();
+
+  assert.deepEqual(output.inserted, [{ position: 'beforeend', content: 'Animated' }]);
+  assert.deepEqual(afterCalls, ['after']);
+});
+
+test('processResponse applies every fallback target in one view transition', async () => {
+  const first = new FakeElement();
+  const second = new FakeElement();
+  const element = new FakeElement({ attributes: { target: '#first(append) #second(append)', transition: '' } });
+  const transitions = [];
+  const afterCalls = [];
+  installDocument({ '#first': first, '#second': second });
+  document.startViewTransition = (update) => {
+    transitions.push(update);
+  };
+
+  await processResponse(new Response('Animated'), element, null, () => afterCalls.push('after'));
+
+  assert.equal(transitions.length, 1);
+  transitions[0]();
+
+  assert.deepEqual(first.inserted, [{ position: 'beforeend', content: 'Animated' }]);
+  assert.deepEqual(second.inserted, [{ position: 'beforeend', content: 'Animated' }]);
+  assert.deepEqual(afterCalls, ['after']);
+});
+
+test('handleAction applies select and select-oob to streamed and cached fallback responses', async () => {
+  const endpoint = `/unit-select-${Date.now()}`;
+  const output = new FakeElement();
+  const count = new FakeElement();
+  count.outerHTML = '<span id="count">0</span>';
+  installDocument({ '#out': output, '[id="count"]': count });
+  document.createElement = () => {
+    let elements = [];
+    return {
+      set innerHTML(html) {
+        elements = [...html.matchAll(/<(\w+) id="([^"]*)">[^<]*<\/\1>/g)]
+          .map(([outerHTML, tagName, id]) => ({ outerHTML, tagName, getAttribute: () => id, remove() {} }));
+      },
+      content: {
+        querySelectorAll(selector) {
+          return elements.filter(element => `#${element.getAttribute('id')}` === selector);
+        },
+      },
+    };
+  };
+  let fetchCount = 0;
+  globalThis.fetch = async () => {
+    fetchCount += 1;
+    return new Response('<nav id="nav">Menu</nav><main id="main">Body</main><span id="count">7</span>');
+  };
+  const element = new FakeElement({
+    attributes: { target: '#out(append)', select: '#main', 'select-oob': '#count', cache: '1000' },
+  });
+
+  await handleAction(element, 'GET', endpoint);
+  assert.deepEqual(output.inserted, [{ position: 'beforeend', content: '<main id="main">Body</main>' }]);
+  assert.equal(count.outerHTML, '<span id="count">7</span>');
+
+  count.outerHTML = '<span id="count">0</span>';
+  await handleAction(element, 'GET', endpoint);
+  assert.equal(fetchCount, 1);
+  assert.deepEqual(output.inserted.at(-1), { position: 'beforeend', content: '<main id="main">Body</main>' });
+  assert.equal(count.outerHTML, '<span id="count">7</span>');
+});
+
+test('processResponse merges response titles into the document when head merging is requested', async () => {
+  const output = new FakeElement();
+  installDocument({ '#out': output });
+  document.title = 'Before';
+  document.createElement = () => ({
+    content: { children: [{ tagName: 'TITLE', textContent: ' After ' }] },
+    set innerHTML(_html) {},
+  });
+  const element = new FakeElement({ attributes: { target: '#out(append)', head: 'merge' } });
+
+  await processResponse(new Response('<title>After</title><p>Body</p>'), element);
+
+  assert.equal(document.title, 'After');
+  assert.deepEqual(output.inserted, [{ position: 'beforeend', content: '<p>Body</p>' }]);
+});
+
+test('handleAction does not re-apply swap-oob-only responses to the caller target', async () => {
+  const output = new FakeElement();
+  const count = new FakeElement();
+  count.outerHTML = '<span id="count">0</span>';
+  installDocument({ '#out': output, '[id="count"]': count });
+  globalThis.fetch = async () => new Response('<span id="count" swap-oob="true">7</span>\n');
+  const element = new FakeElement({ attributes: { target: '#out(append)' } });
+
+  await handleAction(element, 'GET', `/unit-oob-${Date.now()}`);
+
+  assert.equal(count.outerHTML, '<span id="count">7</span>');
+  assert.deepEqual(output.inserted, []);
+});
+
+test('processResponse applies HTMLeX-Retarget and HTMLeX-Reswap headers to caller fallback swaps', async () => {
+  const output = new FakeElement();
+  const errors = new FakeElement();
+  const element = new FakeElement({ attributes: { target: '#out(append)' } });
+  installDocument({ '#out': output, '#errors': errors });
+
+  await processResponse(new Response('Retargeted', {
+    headers: { 'HTMLeX-Retarget': '#errors', 'HTMLeX-Reswap': 'prepend' },
+  }), element);
+  await processResponse(new Response('Strategy kept', {
+    headers: { 'HTMLeX-Retarget': '#errors' },
+  }), element);
+  await processResponse(new Response('Explicit', {
+    headers: { 'HTMLeX-Retarget': '#errors(after)', 'HTMLeX-Reswap': 'sideways' },
+  }), element);
+  await processResponse(new Response('Original'), element);
+
+  assert.deepEqual(errors.inserted, [
+    { position: 'afterbegin', content: 'Retargeted' },
+    { position: 'beforeend', content: 'Strategy kept' },
+    { position: 'afterend', content: 'Explicit' },
+  ]);
+  assert.deepEqual(output.inserted, [{ position: 'beforeend', content: 'Original' }]);
+});
+
+test('processResponse follows HTMLeX-Redirect and HTMLeX-Refresh headers without swapping the body', async () => {
+  const navigations = [];
+  globalThis.window.location = {
+    href: 'https://example.test/app',
+    assign(url) {
+      navigations.push(`assign:${url}`);
+    },
+    reload() {
+      navigations.push('reload');
+    },
+  };
+  const output = new FakeElement();
+  const element = new FakeElement({ attributes: { target: '#out(append)' } });
+  installDocument({ '#out': output });
+
+  assert.equal(await processResponse(new Response('Ignored', { headers: { 'HTMLeX-Redirect': '/login' } }), element), '');
+  assert.equal(await processResponse(new Response('Ignored', { headers: { 'HTMLeX-Refresh': 'true' } }), element), '');
+  assert.equal(
+    await processResponse(new Response('Swapped', { headers: { 'HTMLeX-Redirect': 'javascript:alert(1)' } }), element),
+    'Swapped'
+  );
+
+  assert.equal(
+    await processResponse(new Response('Created', {
+      status: 201,
+      headers: { Location: '/todos/1', Refresh: '5; url=/elsewhere' },
+    }), element),
+    'Created'
+  );
+
+  assert.deepEqual(navigations, ['assign:https://example.test/login', 'reload']);
+  assert.deepEqual(output.inserted, [
+    { position: 'beforeend', content: 'Swapped' },
+    { position: 'beforeend', content: 'Created' },
+  ]);
+  assert.equal(element._htmlexStreamingActive, false);
+});
+
+test('handleAction skips swaps and success side effects after a navigation header', async () => {
+  const navigations = [];
+  const historyCalls = [];
+  globalThis.window = {
+    location: {
+      href: 'https://example.test/app',
+      assign(url) {
+        navigations.push(url);
+      },
+    },
+  };
+  globalThis.history = {
+    pushState(_state, _title, url) {
+      historyCalls.push(url);
+    },
+  };
+  const output = new FakeElement();
+  installDocument({ '#out': output });
+  globalThis.fetch = async () => new Response('Ignored', { headers: { 'HTMLeX-Redirect': '/login' } });
+  const { registerSignalListener } = await import('../../src/public/src/signals.js');
+  const published = [];
+  const cleanup = registerSignalListener('navigated:published', () => published.push('published'));
+  const element = new FakeElement({
+    attributes: { target: '#out(append)', publish: 'navigated:published', push: 'page=2' },
+  });
+
+  try {
+    await handleAction(element, 'GET', '/navigates');
+  } finally {
+    cleanup();
+  }
+
+  assert.deepEqual(navigations, ['https://example.test/login']);
+  assert.deepEqual(output.inserted, []);
+  assert.deepEqual(published, []);
+  assert.deepEqual(historyCalls, []);
+});
+
+test('processResponse loads HTMLeX-Location headers into their target and records history', async () => {
+  const historyCalls = [];
+  globalThis.history = {
+    pushState(state, title, url) {
+      historyCalls.push(`push:${url}`);
+    },
+    replaceState(state, title, url) {
+      historyCalls.push(`replace:${url}`);
+    },
+  };
+  const main = new FakeElement();
+  const output = new FakeElement();
+  const element = new FakeElement({ attributes: { target: '#out(append)' } });
+  installDocument({ '#main': main, '#out': output });
+  const fetchCalls = [];
+  globalThis.fetch = async (url, options) => {
+    fetchCalls.push({ url, options });
+    if (url.endsWith('/loop')) {
+      return new Response('', { headers: { 'HTMLeX-Location': '/loop; target=#main(append)' } });
+    }
+    return new Response('Dashboard');
+  };
+
+  assert.equal(await processResponse(new Response('Ignored', {
+    headers: { 'HTMLeX-Location': '/dashboard; target=#main(append); history=replace' },
+  }), element), '');
+  await processResponse(new Response('', { headers: { 'HTMLeX-Location': '/loop' } }), element);
+
+  assert.equal(fetchCalls[0].url, 'https://example.test/dashboard');
+  assert.equal(fetchCalls[0].options.headers['HTMLeX-Event'], 'location');
+  assert.equal(fetchCalls[0].options.headers['HTMLeX-Target'], '%23main(append)');
+  assert.deepEqual(main.inserted, [{ position: 'beforeend', content: 'Dashboard' }]);
+  assert.deepEqual(output.inserted, []);
+  assert.deepEqual(historyCalls, ['replace:https://example.test/dashboard']);
+  assert.equal(fetchCalls.length, 6);
+});
+
 test('processResponse handles empty response bodies without leaving streaming flags set', async () => {
   const element = new FakeElement();
   element._htmlexFragmentErrorStatus = '500';
@@ -1135,13 +1387,111 @@ test('handleAction ignores unsafe prototype-style fetch option keys', async () =
   await handleAction(new FakeElement(), 'GET', '/safe-options', extraOptions);
 
   assert.equal(fetchCalls.length, 1);
-  assert.deepEqual(fetchCalls[0].options.headers, { 'x-unit': '1' });
+  assert.equal(fetchCalls[0].options.headers['x-unit'], '1');
+  assert.equal(fetchCalls[0].options.headers['HTMLeX-Request'], 'true');
   assert.equal(Object.hasOwn(fetchCalls[0].options, '__proto__'), false);
   assert.equal(Object.hasOwn(fetchCalls[0].options, 'constructor'), false);
   assert.equal(Object.hasOwn(fetchCalls[0].options, 'prototype'), false);
   assert.equal(Object.getPrototypeOf(fetchCalls[0].options), Object.prototype);
 });
 
+test('handleAction sends HTMLeX request metadata headers', async () => {
+  installDocument();
+  globalThis.window.location.href = 'https://example.test/todos?page=2';
+  const fetchCalls = [];
+  globalThis.fetch = async (url, options) => {
+    fetchCalls.push({ url, options });
+    return new Response('');
+  };
+  const element = new FakeElement({
+    attributes: {
+      name: 'save',
+      target: '#list(innerHTML) #count(outerHTML)',
+    },
+  });
+  element.id = 'save-button';
+
+  await handleAction(element, 'POST', '/todos', {
+    htmlexEvent: { type: 'click' },
+    headers: [['HTMLeX-Event', 'override'], ['x-extra', 'yes']],
+  });
+  await handleAction(new FakeElement({ attributes: { name: 'café\r\nInjected: 1' } }), 'GET', '/plain');
+  globalThis.window.location.href = 'https://example.test/caf\u00e9?q=a%20b';
+  const percentElement = new FakeElement({ attributes: { target: '[data-v="100%25"](innerHTML)' } });
+  percentElement.id = 'a%20b';
+  await handleAction(percentElement, 'GET', '/percent');
+
+  assert.deepEqual(fetchCalls[0].options.headers, {
+    'HTMLeX-Request': 'true',
+    'HTMLeX-Trigger': 'save-button',
+    'HTMLeX-Trigger-Name': 'save',
+    'HTMLeX-Target': '%23list(innerHTML)%20%23count(outerHTML)',
+    'HTMLeX-Current-URL': 'https://example.test/todos?page=2',
+    'HTMLeX-Event': 'override',
+    'x-extra': 'yes',
+  });
+  assert.deepEqual(fetchCalls[1].options.headers, {
+    'HTMLeX-Request': 'true',
+    'HTMLeX-Trigger-Name': 'caf%C3%A9%20Injected%3A%201',
+    'HTMLeX-Current-URL': 'https://example.test/todos?page=2',
+  });
+  assert.deepEqual(fetchCalls[2].options.headers, {
+    'HTMLeX-Request': 'true',
+    'HTMLeX-Trigger': 'a%2520b',
+    'HTMLeX-Target': '%5Bdata-v%3D%22100%2525%22%5D(innerHTML)',
+    'HTMLeX-Current-URL': 'https://example.test/caf%C3%A9?q=a%20b',
+  });
+});
+
+test('handleAction marks in-flight requests and runs onafterswap after new nodes settle', async () => {
+  const frames = [];
+  globalThis.requestAnimationFrame = (callback) => {
+    frames.push(callback);
+    return frames.length;
+  };
+  const createClassList = (classes) => ({
+    add: name => classes.add(name),
+    remove: name => classes.delete(name),
+  });
+  const output = new FakeElement();
+  output.children = [];
+  output.insertAdjacentHTML = (position, content) => {
+    const child = { content, classes: new Set() };
+    child.classList = createClassList(child.classes);
+    output.children.push(child);
+  };
+  installDocument({ '#out': output });
+  let resolveFetch;
+  globalThis.fetch = () => new Promise(resolve => {
+    resolveFetch = resolve;
+  });
+  const element = new FakeElement({
+    attributes: { target: '#out(append)', onafterSwap: 'record:settled' },
+  });
+  element.classes = new Set();
+  element.classList = createClassList(element.classes);
+  const hookCalls = [];
+  registerLifecycleHook('record:settled', () => {
+    hookCalls.push(output.children.map(child => [...child.classes]));
+  });
+
+  const action = handleAction(element, 'GET', '/settle');
+  await delay(0);
+  assert.equal(element.classes.has('htmlex-request'), true);
+
+  resolveFetch(new Response('<li>Item</li>'));
+  await action;
+  assert.equal(element.classes.has('htmlex-request'), false);
+
+  frames.shift()();
+  assert.deepEqual([...output.children[0].classes], ['htmlex-added']);
+  frames.shift()();
+  assert.deepEqual([...output.children[0].classes], ['htmlex-settling']);
+  assert.deepEqual(hookCalls, []);
+  frames.shift()();
+  assert.deepEqual(hookCalls, [[[]]]);
+});
+
 test('handleAction tolerates hostile controls and failing FormData constructors', async () => {
   globalThis.FormData = class ThrowingFormData {
     constructor() {
@@ -1303,6 +1653,111 @@ test('handleAction retries and skips delayed signals when timers fail', async ()
   }
 });
 
+test('handleAction applies HTMLeX-Push-Url and HTMLeX-Replace-Url headers and skips caching directed responses', async () => {
+  const historyCalls = [];
+  globalThis.history = {
+    pushState(state, title, url) {
+      historyCalls.push(`push:${url}`);
+    },
+    replaceState(state, title, url) {
+      historyCalls.push(`replace:${url}`);
+    },
+  };
+  installDocument();
+  let fetchCount = 0;
+  globalThis.fetch = async () => {
+    fetchCount += 1;
+    return new Response('', {
+      headers: {
+        'HTMLeX-Push-Url': '/todos?page=2',
+        'HTMLeX-Replace-Url': 'https://elsewhere.test/',
+      },
+    });
+  };
+  const element = new FakeElement({ attributes: { cache: '1000' } });
+
+  await handleAction(element, 'GET', '/directed-cache');
+  await handleAction(element, 'GET', '/directed-cache');
+
+  assert.equal(fetchCount, 2);
+  assert.deepEqual(historyCalls, [
+    'push:https://example.test/todos?page=2',
+    'push:https://example.test/todos?page=2',
+  ]);
+});
+
+test('handleAction cache-mode swr replays cached responses and replaces them with changed revalidations', async () => {
+  const output = new FakeElement();
+  installDocument({ '#out': output });
+  const bodies = ['Version 1', 'Version 1', 'Version 2'];
+  let fetchCount = 0;
+  globalThis.fetch = async () => new Response(bodies[fetchCount++]);
+  const endpoint = `/swr-${Date.now()}`;
+  const element = new FakeElement({
+    attributes: { cache: '1', 'cache-mode': 'swr', target: '#out(innerHTML)' },
+  });
+
+  await handleAction(element, 'GET', endpoint);
+  await delay(5);
+  assert.equal(output.innerHTML, 'Version 1');
+  output.innerHTML = '';
+  await handleAction(element, 'GET', endpoint);
+  assert.equal(output.innerHTML, 'Version 1');
+  await delay(5);
+  assert.equal(fetchCount, 2);
+  assert.equal(output.innerHTML, 'Version 1');
+
+  await handleAction(element, 'GET', endpoint);
+  await delay(5);
+  assert.equal(fetchCount, 3);
+  assert.equal(output.innerHTML, 'Version 2');
+
+  globalThis.fetch = async () => new Response('Unavailable', { status: 503 });
+  await handleAction(element, 'GET', endpoint);
+  await delay(5);
+  assert.equal(output.innerHTML, 'Version 2');
+  assert.deepEqual(output.inserted, []);
+});
+
+test('handleAction cache-mode swr falls back to the plain cache for inserting strategies', async () => {
+  const output = new FakeElement();
+  installDocument({ '#out': output });
+  let fetchCount = 0;
+  globalThis.fetch = async () => new Response(`Version ${++fetchCount}`);
+  const endpoint = `/swr-append-${Date.now()}`;
+  const element = new FakeElement({
+    attributes: { cache: '1000', 'cache-mode': 'swr', target: '#out(append)' },
+  });
+
+  await handleAction(element, 'GET', endpoint);
+  await handleAction(element, 'GET', endpoint);
+  await delay(5);
+
+  assert.equal(fetchCount, 1);
+  assert.deepEqual(output.inserted.map(entry => entry.content), ['Version 1', 'Version 1']);
+});
+
+test('handleAction cache-mode swr skips revalidated fragments that insert content', async () => {
+  const output = new FakeElement();
+  installDocument({ '#out': output });
+  const bodies = ['Version 1', '<fragment target="#out(append)">Version 2</fragment>'];
+  let fetchCount = 0;
+  globalThis.fetch = async () => new Response(bodies[Math.min(fetchCount++, 1)]);
+  const endpoint = `/swr-fragment-${Date.now()}`;
+  const element = new FakeElement({
+    attributes: { cache: '1', 'cache-mode': 'swr', target: '#out(innerHTML)' },
+  });
+
+  await handleAction(element, 'GET', endpoint);
+  await delay(5);
+  await handleAction(element, 'GET', endpoint);
+  await delay(5);
+
+  assert.equal(fetchCount, 2);
+  assert.equal(output.innerHTML, 'Version 1');
+  assert.deepEqual(output.inserted, []);
+});
+
 test('handleAction emits header and publish signals immediately or through guarded timers', async () => {
   const timers = [];
   globalThis.setTimeout = (callback, delayMs) => {
@@ -1349,6 +1804,38 @@ test('handleAction emits header and publish signals immediately or through guard
   }
 });
 
+test('handleAction sends Emit header parameters and publish-extras as identically decoded signal payloads', async () => {
+  const { registerSignalListener } = await import('../../src/public/src/signals.js');
+  const payloads = [];
+  const cleanupHeader = registerSignalListener('todo:updated', payload => payloads.push(['header', payload]));
+  const cleanupPublish = registerSignalListener('todo:saved', payload => payloads.push(['publish', payload]));
+
+  try {
+    installDocument();
+    globalThis.fetch = async () => new Response('', {
+      headers: {
+        Emit: 'todo:updated; id=42; note=red%20shoes; flag; bad=%E0%A4; delay=0; q=a%20b',
+      },
+    });
+    const element = new FakeElement({
+      attributes: {
+        publish: 'todo:saved',
+        'publish-extras': 'id=42 list=home q=a%20b bad=%E0%A4',
+      },
+    });
+
+    await handleAction(element, 'POST', '/todos/42');
+
+    assert.deepEqual(payloads, [
+      ['header', { id: '42', note: 'red shoes', flag: '', bad: '%E0%A4', q: 'a b' }],
+      ['publish', { id: '42', list: 'home', q: 'a b', bad: '%E0%A4' }],
+    ]);
+  } finally {
+    cleanupHeader();
+    cleanupPublish();
+  }
+});
+
 test('handleAction ignores partial delayed signal timers', async () => {
   const timers = [];
   globalThis.setTimeout = (callback, delayMs) => {
@@ -297,6 +297,75 @@ test('responses include baseline security and request-id headers', async () => {
   }
 });
 
+test('parseHTMLeXRequest reads HTMLeX metadata headers into request info', async () => {
+  const appUrl = pathToFileURL(path.resolve(import.meta.dirname, '../../src/app.js'));
+  const { parseHTMLeXRequest } = await import(`${appUrl.href}?htmlex-request=${Date.now()}`);
+  const createRequest = headers => ({
+    get(name) {
+      return headers[name.toLowerCase()];
+    },
+  });
+
+  assert.deepEqual(parseHTMLeXRequest(createRequest({
+    'htmlex-request': 'true',
+    'htmlex-trigger': 'save-button',
+    'htmlex-trigger-name': 'caf%C3%A9',
+    'htmlex-target': '#list(innerHTML)',
+    'htmlex-event': 'click',
+    'htmlex-current-url': 'https://example.test/a%20b',
+  })), {
+    request: true,
+    trigger: 'save-button',
+    triggerName: 'café',
+    target: '#list(innerHTML)',
+    event: 'click',
+    currentUrl: 'https://example.test/a%20b',
+  });
+  assert.deepEqual(parseHTMLeXRequest(createRequest({
+    'htmlex-request': 'true',
+    'htmlex-trigger': 'a%2520b',
+    'htmlex-target': '%5Bdata-v%3D%22100%2525%22%5D(innerHTML)',
+  })), {
+    request: true,
+    trigger: 'a%20b',
+    triggerName: null,
+    target: '[data-v="100%25"](innerHTML)',
+    event: null,
+    currentUrl: null,
+  });
+  assert.deepEqual(parseHTMLeXRequest(createRequest({ 'htmlex-trigger': 'ignored' })), {
+    request: false,
+    trigger: null,
+    triggerName: null,
+    target: null,
+    event: null,
+    currentUrl: null,
+  });
+  assert.equal(parseHTMLeXRequest(createRequest({
+    'htmlex-request': 'true',
+    'htmlex-target': 'x'.repeat(4096),
+  })).target, null);
+  assert.equal(parseHTMLeXRequest({ get() { throw new Error('hostile'); } }).request, false);
+});
+
+test('createApp varies responses on the HTMLeX request marker', async () => {
+  const appUrl = pathToFileURL(path.resolve(import.meta.dirname, '../../src/app.js'));
+  const { createHttpsServer } = await import(`${appUrl.href}?htmlex-vary=${Date.now()}`);
+  const { server } = await createHttpsServer();
+
+  try {
+    await listen(server);
+    const response = await getPath(server.address().port, '/missing', {
+      'HTMLeX-Request': 'true',
+    });
+
+    assert.equal(response.statusCode, 404);
+    assert.match(response.headers.vary, /HTMLeX-Request/i);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
 test('invalid incoming request ids are replaced before being echoed', async () => {
   const appUrl = pathToFileURL(path.resolve(import.meta.dirname, '../../src/app.js'));
   const { createHttpsServer } = await import(`${appUrl.href}?request-id=${Date.now()}`);
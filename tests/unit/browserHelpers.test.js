@@ -9,6 +9,10 @@ import {
   querySelectorAllSafe,
   querySelectorAllResult,
   querySelectorSafe,
+  getSwapStrategyNames,
+  normalizeTargetStrategy,
+  registerSwapStrategy,
+  unregisterSwapStrategy,
   updateTarget,
 } from '../../src/public/src/dom.js';
 import { fetchWithTimeout } from '../../src/public/src/fetchHelper.js';
@@ -16,9 +20,22 @@ import { installRuntimeErrorBoundary, Logger, LogLevel } from '../../src/public/
 import {
   __getSignalListenerCount,
   emitSignal,
+  getSignalTabId,
+  installSignalGlobal,
   registerSignalListener,
+  SIGNAL_EVENT,
+  signals,
 } from '../../src/public/src/signals.js';
-import { handleURLState } from '../../src/public/src/urlState.js';
+import {
+  hasResponseDirectives,
+  isRefreshRequested,
+  parseLocationDirective,
+  readResponseDirectives,
+  redirectTo,
+  refreshPage,
+  resolveNavigationUrl,
+} from '../../src/public/src/responseHeaders.js';
+import { handleURLState, updateHistoryUrl } from '../../src/public/src/urlState.js';
 import { isSequential, scheduleUpdate } from '../../src/public/src/utils.js';
 import { handleWebSocket } from '../../src/public/src/websocket.js';
 
@@ -241,6 +258,290 @@ test('signal emissions tolerate hostile names and thenables', () => {
   assert.equal(__getSignalListenerCount(signalName), 0);
 });
 
+test('signal listeners receive frozen payloads from objects and key=value strings', () => {
+  const signalName = `unit:payload:${Date.now()}`;
+  const payloads = [];
+  const cleanup = registerSignalListener(signalName, payload => payloads.push(payload));
+
+  emitSignal(signalName, { id: 42, done: false, ' ': 'skipped', empty: null });
+  emitSignal(signalName, 'id=7 token=a=b flag');
+  emitSignal(signalName);
+  emitSignal(signalName, 42);
+  emitSignal(signalName, {
+    get id() {
+      throw new Error('payload field unavailable');
+    },
+  });
+  cleanup();
+
+  assert.deepEqual(payloads, [
+    { id: '42', done: 'false', empty: '' },
+    { id: '7', token: 'a=b', flag: '' },
+    {},
+    {},
+    {},
+  ]);
+  assert.ok(payloads.every(payload => Object.isFrozen(payload)));
+});
+
+test('public signal API emits, subscribes once, unsubscribes, lists, and dispatches DOM events', () => {
+  const signalName = `unit:public:${Date.now()}`;
+  const events = [];
+  globalThis.document = {
+    dispatchEvent(event) {
+      events.push([event.type, event.detail]);
+      return true;
+    },
+  };
+  const calls = [];
+  const onListener = payload => calls.push(['on', payload.id]);
+  const onceListener = payload => calls.push(['once', payload.id]);
+
+  signals.on(signalName, onListener);
+  signals.once(signalName, onceListener);
+  signals.once(signalName, onListener);
+  assert.ok(signals.list().includes(signalName));
+  assert.equal(__getSignalListenerCount(signalName), 3);
+
+  signals.emit(signalName, { id: 1 });
+  signals.emit(signalName, 'id=2');
+
+  assert.deepEqual(calls, [['on', '1'], ['once', '1'], ['on', '1'], ['on', '2']]);
+  assert.equal(__getSignalListenerCount(signalName), 1);
+  const origin = { tabId: getSignalTabId(), remote: false };
+  assert.deepEqual(events, [
+    [SIGNAL_EVENT, { name: signalName, payload: { id: '1' }, origin }],
+    [SIGNAL_EVENT, { name: signalName, payload: { id: '2' }, origin }],
+  ]);
+
+  const pendingOnce = signals.once(signalName, onceListener);
+  assert.equal(signals.off(signalName, onceListener), true);
+  pendingOnce();
+  assert.equal(signals.off(signalName, onListener), true);
+  assert.equal(signals.off(signalName, onListener), false);
+  assert.equal(signals.off(signalName, 'not a function'), false);
+  assert.equal(signals.list().includes(signalName), false);
+
+  signals.emit(`${signalName}:unheard`);
+  assert.equal(events.at(-1)[1].name, `${signalName}:unheard`);
+
+  globalThis.document = {
+    dispatchEvent() {
+      throw new Error('dispatch denied');
+    },
+  };
+  assert.doesNotThrow(() => signals.emit(signalName));
+  assert.ok(Object.isFrozen(signals));
+});
+
+test('signal broadcast relays allow-listed signals through BroadcastChannel without echoes', () => {
+  const originalBroadcastChannel = globalThis.BroadcastChannel;
+  const channels = [];
+  globalThis.BroadcastChannel = class {
+    constructor(name) {
+      this.name = name;
+      this.posted = [];
+      this.closed = false;
+      channels.push(this);
+    }
+
+    postMessage(message) {
+      this.posted.push(message);
+    }
+
+    close() {
+      this.closed = true;
+    }
+  };
+  const events = [];
+  globalThis.document = { dispatchEvent: event => events.push(event.detail) };
+  const received = [];
+  let echo = false;
+  const cleanupChanged = registerSignalListener('todos:changed', (payload) => {
+    received.push(payload);
+    if (!echo) return;
+    echo = false;
+    emitSignal('todos:changed', { echo: 'true' });
+  });
+
+  try {
+    const stop = signals.broadcast({ signals: 'todos:changed, chat:message' });
+    const [channel] = channels;
+    assert.equal(channel.name, 'htmlex:signals');
+
+    emitSignal('todos:changed', { id: 1 });
+    emitSignal('todos:local');
+    assert.equal(channel.posted.length, 1);
+    assert.deepEqual({ ...channel.posted[0], time: 0 }, {
+      type: 'htmlex:signal',
+      id: `${getSignalTabId()}:${channel.posted[0].id.split(':').at(-1)}`,
+      tabId: getSignalTabId(),
+      name: 'todos:changed',
+      payload: { id: '1' },
+      time: 0,
+    });
+    received.length = 0;
+    events.length = 0;
+
+    const remote = { type: 'htmlex:signal', id: 'tab-b:1', tabId: 'tab-b', name: 'todos:changed', payload: { id: 2 } };
+    echo = true;
+    channel.onmessage({ data: remote });
+    channel.onmessage({ data: remote });
+    channel.onmessage({ data: { ...remote, id: 'self:1', tabId: getSignalTabId() } });
+    channel.onmessage({ data: { ...remote, id: 'tab-b:2', name: 'secrets:changed' } });
+    channel.onmessage({ data: { ...remote, id: 7 } });
+    channel.onmessage({ data: null });
+
+    assert.deepEqual(received, [{ id: '2' }, { echo: 'true' }]);
+    assert.deepEqual(events.map(event => event.origin), [
+      { tabId: getSignalTabId(), remote: false },
+      { tabId: 'tab-b', remote: true, messageId: 'tab-b:1' },
+    ]);
+    assert.equal(channel.posted.length, 1);
+
+    stop();
+    assert.equal(channel.closed, true);
+    emitSignal('todos:changed');
+    assert.equal(channel.posted.length, 1);
+    channel.onmessage({ data: { ...remote, id: 'tab-b:3' } });
+    assert.equal(received.length, 3);
+
+    assert.equal(typeof signals.broadcast({ signals: [] }), 'function');
+    assert.equal(channels.length, 1);
+  } finally {
+    cleanupChanged();
+    signals.broadcast({ signals: 'unused' })();
+    globalThis.BroadcastChannel = originalBroadcastChannel;
+  }
+});
+
+test('signal broadcast falls back to storage events when BroadcastChannel is unavailable', () => {
+  const originalBroadcastChannel = globalThis.BroadcastChannel;
+  globalThis.BroadcastChannel = undefined;
+  const storageCalls = [];
+  const windowListeners = new Map();
+  globalThis.window = {
+    localStorage: {
+      setItem: (key, value) => storageCalls.push(['set', key, JSON.parse(value).name]),
+      removeItem: key => storageCalls.push(['remove', key]),
+    },
+    addEventListener: (type, listener) => windowListeners.set(type, listener),
+    removeEventListener: (type, listener) => {
+      if (windowListeners.get(type) === listener) windowListeners.delete(type);
+    },
+  };
+  const received = [];
+  const cleanup = registerSignalListener('cart:updated', payload => received.push(payload));
+
+  try {
+    const stop = signals.broadcast({ signals: ['cart:updated'], channel: 'shop:signals' });
+    emitSignal('cart:updated', 'count=3');
+    assert.deepEqual(storageCalls, [['set', 'shop:signals', 'cart:updated'], ['remove', 'shop:signals']]);
+
+    const onStorage = windowListeners.get('storage');
+    const message = { type: 'htmlex:signal', id: 'tab-c:1', tabId: 'tab-c', name: 'cart:updated', payload: { count: '4' } };
+    onStorage({ key: 'shop:signals', newValue: JSON.stringify(message) });
+    onStorage({ key: 'shop:signals', newValue: null });
+    onStorage({ key: 'other', newValue: JSON.stringify({ ...message, id: 'tab-c:2' }) });
+    onStorage({ key: 'shop:signals', newValue: '{not json' });
+    assert.deepEqual(received, [{ count: '3' }, { count: '4' }]);
+
+    stop();
+    assert.equal(windowListeners.has('storage'), false);
+
+    globalThis.window = {};
+    assert.equal(typeof signals.broadcast({ signals: 'cart:updated' }), 'function');
+    emitSignal('cart:updated');
+    assert.equal(storageCalls.length, 2);
+  } finally {
+    cleanup();
+    globalThis.BroadcastChannel = originalBroadcastChannel;
+  }
+});
+
+test('signal listeners match wildcard patterns by namespace segment', () => {
+  const originalBroadcastChannel = globalThis.BroadcastChannel;
+  const posted = [];
+  globalThis.BroadcastChannel = class {
+    postMessage(message) {
+      posted.push(message.name);
+    }
+
+    close() {}
+  };
+  const calls = [];
+  const record = label => (payload, name) => calls.push([label, name, payload.id]);
+  const shared = record('shared');
+  const cleanups = [
+    registerSignalListener('todo:*', record('segment')),
+    registerSignalListener('todo:**', record('deep')),
+    registerSignalListener('**', record('all')),
+    registerSignalListener('todo:create', shared),
+    registerSignalListener('todo:cre*', shared),
+  ];
+
+  try {
+    emitSignal('todo:create', { id: 1 });
+    emitSignal('todo:item:delete', { id: 2 });
+    emitSignal('todo.create', { id: 3 });
+    assert.deepEqual(calls, [
+      ['shared', 'todo:create', '1'],
+      ['segment', 'todo:create', '1'],
+      ['deep', 'todo:create', '1'],
+      ['all', 'todo:create', '1'],
+      ['deep', 'todo:item:delete', '2'],
+      ['all', 'todo:item:delete', '2'],
+      ['all', 'todo.create', '3'],
+    ]);
+    assert.equal(signals.list().includes('todo:*'), true);
+
+    assert.equal(signals.off('todo:cre*', shared), true);
+    assert.equal(__getSignalListenerCount('todo:cre*'), 0);
+    assert.equal(signals.list().includes('todo:cre*'), false);
+
+    const stop = signals.broadcast({ signals: 'chat:*' });
+    emitSignal('chat:message');
+    emitSignal('chat:room:message');
+    emitSignal('todo:create');
+    stop();
+    assert.deepEqual(posted, ['chat:message']);
+  } finally {
+    for (const cleanup of cleanups) cleanup();
+    globalThis.BroadcastChannel = originalBroadcastChannel;
+  }
+});
+
+test('signal global installation keeps existing HTMLeX globals', () => {
+  const hooksApi = { register() {} };
+  globalThis.window = { HTMLeX: { hooks: hooksApi } };
+
+  installSignalGlobal();
+
+  assert.equal(globalThis.window.HTMLeX.hooks, hooksApi);
+  assert.equal(globalThis.window.HTMLeX.signals, signals);
+
+  globalThis.window = {
+    HTMLeX: new Proxy({}, {
+      ownKeys() {
+        throw new Error('keys denied');
+      },
+    }),
+  };
+  assert.doesNotThrow(() => installSignalGlobal());
+  assert.equal(globalThis.window.HTMLeX.signals, signals);
+
+  Object.defineProperty(globalThis.window, 'HTMLeX', {
+    configurable: true,
+    get() {
+      return {};
+    },
+    set() {
+      throw new Error('set denied');
+    },
+  });
+  assert.doesNotThrow(() => installSignalGlobal());
+});
+
 test('DOM target parsing normalizes strategies and invalid selector helpers fail closed', () => {
   assert.deepEqual(
     parseTargets('#main(innerHTML) .items(append) #old(remove)'),
@@ -346,6 +647,147 @@ test('updateTarget coerces nullish and numeric content before applying updates',
   ]);
 });
 
+test('updateTarget applies textContent, replaceChildren, none, and attr strategies', () => {
+  const dispatchedEvents = [];
+  const attributes = {};
+  const targetElement = {
+    innerHTML: 'old',
+    textContent: 'old',
+    setAttribute(name, value) {
+      attributes[name] = value;
+    },
+    replaceChildren(fragment) {
+      this.replacedWith = fragment;
+    },
+  };
+  globalThis.CustomEvent = class CustomEvent {
+    constructor(type, init = {}) {
+      this.type = type;
+      this.detail = init.detail;
+    }
+  };
+  globalThis.document = {
+    body: {},
+    querySelectorAll(selector) {
+      return selector === '#target' ? [targetElement] : [];
+    },
+    createRange() {
+      return {
+        selectNodeContents(node) {
+          assert.equal(node, targetElement);
+        },
+        createContextualFragment(html) {
+          return { html };
+        },
+      };
+    },
+    dispatchEvent(event) {
+      dispatchedEvents.push(event);
+    }
+  };
+
+  assert.deepEqual(
+    parseTargets('#a(TEXTCONTENT) #b(replaceChildren) #c(none) #d(attr:data-count) li:nth-child(odd)'),
+    [
+      { selector: '#a', strategy: 'textContent' },
+      { selector: '#b', strategy: 'replaceChildren' },
+      { selector: '#c', strategy: 'none' },
+      { selector: '#d', strategy: 'attr:data-count' },
+    ]
+  );
+  assert.deepEqual(parseTargets('li:nth-child(odd)'), [
+    { selector: 'li:nth-child(odd)', strategy: 'innerHTML' },
+  ]);
+  assert.equal(normalizeTargetStrategy('ATTR:aria-valuenow'), 'attr:aria-valuenow');
+  assert.equal(normalizeTargetStrategy('attr:onclick'), null);
+  assert.equal(normalizeTargetStrategy('attr:'), null);
+  assert.equal(normalizeTargetStrategy('constructor'), null);
+
+  updateTarget({ selector: '#target', strategy: 'textContent' }, '<button GET="/unit">Run</button>');
+  assert.equal(targetElement.textContent, '<button GET="/unit">Run</button>');
+
+  updateTarget({ selector: '#target', strategy: 'replaceChildren' }, '<button GET="/unit">Run</button>');
+  assert.deepEqual(targetElement.replacedWith, { html: '<button GET="/unit">Run</button>' });
+
+  updateTarget({ selector: '#target', strategy: 'none' }, '<p>ignored</p>');
+  updateTarget({ selector: '#target', strategy: 'attr:data-count' }, 7);
+  updateTarget({ selector: '#target', strategy: 'attr:onclick' }, 'alert(1)');
+
+  assert.deepEqual(attributes, { 'data-count': '7' });
+  assert.equal(targetElement.innerHTML, 'old');
+  assert.equal(dispatchedEvents.length, 1);
+  assert.equal(dispatchedEvents[0].detail.root, targetElement);
+
+  delete targetElement.replaceChildren;
+  updateTarget({ selector: '#target', strategy: 'replaceChildren' }, '<p>fallback</p>');
+  assert.equal(targetElement.innerHTML, '<p>fallback</p>');
+});
+
+test('registerSwapStrategy adds custom strategies to target parsing and updates', () => {
+  const calls = [];
+  const targetElement = { innerHTML: 'old' };
+  const insertedRoot = { nodeType: 1, id: 'inserted' };
+  const dispatchedEvents = [];
+  globalThis.CustomEvent = class CustomEvent {
+    constructor(type, init = {}) {
+      this.type = type;
+      this.detail = init.detail;
+    }
+  };
+  globalThis.document = {
+    body: {},
+    querySelectorAll(selector) {
+      return selector === '#target' ? [targetElement] : [];
+    },
+    dispatchEvent(event) {
+      dispatchedEvents.push(event);
+    }
+  };
+
+  const strategy = (element, content, context) => {
+    calls.push({ element, content, context });
+    return insertedRoot;
+  };
+  const unregister = registerSwapStrategy('fade-in', strategy);
+
+  try {
+    assert.deepEqual(getSwapStrategyNames(), ['fade-in']);
+    assert.equal(normalizeTargetStrategy('FADE-IN'), 'fade-in');
+    assert.deepEqual(parseTargets('#target(Fade-In) #other(unknown)'), [
+      { selector: '#target', strategy: 'fade-in' },
+    ]);
+    assert.throws(() => registerSwapStrategy('fade-in', () => {}), /already registered/);
+    assert.throws(() => registerSwapStrategy('innerHTML', () => {}), /built in/);
+    assert.throws(() => registerSwapStrategy('attr', () => {}), /built in/);
+    assert.throws(() => registerSwapStrategy('bad name', () => {}), /Invalid/);
+    assert.throws(() => registerSwapStrategy('noop', 'not a function'), /must be a function/);
+
+    updateTarget({ selector: '#target', strategy: 'fade-in' }, '<button GET="/unit">Run</button>');
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].element, targetElement);
+    assert.equal(calls[0].content, '<button GET="/unit">Run</button>');
+    assert.equal(calls[0].context.selector, '#target');
+    assert.equal(calls[0].context.strategy, 'fade-in');
+    assert.equal(targetElement.innerHTML, 'old');
+    assert.equal(dispatchedEvents[0].detail.root, insertedRoot);
+
+    const replacement = () => {
+      throw new Error('strategy failure');
+    };
+    registerSwapStrategy('fade-in', replacement, { replace: true });
+    assert.doesNotThrow(() => updateTarget({ selector: '#target', strategy: 'fade-in' }, 'x'));
+    assert.equal(unregister(), false);
+    assert.equal(unregisterSwapStrategy('fade-in', replacement), true);
+  } finally {
+    unregisterSwapStrategy('fade-in');
+  }
+
+  assert.deepEqual(getSwapStrategyNames(), []);
+  updateTarget({ selector: '#target', strategy: 'fade-in' }, '<p>default</p>');
+  assert.equal(targetElement.innerHTML, '<p>default</p>');
+});
+
 test('DOM updates tolerate missing CustomEvent and Range APIs', () => {
   const dispatchedEvents = [];
   const targetElement = {
@@ -438,6 +880,12 @@ test('URL state applies push, pull, path, and history modes', () => {
   }));
 
   assert.equal(historyCalls.length, 1);
+
+  handleURLState(createAttributeElement({
+    push: 'q=red%20shoes sale%3Dtag=50%25 bad=%E0%A4'
+  }));
+
+  assert.equal(historyCalls[1].url, 'https://example.test/old?keep=1&remove=1&q=red+shoes&sale%3Dtag=50%25&bad=%25E0%25A4');
 });
 
 test('URL state trims history attributes and falls back for invalid history modes', () => {
@@ -596,6 +1044,116 @@ test('URL state ignores unstringifiable attribute values', () => {
   assert.deepEqual(historyCalls, ['https://example.test/current?keep=1']);
 });
 
+test('server URL updates resolve same-origin URLs and ignore unusable values', () => {
+  const calls = [];
+  globalThis.window = {
+    location: {
+      href: 'https://example.test/current?keep=1'
+    },
+    history: {
+      pushState(state, title, url) {
+        calls.push(['push', url]);
+      },
+      replaceState(state, title, url) {
+        calls.push(['replace', url]);
+      }
+    }
+  };
+
+  assert.equal(updateHistoryUrl('/next?page=2'), true);
+  assert.equal(updateHistoryUrl('https://example.test/replaced', 'replace'), true);
+  assert.equal(updateHistoryUrl('false'), false);
+  assert.equal(updateHistoryUrl(''), false);
+  assert.equal(updateHistoryUrl('https://elsewhere.test/'), false);
+  assert.equal(updateHistoryUrl('http://[bad'), false);
+  assert.deepEqual(calls, [
+    ['push', 'https://example.test/next?page=2'],
+    ['replace', 'https://example.test/replaced']
+  ]);
+
+  globalThis.window = { location: { href: 'https://example.test/' } };
+  delete globalThis.history;
+  assert.equal(updateHistoryUrl('/no-history'), false);
+  delete globalThis.window;
+  assert.equal(updateHistoryUrl('/no-window'), false);
+});
+
+test('response directive helpers parse headers and navigate defensively', () => {
+  const headers = new Headers({
+    'HTMLeX-Redirect': ' /login ',
+    'HTMLeX-Reswap': 'outerHTML',
+    'HTMLeX-Push-Url': '/todos',
+    Retarget: '#proxy',
+    'Replace-Url': '/proxy'
+  });
+  const directives = readResponseDirectives({ headers });
+
+  assert.deepEqual(directives, {
+    redirect: '/login',
+    location: null,
+    refresh: null,
+    retarget: null,
+    reswap: 'outerHTML',
+    pushUrl: '/todos',
+    replaceUrl: null
+  });
+  assert.equal(hasResponseDirectives(directives), true);
+  assert.equal(hasResponseDirectives(readResponseDirectives(null)), false);
+  assert.equal(hasResponseDirectives(null), false);
+  assert.equal(readResponseDirectives({ headers: { get() { throw new Error('denied'); } } }).redirect, null);
+  assert.equal(isRefreshRequested(' TRUE '), true);
+  assert.equal(isRefreshRequested('5; url=/x'), false);
+
+  const navigations = [];
+  globalThis.window = {
+    location: {
+      href: 'https://example.test/app/',
+      assign(url) {
+        navigations.push(url);
+      },
+      reload() {
+        navigations.push('reload');
+      }
+    }
+  };
+  assert.equal(resolveNavigationUrl('next'), 'https://example.test/app/next');
+  assert.equal(resolveNavigationUrl('javascript:alert(1)'), null);
+  assert.equal(resolveNavigationUrl('http://[bad'), null);
+  assert.equal(resolveNavigationUrl('  '), null);
+  assert.deepEqual(parseLocationDirective('/todos; target=#main(append); history=NONE; flag; history=sideways'), {
+    url: 'https://example.test/todos',
+    target: '#main(append)',
+    history: 'none'
+  });
+  assert.deepEqual(parseLocationDirective('/todos'), {
+    url: 'https://example.test/todos',
+    target: 'body(innerHTML)',
+    history: 'push'
+  });
+  assert.equal(parseLocationDirective('data:text/html,hi'), null);
+  assert.equal(redirectTo('https://example.test/login'), true);
+  assert.equal(refreshPage(), true);
+  assert.deepEqual(navigations, ['https://example.test/login', 'reload']);
+
+  globalThis.window = { location: { href: 'https://example.test/' } };
+  assert.equal(redirectTo('https://example.test/plain'), true);
+  assert.equal(globalThis.window.location.href, 'https://example.test/plain');
+  assert.equal(refreshPage(), false);
+
+  globalThis.window = {
+    location: {
+      assign() {
+        throw new Error('navigation denied');
+      },
+      reload() {
+        throw new Error('reload denied');
+      }
+    }
+  };
+  assert.equal(redirectTo('https://example.test/denied'), false);
+  assert.equal(refreshPage(), false);
+});
+
 test('fetchWithTimeout passes through successful fetches and converts timeouts', async () => {
   const seen = [];
   globalThis.fetch = async (url, options = {}) => {
@@ -1,6 +1,82 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { getCache, setCache } from '../../src/public/src/cache.js';
+import { setTimeout as delay } from 'node:timers/promises';
+import {
+  configureCache,
+  createIndexedDBCacheStore,
+  createMemoryCacheStore,
+  createSessionStorageCacheStore,
+  getCache,
+  getCacheEntry,
+  hasPersistentCache,
+  readCache,
+  setCache,
+} from '../../src/public/src/cache.js';
+
+function createFakeStorage(quota = Infinity) {
+  const items = new Map();
+  return {
+    items,
+    getItem: key => items.get(key) ?? null,
+    setItem(key, value) {
+      const used = [...items].reduce((total, [itemKey, item]) => total + (itemKey === key ? 0 : item.length), 0);
+      if (used + value.length > quota) {
+        throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+      }
+      items.set(key, value);
+    },
+    removeItem: key => items.delete(key),
+  };
+}
+
+// Runs each request on a microtask and completes the transaction once its
+// requests, including those queued from success callbacks, have finished.
+function createFakeIndexedDB() {
+  const databases = new Map();
+  return {
+    databases,
+    open(name) {
+      const openRequest = {};
+      queueMicrotask(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const records = databases.get(name);
+        openRequest.result = {
+          createObjectStore() {},
+          transaction() {
+            const transaction = {};
+            let pending = 0;
+            const run = (operation) => {
+              const request = {};
+              pending += 1;
+              queueMicrotask(() => {
+                request.result = operation();
+                request.onsuccess?.();
+                pending -= 1;
+                if (!pending) transaction.oncomplete?.();
+              });
+              return request;
+            };
+            transaction.objectStore = () => ({
+              get: key => run(() => (records.has(key) ? { ...records.get(key) } : undefined)),
+              getAll: () => run(() => [...records.values()].map(record => ({ ...record }))),
+              put: record => run(() => records.set(record.key, { ...record })),
+              delete: key => run(() => records.delete(key)),
+              clear: () => run(() => records.clear()),
+            });
+            queueMicrotask(() => {
+              if (!pending) transaction.oncomplete?.();
+            });
+            return transaction;
+          },
+        };
+        if (isNew) openRequest.onupgradeneeded?.();
+        openRequest.onsuccess?.();
+      });
+      return openRequest;
+    },
+  };
+}
 
 test('cache evicts oldest entries after the configured cap', () => {
   const prefix = `cache-cap-${Date.now()}-`;
@@ -26,3 +102,157 @@ test('cache treats missing or invalid TTL values as non-expiring entries', () =>
   assert.equal(getCache(`${prefix}negative`), 'negative');
   assert.equal(getCache(`${prefix}text`), 'text');
 });
+
+test('memory cache store evicts least recently used entries within entry and byte budgets', () => {
+  const store = createMemoryCacheStore({ maxEntries: 3, maxBytes: 40 });
+  const entry = response => ({ response, expireAt: Infinity });
+
+  store.set('a', entry('1111'));
+  store.set('b', entry('2222'));
+  store.set('c', entry('3333'));
+  assert.equal(store.get('a').response, '1111');
+  store.set('d', entry('4444'));
+  assert.equal(store.get('b'), null);
+  assert.equal(store.get('a').response, '1111');
+
+  store.set('e', entry('x'.repeat(30)));
+  assert.equal(store.get('c'), null);
+  assert.equal(store.get('d'), null);
+  assert.equal(store.get('a').response, '1111');
+  assert.equal(store.get('e').response.length, 30);
+
+  store.set('huge', entry('x'.repeat(50)));
+  assert.equal(store.get('huge'), null);
+  assert.equal(store.get('a'), null);
+
+  store.set('f', entry('5'));
+  store.delete('f');
+  assert.equal(store.get('f'), null);
+  store.set('g', entry('6'));
+  store.clear();
+  assert.equal(store.get('g'), null);
+});
+
+test('sessionStorage cache store persists entries and LRU order across instances', () => {
+  const storage = createFakeStorage();
+  const first = createSessionStorageCacheStore({ storage, maxEntries: 2 });
+
+  first.set('/a', { response: 'A', expireAt: Infinity });
+  first.set('/b', { response: 'B', expireAt: 1234 });
+  first.get('/a');
+
+  const second = createSessionStorageCacheStore({ storage, maxEntries: 2 });
+  assert.deepEqual(second.get('/a'), { response: 'A', expireAt: Infinity });
+  assert.deepEqual(second.get('/b'), { response: 'B', expireAt: 1234 });
+  second.set('/c', { response: 'C', expireAt: Infinity });
+  assert.equal(second.get('/a'), null);
+  assert.equal(storage.items.has('htmlex:cache:/a'), false);
+
+  storage.items.set('htmlex:cache:/b', '{broken');
+  assert.equal(second.get('/b'), null);
+  assert.equal(second.get('/missing'), null);
+  second.delete('/c');
+  assert.deepEqual(JSON.parse(storage.items.get('htmlex:cache:#index')), []);
+
+  const limited = createSessionStorageCacheStore({ storage: createFakeStorage(160), prefix: 'q:' });
+  limited.set('/one', { response: 'x'.repeat(50), expireAt: Infinity });
+  limited.set('/two', { response: 'y'.repeat(50), expireAt: Infinity });
+  assert.equal(limited.get('/one'), null);
+  assert.equal(limited.get('/two').response.length, 50);
+  limited.clear();
+  assert.equal(limited.get('/two'), null);
+
+  const failing = createFakeStorage();
+  const failingStore = createSessionStorageCacheStore({ storage: failing, prefix: 'f:' });
+  failingStore.set('/kept', { response: 'Kept', expireAt: Infinity });
+  const setItem = failing.setItem;
+  failing.setItem = (key, value) => {
+    if (key === 'f:/denied') throw new TypeError('write denied');
+    setItem(key, value);
+  };
+  failingStore.set('/denied', { response: 'Denied', expireAt: Infinity });
+  assert.equal(failingStore.get('/kept').response, 'Kept');
+  assert.equal(failingStore.get('/denied'), null);
+  assert.deepEqual(JSON.parse(failing.items.get('f:#index')).map(([key]) => key), ['/kept']);
+
+  assert.equal(createSessionStorageCacheStore({ storage: {} }), null);
+  const corrupt = createFakeStorage();
+  corrupt.items.set('htmlex:cache:#index', 'not json');
+  assert.equal(createSessionStorageCacheStore({ storage: corrupt }).get('/a'), null);
+});
+
+test('IndexedDB cache store persists entries and evicts by budget', async () => {
+  const indexedDB = createFakeIndexedDB();
+  const first = createIndexedDBCacheStore({ indexedDB, maxEntries: 2 });
+
+  await first.set('/a', { response: 'A', expireAt: Infinity });
+  await first.set('/b', { response: 'B', expireAt: 50 });
+  assert.deepEqual(await first.get('/a'), { response: 'A', expireAt: Infinity });
+  await first.set('/c', { response: 'C', expireAt: Infinity });
+  assert.equal(await first.get('/b'), null);
+
+  const second = createIndexedDBCacheStore({ indexedDB, maxEntries: 1 });
+  assert.deepEqual([...indexedDB.databases.get('htmlex-cache').keys()], ['/a', '/c']);
+  assert.equal(await second.get('/missing'), null);
+  assert.equal(indexedDB.databases.get('htmlex-cache').size, 1);
+  const [remainingKey] = indexedDB.databases.get('htmlex-cache').keys();
+  await second.delete(remainingKey);
+  assert.equal(await second.get(remainingKey), null);
+  await second.set('/d', { response: 'D', expireAt: Infinity });
+  await second.clear();
+  assert.equal(indexedDB.databases.get('htmlex-cache').size, 0);
+
+  assert.equal(createIndexedDBCacheStore({ indexedDB: {} }), null);
+});
+
+test('configured cache stores back the memory cache and serve stale entries on request', async () => {
+  const persisted = new Map();
+  const writes = [];
+  const store = {
+    get: async key => persisted.get(key) ?? null,
+    set: async (key, entry) => {
+      writes.push(key);
+      persisted.set(key, entry);
+    },
+    delete: async key => persisted.delete(key),
+    clear: async () => persisted.clear(),
+  };
+
+  try {
+    configureCache({ store });
+    setCache('/fresh', 'Fresh', 0);
+    assert.deepEqual(writes, ['/fresh']);
+
+    configureCache({ store });
+    assert.equal(hasPersistentCache(), true);
+    assert.equal(getCache('/fresh'), null);
+    assert.equal(getCacheEntry('/fresh'), null);
+    assert.deepEqual(await readCache('/fresh'), { response: 'Fresh', stale: false });
+    assert.equal(getCache('/fresh'), 'Fresh');
+    assert.deepEqual(getCacheEntry('/fresh'), { response: 'Fresh', stale: false });
+
+    setCache('/old', 'Old', 1);
+    await delay(5);
+    assert.deepEqual(await readCache('/old', { stale: true }), { response: 'Old', stale: true });
+    assert.equal(await readCache('/old'), null);
+    await delay(0);
+    assert.equal(persisted.has('/old'), false);
+    assert.equal(await readCache('/missing'), null);
+
+    configureCache({ store: { ...store, get: async () => { throw new Error('read denied'); } } });
+    assert.equal(await readCache('/fresh'), null);
+
+    globalThis.sessionStorage = createFakeStorage();
+    configureCache({ store: 'session', maxEntries: 5 });
+    setCache('/session', 'Session', 0);
+    assert.match(globalThis.sessionStorage.items.get('htmlex:cache:/session'), /Session/);
+
+    configureCache({ store: 'floppy' });
+    setCache('/memory', 'Memory', 0);
+    assert.equal(getCache('/memory'), 'Memory');
+    assert.equal(hasPersistentCache(), false);
+  } finally {
+    delete globalThis.sessionStorage;
+    configureCache();
+  }
+});
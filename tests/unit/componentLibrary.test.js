@@ -0,0 +1,259 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  ConfirmButton,
+  DataTable,
+  InlineEdit,
+  Modal,
+  ModalRoot,
+  ModalTrigger,
+  SearchableSelect,
+  SearchableSelectOptions,
+  Tabs,
+  Toast,
+  ToastRegion,
+  closeModalFragment,
+  createDataTableRoute,
+  dataTableFragments,
+  readDataTableQuery,
+  toastFragment,
+} from '../../src/components/ComponentLibrary.js';
+import { render, tag } from '../../src/components/HTMLeX.js';
+import { parseFragments } from '../../src/public/src/protocol.js';
+
+const columns = [
+  { key: 'name', label: 'Name', sortable: true },
+  { key: 'email', label: 'Email', render: user => user.email.toUpperCase() },
+];
+
+test('DataTable wires sort headers and pager buttons to its endpoint', () => {
+  const html = render(DataTable({
+    id: 'users',
+    endpoint: '/users?filter=active',
+    columns,
+    rows: [{ id: 1, name: '<Ann>', email: 'ann@example.com' }],
+    rowKey: 'id',
+    sort: { key: 'name', direction: 'asc' },
+    page: 2,
+    pageSize: 1,
+    total: 3,
+  }));
+
+  assert.match(html, /^<div id="users" class="htmlex-table"><table><thead id="users-head">/u);
+  assert.match(html, /<th scope="col" aria-sort="ascending"><button type="button" class="htmlex-table-sort active" GET="\/users\?filter=active&amp;sort=name&amp;dir=desc" target="#users-body\(outerHTML\)">Name/u);
+  assert.match(html, /<th scope="col">Email<\/th>/u);
+  assert.match(html, /<tbody id="users-body"><tr data-key="1"><td>&lt;Ann&gt;<\/td><td>ANN@EXAMPLE.COM<\/td><\/tr><\/tbody>/u);
+  assert.match(html, /<nav id="users-pager" class="htmlex-table-pager"/u);
+  assert.match(html, /rel="prev" GET="\/users\?filter=active&amp;page=1"/u);
+  assert.match(html, /Page 2 of 3/u);
+  assert.match(html, /rel="next" GET="\/users\?filter=active&amp;page=3"/u);
+
+  const empty = render(DataTable({ id: 'users', endpoint: '/users', columns, rows: [] }));
+  assert.match(empty, /<td colspan="2" class="htmlex-table-empty">No results\.<\/td>/u);
+  assert.match(empty, /rel="prev" disabled>Previous/u);
+  assert.match(empty, /rel="next" disabled>Next/u);
+  assert.match(empty, /aria-sort="none"><button type="button" class="htmlex-table-sort" GET="\/users\?sort=name&amp;dir=asc"/u);
+
+  assert.throws(() => DataTable({ id: 'bad id', endpoint: '/users', columns }), /DataTable requires an "id"/u);
+  assert.throws(() => DataTable({ id: 'users', columns }), /DataTable requires a "endpoint" URL/u);
+});
+
+test('readDataTableQuery accepts only sortable keys and positive pages', () => {
+  assert.deepEqual(readDataTableQuery({ sort: 'name', dir: 'DESC', page: '3' }, { sortable: ['name'] }), {
+    sort: { key: 'name', direction: 'desc' },
+    filters: {},
+    page: 3,
+  });
+  assert.deepEqual(readDataTableQuery({ sort: 'password', dir: 'sideways', page: '-2' }, { sortable: ['name'] }), {
+    sort: { key: '', direction: 'asc' },
+    filters: {},
+    page: 1,
+  });
+  assert.deepEqual(readDataTableQuery(null), { sort: { key: '', direction: 'asc' }, filters: {}, page: 1 });
+});
+
+test('readDataTableQuery merges control parameters with the page URL state', () => {
+  const options = { sortable: ['name'], filterable: ['role'], currentUrl: 'https://example.test/users?sort=name&dir=desc&role=admin&page=3' };
+
+  assert.deepEqual(readDataTableQuery({ page: '4' }, options), {
+    sort: { key: 'name', direction: 'desc' },
+    filters: { role: 'admin' },
+    page: 4,
+  });
+  assert.deepEqual(readDataTableQuery({ sort: 'name', dir: 'asc' }, options), {
+    sort: { key: 'name', direction: 'asc' },
+    filters: { role: 'admin' },
+    page: 1,
+  });
+  assert.deepEqual(readDataTableQuery({ role: ' ' }, options), {
+    sort: { key: 'name', direction: 'desc' },
+    filters: {},
+    page: 1,
+  });
+  assert.deepEqual(readDataTableQuery({ page: ['2', '5'] }, { ...options, currentUrl: 'not a url' }).page, 5);
+});
+
+test('dataTableFragments swap the body and pager and record the state in the URL', () => {
+  const fragments = parseFragments(render(dataTableFragments({
+    id: 'users',
+    endpoint: '/users',
+    columns: [{ key: 'name', sortable: true }, { key: 'role', filterable: true }],
+    rows: [{ name: 'Ann', role: 'site admin' }],
+    sort: { key: 'name', direction: 'desc' },
+    filters: { role: 'site admin' },
+    page: 1,
+  }, { head: false })));
+
+  assert.deepEqual(fragments.map(fragment => fragment.target), ['#users-body(outerHTML)', '#users-pager(outerHTML)']);
+  assert.match(fragments[0].content, /^<tbody id="users-body"><tr><td>Ann<\/td><td>site admin<\/td><\/tr><\/tbody>$/u);
+  assert.equal(fragments[1].attributes.push, 'sort=name dir=desc role=site%20admin');
+  assert.equal(fragments[1].attributes.pull, 'page');
+
+  const withHead = parseFragments(render(dataTableFragments({ id: 'users', endpoint: '/users', columns: [{ key: 'name' }] })));
+  assert.equal(withHead[0].target, '#users-head(outerHTML)');
+  assert.equal(withHead[2].attributes.pull, 'sort dir page');
+  assert.equal(withHead[2].attributes.push, undefined);
+  assert.throws(() => dataTableFragments({ id: 'users', endpoint: '/users', columns: [{ key: 'page', filterable: true }] }), /cannot filter on "page"/u);
+});
+
+test('createDataTableRoute serves full pages and HTMLeX fragments from one row source', async () => {
+  const rows = Array.from({ length: 12 }, (_, index) => ({ id: index + 1, name: `User ${String(index + 1).padStart(2, '0')}`, role: index % 3 ? 'staff' : 'admin' }));
+  const route = createDataTableRoute({
+    id: 'users',
+    endpoint: '/users/table',
+    pageSize: 5,
+    rowKey: 'id',
+    columns: [{ key: 'name', label: 'Name', sortable: true }, { key: 'role', label: 'Role', filterable: true }],
+    rows,
+    layout: (table, state) => tag('main', { data: { page: state.page } }, table),
+  });
+  const call = async (query, headers = {}) => {
+    const sent = { headers: [] };
+    await route({ query, get: name => headers[name] }, {
+      vary: header => sent.headers.push(['Vary', header]),
+      type: type => sent.headers.push(['Type', type]),
+      send: body => { sent.body = body; },
+    });
+    return sent;
+  };
+
+  const page = await call({ page: '2' });
+  assert.deepEqual(page.headers, [['Vary', 'HTMLeX-Request'], ['Type', 'html']]);
+  assert.match(page.body, /^<main data-page="2"><div id="users" class="htmlex-table"><form id="users-filters"[^>]* GET="\/users\/table" target="#users-body\(outerHTML\)">/u);
+  assert.match(page.body, /data-key="6"><td>User 06<\/td>.*data-key="10"/u);
+  assert.match(page.body, /<\/nav><\/div><\/main>$/u);
+
+  const htmlexHeaders = { 'HTMLeX-Request': 'true', 'HTMLeX-Current-URL': 'https://example.test/users?sort=name&dir=asc&page=2' };
+  const paged = parseFragments((await call({ page: '3' }, htmlexHeaders)).body);
+  assert.deepEqual(paged.map(fragment => fragment.target), ['#users-body(outerHTML)', '#users-pager(outerHTML)']);
+  assert.match(paged[0].content, /User 11.*User 12/u);
+  assert.equal(paged[1].attributes.push, 'sort=name dir=asc page=3');
+
+  const sorted = parseFragments((await call({ sort: 'name', dir: 'desc' }, htmlexHeaders)).body);
+  assert.deepEqual(sorted.map(fragment => fragment.target), ['#users-head(outerHTML)', '#users-body(outerHTML)', '#users-pager(outerHTML)']);
+  assert.match(sorted[0].content, /aria-sort="descending"/u);
+  assert.match(sorted[1].content, /^<tbody id="users-body"><tr data-key="12">/u);
+
+  const filtered = parseFragments((await call({ role: 'ADMIN' }, htmlexHeaders)).body);
+  assert.equal(filtered.length, 2);
+  assert.equal((filtered[0].content.match(/<tr /gu) || []).length, 4);
+  assert.equal(filtered[1].attributes.push, 'sort=name dir=asc role=ADMIN');
+
+  const queries = [];
+  const pagedSource = createDataTableRoute({
+    id: 'users',
+    endpoint: '/users',
+    columns: [{ key: 'name' }],
+    rows: (query) => {
+      queries.push(query);
+      return { rows: [{ name: 'Remote' }], total: 40 };
+    },
+  });
+  let body = '';
+  await pagedSource({ query: { page: '3' }, htmlex: { request: false } }, { send: value => { body = value; } });
+  assert.equal(queries[0].page, 3);
+  assert.equal(queries[0].pageSize, 10);
+  assert.match(body, /Page 3 of 4/u);
+
+  const failure = new Error('database offline');
+  const failing = createDataTableRoute({ id: 'users', endpoint: '/users', columns: [], rows: async () => { throw failure; } });
+  const errors = [];
+  await failing({ query: {} }, { send() {} }, error => errors.push(error));
+  assert.deepEqual(errors, [failure]);
+  await assert.rejects(failing({ query: {} }, { send() {} }), /database offline/u);
+  assert.throws(() => createDataTableRoute({ id: 'users', columns: [] }), /createDataTableRoute requires a "endpoint" URL/u);
+});
+
+test('Tabs re-render themselves through each tab route', () => {
+  const html = render(Tabs({
+    id: 'settings',
+    tabs: [
+      { id: 'profile', label: 'Profile', url: '/settings/profile' },
+      { id: 'security', label: 'Security', url: '/settings/security' },
+    ],
+    active: 'security',
+    content: 'Security <settings>',
+  }));
+
+  assert.match(html, /id="settings-tab-profile" class="htmlex-tab" aria-selected="false" aria-controls="settings-panel" tabindex="-1" GET="\/settings\/profile" target="#settings\(outerHTML\)"/u);
+  assert.match(html, /id="settings-tab-security" class="htmlex-tab active" aria-selected="true"/u);
+  assert.match(html, /<div role="tabpanel" id="settings-panel" class="htmlex-tabpanel" aria-labelledby="settings-tab-security">Security &lt;settings&gt;<\/div>/u);
+  assert.match(render(Tabs({ id: 't', tabs: [{ id: 'a', label: 'A', url: '/a' }], active: 'missing' })), /aria-labelledby="t-tab-a"/u);
+});
+
+test('modal and toast helpers target their shared roots', () => {
+  assert.equal(render(ModalRoot()), '<div id="htmlex-modal" class="htmlex-modal-root"></div>');
+  assert.match(render(ModalTrigger({ url: '/todos/new', label: 'New' })), /GET="\/todos\/new" target="#htmlex-modal\(innerHTML\)">New/u);
+  assert.equal(
+    render(Modal({ id: 'new-todo', title: 'New todo', content: 'Body', actions: 'Save' })),
+    '<dialog id="new-todo" class="htmlex-modal" open aria-modal="true" aria-labelledby="new-todo-title">' +
+    '<header class="htmlex-modal-header"><h2 id="new-todo-title">New todo</h2>' +
+    '<form method="dialog"><button type="submit" class="htmlex-modal-close" aria-label="Close">×</button></form></header>' +
+    '<div class="htmlex-modal-body">Body</div><footer class="htmlex-modal-actions">Save</footer></dialog>'
+  );
+
+  assert.match(render(ToastRegion({ id: 'alerts' })), /^<div id="alerts" class="htmlex-toasts" role="region" aria-live="polite"/u);
+  assert.equal(
+    render(Toast({ message: 'Failed', variant: 'error', timeout: 0 })),
+    '<div class="htmlex-toast htmlex-toast-error" role="alert">Failed</div>'
+  );
+
+  const fragments = parseFragments(render([closeModalFragment(), toastFragment('Saved <1>', { variant: 'success', timeout: 3000 })]));
+  assert.deepEqual(fragments.map(fragment => [fragment.target, fragment.content]), [
+    ['#htmlex-modal(innerHTML)', ''],
+    ['#htmlex-toasts(append)', '<div class="htmlex-toast htmlex-toast-success" role="status" timer="3000" target="this(remove)">Saved &lt;1&gt;</div>'],
+  ]);
+});
+
+test('ConfirmButton, InlineEdit, and SearchableSelect render their request wiring', () => {
+  assert.equal(
+    render(ConfirmButton({ url: '/todos/1', label: 'Delete', actionOptions: { target: 'this(remove)' } })),
+    '<details class="htmlex-confirm"><summary class="htmlex-confirm-toggle">Delete</summary>' +
+    '<div class="htmlex-confirm-panel" role="alertdialog"><p>Are you sure?</p>' +
+    '<button type="button" class="htmlex-confirm-submit" DELETE="/todos/1" target="this(remove)">Confirm</button></div></details>'
+  );
+  assert.throws(() => ConfirmButton({ url: '/x', label: 'x', method: 'trace' }), /ConfirmButton method must be one of/u);
+  assert.throws(() => ConfirmButton({ url: '/x', label: 'x', actionOptions: { target: '#x(apend)' } }), /Unknown HTMLeX swap strategy/u);
+
+  const display = render(InlineEdit({ id: 'todo-1-text', url: '/todos/1', name: 'text', value: 'Buy <milk>' }));
+  assert.match(display, /<span class="htmlex-inline-edit-value">Buy &lt;milk&gt;<\/span>/u);
+  assert.match(display, /GET="\/todos\/1\?edit=1" target="#todo-1-text\(outerHTML\)">Edit/u);
+  const editing = render(InlineEdit({ id: 'todo-1-text', url: '/todos/1?edit=1', name: 'text', value: 'Buy', editing: true }));
+  assert.match(editing, /^<form id="todo-1-text" class="htmlex-inline-edit editing" PUT="\/todos\/1\?edit=1" target="#todo-1-text\(outerHTML\)">/u);
+  assert.match(editing, /<input type="text" name="text" value="Buy" aria-label="text" autofocus>/u);
+  assert.match(editing, /class="htmlex-inline-edit-cancel" GET="\/todos\/1" target="#todo-1-text\(outerHTML\)"/u);
+  assert.throws(() => InlineEdit({ id: 'x', url: '/x' }), /InlineEdit requires a "name"/u);
+
+  const select = render(SearchableSelect({
+    id: 'country',
+    name: 'country',
+    url: '/countries',
+    label: 'Country',
+    options: [{ value: 'de', label: 'Germany' }, { value: 'fr', label: 'France' }],
+    value: 'fr',
+  }));
+  assert.match(select, /<label for="country-search">Country<\/label>/u);
+  assert.match(select, /name="q" placeholder="Search\.\.\." autocomplete="off" aria-controls="country-options" GET="\/countries" trigger="input" debounce="250" target="#country-options\(innerHTML\)"/u);
+  assert.match(select, /<select id="country-options" name="country" size="6"><option value="de">Germany<\/option><option value="fr" selected>France<\/option><\/select>/u);
+  assert.equal(render(SearchableSelectOptions([{ value: 1 }, { value: 2, label: 'Two' }], 2)), '<option value="1">1</option><option value="2" selected>Two</option>');
+});
@@ -3,7 +3,12 @@ import test, { afterEach, beforeEach } from 'node:test';
 import {
   diffAndUpdate,
   diffChildren,
+  getReconcileDiagnostics,
+  morphChildren,
+  parseTargets,
   performInnerHTMLUpdate,
+  performMorphUpdate,
+  resetReconcileDiagnostics,
   updateTarget,
 } from '../../src/public/src/dom.js';
 import { Logger } from '../../src/public/src/logger.js';
@@ -189,6 +194,46 @@ test('diffAndUpdate synchronizes attributes, text, and child lists', () => {
   assert.equal(existing.childNodes[1].outerHTML, '<span title="child">Child</span>');
 });
 
+class FakeStyledElementNode extends FakeElementNode {
+  get style() {
+    const element = this;
+    const readDeclarations = () => new Map(
+      (element.getAttribute('style') || '')
+        .split(';')
+        .map(part => part.split(':').map(piece => piece.trim()))
+        .filter(([name]) => name)
+    );
+    return {
+      getPropertyValue(name) {
+        return readDeclarations().get(name) || '';
+      },
+      setProperty(name, value) {
+        const declarations = readDeclarations();
+        declarations.set(name, value);
+        element.setAttribute('style', [...declarations].map(([key, val]) => `${key}: ${val}`).join('; '));
+      },
+    };
+  }
+}
+
+test('diffAndUpdate preserves view-transition-name unless the new markup declares one', () => {
+  const existing = new FakeStyledElementNode('article', { style: 'color: red; view-transition-name: card-1' }, []);
+  diffAndUpdate(existing, new FakeStyledElementNode('article', { style: 'color: blue' }, []));
+
+  assert.equal(existing.style.getPropertyValue('color'), 'blue');
+  assert.equal(existing.style.getPropertyValue('view-transition-name'), 'card-1');
+
+  diffAndUpdate(existing, new FakeStyledElementNode('article', {}, []));
+  assert.equal(existing.getAttribute('style'), 'view-transition-name: card-1');
+
+  diffAndUpdate(existing, new FakeStyledElementNode('article', { style: 'view-transition-name: card-2' }, []));
+  assert.equal(existing.style.getPropertyValue('view-transition-name'), 'card-2');
+
+  const plain = new FakeElementNode('article', { style: 'color: red' }, []);
+  diffAndUpdate(plain, new FakeElementNode('article', {}, []));
+  assert.equal(plain.hasAttribute('style'), false);
+});
+
 test('diffAndUpdate replaces nodes when type or HTMLeX behavior changes', () => {
   const textNode = new FakeTextNode('Plain');
   const elementNode = new FakeElementNode('div', {}, []);
@@ -238,6 +283,73 @@ test('diffChildren reorders keyed children without replacing live nodes', () =>
   assert.equal(first.innerHTML, 'First updated');
 });
 
+test('diffChildren moves only the children outside the longest stable run and reports counts', () => {
+  const rows = ['a', 'b', 'c', 'd', 'e'].map(key => new FakeElementNode('li', { 'data-key': key }, [new FakeTextNode(key)]));
+  const existing = new FakeElementNode('ul', {}, [...rows]);
+  const moved = [];
+  const insertBefore = existing.insertBefore.bind(existing);
+  existing.insertBefore = (child, referenceNode) => {
+    moved.push(child.getAttribute('data-key'));
+    return insertBefore(child, referenceNode);
+  };
+  resetReconcileDiagnostics();
+
+  diffChildren(existing, createFragment([
+    new FakeElementNode('li', { 'data-key': 'e' }, [new FakeTextNode('e')]),
+    new FakeElementNode('li', { 'data-key': 'a' }, [new FakeTextNode('a')]),
+    new FakeElementNode('li', { 'data-key': 'c' }, [new FakeTextNode('c')]),
+    new FakeElementNode('li', { 'data-key': 'new' }, [new FakeTextNode('new')]),
+    new FakeElementNode('li', { 'data-key': 'd' }, [new FakeTextNode('d')]),
+  ]));
+
+  assert.deepEqual(existing.childNodes.map(child => child.getAttribute('data-key')), ['e', 'a', 'c', 'new', 'd']);
+  assert.deepEqual(moved, ['new', 'e']);
+  assert.equal(existing.childNodes[0], rows[4]);
+  assert.equal(existing.childNodes[2], rows[2]);
+  assert.equal(rows[1].removed, true);
+  assert.deepEqual(getReconcileDiagnostics(), { moves: 1, inserts: 1, removals: 1 });
+
+  resetReconcileDiagnostics();
+  assert.deepEqual(getReconcileDiagnostics(), { moves: 0, inserts: 0, removals: 0 });
+});
+
+test('diffChildren reconciles large keyed lists with linear work', () => {
+  let work = 0;
+  class CountingElementNode extends FakeElementNode {
+    get childNodes() {
+      work += this.children.length;
+      return this.children;
+    }
+
+    set childNodes(children) {
+      this.children = children;
+    }
+
+    getAttribute(name) {
+      work += 1;
+      return super.getAttribute(name);
+    }
+  }
+  const createRows = keys => keys.map(key => new CountingElementNode('li', { 'data-key': String(key) }, []));
+  const measure = (size) => {
+    const keys = Array.from({ length: size }, (_, index) => index);
+    const existing = new CountingElementNode('ul', {}, createRows(keys));
+    const rotated = [keys.at(-1), ...keys.slice(0, -1)];
+    const next = createFragment(createRows(rotated));
+    resetReconcileDiagnostics();
+    work = 0;
+    diffChildren(existing, next);
+    assert.equal(existing.children[0].getAttribute('data-key'), String(size - 1));
+    assert.deepEqual(getReconcileDiagnostics(), { moves: 1, inserts: 0, removals: 0 });
+    return work;
+  };
+
+  const small = measure(1000);
+  const large = measure(4000);
+
+  assert.ok(large / small < 6, `expected linear work, got ${small} then ${large}`);
+});
+
 test('diffAndUpdate preserves focused input value and selection state', () => {
   const input = new FakeElementNode('input', { id: 'title', value: 'server-old' }, []);
   input.value = 'draft value';
@@ -505,3 +617,131 @@ test('performInnerHTMLUpdate preserves intentional surrounding whitespace', () =
 
   assert.equal(element.innerHTML, '  padded  ');
 });
+
+class FakeMorphNode extends FakeElementNode {
+  get parentNode() {
+    return this.parentElement ?? null;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentElement) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  insertBefore(child, referenceNode = null) {
+    if (child.parentElement && child.parentElement !== this) {
+      child.parentElement.childNodes = child.parentElement.childNodes.filter(node => node !== child);
+    }
+    return super.insertBefore(child, referenceNode);
+  }
+
+  remove() {
+    super.remove();
+    this.parentElement = null;
+  }
+
+  cloneNode(deep = false) {
+    return new FakeMorphNode(
+      this.nodeName,
+      { ...this.attributeMap },
+      deep ? this.childNodes.map(child => child.cloneNode(true)) : []
+    );
+  }
+}
+
+function morphElement(nodeName, attributes = {}, children = []) {
+  return new FakeMorphNode(nodeName, attributes, children);
+}
+
+test('morphChildren moves id-matched nodes across parents and keeps their identity', () => {
+  const first = morphElement('li', { id: 'a' }, [new FakeTextNode('A')]);
+  const second = morphElement('li', { id: 'b' }, [new FakeTextNode('B')]);
+  const stale = morphElement('li', { class: 'stale' }, [new FakeTextNode('gone')]);
+  const list = morphElement('ul', { id: 'list' }, [first, stale, second]);
+  const side = morphElement('section', { id: 'side' }, []);
+  const root = morphElement('div', {}, [list, side]);
+  first._htmlexRegistered = true;
+
+  morphChildren(root, createFragment([
+    morphElement('ul', { id: 'list', class: 'sorted' }, [
+      morphElement('li', { id: 'b', class: 'hot' }, [new FakeTextNode('B2')]),
+    ]),
+    morphElement('section', { id: 'side' }, [
+      morphElement('li', { id: 'a' }, [new FakeTextNode('A')]),
+      morphElement('p', {}, [new FakeTextNode('new')]),
+    ]),
+  ]));
+
+  assert.deepEqual(root.childNodes, [list, side]);
+  assert.equal(list.getAttribute('class'), 'sorted');
+  assert.deepEqual(list.childNodes, [second]);
+  assert.equal(second.getAttribute('class'), 'hot');
+  assert.equal(second.innerHTML, 'B2');
+  assert.equal(stale.removed, true);
+  assert.equal(side.childNodes[0], first);
+  assert.equal(first.parentElement, side);
+  assert.equal(first._htmlexRegistered, true);
+  assert.equal(side.childNodes[1].outerHTML, '<p>new</p>');
+});
+
+test('morphChildren reorders siblings, builds shells around moved ids, and prefers moveBefore', () => {
+  const kept = morphElement('span', { id: 'kept' }, [new FakeTextNode('kept')]);
+  const wrapper = morphElement('div', { class: 'old-wrapper' }, [kept]);
+  const tail = morphElement('p', { id: 'tail' }, []);
+  const root = morphElement('main', {}, [wrapper, tail]);
+  const moves = [];
+  root.moveBefore = function moveBefore(child, referenceNode) {
+    moves.push(child);
+    return this.insertBefore(child, referenceNode);
+  };
+
+  morphChildren(root, createFragment([
+    morphElement('p', { id: 'tail' }, []),
+    morphElement('article', {}, [morphElement('span', { id: 'kept' }, [new FakeTextNode('moved')])]),
+  ]));
+
+  assert.equal(root.childNodes[0], tail);
+  assert.equal(root.childNodes[1].nodeName, 'ARTICLE');
+  assert.equal(root.childNodes[1].childNodes[0], kept);
+  assert.equal(kept.innerHTML, 'moved');
+  assert.equal(wrapper.removed, true);
+  assert.equal(moves[0], tail);
+});
+
+test('morph is a target strategy and performMorphUpdate falls back without Range support', () => {
+  assert.deepEqual(parseTargets('#list(MORPH)'), [{ selector: '#list', strategy: 'morph' }]);
+
+  const item = morphElement('li', { id: 'item' }, [new FakeTextNode('old')]);
+  const list = morphElement('ul', { id: 'list' }, [item]);
+  globalThis.document = {
+    body: {},
+    querySelectorAll(selector) {
+      return selector === '#list' ? [list] : [];
+    },
+    createRange() {
+      return {
+        selectNodeContents(node) {
+          this.node = node;
+        },
+        createContextualFragment() {
+          return createFragment([
+            morphElement('li', { id: 'first' }, [new FakeTextNode('first')]),
+            morphElement('li', { id: 'item' }, [new FakeTextNode('new')]),
+          ]);
+        },
+      };
+    },
+    dispatchEvent() {},
+  };
+
+  updateTarget({ selector: '#list', strategy: 'morph' }, '<li id="first">first</li><li id="item">new</li>');
+  assert.equal(list.childNodes.length, 2);
+  assert.equal(list.childNodes[1], item);
+  assert.equal(item.innerHTML, 'new');
+
+  delete globalThis.document;
+  performMorphUpdate(list, 'plain');
+  assert.equal(list.innerHTML, 'plain');
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import test, { afterEach, beforeEach } from 'node:test';
+import { createFragmentTokenizer, stripSwapOobAttribute } from '../../src/public/src/fragmentTokenizer.js';
+import { Logger, LogLevel } from '../../src/public/src/logger.js';
+
+let originalLoggerEnabled;
+let originalLogLevel;
+let originalWarn;
+let originalWindow;
+
+beforeEach(() => {
+  originalWindow = globalThis.window;
+  globalThis.window = {};
+  originalLoggerEnabled = Logger.enabled;
+  originalLogLevel = Logger.logLevel;
+  originalWarn = console.warn;
+  console.warn = () => {};
+  Logger.enabled = true;
+  Logger.logLevel = LogLevel.WARN;
+  Logger.diagnostics.clear();
+});
+
+afterEach(() => {
+  Logger.enabled = originalLoggerEnabled;
+  Logger.logLevel = originalLogLevel;
+  console.warn = originalWarn;
+  Logger.diagnostics.clear();
+  if (originalWindow === undefined) {
+    delete globalThis.window;
+  } else {
+    globalThis.window = originalWindow;
+  }
+});
+
+function tokenize(chunks) {
+  const tokenizer = createFragmentTokenizer();
+  const tokens = [...chunks.flatMap(chunk => tokenizer.write(chunk)), ...tokenizer.end()];
+  // Text is emitted per write, so join adjacent runs before comparing.
+  return tokens.reduce((merged, token) => {
+    const last = merged.at(-1);
+    if (token.type === 'text' && last?.type === 'text') {
+      last.text += token.text;
+    } else {
+      merged.push({ ...token });
+    }
+    return merged;
+  }, []);
+}
+
+function warningMessages() {
+  return Logger.diagnostics.entries.filter(entry => entry.level === 'warn').map(entry => entry.message);
+}
+
+test('createFragmentTokenizer emits the same tokens however the response is chunked', () => {
+  const response = '<p>Intro</p>' +
+    '<fragment target="#a" title="a > b </fragment>">One <b>bold</b></fragment>' +
+    'between<!-- <fragment target="#c">comment</fragment> -->' +
+    '<div id="count" swap-oob>7</div>' +
+    '<fragment target=\'#b\'>Two</fragment>tail';
+  const expected = [
+    { type: 'text', text: '<p>Intro</p>' },
+    {
+      type: 'fragment',
+      html: '<fragment target="#a" title="a > b </fragment>">One <b>bold</b></fragment>',
+      openTag: '<fragment target="#a" title="a > b </fragment>">',
+      content: 'One <b>bold</b>',
+    },
+    { type: 'text', text: 'between<!-- <fragment target="#c">comment</fragment> -->' },
+    {
+      type: 'oob',
+      html: '<div id="count" swap-oob>7</div>',
+      openTag: '<div id="count" swap-oob>',
+      content: '7',
+      tagName: 'div',
+    },
+    { type: 'fragment', html: '<fragment target=\'#b\'>Two</fragment>', openTag: '<fragment target=\'#b\'>', content: 'Two' },
+    { type: 'text', text: 'tail' },
+  ];
+
+  assert.deepEqual(tokenize([response]), expected);
+  assert.deepEqual(tokenize([...response]), expected);
+  assert.deepEqual(warningMessages(), []);
+});
+
+test('createFragmentTokenizer keeps nested fragments, templates, and raw text inside their parent', () => {
+  const tokens = tokenize([
+    '<fragment target="#outer"><fragment target="#inner">In</fragment>Out</fragment>',
+    '<template><fragment target="#tpl">T</fragment><i swap-oob id="x">t</i></template>',
+    '<script>if (a < b) { html = "</fragment><fragment>"; }</scr',
+    'ipt><main><span id="inner" swap-oob>nested</span></main>',
+  ]);
+
+  assert.deepEqual(tokens.map(token => token.type), ['fragment', 'text']);
+  assert.equal(tokens[0].content, '<fragment target="#inner">In</fragment>Out');
+  assert.equal(tokens[1].text,
+    '<template><fragment target="#tpl">T</fragment><i swap-oob id="x">t</i></template>' +
+    '<script>if (a < b) { html = "</fragment><fragment>"; }</script>' +
+    '<main><span id="inner" swap-oob>nested</span></main>');
+  assert.deepEqual(warningMessages(), []);
+});
+
+test('createFragmentTokenizer follows implied end tags when finding top-level swap-oob elements', () => {
+  const response = '<p>One<p>Two<ul><li>a<li>b</ul>' +
+    '<div id="count" swap-oob>7</div>' +
+    '<ul id="list" swap-oob><li>x<li>y</ul>' +
+    '<li id="first" swap-oob>1<li id="second" swap-oob>2</li>' +
+    '<style>a{}</style><textarea></textarea><div><span id="nested" swap-oob>n</span></div>';
+  const tokens = tokenize([response]);
+
+  assert.deepEqual(tokens.map(token => token.type), ['text', 'oob', 'oob', 'oob', 'oob', 'text']);
+  assert.equal(tokens[0].text, '<p>One<p>Two<ul><li>a<li>b</ul>');
+  assert.equal(tokens[1].html, '<div id="count" swap-oob>7</div>');
+  assert.equal(tokens[2].content, '<li>x<li>y');
+  assert.deepEqual([tokens[3].html, tokens[4].html], ['<li id="first" swap-oob>1', '<li id="second" swap-oob>2</li>']);
+  assert.equal(tokens[5].text, '<style>a{}</style><textarea></textarea><div><span id="nested" swap-oob>n</span></div>');
+  assert.deepEqual(tokenize([...response]), tokens);
+  assert.deepEqual(warningMessages(), []);
+});
+
+test('createFragmentTokenizer reports unmatched and unterminated fragments', () => {
+  const tokenizer = createFragmentTokenizer();
+  assert.deepEqual(tokenizer.write('stray</fragment><fragment target="#a">open'), [
+    { type: 'text', text: 'stray</fragment>' },
+  ]);
+  assert.equal(tokenizer.bufferedLength, '<fragment target="#a">open'.length);
+  assert.deepEqual(tokenizer.write('<b'), []);
+  assert.deepEqual(tokenizer.end(), [{ type: 'text', text: '<fragment target="#a">open<b' }]);
+  assert.equal(tokenizer.bufferedLength, 0);
+
+  assert.deepEqual(tokenize(['<p>ok</p><div class="a']), [{ type: 'text', text: '<p>ok</p><div class="a' }]);
+  assert.deepEqual(warningMessages(), [
+    '[FRAG] Ignoring unmatched </fragment> in response.',
+    '[FRAG] Unterminated <fragment> at end of response. Treating it as text.',
+    '[FRAG] Response ended inside an unterminated tag or comment.',
+    '[FRAG] Response ended inside an unterminated tag or comment.',
+  ]);
+});
+
+test('stripSwapOobAttribute removes only the attribute, not matching quoted text', () => {
+  assert.equal(stripSwapOobAttribute('<div id="a" title=" swap-oob" swap-oob="innerHTML">'), '<div id="a" title=" swap-oob">');
+  assert.equal(stripSwapOobAttribute("<p swap-oob id='b'>"), "<p id='b'>");
+});
@@ -1,7 +1,10 @@
 import assert from 'node:assert/strict';
 import test, { afterEach, beforeEach } from 'node:test';
-import { processFragmentBuffer } from '../../src/public/src/fragments.js';
+import { registerSwapStrategy } from '../../src/public/src/dom.js';
+import { createFragmentStream, processFragmentBuffer } from '../../src/public/src/fragments.js';
+import { clearLifecycleHooksForTests, registerLifecycleHook } from '../../src/public/src/hooks.js';
 import { Logger } from '../../src/public/src/logger.js';
+import { registerSignalListener } from '../../src/public/src/signals.js';
 
 let originalCustomEvent;
 let originalDocument;
@@ -32,10 +35,19 @@ beforeEach(() => {
         set innerHTML(html) {
           const targetMatch = html.match(/\starget="([^"]+)"/i);
           const statusMatch = html.match(/\sstatus="([^"]+)"/i);
+          const transitionMatch = html.match(/^<fragment\b[^>]*\stransition(?:="([^"]*)")?/i);
+          const idMatch = html.match(/^<\w+[^>]*\sid="([^"]+)"/i);
+          const swapOobMatch = html.match(/^<\w+[^>]*\sswap-oob(?:="([^"]*)")?/i);
           this.content.firstElementChild = {
+            hasAttribute(name) {
+              return name === 'transition' && Boolean(transitionMatch);
+            },
             getAttribute(name) {
               if (name === 'target') return targetMatch?.[1] || null;
               if (name === 'status') return statusMatch?.[1] || null;
+              if (name === 'transition') return transitionMatch ? transitionMatch[1] ?? '' : null;
+              if (name === 'id') return idMatch?.[1] || null;
+              if (name === 'swap-oob') return swapOobMatch ? swapOobMatch[1] ?? '' : null;
               return null;
             },
           };
@@ -137,6 +149,123 @@ test('processFragmentBuffer applies caller target overrides to every caller targ
   assert.deepEqual(second.appended, [{ position: 'beforeend', content: '<strong>Override all</strong>' }]);
 });
 
+test('processFragmentBuffer applies textContent and custom strategies to this fragments', () => {
+  const element = new FakeElement();
+  processFragmentBuffer('<fragment target="this(textContent)"><b>Plain</b></fragment>', element);
+
+  assert.equal(element.textContent, '<b>Plain</b>');
+  assert.equal(element.innerHTML, '');
+  assert.equal(element._htmlexDefaultUpdated, undefined);
+
+  const calls = [];
+  const unregister = registerSwapStrategy('unitFragment', (target, content) => {
+    calls.push({ target, content });
+  });
+  try {
+    const caller = new FakeElement();
+    processFragmentBuffer('<fragment target="this(unitFragment)"><i>Custom</i></fragment>', caller);
+    assert.deepEqual(calls, [{ target: caller, content: '<i>Custom</i>' }]);
+  } finally {
+    unregister();
+  }
+});
+
+test('processFragmentBuffer wraps every fragment from one buffer in a single view transition', () => {
+  const element = new FakeElement({ transition: '' });
+  const first = new FakeElement();
+  const second = new FakeElement();
+  const transitions = [];
+  document.querySelectorAll = (selector) => {
+    if (selector === '#first') return [first];
+    if (selector === '#second') return [second];
+    return [];
+  };
+  document.startViewTransition = function startViewTransition(update) {
+    assert.equal(this, document);
+    transitions.push(update);
+    const rejectSkipped = async () => {
+      throw new Error('skipped');
+    };
+    return { finished: rejectSkipped() };
+  };
+  const lifecycleEvents = [];
+  const swapLifecycle = {
+    createUpdateCallback() {
+      lifecycleEvents.push('scheduled');
+      return () => lifecycleEvents.push('done');
+    },
+  };
+
+  processFragmentBuffer(
+    '<fragment target="#first(innerHTML)">One</fragment>' +
+    '<fragment target="#second(innerHTML)">Two</fragment>',
+    element,
+    null,
+    swapLifecycle
+  );
+
+  assert.equal(transitions.length, 1);
+  assert.equal(first.innerHTML, '');
+  assert.equal(second.innerHTML, '');
+  assert.deepEqual(lifecycleEvents, ['scheduled']);
+
+  transitions[0]();
+  transitions[0]();
+
+  assert.equal(first.innerHTML, 'One');
+  assert.equal(second.innerHTML, 'Two');
+  assert.deepEqual(lifecycleEvents, ['scheduled', 'scheduled', 'done', 'scheduled', 'done', 'done']);
+});
+
+test('processFragmentBuffer honors fragment transition attributes and missing transition APIs', () => {
+  const transitions = [];
+  document.startViewTransition = (update) => {
+    transitions.push(update);
+  };
+
+  const optedIn = new FakeElement();
+  processFragmentBuffer('<fragment transition>Animated</fragment><fragment>Next</fragment>', optedIn);
+  assert.equal(transitions.length, 1);
+  transitions[0]();
+  assert.equal(optedIn.innerHTML, 'AnimatedNext');
+
+  const optedOut = new FakeElement({ transition: 'false' });
+  processFragmentBuffer('<fragment transition="false">Plain</fragment>', optedOut);
+  assert.equal(transitions.length, 1);
+  assert.equal(optedOut.innerHTML, 'Plain');
+
+  delete document.startViewTransition;
+  const unsupported = new FakeElement({ transition: '' });
+  processFragmentBuffer('<fragment>Direct</fragment>', unsupported);
+  assert.equal(unsupported.innerHTML, 'Direct');
+
+  document.startViewTransition = () => {
+    throw new Error('transition failure');
+  };
+  const failing = new FakeElement({ transition: '' });
+  processFragmentBuffer('<fragment>Recovered</fragment>', failing);
+  assert.equal(failing.innerHTML, 'Recovered');
+});
+
+test('processFragmentBuffer queues one transition batch for sequential responses', () => {
+  const transitions = [];
+  document.startViewTransition = (update) => {
+    transitions.push(update);
+  };
+  const element = new FakeElement({ transition: '' });
+  element._htmlexSequentialMode = true;
+  const sequentialEntry = {};
+
+  processFragmentBuffer('<fragment>A</fragment><fragment>B</fragment>', element, sequentialEntry);
+
+  assert.equal(sequentialEntry.updates.length, 1);
+  assert.equal(element.innerHTML, '');
+  sequentialEntry.updates[0]();
+  assert.equal(transitions.length, 1);
+  transitions[0]();
+  assert.equal(element.innerHTML, 'AB');
+});
+
 test('processFragmentBuffer ignores malformed fragment status values', () => {
   const element = new FakeElement();
 
@@ -370,3 +499,162 @@ test('processFragmentBuffer queues sequential updates without mutating immediate
   assert.equal(element.innerHTML, '<em>Queued</em>');
   assert.deepEqual(afterUpdateCalls, ['after']);
 });
+
+test('processFragmentBuffer swaps top-level swap-oob elements into same-id elements', () => {
+  const element = new FakeElement({ target: 'this(innerHTML)' });
+  const count = { outerHTML: '<div id="count">0</div>', parentElement: null };
+  const panel = new FakeElement();
+  document.querySelectorAll = (selector) => {
+    if (selector === '[id="count"]') return [count];
+    if (selector === '[id="panel"]') return [panel];
+    return [];
+  };
+
+  const remaining = processFragmentBuffer(
+    '<div id="count" title="not swap-oob" swap-oob>7</div>' +
+    '<p>Main</p>' +
+    '<section id="panel" swap-oob="innerHTML"><b>Panel</b></section>' +
+    '<main><span id="inner" swap-oob>nested</span></main>' +
+    '<aside id="missing" swap-oob>gone</aside>' +
+    '<em id="bad" swap-oob="sideways">skipped</em>',
+    element
+  );
+
+  assert.equal(remaining, '<p>Main</p><main><span id="inner" swap-oob>nested</span></main>');
+  assert.equal(count.outerHTML, '<div id="count" title="not swap-oob">7</div>');
+  assert.equal(panel.innerHTML, '<b>Panel</b>');
+  assert.equal(element.innerHTML, '');
+  assert.equal(element._htmlexOobProcessed, true);
+  assert.equal(element._htmlexFragmentsProcessed, undefined);
+});
+
+test('processFragmentBuffer waits for streamed swap-oob elements to close', () => {
+  const element = new FakeElement();
+  const panel = new FakeElement();
+  document.querySelectorAll = selector => (selector === '[id="panel"]' ? [panel] : []);
+
+  const partial = processFragmentBuffer('<!-- note --><div id="panel" swap-oob="innerHTML"><img src="a.png"><ul><li>One', element);
+  assert.equal(partial, '<!-- note --><div id="panel" swap-oob="innerHTML"><img src="a.png"><ul><li>One');
+  assert.equal(panel.innerHTML, '');
+
+  const remaining = processFragmentBuffer(`${partial}</li></ul></div>tail<!-- open`, element);
+  assert.equal(remaining, '<!-- note -->tail<!-- open');
+  assert.equal(panel.innerHTML, '<img src="a.png"><ul><li>One</li></ul>');
+});
+
+test('createFragmentStream applies fragments as soon as a chunk completes them', () => {
+  const output = new FakeElement();
+  const triggeringElement = new FakeElement();
+  document.querySelectorAll = selector => selector === '#out' ? [output] : [];
+  const stream = createFragmentStream(triggeringElement);
+  const openTag = '<fragment target="#out(append)" title="</fragment>">';
+  const nested = '<fragment target="#nested">A</fragment>';
+
+  assert.equal(stream.write(`lead ${openTag}`), 'lead ');
+  assert.equal(stream.write(nested), 'lead ');
+  assert.deepEqual(output.appended, []);
+  assert.equal(stream.bufferedLength, `lead ${openTag}${nested}`.length);
+
+  assert.equal(stream.write('</fragment> tail <fragment target="#out(append)">B'), 'lead  tail ');
+  assert.deepEqual(output.appended.map(entry => entry.content), [nested]);
+  assert.equal(triggeringElement._htmlexFragmentsProcessed, true);
+
+  assert.equal(stream.end(), 'lead  tail <fragment target="#out(append)">B');
+  assert.equal(output.appended.length, 1);
+});
+
+test('createFragmentStream holds fragments until the end when the caller requests a transition', () => {
+  const output = new FakeElement();
+  const transitions = [];
+  document.querySelectorAll = selector => selector === '#out' ? [output] : [];
+  document.startViewTransition = (update) => {
+    transitions.push(update);
+  };
+  const stream = createFragmentStream(new FakeElement({ transition: '' }));
+
+  stream.write('<fragment target="#out(append)">A</fragment>');
+  stream.write('<fragment target="#out(append)">B</fragment>');
+  assert.equal(transitions.length, 0);
+  assert.deepEqual(output.appended, []);
+
+  stream.end();
+  assert.equal(transitions.length, 1);
+  transitions[0]();
+  assert.deepEqual(output.appended.map(entry => entry.content), ['A', 'B']);
+});
+
+test('createFragmentStream holds later chunks once a fragment requests a transition', () => {
+  const output = new FakeElement();
+  const transitions = [];
+  document.querySelectorAll = selector => selector === '#out' ? [output] : [];
+  document.startViewTransition = (update) => {
+    transitions.push(update);
+  };
+  const stream = createFragmentStream(new FakeElement());
+
+  stream.write('<fragment target="#out(append)" transition>A</fragment>');
+  stream.write('<fragment target="#out(append)">B</fragment>');
+  assert.equal(transitions.length, 0);
+  assert.deepEqual(output.appended, []);
+
+  stream.end();
+  assert.equal(transitions.length, 1);
+  transitions[0]();
+  assert.deepEqual(output.appended.map(entry => entry.content), ['A', 'B']);
+});
+
+test('processFragmentBuffer runs fragment emit, URL, and hook effects after each swap unless it failed', () => {
+  const output = new FakeElement();
+  const calls = [];
+  const originalWindow = globalThis.window;
+  globalThis.window = {
+    location: { href: 'https://example.test/wizard?step=1' },
+    history: {
+      pushState: (_state, _title, url) => calls.push(`push ${url}`),
+      replaceState: (_state, _title, url) => calls.push(`replace ${url}`),
+    },
+  };
+  document.createElement = () => ({
+    content: {},
+    set innerHTML(html) {
+      const attributes = Object.fromEntries(
+        [...html.match(/^<fragment([^>]*)>/i)[1].matchAll(/\s([\w-]+)(?:="([^"]*)")?/g)].map(([, name, value = '']) => [name, value])
+      );
+      this.content.firstElementChild = {
+        attributes,
+        hasAttribute: name => Object.hasOwn(attributes, name),
+        getAttribute: name => attributes[name] ?? null,
+      };
+    },
+  });
+  document.querySelectorAll = selector => selector === '#out' ? [output] : [];
+  const unsubscribers = ['saved', 'failed'].map(signal => registerSignalListener(signal, () => {
+    calls.push(`signal ${signal} after ${output.appended.length}`);
+  }));
+  registerLifecycleHook('stepDone', context => calls.push(`hook ${context.element.getAttribute('path')}`));
+
+  try {
+    processFragmentBuffer(
+      '<fragment target="#out(append)" emit="saved" push="step=2" path="/wizard/2" history="push" hook="stepDone">A</fragment>' +
+      '<fragment target="#out(append)" status="422" emit="failed" path="/error" hook="stepDone">B</fragment>' +
+      '<fragment target="#missing" emit="saved">C</fragment>',
+      new FakeElement()
+    );
+  } finally {
+    for (const unsubscribe of unsubscribers) unsubscribe();
+    clearLifecycleHooksForTests();
+    if (originalWindow === undefined) {
+      delete globalThis.window;
+    } else {
+      globalThis.window = originalWindow;
+    }
+  }
+
+  assert.deepEqual(output.appended.map(entry => entry.content), ['A', 'B']);
+  assert.deepEqual(calls, [
+    'push https://example.test/wizard/2?step=2',
+    'signal saved after 1',
+    'hook /wizard/2',
+    'signal saved after 2',
+  ]);
+});
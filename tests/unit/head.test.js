@@ -0,0 +1,197 @@
+import assert from 'node:assert/strict';
+import test, { afterEach, beforeEach } from 'node:test';
+import { processFragmentBuffer } from '../../src/public/src/fragments.js';
+import { extractHeadContent, isHeadMergeRequested, mergeHead } from '../../src/public/src/head.js';
+import { Logger } from '../../src/public/src/logger.js';
+
+let originalDocument;
+let originalLoggerEnabled;
+
+beforeEach(() => {
+  originalDocument = globalThis.document;
+  originalLoggerEnabled = Logger.enabled;
+  Logger.enabled = false;
+});
+
+afterEach(() => {
+  if (originalDocument === undefined) {
+    delete globalThis.document;
+  } else {
+    globalThis.document = originalDocument;
+  }
+  Logger.enabled = originalLoggerEnabled;
+});
+
+class FakeHeadElement {
+  constructor(tagName, attributes = {}, textContent = '') {
+    this.tagName = tagName.toUpperCase();
+    this.attributes = { ...attributes };
+    this.textContent = textContent;
+    this.parent = null;
+  }
+
+  hasAttribute(name) {
+    return Object.hasOwn(this.attributes, name);
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  replaceWith(element) {
+    const index = this.parent.children.indexOf(this);
+    this.parent.children.splice(index, 1, element);
+    element.parent = this.parent;
+  }
+}
+
+class FakeHead {
+  constructor(children) {
+    this.children = [];
+    for (const child of children) this.appendChild(child);
+  }
+
+  appendChild(child) {
+    child.parent = this;
+    this.children.push(child);
+  }
+}
+
+function parseHeadMarkup(html) {
+  return [...html.matchAll(/<(\w+)([^>]*?)\/?>(?:([^<]*)<\/\1>)?/g)]
+    .filter(([, tagName]) => tagName.toLowerCase() !== 'fragment')
+    .map(([, tagName, attributeText, text = '']) => new FakeHeadElement(
+      tagName,
+      Object.fromEntries([...attributeText.matchAll(/\s([\w-]+)="([^"]*)"/g)].map(([, name, value]) => [name, value])),
+      text
+    ));
+}
+
+function installHeadDocument(headChildren = [], extra = {}) {
+  const head = new FakeHead(headChildren);
+  globalThis.document = {
+    title: 'Old title',
+    head,
+    createElement(tagName) {
+      assert.equal(tagName, 'template');
+      return {
+        content: { children: [] },
+        set innerHTML(html) {
+          if (/^<fragment\b/i.test(html)) {
+            const attributes = Object.fromEntries(
+              [...html.match(/^<fragment([^>]*)>/i)[1].matchAll(/\s([\w-]+)(?:="([^"]*)")?/g)]
+                .map(([, name, value = '']) => [name, value])
+            );
+            this.content.firstElementChild = new FakeHeadElement('fragment', attributes);
+            return;
+          }
+          this.content.children = parseHeadMarkup(html);
+        },
+      };
+    },
+    ...extra,
+  };
+  return head;
+}
+
+test('isHeadMergeRequested accepts empty and merge modes only', () => {
+  assert.equal(isHeadMergeRequested(new FakeHeadElement('button', { head: '' })), true);
+  assert.equal(isHeadMergeRequested(new FakeHeadElement('button', { head: ' Merge ' })), true);
+  assert.equal(isHeadMergeRequested(new FakeHeadElement('button', { head: 'false' })), false);
+  assert.equal(isHeadMergeRequested(new FakeHeadElement('button', { head: 'replace' })), false);
+  assert.equal(isHeadMergeRequested(new FakeHeadElement('button')), false);
+  assert.equal(isHeadMergeRequested(null), false);
+});
+
+test('extractHeadContent splits full-page heads and loose titles from the body', () => {
+  assert.deepEqual(
+    extractHeadContent('<html><head><title>Page</title></head><body><main>Body</main></body></html>'),
+    { head: '<title>Page</title>', content: '<html><body><main>Body</main></body></html>' }
+  );
+  assert.deepEqual(
+    extractHeadContent('<title>One</title><p>Body</p>'),
+    { head: '<title>One</title>', content: '<p>Body</p>' }
+  );
+  assert.deepEqual(extractHeadContent('<p>Body</p>'), { head: '', content: '<p>Body</p>' });
+});
+
+test('mergeHead updates the title, replaces meta by key, adds new links, and keeps existing scripts and styles', () => {
+  const description = new FakeHeadElement('meta', { name: 'description', content: 'old' });
+  const icon = new FakeHeadElement('link', { rel: 'icon', href: '/icon-16.png', sizes: '16x16' });
+  const stylesheet = new FakeHeadElement('link', { rel: 'stylesheet', href: '/app.css' });
+  const script = new FakeHeadElement('script', { src: '/app.js' });
+  const style = new FakeHeadElement('style', {}, 'body{}');
+  const head = installHeadDocument([description, icon, stylesheet, script, style]);
+
+  const changes = mergeHead(
+    '<title>New title</title>' +
+    '<meta name="description" content="new">' +
+    '<meta property="og:title" content="New">' +
+    '<link rel="icon" href="/icon-16.png" sizes="16x16">' +
+    '<link rel="icon" href="/icon-32.png" sizes="32x32">' +
+    '<link rel="alternate" href="/feed.xml" media="print">' +
+    '<link rel="alternate" href="/feed.xml">' +
+    '<link rel="stylesheet" href="/app.css">' +
+    '<link rel="stylesheet" href="/extra.css">' +
+    '<script src="/other.js"></script>' +
+    '<style>body{}</style>' +
+    '<base href="/">'
+  );
+
+  assert.equal(changes, 7);
+  assert.equal(document.title, 'New title');
+  assert.deepEqual(head.children.map(child => `${child.tagName}:${JSON.stringify(child.attributes)}`), [
+    'META:{"name":"description","content":"new"}',
+    'LINK:{"rel":"icon","href":"/icon-16.png","sizes":"16x16"}',
+    'LINK:{"rel":"stylesheet","href":"/app.css"}',
+    'SCRIPT:{"src":"/app.js"}',
+    'STYLE:{}',
+    'META:{"property":"og:title","content":"New"}',
+    'LINK:{"rel":"icon","href":"/icon-32.png","sizes":"32x32"}',
+    'LINK:{"rel":"alternate","href":"/feed.xml","media":"print"}',
+    'LINK:{"rel":"alternate","href":"/feed.xml"}',
+    'LINK:{"rel":"stylesheet","href":"/extra.css"}',
+  ]);
+  assert.equal(head.children[1], icon);
+  assert.equal(head.children[2], stylesheet);
+  assert.equal(head.children[3], script);
+  assert.equal(head.children[4], style);
+
+  delete globalThis.document;
+  assert.equal(mergeHead('<title>Ignored</title>'), 0);
+});
+
+test('processFragmentBuffer merges head fragments and fragment titles only when opted in', () => {
+  const head = installHeadDocument([], {
+    body: {},
+    dispatchEvent() {},
+    querySelectorAll(selector) {
+      return selector === '#main' ? [main] : [];
+    },
+  });
+  const main = {
+    appended: [],
+    insertAdjacentHTML(position, content) {
+      this.appended.push(content);
+    },
+  };
+
+  processFragmentBuffer(
+    '<fragment target="head"><title>Ignored</title></fragment>' +
+    '<fragment target="#main(append)"><title>Also ignored</title>Body</fragment>',
+    new FakeHeadElement('a')
+  );
+  assert.equal(document.title, 'Old title');
+  assert.deepEqual(main.appended, ['<title>Also ignored</title>Body']);
+
+  main.appended = [];
+  processFragmentBuffer(
+    '<fragment target="head"><title>Docs</title><meta name="description" content="Guide"></fragment>' +
+    '<fragment target="#main(append)"><title>Docs page 2</title>Body</fragment>',
+    new FakeHeadElement('a', { head: 'merge' })
+  );
+
+  assert.equal(document.title, 'Docs page 2');
+  assert.deepEqual(head.children.map(child => child.getAttribute('content')), ['Guide']);
+  assert.deepEqual(main.appended, ['Body']);
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { renderFragment, targetSpec } from '../../src/components/HTMLeX.js';
+import { normalizeTargetStrategy } from '../../src/public/src/dom.js';
+import { parseTagAttributes } from '../../src/public/src/fragmentTokenizer.js';
+import {
+  DEFAULT_FRAGMENT_TARGET,
+  HTMLEX_REQUEST_HEADERS,
+  SWAP_STRATEGIES,
+  parseFragments,
+  parseFragmentStatus,
+  parseHTMLeXRequest,
+} from '../../src/public/src/protocol.js';
+
+test('parseFragments reads back fragments built by renderFragment', () => {
+  const response = '<p>ignored</p>' +
+    renderFragment('#list(append) #count(textContent)', '<li>One</li>', { status: 422, 'data-note': 'a "quoted" <value>' }) +
+    renderFragment('#panel', '<fragment target="#inner">Nested</fragment>');
+
+  assert.deepEqual(parseFragments(response), [
+    {
+      target: '#list(append) #count(textContent)',
+      strategies: [
+        { selector: '#list', strategy: 'append' },
+        { selector: '#count', strategy: 'textContent' },
+      ],
+      status: 422,
+      attributes: { status: '422', 'data-note': 'a "quoted" <value>', target: '#list(append) #count(textContent)' },
+      content: '<li>One</li>',
+    },
+    {
+      target: '#panel',
+      strategies: [{ selector: '#panel', strategy: 'innerHTML' }],
+      status: null,
+      attributes: { target: '#panel' },
+      content: '<fragment target="#inner">Nested</fragment>',
+    },
+  ]);
+});
+
+test('parseFragments defaults missing targets and ignores unterminated fragments', () => {
+  assert.deepEqual(parseFragments('<FRAGMENT STATUS=600 hidden>Body</fragment><fragment target="#x">open'), [
+    {
+      target: DEFAULT_FRAGMENT_TARGET,
+      strategies: [{ selector: 'this', strategy: 'innerHTML' }],
+      status: null,
+      attributes: { status: '600', hidden: '' },
+      content: 'Body',
+    },
+  ]);
+  assert.deepEqual(parseFragments(null), []);
+});
+
+test('parseTagAttributes follows HTML attribute rules', () => {
+  assert.deepEqual(parseTagAttributes('<div a=b c = \'d\' A="dup" e/ f="&#65;&#x42;&amp;&bogus;">'), {
+    a: 'b',
+    c: 'd',
+    e: '',
+    f: 'AB&&bogus;',
+  });
+  assert.deepEqual(parseTagAttributes('<br/>'), {});
+});
+
+test('parseFragmentStatus accepts only HTTP status codes', () => {
+  assert.equal(parseFragmentStatus(' 404 '), 404);
+  assert.equal(parseFragmentStatus('99'), null);
+  assert.equal(parseFragmentStatus('600'), null);
+  assert.equal(parseFragmentStatus(undefined), null);
+});
+
+test('SWAP_STRATEGIES is the one strategy list the client and server accept', () => {
+  assert.equal(Object.isFrozen(SWAP_STRATEGIES), true);
+  for (const strategy of SWAP_STRATEGIES) {
+    assert.equal(normalizeTargetStrategy(strategy.toUpperCase()), strategy);
+    assert.equal(targetSpec('#out', strategy.toLowerCase()), `#out(${strategy})`);
+    assert.deepEqual(parseFragments(`<fragment target="#out(${strategy})">x</fragment>`)[0].strategies, [{ selector: '#out', strategy }]);
+  }
+});
+
+test('parseHTMLeXRequest reads the runtime metadata headers from req.get or req.headers', () => {
+  assert.equal(Object.isFrozen(HTMLEX_REQUEST_HEADERS), true);
+  const headers = {
+    [HTMLEX_REQUEST_HEADERS.request]: 'TRUE',
+    [HTMLEX_REQUEST_HEADERS.trigger]: 'a%2520b',
+    [HTMLEX_REQUEST_HEADERS.target]: '%23list(innerHTML)',
+    [HTMLEX_REQUEST_HEADERS.currentUrl]: 'https://example.test/a%20b',
+    [HTMLEX_REQUEST_HEADERS.event]: 'x'.repeat(2049),
+  };
+  const expected = {
+    request: true,
+    trigger: 'a%20b',
+    triggerName: null,
+    target: '#list(innerHTML)',
+    event: null,
+    currentUrl: 'https://example.test/a%20b',
+  };
+
+  assert.deepEqual(parseHTMLeXRequest({ get: name => headers[name] }), expected);
+  assert.deepEqual(parseHTMLeXRequest({
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+  }), expected);
+  assert.equal(parseHTMLeXRequest({ get() { throw new Error('headers denied'); } }).request, false);
+  assert.equal(parseHTMLeXRequest(null).request, false);
+});
@@ -9,7 +9,7 @@ import {
   unregisterElement,
 } from '../../src/public/src/registration.js';
 import { Logger } from '../../src/public/src/logger.js';
-import { emitSignal, registerSignalListener } from '../../src/public/src/signals.js';
+import { emitSignal, registerSignalListener, signals } from '../../src/public/src/signals.js';
 
 let originalClearTimeout;
 let originalAbortController;
@@ -337,17 +337,30 @@ test('patchedUpdateTarget updates this targets, appends later defaults, and queu
 
   const sequentialElement = new FakeElement('section');
   sequentialElement._htmlexSequentialMode = true;
+  const settled = [];
+  const onSettled = () => settled.push(sequentialElement.innerHTML);
   patchedUpdateTarget(
     { selector: 'this', strategy: 'append' },
     '<p>Queued</p>',
-    sequentialElement
+    sequentialElement,
+    { onSettled }
   );
 
   assert.equal(sequentialElement.innerHTML, '');
+  assert.deepEqual(settled, []);
   assert.deepEqual(sequentialElement._htmlexSequentialUpdates, [{
     target: { selector: 'this', strategy: 'append' },
     content: '<p>Queued</p>',
+    swapTiming: null,
+    onSettled,
   }]);
+
+  flushSequentialUpdates(sequentialElement);
+  assert.deepEqual(settled, ['<p>Queued</p>']);
+
+  sequentialElement._htmlexSequentialUpdates = [{ target: { selector: '#missing', strategy: 'append' }, content: 'x', onSettled }];
+  flushSequentialUpdates(sequentialElement);
+  assert.deepEqual(settled, ['<p>Queued</p>', '<p>Queued</p>']);
 });
 
 test('patchedUpdateTarget queues sequential updates without relying on queue push', () => {
@@ -1081,6 +1094,205 @@ test('registerElement handles subscribe-triggered API actions and cleanup on rem
   assert.equal(output.inserted.length, 1);
 });
 
+test('registerElement passes signal payloads from publishers to subscriber requests', async () => {
+  const output = new FakeElement('section');
+  document.querySelector = selector => selector === '#payloadOut' ? output : null;
+  document.querySelectorAll = selector => selector === '#payloadOut' ? [output] : [];
+  globalThis.MutationObserver = FakeMutationObserver;
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    return new Response('Payload response');
+  };
+  const subscriber = new FakeElement('div', {
+    subscribe: 'unit:payload',
+    get: '/todos/detail',
+    extras: 'view=compact',
+    target: '#payloadOut(innerHTML)',
+  });
+  const publisher = new FakeElement('button', {
+    publish: 'unit:payload',
+    'publish-extras': 'id=42 list=home',
+  });
+
+  registerElement(subscriber);
+  registerElement(publisher);
+  await publisher.listeners.get('click')({
+    type: 'click',
+    target: publisher,
+    currentTarget: publisher,
+  });
+  emitSignal('unit:payload', { id: 7 });
+  await delay(0);
+
+  assert.deepEqual(requests, [
+    '/todos/detail?view=compact&id=42&list=home',
+    '/todos/detail?view=compact&id=7',
+  ]);
+});
+
+test('registerElement coalesces bursts of matching signals into one subscriber request', async () => {
+  const output = new FakeElement('section');
+  document.querySelector = selector => selector === '#burstOut' ? output : null;
+  document.querySelectorAll = selector => selector === '#burstOut' ? [output] : [];
+  globalThis.MutationObserver = FakeMutationObserver;
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    return new Response('Burst response');
+  };
+  globalThis.requestAnimationFrame = callback => setTimeout(callback, 5);
+  const framed = new FakeElement('div', {
+    subscribe: 'burst:*',
+    get: '/framed',
+    target: '#burstOut(innerHTML)',
+  });
+  const debounced = new FakeElement('div', {
+    subscribe: 'burst:create burst:delete',
+    'signal-debounce': '30',
+    get: '/debounced',
+    target: '#burstOut(innerHTML)',
+  });
+  const immediate = new FakeElement('div', {
+    subscribe: 'burst:**',
+    'signal-debounce': '0',
+    get: '/immediate',
+    target: '#burstOut(innerHTML)',
+  });
+
+  registerElement(framed);
+  registerElement(debounced);
+  registerElement(immediate);
+  emitSignal('burst:create', { id: 1, list: 'home' });
+  emitSignal('burst:delete', { id: 2 });
+  await delay(10);
+  emitSignal('burst:create', { id: 3 });
+  await delay(10);
+
+  assert.deepEqual(requests, [
+    '/immediate?id=1&list=home',
+    '/immediate?id=2',
+    '/framed?id=2&list=home',
+    '/immediate?id=3',
+    '/framed?id=3',
+  ]);
+
+  await delay(50);
+  assert.equal(requests.at(-1), '/debounced?id=3&list=home');
+  assert.equal(requests.length, 6);
+
+  emitSignal('burst:delete', { id: 4 });
+  unregisterElement(debounced);
+  await delay(50);
+  assert.equal(requests.some(url => url.startsWith('/debounced?id=4')), false);
+  unregisterElement(framed);
+  unregisterElement(immediate);
+});
+
+test('registerElement coalesces exact-name subscriptions per frame unless signal-debounce is 0', async () => {
+  const output = new FakeElement('section');
+  document.querySelector = selector => selector === '#exactOut' ? output : null;
+  document.querySelectorAll = selector => selector === '#exactOut' ? [output] : [];
+  globalThis.MutationObserver = FakeMutationObserver;
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    return new Response('Exact response');
+  };
+  const frames = [];
+  globalThis.requestAnimationFrame = (callback) => {
+    frames.push(callback);
+    return frames.length;
+  };
+  const exact = new FakeElement('div', {
+    subscribe: 'exact:create exact:delete',
+    get: '/exact',
+    target: '#exactOut(innerHTML)',
+  });
+  const immediate = new FakeElement('div', {
+    subscribe: 'exact:create exact:delete',
+    'signal-debounce': '0',
+    get: '/immediate',
+    target: '#exactOut(innerHTML)',
+  });
+
+  registerElement(exact);
+  registerElement(immediate);
+  emitSignal('exact:create', { id: 1, list: 'home' });
+  emitSignal('exact:delete', { id: 2 });
+  await delay(0);
+
+  assert.deepEqual(requests, ['/immediate?id=1&list=home', '/immediate?id=2']);
+
+  for (const frame of frames.splice(0)) frame();
+  await delay(0);
+
+  assert.deepEqual(requests.slice(2), ['/exact?id=2&list=home']);
+  unregisterElement(exact);
+  unregisterElement(immediate);
+});
+
+test('registerElement keeps signals from actions that remote signals triggered in this tab', async () => {
+  const originalBroadcastChannel = globalThis.BroadcastChannel;
+  const channels = [];
+  globalThis.BroadcastChannel = class {
+    constructor() {
+      this.posted = [];
+      channels.push(this);
+    }
+
+    postMessage(message) {
+      this.posted.push(message);
+    }
+
+    close() {}
+  };
+  const output = new FakeElement('section');
+  document.querySelector = selector => selector === '#relayOut' ? output : null;
+  document.querySelectorAll = selector => selector === '#relayOut' ? [output] : [];
+  globalThis.MutationObserver = FakeMutationObserver;
+  globalThis.requestAnimationFrame = callback => setTimeout(callback, 1);
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    await delay(5);
+    return new Response('Relayed', { headers: { Emit: 'todo:counted; total=3' } });
+  };
+  const received = [];
+  const cleanupRefreshed = registerSignalListener('todo:refreshed', (_payload, name, origin) => received.push([name, origin.remote]));
+  const cleanupCounted = registerSignalListener('todo:counted', (_payload, name, origin) => received.push([name, origin.remote]));
+  const subscriber = new FakeElement('div', {
+    subscribe: 'todo:changed',
+    get: '/todos/count',
+    target: '#relayOut(innerHTML)',
+    publish: 'todo:refreshed',
+  });
+  const stop = signals.broadcast({ signals: 'todo:*' });
+
+  try {
+    registerElement(subscriber);
+    const [channel] = channels;
+    channel.onmessage({ data: { type: 'htmlex:signal', id: 'tab-b:1', tabId: 'tab-b', name: 'todo:changed', payload: {} } });
+    await delay(30);
+
+    assert.deepEqual(requests, ['/todos/count']);
+    assert.deepEqual(received, [['todo:counted', false], ['todo:refreshed', false]]);
+    assert.deepEqual(channel.posted, []);
+
+    emitSignal('todo:changed');
+    await delay(30);
+
+    assert.equal(requests.length, 2);
+    assert.deepEqual(channel.posted.map(message => message.name), ['todo:changed', 'todo:counted', 'todo:refreshed']);
+  } finally {
+    stop();
+    cleanupRefreshed();
+    cleanupCounted();
+    unregisterElement(subscriber);
+    globalThis.BroadcastChannel = originalBroadcastChannel;
+  }
+});
+
 test('initHTMLeX registers existing controls and DOM-updated descendants', () => {
   FakeMutationObserver.instances = [];
   globalThis.MutationObserver = FakeMutationObserver;
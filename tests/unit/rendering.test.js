@@ -1,14 +1,22 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
 import {
+  action,
+  awaitable,
   createFragment,
   escapeAttribute,
   escapeHtml,
   generateFragment,
+  html,
   rawHtml,
   render,
   renderFragment,
+  renderFragmentToStream,
+  renderToStream,
+  resolveAwaitables,
   tag,
+  targetSpec,
   tags,
 } from '../../src/components/HTMLeX.js';
 
@@ -260,3 +268,347 @@ test('renderFragment tolerates hostile fragment attribute bags without target ov
     '<fragment timer="5000" target="#target(innerHTML)"><strong>Ready</strong></fragment>'
   );
 });
+
+test('awaitable renders its placeholder and resolveAwaitables yields updates as values settle', async () => {
+  let resolveSlow;
+  const slow = new Promise(resolve => {
+    resolveSlow = resolve;
+  });
+  const shell = tags.main(
+    awaitable(tags.p({ class: 'skeleton' }, 'Loading <slow>'), slow, { id: 'slow' }),
+    awaitable('Loading fast', () => tags.section(
+      'Fast',
+      awaitable(tags.span({ id: 'inner' }, '...'), async () => rawHtml('<b>nested</b>'))
+    )),
+    awaitable(tags.p('Loading broken'), async () => {
+      throw new Error('secret');
+    }, {
+      id: 'broken',
+      renderError: (error, id) => tags.p({ id }, `Retry (${error instanceof Error})`),
+    })
+  );
+
+  const shellHtml = render(shell);
+  const fastId = shellHtml.match(/<div id="(htmlex-await-[a-z0-9]+)">Loading fast<\/div>/)[1];
+  assert.equal(
+    shellHtml,
+    `<main><p class="skeleton" id="slow">Loading &lt;slow&gt;</p><div id="${fastId}">Loading fast</div>` +
+    '<p id="broken">Loading broken</p></main>'
+  );
+
+  const updates = [];
+  const iteration = (async () => {
+    for await (const update of resolveAwaitables(shell)) {
+      updates.push(update);
+      if (updates.length === 3) resolveSlow(tags.p('Slow & done'));
+    }
+  })();
+  await iteration;
+
+  assert.deepEqual(updates, [
+    { id: fastId, target: `#${fastId}(outerHTML)`, html: '<section>Fast<span id="inner">...</span></section>', status: null },
+    { id: 'broken', target: '#broken(outerHTML)', html: '<p id="broken">Retry (true)</p>', status: 500 },
+    { id: 'inner', target: '#inner(outerHTML)', html: '<b>nested</b>', status: null },
+    { id: 'slow', target: '#slow(outerHTML)', html: '<p>Slow &amp; done</p>', status: null },
+  ]);
+});
+
+test('resolveAwaitables stops when its signal aborts and passes the signal to pending work', async () => {
+  const controller = new AbortController();
+  let receivedSignal = null;
+  const shell = [
+    awaitable('never', (signal) => {
+      receivedSignal = signal;
+      return new Promise(() => {});
+    }),
+    awaitable('failing', async () => {
+      throw new Error('hidden');
+    }),
+  ];
+
+  const updates = [];
+  for await (const update of resolveAwaitables(shell, { signal: controller.signal })) {
+    updates.push(update);
+    controller.abort();
+  }
+
+  assert.equal(receivedSignal, controller.signal);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].status, 500);
+  assert.match(updates[0].html, /^<div id="htmlex-await-[a-z0-9]+" class="htmlex-await-error" role="alert">Failed to load\.<\/div>$/);
+});
+
+async function collectStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+test('renderToStream matches render for synchronous trees, including escaping and rawHtml', async () => {
+  const tree = tags.ul({ class: 'a"b', hidden: true, title: false },
+    tags.li('<script>x</script>'),
+    tags.li(rawHtml('<b>raw</b>'), 10n, 0, null),
+    tags.input({ value: 'v' }),
+    [tags.br(), 'tail & more']
+  );
+
+  assert.deepEqual(await collectStream(renderToStream(tree)), [render(tree)]);
+  assert.equal((await collectStream(renderToStream(tree, { chunkSize: 8 }))).join(''), render(tree));
+  assert.ok((await collectStream(renderToStream(tree, { chunkSize: 8 }))).length > 1);
+  await assert.rejects(collectStream(renderToStream(tags.div({ 'bad name': 1 }))), /Invalid HTML attribute name/);
+});
+
+test('renderToStream awaits promises and async iterables, flushing markup before each wait', async () => {
+  const rows = async function* () {
+    yield tags.li('One & two');
+    yield [tags.li('Three'), rawHtml('<li>Four</li>')];
+  };
+  const tree = tags.main(
+    tags.h1('Report'),
+    (async () => tags.p('<loaded>'))(),
+    tags.ul(rows())
+  );
+
+  assert.deepEqual(await collectStream(renderToStream(tree)), [
+    '<main><h1>Report</h1>',
+    '<p>&lt;loaded&gt;</p><ul>',
+    '<li>One &amp; two</li>',
+    '<li>Three</li><li>Four</li>',
+    '</ul></main>',
+  ]);
+  assert.equal(tags.div((async () => 'text')()).attrs.constructor, Object);
+  assert.deepEqual(await collectStream(renderFragmentToStream('#report(append)', (async () => 'a<b')(), 202)), [
+    '<fragment target="#report(append)" status="202">',
+    'a&lt;b</fragment>',
+  ]);
+  await assert.rejects(collectStream(renderToStream(tags.div((async () => {
+    throw new Error('load failed');
+  })()))), /load failed/u);
+});
+
+test('renderToStream rethrows a sibling rejection that settles while an earlier promise is pending', async () => {
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  let releaseSlow;
+  const slow = new Promise((resolve) => {
+    releaseSlow = resolve;
+  });
+  const rejecting = (async () => {
+    throw new Error('second failed');
+  })();
+
+  try {
+    const chunks = [];
+    const rendering = (async () => {
+      for await (const chunk of renderToStream(tags.div(tags.p(slow), tags.p(rejecting)))) {
+        chunks.push(chunk);
+      }
+    })();
+    await delay(5);
+    releaseSlow('first');
+    await assert.rejects(rendering, /second failed/u);
+    await delay(5);
+    assert.deepEqual(chunks, ['<div><p>', 'first</p><p>']);
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
+
+test('renderToStream stops without the remaining markup when its signal aborts', async () => {
+  const controller = new AbortController();
+  const chunks = [];
+  const rendering = (async () => {
+    for await (const chunk of renderToStream(tags.div(new Promise(() => {})), { signal: controller.signal })) {
+      chunks.push(chunk);
+    }
+  })();
+  await delay(5);
+  controller.abort();
+  await rendering;
+  assert.deepEqual(chunks, ['<div>']);
+
+  const aborted = new AbortController();
+  aborted.abort();
+  assert.deepEqual(await collectStream(renderToStream(tags.p('done'), { signal: aborted.signal })), []);
+});
+
+test('html escapes interpolations by context and composes nested markup without double-escaping', () => {
+  const hostile = '<img src=x onerror="globalThis.__xss=1">';
+  const items = ['One & two', html`<b>${'Three'}</b>`, tags.i('<four>'), null, false, [5n]];
+  const node = html`<ul class="${['list', false, 'compact']}" data-note=${hostile} ${{ id: 'todos', hidden: true, title: null }}>
+    <!-- ${'-->'} -->${items.map(item => html`<li>${item}</li>`)}<li>${hostile}</li>
+  </ul>`;
+
+  assert.equal(
+    render(node),
+    '<ul class="list compact" data-note="&lt;img src=x onerror=&quot;globalThis.__xss=1&quot;&gt;" id="todos" hidden>\n' +
+    '    <!-- --&gt; --><li>One &amp; two</li><li><b>Three</b></li><li><i>&lt;four&gt;</i></li><li></li><li></li><li>5</li>' +
+    '<li>&lt;img src=x onerror=&quot;globalThis.__xss=1&quot;&gt;</li>\n  </ul>'
+  );
+  assert.equal(render(tags.div(html`<p>${'a<b'}</p>`)), '<div><p>a&lt;b</p></div>');
+  assert.equal(renderFragment('#list(append)', html`<li>${'<x>'}</li>`), '<fragment target="#list(append)"><li>&lt;x&gt;</li></fragment>');
+  assert.equal(renderFragment('#list', tags.li('<x>')), '<fragment target="#list"><li>&lt;x&gt;</li></fragment>');
+});
+
+test('html neutralizes script URLs and rejects interpolations it cannot escape safely', () => {
+  assert.equal(
+    render(html`<a href="${' java\tscript:alert(1)'}">x</a><form POST=${'data:text/html,x'}></form><img src="${'java'}script:alert(1)">`),
+    '<a href="about:invalid#htmlex-unsafe-url">x</a><form POST="about:invalid#htmlex-unsafe-url"></form>' +
+    '<img src="about:invalid#htmlex-unsafe-url">'
+  );
+  assert.equal(
+    render(html`<a href="java${'script'}:${'alert(1)'}">x</a><img srcset="${'/a.png'} 1x, ${'javascript:x'} 2x" alt="${'a"b'}">`),
+    '<a href="about:invalid#htmlex-unsafe-url">x</a><img srcset="about:invalid#htmlex-unsafe-url" alt="a&quot;b">'
+  );
+  assert.equal(
+    render(html`<img srcset="${'/a.png'} 1x, /b.png?x=${'1&2'} 2x">`),
+    '<img srcset="/a.png 1x, /b.png?x=1&amp;2 2x">'
+  );
+  assert.equal(
+    render(html`<a href="/users/${'javascript:x'}?q=${'a&b'}" title="${'javascript:ok'}">x</a>`),
+    '<a href="/users/javascript:x?q=a&amp;b" title="javascript:ok">x</a>'
+  );
+
+  const invalidTemplates = [
+    [() => html`<script>${'alert(1)'}</script>`, /inside <script>/u],
+    [() => html`<button onclick="save(${'1'})">`, /in the "onclick" attribute/u],
+    [() => html`<img ONERROR=${'x'}>`, /in the "ONERROR" attribute/u],
+    [() => html`<iframe srcdoc="${'<p>x</p>'}"></iframe>`, /in the "srcdoc" attribute/u],
+    [() => html`<${'div'}>`, /tag or attribute names/u],
+    [() => html`<div ${'onclick'}=x>`, /only attribute objects/u],
+    [() => html`<div class=a${'b'}>`, /quote the "class" attribute/u],
+    [() => html`<div class=${'a'}b>`, /quote the "class" attribute/u],
+    [() => html`<div title="${tags.b('x')}">`, /markup cannot be interpolated into the "title" attribute/u],
+    [() => html`<div ${{ 'bad name': 1 }}>`, /Invalid HTML attribute name/u],
+  ];
+  for (const [createTemplate, message] of invalidTemplates) {
+    assert.throws(createTemplate, message);
+  }
+});
+
+test('targetSpec validates strategies and returns canonical targets', () => {
+  assert.equal(targetSpec('#todo-list', 'APPEND'), '#todo-list(append)');
+  assert.equal(targetSpec('li:not(.done)'), 'li:not(.done)(innerHTML)');
+  assert.equal(targetSpec('this', 'attr:aria-busy'), 'this(attr:aria-busy)');
+  assert.throws(() => targetSpec('#list', 'apend'), /Unknown HTMLeX swap strategy "apend"/u);
+  assert.throws(() => targetSpec('#list', 'attr:onclick'), /event handler attributes/u);
+  assert.throws(() => targetSpec('  ', 'append'), /requires a selector/u);
+  assert.throws(() => action.get('/x', { target: '#list(slideIn)' }), /Unknown HTMLeX swap strategy "slideIn"/u);
+
+  assert.equal(targetSpec('#list', 'slideIn', { custom: true }), '#list(slideIn)');
+  assert.throws(() => action.get('/x', { target: '#list(slideIn)' }), /Unknown HTMLeX swap strategy "slideIn"/u);
+  assert.deepEqual(
+    action.get('/x', { target: '#list(SLIDEIN)', loading: '#spinner(fadeIn)', customStrategies: ['slideIn', 'fadeIn'], publish: ['a', 'b'] }),
+    { GET: '/x', target: '#list(slideIn)', loading: '#spinner(fadeIn)', publish: 'a b' }
+  );
+  assert.throws(() => action.get('/x', { target: '#list(slideIn)' }), /Unknown HTMLeX swap strategy "slideIn"/u);
+  assert.throws(() => action.get('/x', { customStrategies: 'append' }), /customStrategies entry "append"/u);
+  assert.throws(() => action.get('/x', { customStrategies: ['bad name'] }), /customStrategies entry "bad name"/u);
+  assert.throws(() => targetSpec('#list', 'attr', { custom: true }), /Unknown HTMLeX swap strategy "attr"/u);
+});
+
+test('action builders validate options and produce attribute objects for tag()', () => {
+  const attrs = action.post('/todos/create', {
+    target: [targetSpec('#todoList', 'outerHTML'), '#count(textcontent)'],
+    loading: '#status(innerHTML)',
+    onerror: targetSpec('#status'),
+    retry: 2,
+    timeout: 5000,
+    retryDelay: 250,
+    retryBackoff: 1.5,
+    publish: ['todos:changed', 'stats:stale'],
+    publishExtras: { id: 42 },
+    subscribe: ['todo:*', 'stats:**'],
+    signalDebounce: 50,
+    extras: { list: 'inbox', pinned: true },
+    push: 'page=1',
+    source: ['#filters', '#sort'],
+    auto: 'lazy',
+    sequential: true,
+    transition: false,
+    head: 'merge',
+    history: 'replace',
+    cache: undefined,
+  });
+
+  assert.deepEqual(attrs, {
+    POST: '/todos/create',
+    target: '#todoList(outerHTML) #count(textContent)',
+    loading: '#status(innerHTML)',
+    onerror: '#status(innerHTML)',
+    retry: 2,
+    timeout: 5000,
+    'retry-delay': 250,
+    'retry-backoff': 1.5,
+    publish: 'todos:changed stats:stale',
+    'publish-extras': 'id=42',
+    subscribe: 'todo:* stats:**',
+    'signal-debounce': 50,
+    extras: 'list=inbox pinned=true',
+    push: 'page=1',
+    source: '#filters, #sort',
+    auto: 'lazy',
+    sequential: true,
+    transition: false,
+    head: 'merge',
+    history: 'replace',
+  });
+  assert.equal(
+    render(tags.button({ ...action.delete('/todos/1', { target: 'this(remove)', sequential: 150 }), class: 'btn' }, 'Delete')),
+    '<button DELETE="/todos/1" target="this(remove)" sequential="150" class="btn">Delete</button>'
+  );
+
+  const invalidOptions = [
+    [() => action.post('', {}), /action\.post\(\) requires a URL/u],
+    [() => action.get('/x', { retyr: 1 }), /Unknown HTMLeX action option "retyr"/u],
+    [() => action.get('/x', { retry: -1 }), /retry must be a non-negative integer/u],
+    [() => action.get('/x', { timeout: '5s' }), /timeout must be a non-negative integer/u],
+    [() => action.get('/x', { debounce: 1.5 }), /debounce must be a non-negative integer/u],
+    [() => action.get('/x', { retryBackoff: 0.5 }), /retryBackoff must be a number of at least 1/u],
+    [() => action.get('/x', { history: 'back' }), /history must be one of "push", "replace", "none"/u],
+    [() => action.get('/x', { auto: 'soon' }), /auto must be a non-negative integer/u],
+    [() => action.get('/x', { extras: { note: 'two words' } }), /extras pair "note=two words"/u],
+    [() => action.get('/x', { publish: [] }), /publish requires at least one value/u],
+    [() => action.get('/x', { target: '(append)' }), /Invalid HTMLeX target "\(append\)"/u],
+    [() => action.get('/x', { target: '#a(append) trailing' }), /Invalid HTMLeX target/u],
+  ];
+  for (const [build, message] of invalidOptions) {
+    assert.throws(build, message);
+  }
+});
+
+test('render expands class arrays and maps, style objects, and nested data and aria objects', () => {
+  const node = tags.div({
+    class: ['card', ['  p-2 mt-1 ', null, false], { active: true, disabled: false, 'text-bg-primary': 1 }],
+    style: { backgroundColor: 'red', '--gap': 4, width: null, content: 'a\\b;} <x>\n' },
+    data: { userId: 7, filters: { showDone: true }, tags: ['a', 'b'], missing: null },
+    aria: { hidden: false, describedby: ['hint', 'error'] },
+  }, 'x');
+
+  assert.equal(
+    render(node),
+    '<div class="card p-2 mt-1 active text-bg-primary" ' +
+    'style="background-color: red; --gap: 4; content: a\\\\b\\;\\} &lt;x&gt;\\a " ' +
+    'data-user-id="7" data-filters-show-done="true" data-tags="a b" ' +
+    'aria-hidden="false" aria-describedby="hint error">x</div>'
+  );
+  assert.equal(
+    render(tags.object({ data: '/chart.svg', class: 'raw  string', style: 'color: red' })),
+    '<object data="/chart.svg" class="raw  string" style="color: red"></object>'
+  );
+  assert.equal(render(tags.div({ class: [false, { hidden: false }], style: { color: null } })), '<div></div>');
+  assert.equal(
+    render(tags.div({ style: { color: undefined, width: false, height: '2px', margin: undefined } })),
+    '<div style="height: 2px"></div>'
+  );
+  // Quotes and url() pass through as CSS, attribute-escaped; only `;`, braces, backslashes, and control characters are escaped.
+  assert.equal(
+    render(tags.div({ style: { fontFamily: '"Open Sans", sans-serif', backgroundImage: 'url("/bg.png?a=1;b=2")' } })),
+    '<div style="font-family: &quot;Open Sans&quot;, sans-serif; background-image: url(&quot;/bg.png?a=1\\;b=2&quot;)"></div>'
+  );
+  assert.equal(render(html`<p ${{ class: { on: true }, aria: { live: 'polite' } }}>x</p>`), '<p class="on" aria-live="polite">x</p>');
+  assert.throws(() => render(tags.div({ style: { 'color:red;x': 1 } })), /Invalid CSS property name/u);
+  assert.throws(() => render(tags.div({ data: { 'a b': 1 } })), /Invalid HTML attribute name "data-a b"/u);
+});
@@ -1,5 +1,7 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
+import { EventEmitter } from 'node:events';
+import { awaitable, tags } from '../../src/components/HTMLeX.js';
 import {
   endResponse,
   endServerError,
@@ -10,8 +12,17 @@ import {
   sendTextResponse,
   sendTypedResponse,
   setHtmlResponse,
+  setLocationHeader,
+  setPushUrlHeader,
+  setRedirectHeader,
+  setRefreshHeader,
+  setReplaceUrlHeader,
   setResponseHeader,
+  setRetargetHeader,
+  setReswapHeader,
+  writeAwaitableResponse,
   writeFragmentResponse,
+  writeStreamedResponse,
 } from '../../src/features/responses.js';
 
 process.env.HTMLEX_LOG_LEVEL = 'silent';
@@ -150,6 +161,32 @@ test('text, empty, and header response helpers guard response state', () => {
   assert.equal(sentResponse.body, '');
 });
 
+test('server-directed header helpers set client navigation and swap headers', () => {
+  const response = createResponse();
+  const sentResponse = createResponse({ headersSent: true });
+
+  assert.equal(setRedirectHeader(response, '/login'), true);
+  assert.equal(setLocationHeader(response, '/todos', { target: '#main(innerHTML)', history: 'replace' }), true);
+  assert.equal(setRefreshHeader(response), true);
+  assert.equal(setRetargetHeader(response, '#errors'), true);
+  assert.equal(setReswapHeader(response, 'outerHTML'), true);
+  assert.equal(setPushUrlHeader(response, '/todos?page=2'), true);
+  assert.equal(setReplaceUrlHeader(response, '/todos'), true);
+  assert.equal(setRedirectHeader(sentResponse, '/late'), false);
+
+  assert.deepEqual(response.headers, {
+    'HTMLeX-Redirect': '/login',
+    'HTMLeX-Location': '/todos; target=#main(innerHTML); history=replace',
+    'HTMLeX-Refresh': 'true',
+    'HTMLeX-Retarget': '#errors',
+    'HTMLeX-Reswap': 'outerHTML',
+    'HTMLeX-Push-Url': '/todos?page=2',
+    'HTMLeX-Replace-Url': '/todos',
+  });
+  setLocationHeader(response, '/plain');
+  assert.equal(response.headers['HTMLeX-Location'], '/plain');
+});
+
 test('response helpers tolerate hostile response state and methods', () => {
   const hostileStateResponse = {};
   Object.defineProperties(hostileStateResponse, {
@@ -246,3 +283,128 @@ test('fragment response helpers fail closed for invalid fragment metadata', () =
   assert.equal(sendResponse.writableEnded, false);
   assert.equal(writeResponse.writableEnded, false);
 });
+
+test('writeAwaitableResponse streams the shell, then each placeholder fragment, then ends', async () => {
+  const res = Object.assign(new EventEmitter(), createResponse());
+  const shell = tags.div(
+    awaitable(tags.p('Loading'), async () => tags.p('Loaded'), { id: 'stats' }),
+    awaitable(tags.p('Loading'), async () => {
+      throw new Error('boom');
+    }, { id: 'feed' })
+  );
+
+  assert.equal(await writeAwaitableResponse(res, '#page(innerHTML)', shell), true);
+  assert.deepEqual(res.chunks, [
+    '<fragment target="#page(innerHTML)"><div><p id="stats">Loading</p><p id="feed">Loading</p></div></fragment>',
+    '<fragment target="#stats(outerHTML)"><p>Loaded</p></fragment>',
+    '<fragment status="500" target="#feed(outerHTML)"><div id="feed" class="htmlex-await-error" role="alert">Failed to load.</div></fragment>',
+  ]);
+  assert.equal(res.writableEnded, true);
+  assert.equal(res.listenerCount('close'), 0);
+});
+
+test('writeAwaitableResponse aborts pending work when the client disconnects', async () => {
+  const res = Object.assign(new EventEmitter(), createResponse());
+  let aborted = false;
+  const shell = awaitable('Loading', signal => new Promise((_resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      aborted = true;
+      reject(new Error('aborted'));
+    });
+    setTimeout(() => res.emit('close'), 0);
+  }), { id: 'slow' });
+
+  assert.equal(await writeAwaitableResponse(res, '#page', shell), false);
+  assert.equal(aborted, true);
+  assert.equal(res.chunks.length, 1);
+  assert.equal(res.writableEnded, false);
+});
+
+test('writeStreamedResponse waits for drain when the response buffer is full', async () => {
+  const res = Object.assign(new EventEmitter(), createResponse());
+  const write = res.write;
+  res.write = function writeWithBackpressure(chunk) {
+    write.call(this, chunk);
+    setTimeout(() => this.emit('drain'), 0);
+    return false;
+  };
+  let itemsRequested = 0;
+  const items = async function* () {
+    for (const name of ['a', 'b']) {
+      itemsRequested += 1;
+      assert.equal(res.chunks.length, itemsRequested, 'each chunk is drained before more is rendered');
+      yield tags.li(name);
+    }
+  };
+
+  assert.equal(await writeStreamedResponse(res, tags.ul(items()), { target: '#list(innerHTML)' }), true);
+  assert.deepEqual(res.chunks, [
+    '<fragment target="#list(innerHTML)"><ul>',
+    '<li>a</li>',
+    '<li>b</li>',
+    '</ul></fragment>',
+  ]);
+  assert.equal(res.headers['Content-Type'], 'text/html; charset=utf-8');
+  assert.equal(res.writableEnded, true);
+  assert.equal(res.listenerCount('close'), 0);
+  assert.equal(res.listenerCount('drain'), 0);
+});
+
+test('writeStreamedResponse stops waiting on pending children when the client disconnects', async () => {
+  const res = Object.assign(new EventEmitter(), createResponse());
+  const neverSettles = new Promise(() => {});
+  let iteratorClosed = false;
+  const stalled = {
+    [Symbol.asyncIterator]() {
+      return {
+        next: () => neverSettles,
+        return: async () => {
+          iteratorClosed = true;
+          return { done: true, value: undefined };
+        },
+      };
+    },
+  };
+  setTimeout(() => res.emit('close'), 0);
+
+  assert.equal(await writeStreamedResponse(res, tags.div(tags.p(neverSettles))), false);
+  assert.deepEqual(res.chunks, ['<div><p>']);
+  assert.equal(res.writableEnded, false);
+  assert.equal(res.listenerCount('close'), 0);
+
+  const iterating = Object.assign(new EventEmitter(), createResponse());
+  setTimeout(() => iterating.emit('close'), 0);
+  assert.equal(await writeStreamedResponse(iterating, tags.ul(stalled)), false);
+  assert.deepEqual(iterating.chunks, ['<ul>']);
+  assert.equal(iteratorClosed, true);
+});
+
+test('writeStreamedResponse stops rendering when the client disconnects and fails closed on errors', async () => {
+  const res = Object.assign(new EventEmitter(), createResponse());
+  let finished = false;
+  const items = async function* () {
+    yield tags.li('first');
+    res.emit('close');
+    yield tags.li('second');
+    finished = true;
+  };
+
+  assert.equal(await writeStreamedResponse(res, tags.ul(items())), false);
+  assert.deepEqual(res.chunks, ['<ul>', '<li>first</li>']);
+  assert.equal(finished, false);
+  assert.equal(res.writableEnded, false);
+
+  const failing = async () => {
+    throw new Error('boom');
+  };
+  const beforeOutput = createResponse();
+  assert.equal(await writeStreamedResponse(beforeOutput, failing()), false);
+  assert.equal(beforeOutput.statusCode, 500);
+  assert.equal(beforeOutput.writableEnded, true);
+
+  const afterOutput = createResponse();
+  assert.equal(await writeStreamedResponse(afterOutput, tags.div(failing())), false);
+  assert.deepEqual(afterOutput.chunks, ['<div>']);
+  assert.equal(afterOutput.statusCode, 200);
+  assert.equal(afterOutput.writableEnded, true);
+});
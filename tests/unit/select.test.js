@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import test, { afterEach, beforeEach } from 'node:test';
+import { processFragmentBuffer } from '../../src/public/src/fragments.js';
+import { Logger } from '../../src/public/src/logger.js';
+import { selectResponseContent } from '../../src/public/src/select.js';
+
+let originalDocument;
+let originalLoggerEnabled;
+
+beforeEach(() => {
+  originalDocument = globalThis.document;
+  originalLoggerEnabled = Logger.enabled;
+  Logger.enabled = false;
+});
+
+afterEach(() => {
+  if (originalDocument === undefined) {
+    delete globalThis.document;
+  } else {
+    globalThis.document = originalDocument;
+  }
+  Logger.enabled = originalLoggerEnabled;
+});
+
+function parseFlatElements(html) {
+  return [...html.matchAll(/<(\w+)([^>]*)>([\s\S]*?)<\/\1>/g)].map(([outerHTML, tagName, attributeText]) => {
+    const attributes = Object.fromEntries(
+      [...attributeText.matchAll(/\s([A-Za-z][\w:-]*)="([^"]*)"/g)].map(([, name, value]) => [name, value])
+    );
+    return {
+      outerHTML,
+      tagName: tagName.toLowerCase(),
+      removed: false,
+      hasAttribute(name) {
+        return Object.hasOwn(attributes, name);
+      },
+      getAttribute(name) {
+        return attributes[name] ?? null;
+      },
+      remove() {
+        this.removed = true;
+      },
+    };
+  });
+}
+
+function matchesSelector(element, selector) {
+  if (selector.startsWith('#')) return element.getAttribute('id') === selector.slice(1);
+  if (selector.startsWith('.')) return (element.getAttribute('class') || '').split(' ').includes(selector.slice(1));
+  return element.tagName === selector;
+}
+
+function installTemplateDocument(extra = {}) {
+  const parsed = [];
+  globalThis.document = {
+    createElement(tagName) {
+      assert.equal(tagName, 'template');
+      let elements = [];
+      const template = {
+        set innerHTML(html) {
+          parsed.push(html);
+          elements = parseFlatElements(html);
+          template.content.firstElementChild = elements[0] || null;
+        },
+        get innerHTML() {
+          return elements.filter(element => !element.removed).map(element => element.outerHTML).join('');
+        },
+        content: {
+          firstElementChild: null,
+          querySelectorAll(selector) {
+            if (selector.includes('[')) throw new SyntaxError('bad selector');
+            return elements.filter(element => !element.removed && matchesSelector(element, selector));
+          },
+        },
+      };
+      return template;
+    },
+    ...extra,
+  };
+  return parsed;
+}
+
+test('selectResponseContent keeps only the elements matching select', () => {
+  const parsed = installTemplateDocument();
+  const page = '<header>Nav</header><main id="main">Body</main><footer>Foot</footer>';
+
+  assert.deepEqual(selectResponseContent(page, { select: '#main' }), {
+    content: '<main id="main">Body</main>',
+    oobUpdates: [],
+  });
+  assert.equal(selectResponseContent(page, { select: '.missing' }).content, '');
+  assert.equal(selectResponseContent(page, { select: '[bad' }).content, '');
+  assert.deepEqual(selectResponseContent(page), { content: page, oobUpdates: [] });
+  assert.equal(parsed.length, 3);
+});
+
+test('selectResponseContent pulls select-oob elements out before select runs', () => {
+  installTemplateDocument();
+  const page = '<main id="main">Body</main><span id="count">3</span><em>no id</em><b id="say&quot;hi">Hi</b>';
+
+  const selection = selectResponseContent(page, { select: 'main', selectOob: '#count, em, b' });
+  assert.equal(selection.content, '<main id="main">Body</main>');
+  assert.deepEqual(selection.oobUpdates, [
+    { target: { selector: '[id="count"]', strategy: 'outerHTML' }, content: '<span id="count">3</span>' },
+    { target: { selector: '[id="say&quot;hi"]', strategy: 'outerHTML' }, content: '<b id="say&quot;hi">Hi</b>' },
+  ]);
+
+  const withoutSelect = selectResponseContent(page, { selectOob: '#count' });
+  assert.equal(withoutSelect.content, '<main id="main">Body</main><em>no id</em><b id="say&quot;hi">Hi</b>');
+  assert.equal(withoutSelect.oobUpdates.length, 1);
+});
+
+test('selectResponseContent escapes quotes in ids and falls back without template parsing', () => {
+  globalThis.document = {
+    createElement() {
+      return {
+        set innerHTML(_html) {},
+        get innerHTML() {
+          return '';
+        },
+        content: {
+          querySelectorAll() {
+            return [{ outerHTML: '<p id=\'a"b\'>x</p>', getAttribute: () => 'a"b\\c', remove() {} }];
+          },
+        },
+      };
+    },
+  };
+  assert.equal(selectResponseContent('<p>x</p>', { selectOob: 'p' }).oobUpdates[0].target.selector, '[id="a\\"b\\\\c"]');
+
+  delete globalThis.document;
+  assert.deepEqual(selectResponseContent('<p>x</p>', { select: 'p' }), { content: '<p>x</p>', oobUpdates: [] });
+});
+
+test('processFragmentBuffer applies a fragment select attribute to its content', () => {
+  const output = {
+    inserted: [],
+    insertAdjacentHTML(position, content) {
+      this.inserted.push({ position, content });
+    },
+  };
+  installTemplateDocument({
+    body: {},
+    dispatchEvent() {},
+    querySelectorAll(selector) {
+      return selector === '#out' ? [output] : [];
+    },
+  });
+
+  processFragmentBuffer('<fragment target="#out(append)" select="#item"><nav>Menu</nav><li id="item">One</li></fragment>');
+
+  assert.deepEqual(output.inserted, [{ position: 'beforeend', content: '<li id="item">One</li>' }]);
+});
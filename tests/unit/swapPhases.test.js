@@ -0,0 +1,242 @@
+import assert from 'node:assert/strict';
+import test, { afterEach, beforeEach } from 'node:test';
+import { updateTarget } from '../../src/public/src/dom.js';
+import { Logger } from '../../src/public/src/logger.js';
+import {
+  getSwapTiming,
+  runSwapPhases,
+  setRequestClass,
+  SWAP_PHASE_CLASSES,
+} from '../../src/public/src/swapPhases.js';
+import { runWithViewTransition } from '../../src/public/src/transitions.js';
+
+let originalDocument;
+let originalRequestAnimationFrame;
+let originalSetTimeout;
+let originalLoggerEnabled;
+let frames;
+let timers;
+
+beforeEach(() => {
+  originalDocument = globalThis.document;
+  originalRequestAnimationFrame = globalThis.requestAnimationFrame;
+  originalSetTimeout = globalThis.setTimeout;
+  originalLoggerEnabled = Logger.enabled;
+  Logger.enabled = false;
+  frames = [];
+  timers = [];
+  globalThis.requestAnimationFrame = (callback) => {
+    frames.push(callback);
+    return frames.length;
+  };
+  globalThis.setTimeout = (callback, delay) => {
+    timers.push({ callback, delay });
+    return timers.length;
+  };
+});
+
+afterEach(() => {
+  if (originalDocument === undefined) {
+    delete globalThis.document;
+  } else {
+    globalThis.document = originalDocument;
+  }
+
+  if (originalRequestAnimationFrame === undefined) {
+    delete globalThis.requestAnimationFrame;
+  } else {
+    globalThis.requestAnimationFrame = originalRequestAnimationFrame;
+  }
+
+  globalThis.setTimeout = originalSetTimeout;
+  Logger.enabled = originalLoggerEnabled;
+});
+
+class FakeElement {
+  constructor(attributes = {}) {
+    this.attributes = { ...attributes };
+    this.children = [];
+    this.classes = new Set();
+    const classes = this.classes;
+    this.classList = {
+      add(name) {
+        classes.add(name);
+      },
+      remove(name) {
+        classes.delete(name);
+      },
+    };
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  appendChild(child) {
+    child.parentElement = this;
+    this.children.push(child);
+  }
+}
+
+function runNext(queue) {
+  const entry = queue.shift();
+  assert.ok(entry, 'expected a scheduled callback');
+  (entry.callback || entry)();
+}
+
+test('getSwapTiming reads swap-delay and settle-delay attributes', () => {
+  assert.deepEqual(getSwapTiming(new FakeElement({ 'swap-delay': '120', 'settle-delay': ' 40 ' })), {
+    swapDelay: 120,
+    settleDelay: 40,
+  });
+  assert.deepEqual(getSwapTiming(new FakeElement({ 'swap-delay': '-5', 'settle-delay': '1s' })), {
+    swapDelay: 0,
+    settleDelay: 0,
+  });
+  assert.deepEqual(getSwapTiming(null), { swapDelay: 0, settleDelay: 0 });
+});
+
+test('runSwapPhases delays the swap, then moves new nodes through added and settling', () => {
+  const target = new FakeElement();
+  const existing = new FakeElement();
+  const inserted = new FakeElement();
+  target.appendChild(existing);
+  const settled = [];
+
+  runSwapPhases(target, () => target.appendChild(inserted), {
+    timing: { swapDelay: 100, settleDelay: 30 },
+    onSettled: () => settled.push('settled'),
+  });
+
+  assert.equal(target.classes.has(SWAP_PHASE_CLASSES.swapping), true);
+  assert.equal(target.children.length, 1);
+  assert.equal(timers[0].delay, 100);
+
+  runNext(timers);
+  assert.equal(target.classes.has(SWAP_PHASE_CLASSES.swapping), false);
+  assert.deepEqual([...inserted.classes], [SWAP_PHASE_CLASSES.added]);
+  assert.deepEqual([...existing.classes], []);
+
+  runNext(frames);
+  assert.deepEqual([...inserted.classes], [SWAP_PHASE_CLASSES.settling]);
+  assert.equal(timers[0].delay, 30);
+  assert.deepEqual(settled, []);
+
+  runNext(timers);
+  assert.deepEqual([...inserted.classes], []);
+  assert.deepEqual(settled, ['settled']);
+});
+
+test('runSwapPhases keeps a view transition open until a delayed swap runs', async () => {
+  const target = new FakeElement({ transition: '', 'swap-delay': '100' });
+  const inserted = new FakeElement();
+  const updateCallbacks = [];
+  globalThis.document = {
+    startViewTransition(update) {
+      updateCallbacks.push(update);
+      return {};
+    },
+  };
+
+  runWithViewTransition(() => {
+    runSwapPhases(target, () => target.appendChild(inserted), { timing: getSwapTiming(target) });
+  });
+  assert.equal(updateCallbacks.length, 1);
+
+  let updateDone = false;
+  const updateCallbackDone = updateCallbacks[0]();
+  assert.equal(typeof updateCallbackDone?.then, 'function');
+  updateCallbackDone.then(() => {
+    updateDone = true;
+  });
+  await null;
+  assert.equal(updateDone, false);
+  assert.equal(target.children.length, 0);
+  assert.equal(timers[0].delay, 100);
+
+  runNext(timers);
+  assert.deepEqual(target.children, [inserted]);
+  await updateCallbackDone;
+  assert.equal(updateDone, true);
+
+  runWithViewTransition(() => {
+    runSwapPhases(target, () => {}, { timing: { swapDelay: 0, settleDelay: 0 } });
+  });
+  assert.equal(updateCallbacks[1](), undefined);
+});
+
+test('runSwapPhases settles sibling insertions on the next frame and isolates failures', () => {
+  const parent = new FakeElement();
+  const target = new FakeElement();
+  const sibling = new FakeElement();
+  parent.appendChild(target);
+  const settled = [];
+
+  runSwapPhases(target, () => parent.appendChild(sibling), {
+    onSettled: () => settled.push('sibling'),
+  });
+  assert.deepEqual([...sibling.classes], [SWAP_PHASE_CLASSES.added]);
+  runNext(frames);
+  runNext(frames);
+  assert.deepEqual([...sibling.classes], []);
+  assert.deepEqual(settled, ['sibling']);
+
+  runSwapPhases(target, () => {
+    throw new Error('swap failure');
+  }, { onSettled: () => settled.push('failed') });
+  runSwapPhases(target, () => {}, {
+    onSettled() {
+      settled.push('unchanged');
+      throw new Error('settle callback failure');
+    },
+  });
+
+  assert.deepEqual(settled, ['sibling', 'failed', 'unchanged']);
+  assert.equal(frames.length, 0);
+});
+
+test('setRequestClass toggles the in-flight class and tolerates missing classList', () => {
+  const element = new FakeElement();
+  setRequestClass(element, true);
+  assert.equal(element.classes.has(SWAP_PHASE_CLASSES.request), true);
+  setRequestClass(element, false);
+  assert.equal(element.classes.has(SWAP_PHASE_CLASSES.request), false);
+  assert.doesNotThrow(() => setRequestClass({}, true));
+});
+
+test('updateTarget reports settle completion once for every resolved element', () => {
+  const first = new FakeElement();
+  const second = new FakeElement();
+  for (const element of [first, second]) {
+    element.insertAdjacentHTML = function insertAdjacentHTML() {
+      this.appendChild(new FakeElement());
+    };
+  }
+  globalThis.document = {
+    body: {},
+    querySelectorAll(selector) {
+      return selector === '.item' ? [first, second] : [];
+    },
+    dispatchEvent() {},
+  };
+  const settled = [];
+
+  updateTarget({ selector: '.item', strategy: 'append' }, '<li>New</li>', null, {
+    swapTiming: { swapDelay: 0, settleDelay: 0 },
+    onSettled: () => settled.push('all'),
+  });
+
+  assert.equal(first.children[0].classes.has(SWAP_PHASE_CLASSES.added), true);
+  assert.equal(frames.length, 2);
+  runNext(frames);
+  runNext(frames);
+  runNext(frames);
+  assert.deepEqual(settled, []);
+  runNext(frames);
+  assert.deepEqual(settled, ['all']);
+
+  updateTarget({ selector: '#missing', strategy: 'append' }, 'x', null, {
+    onSettled: () => settled.push('empty'),
+  });
+  assert.deepEqual(settled, ['all', 'empty']);
+});
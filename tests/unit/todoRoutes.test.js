@@ -13,6 +13,7 @@ import {
   loadTodos,
   updateTodo,
 } from '../../src/features/todos.js';
+import { parseFragments } from '../../src/public/src/protocol.js';
 
 process.env.HTMLEX_LOG_LEVEL = 'silent';
 
@@ -101,6 +102,11 @@ test('todo route handlers render widget and list fragments from persisted data',
   assert.match(listResponse.body, /<fragment target="#todoList\(outerHTML\)">/);
   assert.match(listResponse.body, /todo-1/);
   assert.match(listResponse.body, /todo-2/);
+
+  const [listFragment] = parseFragments(listResponse.body);
+  assert.deepEqual(listFragment.strategies, [{ selector: '#todoList', strategy: 'outerHTML' }]);
+  assert.equal(listFragment.status, null);
+  assert.match(listFragment.content, /todo-1[\s\S]*todo-2/);
 });
 
 test('todo persistence path trims environment overrides before loading data', async () => {